@@ -4,7 +4,7 @@
 // =============================================================================
 
 import React, { useEffect, useState } from 'react';
-import { View, Text, ActivityIndicator, LogBox } from 'react-native';
+import { View, Text, ActivityIndicator, LogBox, Modal, Alert, AppState } from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
@@ -15,10 +15,21 @@ import NetInfo from '@react-native-community/netinfo';
 
 // Services
 import authService from './src/services/auth/authService';
+import lockService from './src/services/auth/lockService';
 import syncService from './src/services/sync/syncService';
+import pullService from './src/services/sync/pullService';
+import scoringService from './src/services/scoring/scoringService';
+import { registerBackgroundSync } from './src/services/sync/backgroundSync';
+import storageService from './src/services/storage/storageService';
+import { apiUtils } from './src/services/api/apiClient';
+import { API_CONFIG } from './src/constants/apiConfig';
+import { ERROR_MESSAGES } from './src/constants/errorMessages';
+import { PERMISSIONS } from './src/constants/permissionsConstants';
+import usePermission from './src/hooks/usePermission';
 
 // Screens
 import LoginScreen from './src/screens/Auth/LoginScreen.jsx';
+import UnlockScreen from './src/screens/Auth/UnlockScreen.jsx';
 import DashboardScreen from './src/screens/Dashboard/DashboardScreen.jsx';
 import EnrollmentFormScreen from './src/screens/Enrollment/EnrollmentFormScreen.jsx';
 import PersonListScreen from './src/screens/Person/PersonListScreen.jsx';
@@ -27,8 +38,15 @@ import OfflineQueueScreen from './src/screens/Sync/OfflineQueueScreen.jsx';
 import ProfileScreen from './src/screens/Profile/ProfileScreen.jsx';
 import HouseholdFormScreen from './src/screens/Enrollment/HouseholdFormScreen.jsx';
 import MapViewScreen from './src/screens/Map/MapViewScreen.jsx';
+import PersonDetailScreen from './src/screens/Person/PersonDetailScreen.jsx';
+import ConflictResolutionScreen from './src/screens/Sync/ConflictResolutionScreen.jsx';
+import ReviewQueueScreen from './src/screens/Review/ReviewQueueScreen.jsx';
+import ReviewDetailScreen from './src/screens/Review/ReviewDetailScreen.jsx';
 
 const Stack = createStackNavigator();
+
+// Fréquence du contrôle d'inactivité (verrouillage automatique)
+const LOCK_CHECK_INTERVAL = 30 * 1000;
 const Tab = createBottomTabNavigator();
 
 // Couleurs officielles RSU Gabon
@@ -58,8 +76,30 @@ const customTheme = {
   },
 };
 
-// Navigation onglets (utilisateur connecté)
+const { ACTIONS } = PERMISSIONS;
+
+let sessionServicesStarted = false;
+
+// Session ouverte (reprise au lancement ou connexion) : services de
+// synchronisation démarrés une seule fois, puis registre et modèle de
+// scoring mis à jour
+async function startSession() {
+  if (!sessionServicesStarted) {
+    sessionServicesStarted = true;
+    await syncService.initialize();
+    // Envoi de la queue même application fermée
+    registerBackgroundSync();
+  }
+  // Registre de la zone en arrière-plan (consultation hors ligne)
+  pullService.pull();
+  // Modèle de scoring du serveur (calcul hors ligne identique)
+  scoringService.refreshModel();
+}
+
+// Navigation onglets (utilisateur connecté) : onglets de saisie selon le rôle
 function AppNavigator() {
+  const { can } = usePermission();
+
   return (
     <Tab.Navigator
       screenOptions={({ route }) => ({
@@ -69,6 +109,7 @@ function AppNavigator() {
             Enrollment: 'person-add',
             PersonList: 'group',
             Survey: 'description',
+            Review: 'fact-check',
             Sync: 'sync',
             Profile: 'account-circle',
           };
@@ -88,9 +129,18 @@ function AppNavigator() {
       })}
     >
       <Tab.Screen name="Dashboard" component={DashboardScreen} options={{ title: 'Accueil' }} />
-      <Tab.Screen name="Enrollment" component={EnrollmentFormScreen} options={{ title: 'Inscription' }} />
-      <Tab.Screen name="PersonList" component={PersonListScreen} options={{ title: 'Ménages' }} />
-      <Tab.Screen name="Survey" component={SurveyFormScreen} options={{ title: 'Enquêtes' }} />
+      {can(ACTIONS.CREATE_PERSON) && (
+        <Tab.Screen name="Enrollment" component={EnrollmentFormScreen} options={{ title: 'Inscription' }} />
+      )}
+      {can(ACTIONS.VIEW_HOUSEHOLDS) && (
+        <Tab.Screen name="PersonList" component={PersonListScreen} options={{ title: 'Ménages' }} />
+      )}
+      {can(ACTIONS.CREATE_SURVEY) && (
+        <Tab.Screen name="Survey" component={SurveyFormScreen} options={{ title: 'Enquêtes' }} />
+      )}
+      {can(ACTIONS.VERIFY_PERSON) && (
+        <Tab.Screen name="Review" component={ReviewQueueScreen} options={{ title: 'Vérification' }} />
+      )}
       <Tab.Screen name="Sync" component={OfflineQueueScreen} options={{ title: 'Synchronisation' }} />
       <Tab.Screen name="Profile" component={ProfileScreen} options={{ title: 'Profil' }} />
     </Tab.Navigator>
@@ -101,6 +151,9 @@ export default function App() {
   const [isLoading, setIsLoading] = useState(true);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isConnected, setIsConnected] = useState(true);
+  // null : session ouverte ; 'setup' : PIN à définir ; 'unlock' : PIN à saisir
+  const [lockMode, setLockMode] = useState(null);
+  const [currentUser, setCurrentUser] = useState(null);
 
   // Désactiver certains warnings verbeux en développement (optionnel)
   useEffect(() => {
@@ -113,14 +166,23 @@ export default function App() {
     }
   }, []);
 
-  // Initialisation + écoute réseau
+  // Démarrage (une seule fois) : données locales et reprise de la session enregistrée
   useEffect(() => {
     const initializeApp = async () => {
       try {
-        const userData = await authService.getCurrentUser();
+        // Chiffrer les données laissées en clair par les versions précédentes
+        await storageService.migratePlaintextKeys();
+
+        const { user: userData, needsPin, reason } = await authService.restoreSession();
+        if (reason) {
+          Alert.alert('Connexion requise', reason);
+        }
         if (userData?.token) {
+          // Session reprise au lancement : PIN à saisir (ou à définir)
+          setCurrentUser(userData);
+          setLockMode(needsPin ? 'setup' : 'unlock');
           setIsAuthenticated(true);
-          await syncService.initialize();
+          await startSession();
         }
       } catch (error) {
         console.error('Erreur initialisation app:', error);
@@ -130,24 +192,79 @@ export default function App() {
     };
 
     initializeApp();
+  }, []);
 
-    // Écoute connexion réseau + auto-sync
+  // Écoute connexion réseau + auto-sync
+  useEffect(() => {
     const unsubscribeNet = NetInfo.addEventListener(state => {
       setIsConnected(state.isConnected);
       if (state.isConnected && isAuthenticated) {
-        syncService.syncPendingData().catch(console.error);
+        // Envoyer d'abord les saisies locales, puis récupérer les changements
+        syncService.drain()
+          .then(() => pullService.pull())
+          .catch(console.error);
       }
     });
 
     return () => unsubscribeNet();
   }, [isAuthenticated]); // ← dépendance correcte
 
+  // Verrouillage (inactivité, retour au premier plan), déconnexion, session expirée
+  useEffect(() => {
+    const unsubscribeLock = lockService.subscribe(locked => {
+      if (!locked) {
+        setLockMode(null);
+      } else if (authService.isLoggedIn()) {
+        setLockMode('unlock');
+      } else {
+        // Déconnexion (profil) ou effacement : retour à l'écran de connexion
+        setLockMode(null);
+        setCurrentUser(null);
+        setIsAuthenticated(false);
+      }
+    });
+
+    // Jeton de renouvellement refusé : reconnexion, la queue reste sur l'appareil
+    const unsubscribeAuth = apiUtils.subscribe(async event => {
+      if (event.type !== API_CONFIG.AUTH_EVENTS.AUTH_EXPIRED || !authService.isLoggedIn()) {
+        return;
+      }
+      await authService.expireSession();
+      setLockMode(null);
+      setCurrentUser(null);
+      setIsAuthenticated(false);
+      Alert.alert('Session expirée', ERROR_MESSAGES.AUTH.SESSION_EXPIRED);
+    });
+
+    const timer = setInterval(() => lockService.checkInactivity(), LOCK_CHECK_INTERVAL);
+    const appStateSubscription = AppState.addEventListener('change', state => {
+      if (state === 'active') {
+        lockService.checkInactivity();
+      }
+    });
+
+    return () => {
+      unsubscribeLock();
+      unsubscribeAuth();
+      clearInterval(timer);
+      appStateSubscription.remove();
+    };
+  }, []);
+
   // Gestion login (passée au composant LoginScreen)
   const handleLogin = async (credentials) => {
     try {
       const userData = await authService.login(credentials);
       if (userData?.token) {
+        // Le mot de passe vaut déverrouillage ; PIN à définir au premier passage
+        const hasPin = await lockService.hasPin(userData.id);
+        if (hasPin) {
+          lockService.unlock();
+        }
+        setCurrentUser(userData);
+        setLockMode(hasPin ? null : 'setup');
         setIsAuthenticated(true);
+        await startSession();
         return { success: true };
       }
       return { success: false, message: 'Identifiants invalides' };
@@ -170,21 +287,46 @@ export default function App() {
   return (
     <SafeAreaProvider>
       <PaperProvider theme={customTheme}>
-        <NavigationContainer>
-          {isAuthenticated ? (
-            <Stack.Navigator screenOptions={{ headerShown: false }}>
-              <Stack.Screen name="MainTabs" component={AppNavigator} />
-              <Stack.Screen name="HouseholdForm" component={HouseholdFormScreen} options={{ title: 'Nouveau Ménage' }} />
-              <Stack.Screen name="MapView" component={MapViewScreen} options={{ title: 'Carte' }} />
-            </Stack.Navigator>
-          ) : (
-            <Stack.Navigator screenOptions={{ headerShown: false }}>
-              <Stack.Screen name="Login">
-                {props => <LoginScreen {...props} onLogin={handleLogin} isConnected={isConnected} />}
-              </Stack.Screen>
-            </Stack.Navigator>
-          )}
-        </NavigationContainer>
+        <View
+          style={{ flex: 1 }}
+          onStartShouldSetResponderCapture={() => {
+            lockService.recordActivity();
+            return false;
+          }}
+        >
+          <NavigationContainer>
+            {isAuthenticated ? (
+              <Stack.Navigator screenOptions={{ headerShown: false }}>
+                <Stack.Screen name="MainTabs" component={AppNavigator} />
+                <Stack.Screen name="HouseholdForm" component={HouseholdFormScreen} options={{ title: 'Nouveau Ménage' }} />
+                <Stack.Screen name="MapView" component={MapViewScreen} options={{ title: 'Carte' }} />
+                <Stack.Screen name="PersonDetail" component={PersonDetailScreen} options={{ title: 'Détails' }} />
+                <Stack.Screen name="ConflictResolution" component={ConflictResolutionScreen} options={{ title: 'Résoudre le conflit' }} />
+                <Stack.Screen name="ReviewDetail" component={ReviewDetailScreen} options={{ title: 'Vérifier la saisie' }} />
+              </Stack.Navigator>
+            ) : (
+              <Stack.Navigator screenOptions={{ headerShown: false }}>
+                <Stack.Screen name="Login">
+                  {props => <LoginScreen {...props} onLogin={handleLogin} isConnected={isConnected} />}
+                </Stack.Screen>
+              </Stack.Navigator>
+            )}
+          </NavigationContainer>
+        </View>
+
+        {/* Par-dessus la navigation : les écrans ouverts sont conservés */}
+        <Modal visible={isAuthenticated && !!lockMode} animationType="fade" onRequestClose={() => {}}>
+          <UnlockScreen
+            mode={lockMode}
+            user={currentUser}
+            onUnlocked={() => setLockMode(null)}
+            onSignedOut={() => {
+              setLockMode(null);
+              setCurrentUser(null);
+              setIsAuthenticated(false);
+            }}
+          />
+        </Modal>
       </PaperProvider>
     </SafeAreaProvider>
   );
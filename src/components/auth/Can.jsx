@@ -0,0 +1,19 @@
+// =============================================================================
+// RSU GABON - AFFICHAGE CONDITIONNÉ PAR LES DROITS
+// Fichier: src/components/auth/Can.jsx
+// =============================================================================
+//
+// <Can action={PERMISSIONS.ACTIONS.EXPORT_DATA}>
+//   <Button ...>Exporter</Button>
+// </Can>
+//
+// `fallback` est affiché à la place quand l'action n'est pas autorisée.
+// =============================================================================
+
+import React from 'react';
+import usePermission from '../../hooks/usePermission';
+
+export default function Can({ action, fallback = null, children }) {
+  const { can } = usePermission();
+  return <>{can(action) ? children : fallback}</>;
+}
@@ -10,6 +10,7 @@
  * Fonctionnalités:
  * - Badge rouge/vert selon connexion
  * - Compteur items en attente
+ * - Alerte quand la queue approche de ses limites (éléments / octets)
  * - Animation de synchronisation
  * - Action de sync manuelle
  * 
@@ -48,6 +49,10 @@ import NetInfo from '@react-native-community/netinfo';
 import { MaterialIcons } from '@expo/vector-icons';
 
 import syncService from '../../services/sync/syncService';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
+import { ERROR_MESSAGES } from '../../constants/errorMessages';
+
+const { OPERATION_TYPES, QUEUE_PRESSURE, SYNC_EVENTS } = OFFLINE_CONFIG;
 
 /**
  * =============================================================================
@@ -65,6 +70,9 @@ export default function OfflineIndicator({
   const [syncing, setSyncing] = useState(false);
   const [modalVisible, setModalVisible] = useState(false);
   const [pendingItems, setPendingItems] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [authRequired, setAuthRequired] = useState(false);
 
   // Animation pulse
   const [pulseAnim] = useState(new Animated.Value(1));
@@ -76,12 +84,12 @@ export default function OfflineIndicator({
     // Charger le compteur initial
     loadPendingCount();
 
-    // Intervalle de mise à jour
-    const interval = setInterval(loadPendingCount, 10000); // Toutes les 10s
+    // Mises à jour poussées par le moteur de sync
+    const unsubscribeSync = syncService.subscribe(handleSyncEvent);
 
     return () => {
       unsubscribe();
-      clearInterval(interval);
+      unsubscribeSync();
     };
   }, []);
 
@@ -124,11 +132,42 @@ export default function OfflineIndicator({
     try {
       const count = await syncService.getPendingCount();
       setPendingCount(count);
+      setUsage(await syncService.getQueueUsage());
     } catch (error) {
       console.error('Erreur chargement pending count:', error);
     }
   };
 
+  /**
+   * Suit la synchronisation en direct (compteur, avancement)
+   */
+  const handleSyncEvent = (event) => {
+    switch (event.type) {
+      case SYNC_EVENTS.STARTED:
+        setSyncing(true);
+        setAuthRequired(false);
+        setProgress({ total: event.total, done: 0 });
+        break;
+      case SYNC_EVENTS.ITEM_SUCCEEDED:
+      case SYNC_EVENTS.ITEM_FAILED:
+        setProgress(prev => prev && { ...prev, done: prev.done + 1 });
+        break;
+      case SYNC_EVENTS.AUTH_REQUIRED:
+        setAuthRequired(true);
+        break;
+      case SYNC_EVENTS.FINISHED:
+        setSyncing(false);
+        setProgress(null);
+        loadPendingCount();
+        break;
+      case SYNC_EVENTS.QUEUE_CHANGED:
+        loadPendingCount();
+        break;
+      default:
+        break;
+    }
+  };
+
   /**
    * Charge les détails des items en attente
    */
@@ -163,7 +202,7 @@ export default function OfflineIndicator({
     try {
       setSyncing(true);
 
-      const result = await syncService.processQueue();
+      const result = await syncService.drain();
 
       if (result.success) {
         Alert.alert(
@@ -226,6 +265,33 @@ export default function OfflineIndicator({
    * ==========================================================================
    */
 
+  const renderUsage = () => {
+    const megabytes = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+    const color = {
+      [QUEUE_PRESSURE.OK]: '#666',
+      [QUEUE_PRESSURE.WARNING]: '#F57C00',
+      [QUEUE_PRESSURE.FULL]: '#D32F2F',
+    }[usage.level];
+
+    return (
+      <>
+        <Paragraph style={[styles.usageText, { color }]}>
+          Stockage : {usage.items}/{usage.maxItems} éléments, {megabytes(usage.bytes)}/{megabytes(usage.maxBytes)} Mo
+        </Paragraph>
+        {usage.level === QUEUE_PRESSURE.WARNING && (
+          <Paragraph style={[styles.usageText, { color }]}>
+            La file approche de sa limite : synchronisez dès que possible.
+          </Paragraph>
+        )}
+        {usage.level === QUEUE_PRESSURE.FULL && (
+          <Paragraph style={[styles.usageText, { color }]}>
+            {ERROR_MESSAGES.STORAGE.QUEUE_FULL}
+          </Paragraph>
+        )}
+      </>
+    );
+  };
+
   const renderDetailsModal = () => {
     return (
       <Portal>
@@ -240,12 +306,13 @@ export default function OfflineIndicator({
               <Paragraph style={styles.modalDescription}>
                 {pendingCount} élément(s) en attente
               </Paragraph>
+              {usage && renderUsage()}
 
               <Divider style={styles.divider} />
 
               {pendingItems.length > 0 ? (
-                pendingItems.slice(0, 5).map((item, index) => (
-                  <View key={index} style={styles.queueItem}>
+                pendingItems.slice(0, 5).map((item) => (
+                  <View key={item.id} style={styles.queueItem}>
                     <MaterialIcons
                       name={getItemIcon(item.type)}
                       size={20}
@@ -256,7 +323,7 @@ export default function OfflineIndicator({
                         {getItemTypeLabel(item.type)}
                       </Paragraph>
                       <Paragraph style={styles.queueItemDate}>
-                        {new Date(item.timestamp).toLocaleString('fr-FR')}
+                        {new Date(item.createdAt).toLocaleString('fr-FR')}
                       </Paragraph>
                     </View>
                   </View>
@@ -299,7 +366,13 @@ export default function OfflineIndicator({
 
   const renderBadge = () => {
     const badgeColor = isConnected ? '#4CAF50' : '#F44336';
-    const statusText = isConnected ? 'En ligne' : 'Hors ligne';
+    const pressure = usage?.level || QUEUE_PRESSURE.OK;
+    let statusText = isConnected ? 'En ligne' : 'Hors ligne';
+    if (authRequired) {
+      statusText = 'Reconnexion requise';
+    } else if (progress) {
+      statusText = `Sync ${progress.done}/${Math.max(progress.total, progress.done)}`;
+    }
 
     return (
       <TouchableOpacity
@@ -329,6 +402,16 @@ export default function OfflineIndicator({
                 )}
               </View>
 
+              {/* Queue proche de ses limites */}
+              {pressure !== QUEUE_PRESSURE.OK && (
+                <MaterialIcons
+                  name={pressure === QUEUE_PRESSURE.FULL ? 'error' : 'warning'}
+                  size={18}
+                  color={pressure === QUEUE_PRESSURE.FULL ? '#FFEB3B' : '#FFF'}
+                  style={styles.pressureIcon}
+                />
+              )}
+
               {/* Compteur items en attente */}
               {pendingCount > 0 && (
                 <View style={styles.counterContainer}>
@@ -415,11 +498,11 @@ function getPositionStyles(position) {
  */
 function getItemIcon(type) {
   const icons = {
-    CREATE_PERSON: 'person-add',
-    UPDATE_PERSON: 'person',
-    CREATE_HOUSEHOLD: 'home',
-    SUBMIT_SURVEY: 'assignment',
-    UPLOAD_DOCUMENT: 'upload-file',
+    [OPERATION_TYPES.ENROLLMENT]: 'person-add',
+    [OPERATION_TYPES.UPDATE_PERSON]: 'person',
+    [OPERATION_TYPES.CREATE_HOUSEHOLD]: 'home',
+    [OPERATION_TYPES.SURVEY]: 'assignment',
+    [OPERATION_TYPES.UPLOAD_DOCUMENT]: 'upload-file',
   };
   return icons[type] || 'description';
 }
@@ -429,11 +512,11 @@ function getItemIcon(type) {
  */
 function getItemTypeLabel(type) {
   const labels = {
-    CREATE_PERSON: 'Nouvelle Personne',
-    UPDATE_PERSON: 'Mise à Jour Personne',
-    CREATE_HOUSEHOLD: 'Nouveau Ménage',
-    SUBMIT_SURVEY: 'Enquête',
-    UPLOAD_DOCUMENT: 'Document',
+    [OPERATION_TYPES.ENROLLMENT]: 'Nouvelle Personne',
+    [OPERATION_TYPES.UPDATE_PERSON]: 'Mise à Jour Personne',
+    [OPERATION_TYPES.CREATE_HOUSEHOLD]: 'Nouveau Ménage',
+    [OPERATION_TYPES.SURVEY]: 'Enquête',
+    [OPERATION_TYPES.UPLOAD_DOCUMENT]: 'Document',
   };
   return labels[type] || type;
 }
@@ -476,6 +559,13 @@ const styles = StyleSheet.create({
   counterContainer: {
     marginLeft: 8,
   },
+  pressureIcon: {
+    marginLeft: 8,
+  },
+  usageText: {
+    fontSize: 12,
+    marginTop: 4,
+  },
   counterBadge: {
     backgroundColor: '#FFF',
     color: '#000',
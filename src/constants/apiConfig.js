@@ -3,9 +3,43 @@
 // 2. CONFIGURATION API (constants/apiConfig.js)
 // =============================================================================
 export const API_CONFIG = {
-  BASE_URL: __DEV__ 
-    ? 'http://localhost:8000/api/v1' 
-    : 'https://rsu-api.gouv.ga/api/v1',
+  // Serveurs disponibles (choisis dans le panneau caché de l'écran de
+  // connexion, voir services/api/environmentService.js)
+  ENVIRONMENTS: {
+    development: {
+      key: 'development',
+      label: 'Développement',
+      serverUrl: 'http://192.168.1.69:8000',
+      production: false,
+      color: '#1976D2',
+    },
+    staging: {
+      key: 'staging',
+      label: 'Recette',
+      serverUrl: 'https://recette.rsu-api.gouv.ga',
+      production: false,
+      color: '#F57C00',
+    },
+    production: {
+      key: 'production',
+      label: 'Production',
+      serverUrl: 'https://rsu-api.gouv.ga',
+      production: true,
+      color: '#2E7D32',
+    },
+    local_mock: {
+      key: 'local_mock',
+      label: 'Maquette locale',
+      serverUrl: 'http://localhost:8000',   // Serveur de maquette sur le poste de dev
+      production: false,
+      color: '#7B1FA2',
+    },
+  },
+
+  DEFAULT_ENVIRONMENT: __DEV__ ? 'development' : 'production',
+
+  // Préfixe de l'API REST sur chaque serveur
+  API_PATH: '/api/v1',
   
   TIMEOUT: 30000,
   
@@ -20,11 +54,15 @@ export const API_CONFIG = {
     HOUSEHOLDS: '/identity/households/',
     VALIDATE_NIP: '/identity/validate-nip/',
     SEARCH_DUPLICATES: '/identity/persons/search_duplicates/',
+    DOCUMENT_UPLOADS: '/identity/documents/uploads/', // Sessions d'upload par morceaux
+    DOCUMENTS: '/identity/documents/',                // ?person=<id> : photos d'une personne
+    PERSON_REVIEW: 'review/',                         // PERSONS + <id>/review/ : décision superviseur
     
     // Services
     VULNERABILITY_ASSESSMENT: '/services/vulnerability-assessments/',
     CALCULATE_SCORE: '/services/vulnerability-assessments/calculate_assessment/',
     VULNERABILITY_STATS: '/services/vulnerability-assessments/statistics/',
+    SCORING_MODEL: '/services/vulnerability-assessments/weighting-profile/', // Modèle de scoring versionné
     
     // Enrollment
     SUBMIT_ENROLLMENT: '/enrollment/submit/',
@@ -51,6 +89,34 @@ export const API_CONFIG = {
     'X-Platform': 'mobile',
   },
   
+  // En-tête d'idempotence des mutations synchronisées
+  IDEMPOTENCY_HEADER: 'Idempotency-Key',
+
+  // Auteur d'origine d'un élément reçu d'un autre appareil (lot de transfert).
+  // Le serveur vérifie la signature avec la clé enregistrée pour
+  // ON_BEHALF_OF et DEVICE à la connexion de l'auteur ; PUBLIC_KEY doit lui
+  // correspondre, elle ne suffit pas à prouver l'auteur.
+  ORIGIN_HEADERS: {
+    ON_BEHALF_OF: 'X-On-Behalf-Of',
+    DEVICE: 'X-Origin-Device',
+    PUBLIC_KEY: 'X-Origin-Public-Key',
+    SIGNATURE: 'X-Origin-Signature',
+    PAYLOAD_HASH: 'X-Origin-Payload-Hash',
+    ATTACHMENT_HASH: 'X-Origin-Attachment-Hash',
+  },
+  
+  // Code renvoyé (HTTP 409) quand une clé d'idempotence a déjà été traitée
+  ALREADY_PROCESSED_CODE: 'already_processed',
+
+  // Renouvellement du jeton d'accès avant son expiration (ms)
+  TOKEN_REFRESH_MARGIN: 60 * 1000,
+
+  // Événements de session émis par apiClient (apiUtils.subscribe)
+  AUTH_EVENTS: {
+    TOKEN_REFRESHED: 'token-refreshed', // { access, refresh }
+    AUTH_EXPIRED: 'auth-expired',       // Jeton de renouvellement refusé : reconnexion requise
+  },
+  
   // Configuration retry
   RETRY_CONFIG: {
     retries: 3,
@@ -23,6 +23,11 @@ export const ERROR_MESSAGES = {
     ACCOUNT_LOCKED: 'Compte verrouillé',
     PASSWORD_REQUIRED: 'Mot de passe requis',
     USERNAME_REQUIRED: 'Nom d\'utilisateur requis',
+    PIN_INVALID: 'Code PIN incorrect',
+    PIN_MISMATCH: 'Les deux codes PIN ne correspondent pas',
+    DEVICE_WIPED: 'Trop de codes PIN erronés : session et données de l\'appareil effacées, saisies non synchronisées comprises. Reconnectez-vous',
+    WIPE_WARNING: 'essai(s) restant(s) avant l\'effacement des données de l\'appareil, saisies non synchronisées comprises',
+    ONLINE_LOGIN_REQUIRED: 'Connexion en ligne requise : la période hors ligne autorisée est écoulée',
   },
   
   // Erreurs validation
@@ -53,6 +58,16 @@ export const ERROR_MESSAGES = {
     DATA_CONFLICT: 'Conflit de données détecté',
     SERVER_FULL: 'Serveur saturé, réessayer plus tard',
     INVALID_DATA: 'Données invalides à synchroniser',
+    WIFI_REQUIRED: 'En attente du Wi-Fi',
+    CELLULAR_BUDGET_EXCEEDED: 'Budget données mobiles du mois atteint : en attente du Wi-Fi',
+    PRODUCTION_ONLY: 'Saisie en production : envoi refusé vers un serveur hors production',
+    DOCUMENT_FILE_MISSING: 'Photo du document introuvable sur l\'appareil : reprenez la photo',
+  },
+  
+  // Erreurs vérification superviseur
+  REVIEW: {
+    REASON_REQUIRED: 'Indiquez le motif pour l\'enquêteur',
+    INVALID_STATUS: 'Décision de vérification inconnue',
   },
   
   // Erreurs stockage
@@ -61,6 +76,7 @@ export const ERROR_MESSAGES = {
     ACCESS_DENIED: 'Accès au stockage refusé', 
     CORRUPTION: 'Données corrompues détectées',
     CLEANUP_FAILED: 'Échec du nettoyage des données',
+    QUEUE_FULL: 'File de synchronisation pleine : synchronisez avant de capturer de nouveaux documents',
   },
   
   // Messages génériques
@@ -73,19 +89,3 @@ export const ERROR_MESSAGES = {
   },
 };
 
-// Export global pour faciliter les imports
-export default {
-  GABON_PROVINCES,
-  VULNERABILITY_FACTORS,
-  SCORING_CONFIG,
-  API_CONFIG,
-  FORM_OPTIONS,
-  THEME_COLORS,
-  SPACING,
-  TYPOGRAPHY,
-  ELEVATION,
-  VALIDATION_RULES,
-  OFFLINE_CONFIG,
-  PERMISSIONS,
-  ERROR_MESSAGES,
-};
\ No newline at end of file
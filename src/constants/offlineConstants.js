@@ -10,14 +10,30 @@ export const OFFLINE_CONFIG = {
     LONG: 24 * 60 * 60 * 1000, // 24 heures
   },
   
-  // Taille maximale queue offline
-  MAX_QUEUE_SIZE: 1000,
+  // Préfixe des identifiants attribués hors ligne (RSU-ID provisoire)
+  LOCAL_ID_PREFIX: 'OFFLINE-',
+  
+  // Taille maximale queue offline (dead-letters compris)
+  MAX_QUEUE_SIZE: 1000,                  // éléments
+  MAX_QUEUE_BYTES: 200 * 1024 * 1024,    // 200 Mo (photos base64 comprises)
+  QUEUE_WARNING_RATIO: 0.8,              // Alerte à 80 % d'une des limites
+
+  // Niveaux d'occupation de la queue
+  QUEUE_PRESSURE: {
+    OK: 'ok',
+    WARNING: 'warning',
+    FULL: 'full',      // Nouvelles captures de documents refusées
+  },
   
   // Types de données stockables offline
   STORAGE_KEYS: {
-    OFFLINE_QUEUE: 'offline_queue',
+    SYNC_QUEUE: 'sync_queue',
+    DEAD_LETTER: 'sync_dead_letter',
+    ID_MAP: 'sync_id_map',                      // id local -> id serveur
+    OFFLINE_QUEUE: 'offline_queue',            // Legacy (migré vers SYNC_QUEUE)
+    OFFLINE_DOCUMENT_PREFIX: 'offline_document_', // Legacy (migré vers SYNC_QUEUE)
     USER_DATA: 'user_data',
-    CACHED_PERSONS: 'cached_persons',
+    CACHED_PERSONS: 'cached_persons', // Remplacé par la base locale (database/localDatabase)
     APP_SETTINGS: 'app_settings',
     FORM_DRAFTS: 'form_drafts',
   },
@@ -27,8 +43,39 @@ export const OFFLINE_CONFIG = {
     AUTO_SYNC: true,
     SYNC_INTERVAL: 30000,      // 30 secondes
     MAX_RETRY_ATTEMPTS: 3,
-    RETRY_DELAY: 5000,         // 5 secondes
+    RETRY_DELAY: 5000,         // 5 secondes (base du backoff exponentiel)
+    MAX_RETRY_DELAY: 30 * 60 * 1000, // 30 minutes (plafond du backoff)
     BATCH_SIZE: 10,            // Éléments par batch
+    PULL_PAGE_SIZE: 200,       // Enregistrements par page (téléchargement de zone)
+    UPLOAD_CHUNK_SIZE: 256 * 1024, // Octets par morceau (upload de documents reprenable)
+    UPLOAD_CHUNK_TIMEOUT: 30000,   // 30 secondes par morceau
+  },
+
+  // Réseaux autorisés pour l'envoi d'un type d'opération
+  NETWORK_RULES: {
+    ANY: 'any',                    // Tout réseau
+    CELLULAR_BUDGET: 'cellular_budget', // Wi-Fi, ou mobile dans la limite du budget mensuel
+    WIFI_ONLY: 'wifi_only',        // Wi-Fi (ou Ethernet) uniquement
+  },
+
+  // Raison pour laquelle un élément attend un autre réseau
+  NETWORK_BLOCKS: {
+    WIFI_REQUIRED: 'wifi_required',
+    BUDGET_EXCEEDED: 'budget_exceeded',
+    PRODUCTION_ONLY: 'production_only',   // Donnée de production, serveur actif hors production
+  },
+
+  // Politique de synchronisation par défaut (modifiable dans le profil)
+  DEFAULT_SYNC_POLICY: {
+    rules: {
+      enrollment: 'any',
+      survey: 'any',
+      update_person: 'any',
+      delete_person: 'any',
+      create_household: 'any',
+      upload_document: 'cellular_budget',
+    },
+    cellularBudgetMB: 50,      // Mo par mois sur réseau mobile
   },
   
   // Types d'opérations offline
@@ -37,13 +84,53 @@ export const OFFLINE_CONFIG = {
     SURVEY: 'survey',  
     UPDATE_PERSON: 'update_person',
     DELETE_PERSON: 'delete_person',
+    CREATE_HOUSEHOLD: 'create_household',
+    UPLOAD_DOCUMENT: 'upload_document',
+    REVIEW_PERSON: 'review_person',    // Décision du superviseur (vérifié, rejeté, à corriger)
   },
   
+  // Résultat d'une tentative d'envoi (journal des envois)
+  JOURNAL_RESULTS: {
+    SYNCED: 'synced',
+    DUPLICATE: 'duplicate',       // Déjà reçu par le serveur
+    FAILED: 'failed',             // Échec temporaire, nouvel essai prévu
+    DEAD_LETTER: 'dead_letter',   // Rejet définitif
+    CONFLICT: 'conflict',
+  },
+  JOURNAL_RETENTION_DAYS: 90,
+
+  // Piste d'audit des saisies (auditService)
+  AUDIT: {
+    RECORD_TYPES: {
+      PERSON: 'person',
+      HOUSEHOLD: 'household',
+    },
+    ACTIONS: {
+      CREATE: 'create',
+      UPDATE: 'update',
+    },
+    GPS_TIMEOUT: 5000,        // Position courte : l'enregistrement n'attend pas le GPS
+    GPS_MAX_AGE: 60000,
+  },
+
+  // Événements émis par SyncService (syncService.subscribe)
+  SYNC_EVENTS: {
+    STARTED: 'started',               // { total } éléments prêts au départ
+    ITEM_PROGRESS: 'item-progress',   // { itemId, itemType, progress (0-1), upload }
+    ITEM_SUCCEEDED: 'item-succeeded', // { itemId, itemType, serverId, duplicate }
+    ITEM_FAILED: 'item-failed',       // { itemId, itemType, error, deadLetter, conflict }
+    FINISHED: 'finished',             // { success, synced, failed, byType, error }
+    AUTH_REQUIRED: 'auth-required',   // Session refusée (401) : sync interrompue
+    QUEUE_CHANGED: 'queue-changed',   // { pendingCount } ajout ou retrait manuel
+  },
+
   // Status des éléments en queue
   QUEUE_STATUS: {
     PENDING: 'pending',
     SYNCING: 'syncing', 
     SYNCED: 'synced',
     FAILED: 'failed',
+    CONFLICT: 'conflict',
+    DEAD_LETTER: 'dead_letter',
   },
 };
@@ -53,6 +53,12 @@ export const PERMISSIONS = {
     UPDATE_SURVEY: 'update_survey',
     DELETE_SURVEY: 'delete_survey',
     
+    // Vérification des saisies
+    VERIFY_PERSON: 'verify_person',
+    
+    // Synchronisation
+    TRANSFER_QUEUE: 'transfer_queue', // Confier des saisies à un collègue (lot chiffré)
+    
     // Administration
     MANAGE_USERS: 'manage_users',
     VIEW_REPORTS: 'view_reports',
@@ -60,3 +66,49 @@ export const PERMISSIONS = {
     MANAGE_SYSTEM: 'manage_system',
   },
 };
+
+const { USER_ROLES, ACTIONS } = PERMISSIONS;
+
+const VIEWER_ACTIONS = [
+  ACTIONS.VIEW_PERSONS,
+  ACTIONS.VIEW_HOUSEHOLDS,
+  ACTIONS.VIEW_ASSESSMENTS,
+  ACTIONS.VIEW_SURVEYS,
+];
+
+const SURVEYOR_ACTIONS = [
+  ...VIEWER_ACTIONS,
+  ACTIONS.CREATE_PERSON,
+  ACTIONS.UPDATE_PERSON,
+  ACTIONS.CREATE_HOUSEHOLD,
+  ACTIONS.UPDATE_HOUSEHOLD,
+  ACTIONS.CREATE_ASSESSMENT,
+  ACTIONS.UPDATE_ASSESSMENT,
+  ACTIONS.CREATE_SURVEY,
+  ACTIONS.UPDATE_SURVEY,
+  ACTIONS.TRANSFER_QUEUE,
+];
+
+const SUPERVISOR_ACTIONS = [
+  ...SURVEYOR_ACTIONS,
+  ACTIONS.DELETE_PERSON,
+  ACTIONS.DELETE_HOUSEHOLD,
+  ACTIONS.DELETE_SURVEY,
+  ACTIONS.VERIFY_PERSON,
+  ACTIONS.VIEW_REPORTS,
+  ACTIONS.EXPORT_DATA,
+];
+
+const ADMIN_ACTIONS = [
+  ...SUPERVISOR_ACTIONS,
+  ACTIONS.MANAGE_USERS,
+];
+
+// Actions autorisées par rôle (services/auth/permissions.js)
+export const ROLE_PERMISSIONS = {
+  [USER_ROLES.SUPER_ADMIN]: Object.values(ACTIONS),
+  [USER_ROLES.ADMIN]: ADMIN_ACTIONS,
+  [USER_ROLES.SUPERVISOR]: SUPERVISOR_ACTIONS,
+  [USER_ROLES.SURVEYOR]: SURVEYOR_ACTIONS,
+  [USER_ROLES.VIEWER]: VIEWER_ACTIONS,
+};
@@ -0,0 +1,167 @@
+// =============================================================================
+// 11. CAS DE RÉGRESSION DU MOTEUR DE SCORING (constants/scoringExamples.js)
+// =============================================================================
+//
+// Cas du modèle bundled-1 (scoringModel.js) : personne et ménage au format de
+// l'API, résultat attendu calculé à la main à partir des règles embarquées
+// (VULNERABILITY_FACTORS, SCORING_CONFIG). Ce ne sont pas des résultats du
+// serveur : ils figent le comportement du moteur local (tests et
+// checkExamples) mais ne prouvent pas qu'il est identique au backend.
+// À remplacer par des cas exportés du profil de pondération du serveur.
+//
+// Un modèle téléchargé arrive avec ses propres cas, calculés par le serveur
+// (refreshModel refuse un modèle qui n'en contient pas).
+// =============================================================================
+
+export const SCORING_REGRESSION_CASES = [
+  {
+    // Mère isolée, jeune, sans emploi, zone rurale isolée
+    person: {
+      age: 22,
+      gender: 'F',
+      is_household_head: true,
+      marital_status: 'SINGLE',
+      education_level: 'NONE',
+      occupation_status: 'UNEMPLOYED',
+      monthly_income: 0,
+      province: 'NYANGA',
+    },
+    household: {
+      household_size: 7,
+      dependents: 5,
+      total_monthly_income: 40000,
+      housing_type: 'PRECARIOUS',
+      has_savings: 'no',
+      has_electricity: 'no',
+      has_running_water: 'no',
+      has_food_security: 'no',
+      has_social_support: 'no',
+      has_emergency_fund: 'no',
+      has_health_issues: 'yes',
+      distance_to_services: 80,
+      infrastructure_score: 20,
+    },
+    expected: {
+      vulnerability_score: 85.5,
+      risk_level: 'CRITICAL',
+      dimension_scores: { economic: 85, social: 60, demographic: 100, geographic: 100, resilience: 100 },
+    },
+  },
+  {
+    // Veuve âgée, chef de ménage, Ogooué-Lolo
+    person: {
+      age: 70,
+      gender: 'F',
+      is_household_head: true,
+      marital_status: 'WIDOWED',
+      education_level: 'NONE',
+      occupation_status: 'RETIRED',
+      monthly_income: 30000,
+      province: 'OGOOUE_LOLO',
+    },
+    household: {
+      household_size: 3,
+      dependents: 2,
+      total_monthly_income: 30000,
+      housing_type: 'TRADITIONAL',
+      has_savings: 'no',
+      has_electricity: 'yes',
+      has_running_water: 'no',
+      has_food_security: 'yes',
+      has_social_support: 'no',
+      has_emergency_fund: 'no',
+      has_health_issues: 'yes',
+      distance_to_services: 30,
+      infrastructure_score: 45,
+    },
+    expected: {
+      vulnerability_score: 50.25,
+      risk_level: 'HIGH',
+      dimension_scores: { economic: 35, social: 65, demographic: 55, geographic: 40, resilience: 65 },
+    },
+  },
+  {
+    // Travailleur informel, logement précaire, services éloignés
+    person: {
+      age: 45,
+      gender: 'M',
+      is_household_head: true,
+      marital_status: 'MARRIED',
+      education_level: 'PRIMARY',
+      occupation_status: 'INFORMAL',
+      monthly_income: 80000,
+      province: 'ESTUAIRE',
+    },
+    household: {
+      household_size: 5,
+      dependents: 3,
+      total_monthly_income: 120000,
+      housing_type: 'PRECARIOUS',
+      has_savings: 'no',
+      has_electricity: 'yes',
+      has_running_water: 'no',
+      has_food_security: 'no',
+      has_social_support: 'yes',
+      has_emergency_fund: 'no',
+      has_health_issues: 'no',
+      distance_to_services: 60,
+      infrastructure_score: 35,
+    },
+    expected: {
+      vulnerability_score: 44,
+      risk_level: 'MODERATE',
+      dimension_scores: { economic: 65, social: 20, demographic: 25, geographic: 60, resilience: 55 },
+    },
+  },
+  {
+    // Salarié urbain, sans fonds d'urgence
+    person: {
+      age: 35,
+      gender: 'M',
+      is_household_head: true,
+      marital_status: 'MARRIED',
+      education_level: 'UNIVERSITY',
+      occupation_status: 'EMPLOYED',
+      monthly_income: 450000,
+      province: 'ESTUAIRE',
+    },
+    household: {
+      household_size: 4,
+      dependents: 2,
+      total_monthly_income: 600000,
+      housing_type: 'MODERN',
+      has_savings: 'yes',
+      has_electricity: 'yes',
+      has_running_water: 'yes',
+      has_food_security: 'yes',
+      has_social_support: 'yes',
+      has_emergency_fund: 'no',
+      has_health_issues: 'no',
+      distance_to_services: 5,
+      infrastructure_score: 80,
+    },
+    expected: {
+      vulnerability_score: 2,
+      risk_level: 'LOW',
+      dimension_scores: { economic: 0, social: 0, demographic: 0, geographic: 0, resilience: 20 },
+    },
+  },
+  {
+    // Fiche incomplète : ménage sans taille renseignée (ratios non calculés)
+    person: {
+      age: 30,
+      education_level: 'SECONDARY',
+      occupation_status: 'UNEMPLOYED',
+      province: 'HAUT_OGOOUE',
+    },
+    household: {
+      household_size: 0,
+      dependents: 0,
+    },
+    expected: {
+      vulnerability_score: 7.5,
+      risk_level: 'LOW',
+      dimension_scores: { economic: 25, social: 0, demographic: 0, geographic: 0, resilience: 0 },
+    },
+  },
+];
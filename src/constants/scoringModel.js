@@ -0,0 +1,63 @@
+// =============================================================================
+// 10. MODÈLE DE SCORING PAR DÉFAUT (constants/scoringModel.js)
+// =============================================================================
+//
+// Modèle déclaratif évalué par services/scoring/scoringEngine.js, utilisé tant
+// qu'aucun modèle n'a été téléchargé depuis le profil de pondération du
+// serveur. Il reprend SCORING_CONFIG (poids des dimensions, seuils) et
+// VULNERABILITY_FACTORS (facteurs, poids dans leur dimension).
+//
+// Format (identique au modèle servi par le backend) :
+// {
+//   version, precision,
+//   dimensions: [{ key, label, weight, factors: [{ key, label, points, condition }] }],
+//   thresholds: { CRITICAL, HIGH, MODERATE, LOW },
+//   recommendations: [{ codes, dimension, min } | { codes, level }],
+//   examples: [{ person, household, expected }]   // cas calculés par le serveur
+// }
+//
+// Une condition est une expression (services/scoring/ruleExpression.js),
+// comme les `threshold` de VULNERABILITY_FACTORS : "age < 25 && dependents > 0".
+// La forme structurée { field, op, value } / { ratio } / { all } / { any }
+// reste acceptée. Modifier une règle côté serveur ne demande pas de nouvelle
+// version de l'application, tant qu'elle n'utilise que les variables connues
+// du moteur (scoringEngine.js).
+// =============================================================================
+
+import { SCORING_CONFIG, VULNERABILITY_FACTORS } from './gabonData';
+import { SCORING_REGRESSION_CASES } from './scoringExamples';
+
+const DIMENSION_LABELS = {
+  economic: 'Économique',
+  social: 'Social',
+  demographic: 'Démographique',
+  geographic: 'Géographique',
+  resilience: 'Résilience',
+};
+
+export const DEFAULT_SCORING_MODEL = {
+  version: 'bundled-1',
+  precision: 2,
+  dimensions: Object.entries(SCORING_CONFIG.WEIGHTS).map(([key, weight]) => ({
+    key,
+    label: DIMENSION_LABELS[key],
+    weight,
+    factors: Object.entries(VULNERABILITY_FACTORS[key.toUpperCase()]).map(([factorKey, factor]) => ({
+      key: factorKey,
+      label: factor.label,
+      // Poids dans la dimension -> points sur 100
+      points: Math.round(factor.weight * 100),
+      condition: factor.threshold,
+    })),
+  })),
+  thresholds: SCORING_CONFIG.THRESHOLDS,
+  recommendations: [
+    { dimension: 'economic', min: 60, codes: ['CASH_TRANSFER_PROGRAM', 'VOCATIONAL_TRAINING'] },
+    { dimension: 'resilience', min: 50, codes: ['HEALTH_INSURANCE', 'DISABILITY_SUPPORT'] },
+    { dimension: 'social', min: 50, codes: ['EDUCATION_SUPPORT', 'LITERACY_PROGRAM'] },
+    { dimension: 'demographic', min: 60, codes: ['HOUSING_ASSISTANCE', 'CHILDCARE_SUPPORT'] },
+    { level: 'CRITICAL', codes: ['PRIORITY_PROGRAM_ENROLLMENT', 'INTENSIVE_CASE_MANAGEMENT'] },
+  ],
+  // Cas de régression du moteur, pas de résultats serveur (scoringExamples.js)
+  examples: SCORING_REGRESSION_CASES,
+};
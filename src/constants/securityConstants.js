@@ -0,0 +1,18 @@
+
+// =============================================================================
+// 9. CONSTANTES SÉCURITÉ SESSION (constants/securityConstants.js)
+// =============================================================================
+export const SECURITY_CONFIG = {
+  // Code PIN de déverrouillage (chiffres)
+  PIN_MIN_LENGTH: 4,
+  PIN_MAX_LENGTH: 6,
+
+  // Codes erronés tolérés avant effacement des données sensibles
+  MAX_UNLOCK_ATTEMPTS: 5,
+
+  // Verrouillage automatique après inactivité (ms)
+  INACTIVITY_TIMEOUT: 5 * 60 * 1000,        // 5 minutes
+
+  // Travail hors ligne permis après la dernière connexion en ligne (ms)
+  OFFLINE_GRACE_PERIOD: 7 * 24 * 60 * 60 * 1000,   // 7 jours
+};
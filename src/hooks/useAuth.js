@@ -59,16 +59,10 @@ export default function useAuth() {
       setLoading(true);
       setError(null);
 
-      const result = await authService.login(username, password);
-
-      if (result.success) {
-        setUser(result.user);
-        setIsAuthenticated(true);
-        return { success: true };
-      } else {
-        setError(result.error);
-        return { success: false, error: result.error };
-      }
+      const userData = await authService.login({ username, password });
+      setUser(userData);
+      setIsAuthenticated(true);
+      return { success: true };
     } catch (error) {
       const errorMessage = error.message || 'Erreur de connexion';
       setError(errorMessage);
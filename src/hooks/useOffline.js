@@ -7,8 +7,11 @@
  * Hook React personnalisé pour gérer le mode offline.
  * Surveillance connexion réseau et queue de synchronisation.
  * 
+ * Le compteur et l'état de sync suivent les événements de SyncService
+ * (SYNC_EVENTS) au lieu d'être relus périodiquement.
+ *
  * Utilisation:
- * const { isConnected, pendingCount, sync } = useOffline();
+ * const { isConnected, pendingCount, syncProgress, syncQueue } = useOffline();
  * 
  * Fichier: src/hooks/useOffline.js
  * =============================================================================
@@ -17,11 +20,13 @@
 import { useState, useEffect } from 'react';
 import NetInfo from '@react-native-community/netinfo';
 import syncService from '../services/sync/syncService';
+import { OFFLINE_CONFIG } from '../constants/offlineConstants';
+
+const { SYNC_EVENTS } = OFFLINE_CONFIG;
 
 export default function useOffline(options = {}) {
   const {
     autoSync = true,
-    syncInterval = 30000, // 30 secondes
   } = options;
 
   const [isConnected, setIsConnected] = useState(true);
@@ -30,6 +35,8 @@ export default function useOffline(options = {}) {
   const [pendingCount, setPendingCount] = useState(0);
   const [syncing, setSyncing] = useState(false);
   const [lastSyncTime, setLastSyncTime] = useState(null);
+  const [syncProgress, setSyncProgress] = useState(null);
+  const [authRequired, setAuthRequired] = useState(false);
 
   useEffect(() => {
     // Écouter les changements de connexion
@@ -38,12 +45,12 @@ export default function useOffline(options = {}) {
     // Charger le compteur initial
     loadPendingCount();
 
-    // Intervalle de mise à jour
-    const interval = setInterval(loadPendingCount, syncInterval);
+    // Suivre la synchronisation en direct
+    const unsubscribeSync = syncService.subscribe(handleSyncEvent);
 
     return () => {
       unsubscribe();
-      clearInterval(interval);
+      unsubscribeSync();
     };
   }, []);
 
@@ -63,6 +70,47 @@ export default function useOffline(options = {}) {
     setConnectionType(state.type);
   };
 
+  /**
+   * Applique un événement de SyncService
+   */
+  const handleSyncEvent = (event) => {
+    switch (event.type) {
+      case SYNC_EVENTS.STARTED:
+        setSyncing(true);
+        setAuthRequired(false);
+        setSyncProgress({ total: event.total, done: 0, currentItemId: null, currentProgress: 0 });
+        break;
+      case SYNC_EVENTS.ITEM_PROGRESS:
+        setSyncProgress(prev => prev && {
+          ...prev,
+          currentItemId: event.itemId,
+          currentProgress: event.progress,
+        });
+        break;
+      case SYNC_EVENTS.ITEM_SUCCEEDED:
+        setPendingCount(prev => Math.max(prev - 1, 0));
+        setSyncProgress(prev => prev && { ...prev, done: prev.done + 1 });
+        break;
+      case SYNC_EVENTS.ITEM_FAILED:
+        setSyncProgress(prev => prev && { ...prev, done: prev.done + 1 });
+        break;
+      case SYNC_EVENTS.AUTH_REQUIRED:
+        setAuthRequired(true);
+        break;
+      case SYNC_EVENTS.FINISHED:
+        setSyncing(false);
+        setSyncProgress(null);
+        setLastSyncTime(new Date(event.timestamp));
+        loadPendingCount();
+        break;
+      case SYNC_EVENTS.QUEUE_CHANGED:
+        setPendingCount(event.pendingCount);
+        break;
+      default:
+        break;
+    }
+  };
+
   /**
    * Charge le nombre d'items en attente
    */
@@ -89,7 +137,7 @@ export default function useOffline(options = {}) {
     try {
       setSyncing(true);
 
-      const result = await syncService.processQueue();
+      const result = await syncService.drain();
       
       setLastSyncTime(new Date());
       await loadPendingCount();
@@ -109,11 +157,11 @@ export default function useOffline(options = {}) {
   /**
    * Ajoute un item à la queue
    */
-  const addToQueue = async (item) => {
+  const enqueue = async (type, data, metadata = {}) => {
     try {
-      await syncService.addToQueue(item);
+      const id = await syncService.enqueue(type, data, metadata);
       await loadPendingCount();
-      return { success: true };
+      return { success: true, id };
     } catch (error) {
       console.error('Erreur ajout queue:', error);
       return {
@@ -135,6 +183,23 @@ export default function useOffline(options = {}) {
     }
   };
 
+  /**
+   * Relance un item de la queue
+   */
+  const retry = async (itemId) => {
+    const result = await syncService.retry(itemId);
+    await loadPendingCount();
+    return result;
+  };
+
+  /**
+   * Abandonne un item de la queue
+   */
+  const discard = async (itemId) => {
+    await syncService.discard(itemId);
+    await loadPendingCount();
+  };
+
   return {
     isConnected,
     isInternetReachable,
@@ -142,10 +207,14 @@ export default function useOffline(options = {}) {
     connectionType,
     pendingCount,
     syncing,
+    syncProgress,
+    authRequired,
     lastSyncTime,
     syncQueue,
-    addToQueue,
+    enqueue,
     getQueue,
+    retry,
+    discard,
     refreshPendingCount: loadPendingCount,
   };
 }
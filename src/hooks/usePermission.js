@@ -0,0 +1,38 @@
+/**
+ * =============================================================================
+ * 🇬🇦 RSU GABON - USE PERMISSION HOOK
+ * =============================================================================
+ *
+ * Droits de l'utilisateur connecté, d'après le rôle de son profil
+ * (services/auth/permissions.js).
+ *
+ * Utilisation:
+ * const { role, can, readOnly } = usePermission();
+ * can(PERMISSIONS.ACTIONS.DELETE_PERSON)
+ *
+ * Fichier: src/hooks/usePermission.js
+ * =============================================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import authService from '../services/auth/authService';
+import { getUserRole, hasPermission, isReadOnly } from '../services/auth/permissions';
+
+export default function usePermission() {
+  // Session déjà chargée après connexion ou démarrage : pas d'attente au rendu
+  const [role, setRole] = useState(() => authService.getRole());
+
+  useEffect(() => {
+    authService.getCurrentUser()
+      .then(user => setRole(getUserRole(user)))
+      .catch(error => console.error('Erreur chargement rôle:', error));
+  }, []);
+
+  const can = useCallback(action => hasPermission(role, action), [role]);
+
+  return {
+    role,
+    can,
+    readOnly: isReadOnly(role),
+  };
+}
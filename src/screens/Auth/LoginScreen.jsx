@@ -12,6 +12,7 @@ import {
   ScrollView,
   Alert,
   Image,
+  TouchableWithoutFeedback,
 } from 'react-native';
 import {
   TextInput,
@@ -22,43 +23,106 @@ import {
   Avatar,
   Chip,
   HelperText,
-  Divider,
   Surface,
   Text,
+  Portal,
+  Modal,
+  RadioButton,
 } from 'react-native-paper';
 import { Formik } from 'formik';
 import * as Yup from 'yup';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import storageService from '../../services/storage/storageService';
 
 import authService from '../../services/auth/authService';
+import environmentService from '../../services/api/environmentService';
+import syncService from '../../services/sync/syncService';
+import { API_CONFIG } from '../../constants/apiConfig';
 // validationService n'est pas utilisé et a été laissé en commentaire dans l'original. 
 // Je le laisse ici pour cohérence mais vous pouvez le retirer s'il n'est pas utilisé.
 // import validationService from '../../services/validation/validationService'; 
 
 // Schema validation login
 const LoginSchema = Yup.object().shape({
-  email: Yup.string()
-    .email('Email invalide')
-    .required('Email requis'),
+  username: Yup.string()
+    .trim()
+    .required('Identifiant requis'),
   password: Yup.string()
     .min(6, 'Mot de passe trop court')
     .required('Mot de passe requis'),
 });
 
+// Appuis successifs sur le logo ouvrant le choix du serveur
+const SETTINGS_TAP_COUNT = 7;
+const SETTINGS_TAP_DELAY = 1500;
+
 export default function LoginScreen({ onLogin, isConnected = true }) {
   const [loading, setLoading] = useState(false);
   const [rememberMe, setRememberMe] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
   const [lastLoginAttempt, setLastLoginAttempt] = useState(null);
+  const [environment, setEnvironment] = useState(environmentService.getActive());
+  const [showSettings, setShowSettings] = useState(false);
+  const [logoTaps, setLogoTaps] = useState({ count: 0, at: 0 });
 
   useEffect(() => {
     loadSavedCredentials();
+    environmentService.ensureLoaded().then(() => setEnvironment(environmentService.getActive()));
+
+    return environmentService.subscribe(setEnvironment);
   }, []);
 
+  // Panneau caché : appuis répétés sur le logo
+  const handleLogoPress = () => {
+    const now = Date.now();
+    const count = now - logoTaps.at < SETTINGS_TAP_DELAY ? logoTaps.count + 1 : 1;
+
+    if (count >= SETTINGS_TAP_COUNT) {
+      setLogoTaps({ count: 0, at: 0 });
+      setShowSettings(true);
+    } else {
+      setLogoTaps({ count, at: now });
+    }
+  };
+
+  const applyEnvironment = async (key) => {
+    try {
+      await environmentService.setEnvironment(key);
+      setShowSettings(false);
+    } catch (error) {
+      Alert.alert('Erreur', error.message);
+    }
+  };
+
+  const handleSelectEnvironment = async (key) => {
+    const target = API_CONFIG.ENVIRONMENTS[key];
+    if (key === environment.key) {
+      return;
+    }
+
+    // Saisies de production retenues tant que le serveur n'est pas la production
+    const queue = await syncService.getQueue();
+    const held = target.production
+      ? 0
+      : queue.filter(item => API_CONFIG.ENVIRONMENTS[item.environment]?.production).length;
+
+    Alert.alert(
+      `Passer sur ${target.label} ?`,
+      [
+        `Serveur : ${target.serverUrl}`,
+        'Le registre téléchargé sur cet appareil sera vidé.',
+        held > 0 ? `${held} élément(s) saisi(s) en production resteront en attente jusqu'au retour sur la production.` : null,
+      ].filter(Boolean).join('\n\n'),
+      [
+        { text: 'Annuler', style: 'cancel' },
+        { text: 'Changer', onPress: () => applyEnvironment(key) },
+      ]
+    );
+  };
+
   const loadSavedCredentials = async () => {
     try {
-      const savedEmail = await AsyncStorage.getItem('saved_email');
-      const savedRemember = await AsyncStorage.getItem('remember_me');
+      const savedEmail = await storageService.getItem('saved_email');
+      const savedRemember = await storageService.getItem('remember_me');
 
       if (savedEmail && savedRemember === 'true') {
         setRememberMe(true);
@@ -74,29 +138,20 @@ export default function LoginScreen({ onLogin, isConnected = true }) {
       setLoading(true);
       setLastLoginAttempt(new Date());
 
-      // Validation réseau pour auth serveur
-      if (!isConnected) {
-        Alert.alert(
-          'Hors ligne',
-          'Connexion internet requise pour la première connexion'
-        );
-        return;
-      }
-
-      // Tentative authentification
+      // Hors ligne : vérification locale si déjà connecté en ligne sur cet appareil
       const result = await onLogin({
-        email: values.email.trim(),
+        username: values.username.trim(),
         password: values.password,
       });
 
       if (result?.success) {
         // Sauvegarder email si "Se souvenir"
         if (rememberMe) {
-          await AsyncStorage.setItem('saved_email', values.email.trim());
-          await AsyncStorage.setItem('remember_me', 'true');
+          await storageService.setItem('saved_email', values.username.trim());
+          await storageService.setItem('remember_me', 'true');
         } else {
-          await AsyncStorage.removeItem('saved_email');
-          await AsyncStorage.removeItem('remember_me');
+          await storageService.removeItem('saved_email');
+          await storageService.removeItem('remember_me');
         }
 
         console.log('✅ Login réussi - redirection Dashboard');
@@ -105,10 +160,8 @@ export default function LoginScreen({ onLogin, isConnected = true }) {
         // Gestion erreurs spécifiques
         const errorMessage = result?.message || 'Erreur de connexion';
 
-        if (errorMessage.includes('email')) {
-          setFieldError('email', 'Email incorrect');
-        } else if (errorMessage.includes('password')) {
-          setFieldError('password', 'Mot de passe incorrect');
+        if (errorMessage === 'Identifiants invalides') {
+          setFieldError('password', 'Identifiant ou mot de passe incorrect');
         } else {
           Alert.alert('Erreur de connexion', errorMessage);
         }
@@ -126,40 +179,6 @@ export default function LoginScreen({ onLogin, isConnected = true }) {
     }
   };
 
-  const handleTestCredentials = (setFieldValue) => {
-    Alert.alert(
-      'Identifiants de test disponibles',
-      `🇬🇦 RSU GABON - Credentials Backend Django:
-
-  ADMIN (Backend Réel):
-  📧 Email: souare.ahmed@gmail.com
-  🔑 Password: admin123
-
-  ENQUÊTEUR (Test Mobile):
-  📧 Email: enqueteur@rsu.gabon.ga  
-  🔑 Password: test123
-
-  ℹ️ Le backend Django tourne sur http://127.0.0.1:8000/`,
-      [
-        {
-          text: 'Copier Admin',
-          onPress: () => {
-            setFieldValue('email', 'souare.ahmed@gmail.com');
-            setFieldValue('password', 'admin123');
-          }
-        },
-        {
-          text: 'Copier Enquêteur',
-          onPress: () => {
-            setFieldValue('email', 'enqueteur@rsu.gabon.ga');
-            setFieldValue('password', 'test123');
-          }
-        },
-        { text: 'OK' }
-      ]
-    );
-  };
-
   const handleForgotPassword = () => {
     Alert.alert(
       'Mot de passe oublié',
@@ -170,15 +189,15 @@ export default function LoginScreen({ onLogin, isConnected = true }) {
 
   const getInitialValues = async () => {
     try {
-      const savedEmail = await AsyncStorage.getItem('saved_email');
-      const savedRemember = await AsyncStorage.getItem('remember_me');
+      const savedEmail = await storageService.getItem('saved_email');
+      const savedRemember = await storageService.getItem('remember_me');
 
       return {
-        email: (savedRemember === 'true' && savedEmail) ? savedEmail : '',
+        username: (savedRemember === 'true' && savedEmail) ? savedEmail : '',
         password: '',
       };
     } catch {
-      return { email: '', password: '' };
+      return { username: '', password: '' };
     }
   };
 
@@ -194,11 +213,13 @@ export default function LoginScreen({ onLogin, isConnected = true }) {
         {/* Header avec logo et titre */}
         <Surface style={styles.headerSurface}>
           <View style={styles.header}>
-            <Image
-              source={require('../../../assets/images/rsu-gabon-logo.png')}
-              style={styles.logoImage} // CORRECTION : Utilisation du style déplacé
-              resizeMode="contain"
-            />
+            <TouchableWithoutFeedback onPress={handleLogoPress}>
+              <Image
+                source={require('../../../assets/images/rsu-gabon-logo.png')}
+                style={styles.logoImage} // CORRECTION : Utilisation du style déplacé
+                resizeMode="contain"
+              />
+            </TouchableWithoutFeedback>
             <Title style={styles.appTitle}>RSU Gabon</Title>
             <Paragraph style={styles.appSubtitle}>
               Registre Social Unifié
@@ -224,7 +245,19 @@ export default function LoginScreen({ onLogin, isConnected = true }) {
           >
             {isConnected ? 'En ligne' : 'Hors ligne'}
           </Chip>
+          <Chip
+            icon={environment.production ? 'server' : 'server-network'}
+            style={[styles.connectionChip, { backgroundColor: `${environment.color}1A` }]}
+            textStyle={{ color: environment.color, fontSize: 12 }}
+          >
+            {environment.label}
+          </Chip>
         </View>
+        {!environment.production && (
+          <Paragraph style={styles.environmentWarning}>
+            Serveur de test ({environment.serverUrl}) : les données saisies ne sont pas enregistrées dans le registre officiel
+          </Paragraph>
+        )}
 
         {/* Formulaire de connexion */}
         <Card style={styles.loginCard}>
@@ -233,7 +266,7 @@ export default function LoginScreen({ onLogin, isConnected = true }) {
 
             <Formik
               // CORRECTION: Utilisation d'un état local pour les valeurs initiales pour éviter les problèmes de Formik et AsyncStorage
-              initialValues={{ email: '', password: '' }}
+              initialValues={{ username: '', password: '' }}
               validationSchema={LoginSchema}
               onSubmit={handleLogin}
             >
@@ -251,7 +284,7 @@ export default function LoginScreen({ onLogin, isConnected = true }) {
                 // NOTE: Ce hook garantit que les valeurs initiales sont chargées APRES le montage du composant.
                 React.useEffect(() => {
                   getInitialValues().then(initialValues => {
-                    setFieldValue('email', initialValues.email);
+                    setFieldValue('username', initialValues.username);
                   });
                 }, [setFieldValue]);
 
@@ -259,20 +292,20 @@ export default function LoginScreen({ onLogin, isConnected = true }) {
                   <View style={styles.form}>
                     <TextInput
                       mode="outlined"
-                      label="Email *"
-                      value={values.email}
-                      onChangeText={handleChange('email')}
-                      onBlur={handleBlur('email')}
-                      error={touched.email && errors.email}
+                      label="Identifiant ou email *"
+                      value={values.username}
+                      onChangeText={handleChange('username')}
+                      onBlur={handleBlur('username')}
+                      error={touched.username && errors.username}
                       keyboardType="email-address"
                       autoCapitalize="none"
                       autoCorrect={false}
                       style={styles.input}
-                      left={<TextInput.Icon icon="email" />}
+                      left={<TextInput.Icon icon="account" />}
                       placeholder="enqueteur@rsu.gabon.ga"
                     />
-                    <HelperText type="error" visible={touched.email && errors.email}>
-                      {errors.email}
+                    <HelperText type="error" visible={touched.username && errors.username}>
+                      {errors.username}
                     </HelperText>
 
                     <TextInput
@@ -324,27 +357,18 @@ export default function LoginScreen({ onLogin, isConnected = true }) {
                       mode="contained"
                       onPress={handleSubmit}
                       loading={loading || isSubmitting}
-                      disabled={loading || isSubmitting || !isConnected}
+                      disabled={loading || isSubmitting}
                       style={styles.loginButton}
                       contentStyle={styles.loginButtonContent}
                       icon="login"
                     >
-                      Se connecter
+                      {isConnected ? 'Se connecter' : 'Se connecter hors ligne'}
                     </Button>
-
-                    <Divider style={styles.divider} />
-
-                    {/* Aide */}
-                    <View style={styles.helpSection}>
-                      <Button
-                        mode="outlined"
-                        onPress={() => handleTestCredentials(setFieldValue)}
-                        style={styles.helpButton}
-                        icon="help-circle"
-                      >
-                        Identifiants de test
-                      </Button>
-                    </View>
+                    {!isConnected && (
+                      <HelperText type="info" visible>
+                        Sans réseau, seul un compte déjà connecté en ligne sur cet appareil peut ouvrir une session.
+                      </HelperText>
+                    )}
                   </View>
                 );
               }}
@@ -383,6 +407,9 @@ export default function LoginScreen({ onLogin, isConnected = true }) {
               <Paragraph style={styles.debugText}>
                 Réseau: {isConnected ? '✅ Connecté' : '❌ Déconnecté'}
               </Paragraph>
+              <Paragraph style={styles.debugText}>
+                Serveur: {environment.serverUrl}
+              </Paragraph>
               <Paragraph style={styles.debugText}>
                 Version: 1.0.0-mobile-mvp
               </Paragraph>
@@ -390,6 +417,31 @@ export default function LoginScreen({ onLogin, isConnected = true }) {
           </Card>
         )}
       </ScrollView>
+
+      {/* Choix du serveur (panneau caché) */}
+      <Portal>
+        <Modal
+          visible={showSettings}
+          onDismiss={() => setShowSettings(false)}
+          contentContainerStyle={styles.settingsModal}
+        >
+          <Title style={styles.loginTitle}>Serveur</Title>
+          <RadioButton.Group onValueChange={handleSelectEnvironment} value={environment.key}>
+            {environmentService.getEnvironments().map(env => (
+              <RadioButton.Item
+                key={env.key}
+                value={env.key}
+                label={`${env.label}\n${env.serverUrl}`}
+                labelStyle={styles.environmentLabel}
+                color={env.color}
+              />
+            ))}
+          </RadioButton.Group>
+          <Button onPress={() => setShowSettings(false)} style={styles.settingsClose}>
+            Fermer
+          </Button>
+        </Modal>
+      </Portal>
     </KeyboardAvoidingView>
   );
 }
@@ -442,9 +494,31 @@ const styles = StyleSheet.create({
     fontStyle: 'italic',
   },
   connectionStatus: {
-    alignItems: 'center',
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 8,
     marginBottom: 16,
   },
+  environmentWarning: {
+    fontSize: 12,
+    color: '#E65100',
+    textAlign: 'center',
+    marginTop: -8,
+    marginBottom: 16,
+  },
+  settingsModal: {
+    backgroundColor: '#fff',
+    margin: 20,
+    padding: 20,
+    borderRadius: 8,
+  },
+  environmentLabel: {
+    fontSize: 14,
+  },
+  settingsClose: {
+    marginTop: 8,
+    alignSelf: 'flex-end',
+  },
   connectionChip: {
     alignSelf: 'center',
   },
@@ -484,15 +558,6 @@ const styles = StyleSheet.create({
   loginButtonContent: {
     paddingVertical: 8,
   },
-  divider: {
-    marginVertical: 16,
-  },
-  helpSection: {
-    alignItems: 'center',
-  },
-  helpButton: {
-    borderColor: '#2E7D32',
-  },
   infoCard: {
     elevation: 2,
     marginBottom: 16,
@@ -525,24 +590,3 @@ const styles = StyleSheet.create({
     marginBottom: 2,
   },
 });
-
-// Credentials de test par défaut (pour développement)
-// Ces variables sont en dehors de l'export par défaut, donc elles ne sont pas modifiées,
-// mais je m'assure qu'elles restent à la fin du fichier.
-export const TEST_CREDENTIALS = [
-  {
-    email: 'admin@rsu.ga',
-    password: 'TestPass123!',
-    userType: 'ADMIN'
-  },
-  {
-    email: 'enqueteur@rsu.gabon.ga',
-    password: 'test123',
-    userType: 'SURVEYOR'
-  },
-  {
-    email: 'testjwt@rsu.ga',
-    password: 'TestPass123!',
-    userType: 'ADMIN'
-  }
-];
\ No newline at end of file
@@ -0,0 +1,269 @@
+// =============================================================================
+// RSU GABON - DÉVERROUILLAGE PAR CODE PIN
+// Fichier: src/screens/Auth/UnlockScreen.jsx
+// =============================================================================
+//
+// Affiché par-dessus l'application (l'état des écrans est conservé) :
+//   - mode `setup` : choix du code PIN après une connexion par mot de passe,
+//     et activation optionnelle de la biométrie ;
+//   - mode `unlock` : au démarrage et après inactivité.
+// =============================================================================
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  StyleSheet,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import {
+  Card,
+  Title,
+  Paragraph,
+  TextInput,
+  Button,
+  HelperText,
+  Avatar,
+  Switch,
+  Text,
+} from 'react-native-paper';
+
+import authService from '../../services/auth/authService';
+import lockService from '../../services/auth/lockService';
+import { SECURITY_CONFIG } from '../../constants/securityConstants';
+import { ERROR_MESSAGES } from '../../constants/errorMessages';
+
+const PIN_PATTERN = new RegExp(`^\\d{${SECURITY_CONFIG.PIN_MIN_LENGTH},${SECURITY_CONFIG.PIN_MAX_LENGTH}}$`);
+
+export default function UnlockScreen({ mode, user, onUnlocked, onSignedOut }) {
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [biometricAvailable, setBiometricAvailable] = useState(false);
+  const [biometricEnabled, setBiometricEnabled] = useState(false);
+
+  const isSetup = mode === 'setup';
+  const displayName = `${user?.first_name || user?.firstName || ''} ${user?.last_name || user?.lastName || ''}`.trim()
+    || user?.username;
+
+  useEffect(() => {
+    setPin('');
+    setConfirmPin('');
+    setError(null);
+    prepareBiometrics();
+  }, [mode]);
+
+  const prepareBiometrics = async () => {
+    const available = await lockService.isBiometricAvailable();
+    setBiometricAvailable(available);
+
+    if (!isSetup && available && await lockService.isBiometricEnabled()) {
+      handleBiometricUnlock();
+    }
+  };
+
+  const handleBiometricUnlock = async () => {
+    if (await lockService.unlockWithBiometrics()) {
+      onUnlocked();
+    }
+  };
+
+  const handleSetup = async () => {
+    if (!PIN_PATTERN.test(pin)) {
+      setError(`Le code PIN doit contenir ${SECURITY_CONFIG.PIN_MIN_LENGTH} à ${SECURITY_CONFIG.PIN_MAX_LENGTH} chiffres`);
+      return;
+    }
+    if (pin !== confirmPin) {
+      setError(ERROR_MESSAGES.AUTH.PIN_MISMATCH);
+      return;
+    }
+
+    try {
+      setBusy(true);
+      await lockService.setPin(user.id, pin);
+      await lockService.setBiometricEnabled(biometricAvailable && biometricEnabled);
+      lockService.unlock();
+      onUnlocked();
+    } catch (setupError) {
+      console.error('Erreur définition PIN:', setupError);
+      setError('Impossible d\'enregistrer le code PIN');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUnlock = async () => {
+    try {
+      setBusy(true);
+      const result = await authService.unlockWithPin(pin);
+
+      if (result.success) {
+        onUnlocked();
+      } else if (result.exhausted) {
+        Alert.alert('Appareil verrouillé', ERROR_MESSAGES.AUTH.DEVICE_WIPED);
+        onSignedOut();
+      } else {
+        setPin('');
+        setError(`${ERROR_MESSAGES.AUTH.PIN_INVALID} : ${result.remainingAttempts} ${ERROR_MESSAGES.AUTH.WIPE_WARNING}`);
+      }
+    } catch (unlockError) {
+      console.error('Erreur déverrouillage:', unlockError);
+      setError('Déverrouillage impossible');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSwitchUser = () => {
+    Alert.alert(
+      'Changer d\'utilisateur',
+      'La session sera fermée. Les données non synchronisées restent sur l\'appareil.',
+      [
+        { text: 'Annuler', style: 'cancel' },
+        {
+          text: 'Se déconnecter',
+          style: 'destructive',
+          onPress: async () => {
+            await authService.logout();
+            onSignedOut();
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <Card style={styles.card}>
+        <Card.Content>
+          <View style={styles.header}>
+            <Avatar.Icon size={64} icon={isSetup ? 'shield-key' : 'lock'} style={styles.icon} />
+            <Title style={styles.title}>
+              {isSetup ? 'Choisissez votre code PIN' : 'Session verrouillée'}
+            </Title>
+            <Paragraph style={styles.subtitle}>
+              {isSetup
+                ? 'Il servira à rouvrir l\'application sans ressaisir votre mot de passe.'
+                : displayName}
+            </Paragraph>
+          </View>
+
+          <TextInput
+            mode="outlined"
+            label="Code PIN"
+            value={pin}
+            onChangeText={text => { setPin(text.replace(/\D/g, '')); setError(null); }}
+            keyboardType="number-pad"
+            secureTextEntry
+            maxLength={SECURITY_CONFIG.PIN_MAX_LENGTH}
+            autoFocus
+            onSubmitEditing={isSetup ? undefined : handleUnlock}
+            style={styles.input}
+          />
+
+          {isSetup && (
+            <TextInput
+              mode="outlined"
+              label="Confirmer le code PIN"
+              value={confirmPin}
+              onChangeText={text => { setConfirmPin(text.replace(/\D/g, '')); setError(null); }}
+              keyboardType="number-pad"
+              secureTextEntry
+              maxLength={SECURITY_CONFIG.PIN_MAX_LENGTH}
+              onSubmitEditing={handleSetup}
+              style={styles.input}
+            />
+          )}
+
+          <HelperText type="error" visible={!!error}>
+            {error}
+          </HelperText>
+
+          {isSetup && biometricAvailable && (
+            <View style={styles.biometricRow}>
+              <Text style={styles.biometricLabel}>Déverrouiller aussi par empreinte ou visage</Text>
+              <Switch
+                value={biometricEnabled}
+                onValueChange={setBiometricEnabled}
+                color="#2E7D32"
+              />
+            </View>
+          )}
+
+          <Button
+            mode="contained"
+            onPress={isSetup ? handleSetup : handleUnlock}
+            loading={busy}
+            disabled={busy || pin.length < SECURITY_CONFIG.PIN_MIN_LENGTH}
+            style={styles.button}
+            icon={isSetup ? 'check' : 'lock-open'}
+          >
+            {isSetup ? 'Enregistrer' : 'Déverrouiller'}
+          </Button>
+
+          {!isSetup && biometricAvailable && (
+            <Button icon="fingerprint" onPress={handleBiometricUnlock} style={styles.button}>
+              Empreinte / visage
+            </Button>
+          )}
+
+          <Button mode="text" onPress={handleSwitchUser} textColor="#666">
+            Changer d'utilisateur
+          </Button>
+        </Card.Content>
+      </Card>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 16,
+    backgroundColor: '#f5f5f5',
+  },
+  card: {
+    elevation: 4,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  icon: {
+    backgroundColor: '#2E7D32',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 20,
+    color: '#2E7D32',
+    textAlign: 'center',
+  },
+  subtitle: {
+    color: '#666',
+    textAlign: 'center',
+  },
+  input: {
+    marginBottom: 8,
+    fontSize: 20,
+    letterSpacing: 8,
+  },
+  biometricRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  biometricLabel: {
+    flex: 1,
+    color: '#444',
+  },
+  button: {
+    marginTop: 8,
+  },
+});
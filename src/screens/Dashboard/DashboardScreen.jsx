@@ -19,6 +19,7 @@ import {
   Chip,
   List,
   Divider,
+  ProgressBar,
 } from 'react-native-paper';
 import MaterialCommunityIcons from '@expo/vector-icons/MaterialCommunityIcons';
 import { format } from 'date-fns';
@@ -27,6 +28,12 @@ import { fr } from 'date-fns/locale';
 import authService from '../../services/auth/authService';
 import syncService from '../../services/sync/syncService';
 import apiClient from '../../services/api/apiClient';
+import reviewService, { getReviewReason } from '../../services/review/reviewService';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
+import { PERMISSIONS } from '../../constants/permissionsConstants';
+import Can from '../../components/auth/Can';
+
+const { SYNC_EVENTS } = OFFLINE_CONFIG;
 
 
 // Définition du composant Icon pour utiliser MaterialCommunityIcons partout où <Icon> est utilisé
@@ -61,11 +68,43 @@ export default function DashboardScreen({ navigation }) {
   const [recentActivity, setRecentActivity] = useState([]);
   const [refreshing, setRefreshing] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [syncProgress, setSyncProgress] = useState(null);
+  const [corrections, setCorrections] = useState([]);
 
   useEffect(() => {
     loadDashboardData();
+
+    // Avancement de la synchronisation en direct
+    const unsubscribeSync = syncService.subscribe(handleSyncEvent);
+    return unsubscribeSync;
   }, []);
 
+  const handleSyncEvent = (event) => {
+    switch (event.type) {
+      case SYNC_EVENTS.STARTED:
+        setSyncProgress({ total: event.total, done: 0 });
+        break;
+      case SYNC_EVENTS.ITEM_SUCCEEDED:
+        setStats(prev => ({ ...prev, pendingSync: Math.max(prev.pendingSync - 1, 0) }));
+        setSyncProgress(prev => prev && { ...prev, done: prev.done + 1 });
+        break;
+      case SYNC_EVENTS.ITEM_FAILED:
+        setSyncProgress(prev => prev && { ...prev, done: prev.done + 1 });
+        break;
+      case SYNC_EVENTS.FINISHED:
+        setSyncProgress(null);
+        loadStats();
+        loadRecentActivity();
+        break;
+      case SYNC_EVENTS.QUEUE_CHANGED:
+        setStats(prev => ({ ...prev, pendingSync: event.pendingCount }));
+        loadRecentActivity();
+        break;
+      default:
+        break;
+    }
+  };
+
   const loadDashboardData = async () => {
     try {
       // Charger utilisateur actuel
@@ -77,6 +116,11 @@ export default function DashboardScreen({ navigation }) {
 
       // Charger activité récente
       await loadRecentActivity();
+
+      // Fiches renvoyées par le superviseur
+      if (authService.can(PERMISSIONS.ACTIONS.UPDATE_PERSON)) {
+        setCorrections(await reviewService.getCorrectionTasks());
+      }
     } catch (error) {
       console.error('Erreur chargement dashboard:', error);
     } finally {
@@ -113,17 +157,15 @@ export default function DashboardScreen({ navigation }) {
   const loadRecentActivity = async () => {
     try {
       // Charger données depuis cache local ou serveur
-      const pendingData = await syncService.getPendingData();
+      const pendingData = await syncService.getQueue();
       const recentItems = pendingData
         .slice(-5)
         .reverse()
         .map(item => ({
           id: item.id,
           type: item.type,
-          title: item.type === 'enrollment'
-            ? `${item.data.person.firstName} ${item.data.person.lastName}`
-            : item.type,
-          subtitle: format(new Date(item.timestamp), 'dd/MM/yyyy HH:mm', { locale: fr }),
+          title: item.metadata?.description || item.type,
+          subtitle: format(new Date(item.createdAt), 'dd/MM/yyyy HH:mm', { locale: fr }),
           status: item.status,
         }));
 
@@ -141,12 +183,8 @@ export default function DashboardScreen({ navigation }) {
 
   const handleSync = async () => {
     try {
-      const result = await syncService.syncPendingData();
-      await loadStats(); // Recharger stats après sync
-
-      if (result.success > 0) {
-        // Afficher notification de succès
-      }
+      // Stats rechargées à l'événement FINISHED
+      await syncService.drain();
     } catch (error) {
       console.error('Erreur synchronisation:', error);
     }
@@ -236,9 +274,22 @@ export default function DashboardScreen({ navigation }) {
             <Paragraph style={styles.syncDescription}>
               {stats.pendingSync} éléments en attente de synchronisation avec le serveur RSU.
             </Paragraph>
+            {syncProgress && (
+              <View style={styles.syncProgress}>
+                <ProgressBar
+                  progress={syncProgress.done / Math.max(syncProgress.total, syncProgress.done, 1)}
+                  color="#FF9800"
+                />
+                <Paragraph style={styles.syncDescription}>
+                  {syncProgress.done} / {Math.max(syncProgress.total, syncProgress.done)} élément(s) traité(s)
+                </Paragraph>
+              </View>
+            )}
             <Button
               mode="contained"
               onPress={handleSync}
+              loading={!!syncProgress}
+              disabled={!!syncProgress}
               style={styles.syncButton}
               icon="sync"
             >
@@ -248,13 +299,38 @@ export default function DashboardScreen({ navigation }) {
         </Card>
       )}
 
+      {/* Corrections demandées par le superviseur */}
+      {corrections.length > 0 && (
+        <Card style={styles.correctionsCard}>
+          <Card.Content>
+            <View style={styles.syncHeader}>
+              <Icon name="clipboard-alert" size={24} color="#1976D2" />
+              <Title style={styles.correctionsTitle}>
+                Corrections demandées ({corrections.length})
+              </Title>
+            </View>
+            {corrections.slice(0, 5).map(person => (
+              <List.Item
+                key={person.id}
+                title={`${person.first_name || ''} ${person.last_name || ''}`.trim()}
+                description={getReviewReason(person) || 'À corriger'}
+                descriptionNumberOfLines={2}
+                left={props => <List.Icon {...props} icon="account-edit" />}
+                onPress={() => navigation.navigate('PersonDetail', { personId: person.id })}
+              />
+            ))}
+          </Card.Content>
+        </Card>
+      )}
+
       {/* Actions rapides */}
       <Card style={styles.actionsCard}>
         <Card.Content>
           <Title style={styles.actionsTitle}>Actions rapides</Title>
 
           <View style={styles.actionsList}>
-             <Button
+            <Can action={PERMISSIONS.ACTIONS.CREATE_PERSON}>
+              <Button
                 mode="outlined"
                 onPress={() => handleNavigate('Enrollment')}
                 style={styles.actionButton}
@@ -263,6 +339,7 @@ export default function DashboardScreen({ navigation }) {
               >
                 Nouvel Enregistrement
               </Button>
+            </Can>
               <Button
                 mode="outlined"
                 onPress={() => handleNavigate('Surveys')}
@@ -448,6 +525,16 @@ const styles = StyleSheet.create({
         color: '#666',
         textAlign: 'center',
     },
+    correctionsCard: {
+        marginBottom: 16,
+        backgroundColor: '#E3F2FD',
+        elevation: 3,
+    },
+    correctionsTitle: {
+        marginLeft: 8,
+        fontSize: 16,
+        color: '#1565C0',
+    },
     syncCard: {
         marginBottom: 16,
         backgroundColor: '#FFF8E1',
@@ -467,6 +554,9 @@ const styles = StyleSheet.create({
         marginBottom: 12,
         color: '#666',
     },
+    syncProgress: {
+        marginBottom: 4,
+    },
     syncButton: {
         backgroundColor: '#FF9800',
     },
@@ -225,6 +225,13 @@ export default function EnrollmentFormScreen({ navigation }) {
               text: 'Nouvelle Inscription',
               onPress: resetForm,
             },
+            {
+              text: 'Enquête',
+              onPress: () => {
+                resetForm();
+                navigation.navigate('Survey', { personId: result.personId || result.rsuId });
+              },
+            },
             {
               text: 'Retour Accueil',
               onPress: () => navigation.navigate('Dashboard'),
@@ -42,11 +42,14 @@ import {
 } from 'react-native-paper';
 import { Formik } from 'formik';
 import * as Yup from 'yup';
+import { v4 as uuidv4 } from 'uuid';
 
 import gpsService from '../../services/gps/gpsService';
 import apiClient from '../../services/api/apiClient';
 import syncService from '../../services/sync/syncService';
+import auditService from '../../services/audit/auditService';
 import { GABON_PROVINCES } from '../../constants/gabonData';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
 
 /**
  * =============================================================================
@@ -218,11 +221,27 @@ export default function HouseholdFormScreen({ route, navigation }) {
         created_by: await getCurrentUserId(),
       };
 
+      // Clé partagée entre l'envoi direct et la queue (pas de doublon)
+      const idempotencyKey = uuidv4();
+
+      const audit = [await auditService.build({
+        recordType: OFFLINE_CONFIG.AUDIT.RECORD_TYPES.HOUSEHOLD,
+        action: OFFLINE_CONFIG.AUDIT.ACTIONS.CREATE,
+        after: householdData,
+        location: { latitude: values.latitude, longitude: values.longitude, accuracy: values.gps_accuracy },
+      })];
+
       // Tentative envoi API
       try {
-        const response = await apiClient.post('/identity/households/', householdData);
+        const response = await apiClient.post(
+          '/identity/households/',
+          { ...householdData, audit_trail: audit },
+          { headers: syncService.idempotencyHeaders(idempotencyKey) }
+        );
 
         if (response.data) {
+          await auditService.save(audit, { recordId: response.data.id, personId, synced: true });
+
           Alert.alert(
             'Succès',
             'Ménage enregistré avec succès',
@@ -238,11 +257,13 @@ export default function HouseholdFormScreen({ route, navigation }) {
         // Échec API: sauvegarder offline
         console.log('Sauvegarde offline du ménage');
         
-        await syncService.addToQueue({
-          type: 'CREATE_HOUSEHOLD',
-          data: householdData,
-          timestamp: new Date().toISOString(),
-        });
+        const itemId = await syncService.enqueue(
+          OFFLINE_CONFIG.OPERATION_TYPES.CREATE_HOUSEHOLD,
+          householdData,
+          { description: 'Nouveau ménage' },
+          { idempotencyKey, audit }
+        );
+        await auditService.save(audit, { recordId: itemId, personId });
 
         Alert.alert(
           'Sauvegardé Offline',
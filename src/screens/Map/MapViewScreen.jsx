@@ -40,7 +40,8 @@ import {
 } from 'react-native-paper';
 import * as Location from 'expo-location';
 
-import apiClient from '../../services/api/apiClient';
+import localDatabase from '../../services/database/localDatabase';
+import pullService from '../../services/sync/pullService';
 import gpsService from '../../services/gps/gpsService';
 import { GABON_PROVINCES } from '../../constants/gabonData';
 
@@ -56,6 +57,11 @@ const DEFAULT_REGION = {
   longitudeDelta: 3.0,
 };
 
+/**
+ * Nombre maximum de markers affichés
+ */
+const MAX_MARKERS = 2000;
+
 /**
  * Limites géographiques du Gabon
  */
@@ -96,36 +102,32 @@ export default function MapViewScreen({ navigation }) {
     try {
       setLoading(true);
 
-      // Construire les filtres
-      const params = {};
-      if (filterProvince) {
-        params.province = filterProvince;
-      }
+      // Rafraîchir le registre local (la carte reste disponible hors ligne)
+      await pullService.pull();
+
+      // Personnes avec coordonnées GPS
+      const persons = await localDatabase.queryPersons({
+        province: filterProvince,
+        withLocation: true,
+        limit: MAX_MARKERS,
+      });
 
-      // Récupérer personnes avec coordonnées GPS
-      const response = await apiClient.get('/identity/persons/', { params });
-
-      if (response.data && response.data.results) {
-        // Filtrer uniquement les entrées avec GPS
-        const markersData = response.data.results
-          .filter(person => person.latitude && person.longitude)
-          .map(person => ({
-            id: person.id,
-            coordinate: {
-              latitude: parseFloat(person.latitude),
-              longitude: parseFloat(person.longitude),
-            },
-            title: `${person.first_name} ${person.last_name}`,
-            description: person.province,
-            data: person,
-          }));
-
-        setMarkers(markersData);
-
-        // Ajuster la vue pour inclure tous les markers
-        if (markersData.length > 0 && mapRef.current) {
-          fitMarkersToMap(markersData);
-        }
+      const markersData = persons.map(person => ({
+        id: person.id,
+        coordinate: {
+          latitude: parseFloat(person.latitude),
+          longitude: parseFloat(person.longitude),
+        },
+        title: `${person.first_name} ${person.last_name}`,
+        description: person.province,
+        data: person,
+      }));
+
+      setMarkers(markersData);
+
+      // Ajuster la vue pour inclure tous les markers
+      if (markersData.length > 0 && mapRef.current) {
+        fitMarkersToMap(markersData);
       }
     } catch (error) {
       console.error('Erreur chargement carte:', error);
@@ -20,18 +20,64 @@ import {
   Divider,
   Text,
   IconButton,
+  Portal,
+  Modal,
+  TextInput,
 } from 'react-native-paper';
 import { format } from 'date-fns';
 import { fr } from 'date-fns/locale';
 
 import apiClient from '../../services/api/apiClient';
 import scoringService from '../../services/scoring/scoringService';
+import syncService from '../../services/sync/syncService';
+import localDatabase from '../../services/database/localDatabase';
+import reviewService, { VERIFICATION_STATUS, getReviewReason } from '../../services/review/reviewService';
+import auditService, { getActionLabel, getFieldLabel } from '../../services/audit/auditService';
+import usePermission from '../../hooks/usePermission';
+import { PERMISSIONS } from '../../constants/permissionsConstants';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
+
+// Champs modifiables sur le terrain (envoyés en mise à jour différée)
+const EDITABLE_FIELDS = [
+  { key: 'phone', label: 'Téléphone' },
+  { key: 'email', label: 'Email' },
+  { key: 'province', label: 'Province' },
+  { key: 'city', label: 'Ville' },
+  { key: 'address', label: 'Adresse' },
+];
+
+// Entrées d'historique affichées avant « Tout afficher »
+const AUDIT_PREVIEW_COUNT = 5;
+
+function formatAuditValue(value) {
+  if (value === undefined || value === null || value === '') {
+    return '∅';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function describeAuditEntry(entry) {
+  const parts = [
+    entry.user?.name || 'Utilisateur inconnu',
+    entry.device?.model || entry.device?.id || 'Appareil inconnu',
+  ];
+  if (entry.location) {
+    parts.push(`${entry.location.latitude.toFixed(5)}, ${entry.location.longitude.toFixed(5)}`);
+  }
+  return parts.join(' · ');
+}
 
 export default function PersonDetailScreen({ route, navigation }) {
-  const { personId } = route.params || {};
+  const personId = route.params?.personId || route.params?.person?.id;
   const [person, setPerson] = useState(null);
   const [loading, setLoading] = useState(true);
   const [vulnerabilityScore, setVulnerabilityScore] = useState(null);
+  const [editValues, setEditValues] = useState(null);
+  const [auditTrail, setAuditTrail] = useState([]);
+  const [showFullTrail, setShowFullTrail] = useState(false);
+  const { can } = usePermission();
+  const canEdit = can(PERMISSIONS.ACTIONS.UPDATE_PERSON);
+  const canSurvey = can(PERMISSIONS.ACTIONS.CREATE_SURVEY);
 
   useEffect(() => {
     if (personId) {
@@ -43,13 +89,22 @@ export default function PersonDetailScreen({ route, navigation }) {
 
   const loadPersonDetails = async () => {
     try {
-      // Charger détails personne
-      const response = await apiClient.get(`/identity/persons/${personId}/`);
-      setPerson(response.data);
+      // Registre local d'abord (consultation hors ligne), puis version serveur
+      let record = await localDatabase.getRecord('persons', personId);
+      try {
+        const response = await apiClient.get(`/identity/persons/${personId}/`);
+        record = response.data;
+        await localDatabase.upsertRecords('persons', [record]);
+      } catch (error) {
+        if (!record) throw error;
+        console.log('Détails personne hors ligne:', error.message);
+      }
+      setPerson(record);
+      setAuditTrail(await auditService.getTrail(record));
 
-      // Calculer score vulnérabilité
-      const score = await scoringService.calculateVulnerabilityScore(response.data);
-      setVulnerabilityScore(score);
+      // Score serveur, sinon évaluation en cache ou calcul local (même modèle)
+      const result = await scoringService.calculateVulnerabilityScore(record);
+      setVulnerabilityScore(result.success ? result.assessment : null);
 
     } catch (error) {
       console.error('Erreur chargement personne:', error);
@@ -59,19 +114,46 @@ export default function PersonDetailScreen({ route, navigation }) {
     }
   };
 
-  const getVulnerabilityColor = (score) => {
-    if (score >= 80) return '#F44336'; // Rouge - Très vulnérable
-    if (score >= 60) return '#FF9800'; // Orange - Vulnérable  
-    if (score >= 40) return '#FFC107'; // Jaune - Modéré
-    return '#4CAF50'; // Vert - Faible vulnérabilité
+  const handleEdit = () => {
+    const values = {};
+    EDITABLE_FIELDS.forEach(({ key }) => { values[key] = person[key] || ''; });
+    setEditValues(values);
   };
 
-  const handleEdit = () => {
-    navigation.navigate('Enrollment', { 
-      mode: 'edit', 
-      personId: person.id,
-      personData: person 
+  const handleSaveEdit = async () => {
+    const changes = {};
+    EDITABLE_FIELDS.forEach(({ key }) => {
+      if (editValues[key] !== (person[key] || '')) {
+        changes[key] = editValues[key];
+      }
     });
+
+    setEditValues(null);
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+
+    try {
+      // Fiche renvoyée par le superviseur : corrigée, elle repart en vérification
+      const update = reviewService.withCorrectionStatus(person, changes);
+      const audit = [await auditService.build({
+        recordType: OFFLINE_CONFIG.AUDIT.RECORD_TYPES.PERSON,
+        action: OFFLINE_CONFIG.AUDIT.ACTIONS.UPDATE,
+        before: person,
+        after: update,
+      })];
+      // La mise à jour garde la version chargée pour détecter les conflits
+      await syncService.enqueueUpdate(person, update, {}, { audit });
+      await auditService.save(audit, { recordId: person.id });
+      const updated = { ...person, ...update };
+      await localDatabase.upsertRecords('persons', [updated]);
+      setPerson(updated);
+      setAuditTrail(await auditService.getTrail(updated));
+      Alert.alert('Modification enregistrée', 'Elle sera envoyée au serveur lors de la synchronisation.');
+    } catch (error) {
+      console.error('Erreur mise à jour personne:', error);
+      Alert.alert('Erreur', 'Impossible d\'enregistrer la modification');
+    }
   };
 
   if (loading) {
@@ -115,23 +197,40 @@ export default function PersonDetailScreen({ route, navigation }) {
                 icon="alert-circle"
                 style={[
                   styles.vulnerabilityChip,
-                  { backgroundColor: getVulnerabilityColor(vulnerabilityScore.total_score) }
+                  { backgroundColor: scoringService.getRiskLevelColor(vulnerabilityScore.risk_level) }
                 ]}
                 textStyle={{ color: '#fff' }}
               >
-                Vulnérabilité: {vulnerabilityScore.total_score}%
+                Vulnérabilité: {vulnerabilityScore.vulnerability_score}%
               </Chip>
             )}
           </View>
-          <IconButton
-            icon="pencil"
-            size={24}
-            onPress={handleEdit}
-            style={styles.editButton}
-          />
+          {canEdit && (
+            <IconButton
+              icon="pencil"
+              size={24}
+              onPress={handleEdit}
+              style={styles.editButton}
+            />
+          )}
         </Card.Content>
       </Card>
 
+      {/* Correction demandée par le superviseur */}
+      {person.verification_status === VERIFICATION_STATUS.REQUIRES_REVIEW && (
+        <Card style={[styles.sectionCard, styles.correctionCard]}>
+          <Card.Content>
+            <Title style={styles.correctionTitle}>Correction demandée</Title>
+            <Paragraph>{getReviewReason(person) || 'Le superviseur a renvoyé cette fiche.'}</Paragraph>
+            {canEdit && (
+              <Button mode="contained" icon="pencil" onPress={handleEdit} style={styles.correctionButton}>
+                Corriger la fiche
+              </Button>
+            )}
+          </Card.Content>
+        </Card>
+      )}
+
       {/* Informations personnelles */}
       <Card style={styles.sectionCard}>
         <Card.Content>
@@ -195,67 +294,122 @@ export default function PersonDetailScreen({ route, navigation }) {
           <Card.Content>
             <Title style={styles.sectionTitle}>Évaluation de vulnérabilité</Title>
             <View style={styles.scoreDetails}>
-              <View style={styles.scoreItem}>
-                <Text style={styles.scoreLabel}>Économique</Text>
-                <Chip style={styles.scoreChip}>
-                  {vulnerabilityScore.economic_score}%
-                </Chip>
-              </View>
-              <View style={styles.scoreItem}>
-                <Text style={styles.scoreLabel}>Social</Text>
-                <Chip style={styles.scoreChip}>
-                  {vulnerabilityScore.social_score}%
-                </Chip>
-              </View>
-              <View style={styles.scoreItem}>
-                <Text style={styles.scoreLabel}>Géographique</Text>
-                <Chip style={styles.scoreChip}>
-                  {vulnerabilityScore.geographic_score}%
-                </Chip>
-              </View>
-              <View style={styles.scoreItem}>
-                <Text style={styles.scoreLabel}>Santé</Text>
-                <Chip style={styles.scoreChip}>
-                  {vulnerabilityScore.health_score}%
-                </Chip>
-              </View>
-              <View style={styles.scoreItem}>
-                <Text style={styles.scoreLabel}>Éducation</Text>
-                <Chip style={styles.scoreChip}>
-                  {vulnerabilityScore.education_score}%
-                </Chip>
-              </View>
+              {Object.entries(vulnerabilityScore.dimension_scores || {}).map(([key, value]) => (
+                <View key={key} style={styles.scoreItem}>
+                  <Text style={styles.scoreLabel}>{scoringService.getDimensionLabel(key)}</Text>
+                  <Chip style={styles.scoreChip}>
+                    {value}%
+                  </Chip>
+                </View>
+              ))}
             </View>
+            <Paragraph style={styles.subtitle}>
+              Niveau : {scoringService.getRiskLevelLabel(vulnerabilityScore.risk_level)}
+              {vulnerabilityScore.model_version ? ` · modèle ${vulnerabilityScore.model_version}` : ''}
+              {vulnerabilityScore.calculated_offline ? ' · calcul hors ligne' : ''}
+            </Paragraph>
           </Card.Content>
         </Card>
       )}
 
-      {/* Actions */}
+      {/* Historique des modifications */}
       <Card style={styles.sectionCard}>
         <Card.Content>
-          <Title style={styles.sectionTitle}>Actions</Title>
-          <View style={styles.actionButtons}>
-            <Button
-              mode="contained"
-              onPress={handleEdit}
-              style={styles.actionButton}
-              icon="pencil"
-            >
-              Modifier
-            </Button>
-            <Button
-              mode="outlined"
-              onPress={() => navigation.navigate('Survey', { personId: person.id })}
-              style={styles.actionButton}
-              icon="assignment"
-            >
-              Nouvelle enquête
+          <Title style={styles.sectionTitle}>Historique des modifications</Title>
+          {auditTrail.length === 0 && (
+            <Paragraph style={styles.subtitle}>Aucune modification enregistrée</Paragraph>
+          )}
+          {(showFullTrail ? auditTrail : auditTrail.slice(0, AUDIT_PREVIEW_COUNT)).map((entry, index) => (
+            <View key={entry.id}>
+              {index > 0 && <Divider />}
+              <View style={styles.auditEntry}>
+                <View style={styles.auditHeader}>
+                  <Text style={styles.auditTitle}>
+                    {getActionLabel(entry.action)} · {format(new Date(entry.recorded_at), 'dd/MM/yyyy HH:mm', { locale: fr })}
+                  </Text>
+                  {!entry.synced && (
+                    <Chip compact icon="cloud-upload-outline" textStyle={styles.auditChipText}>
+                      À envoyer
+                    </Chip>
+                  )}
+                </View>
+                <Text style={styles.auditMeta}>{describeAuditEntry(entry)}</Text>
+                {(entry.changes || []).map(change => (
+                  <Text key={change.field} style={styles.auditChange}>
+                    {getFieldLabel(change.field)} : {formatAuditValue(change.before)} → {formatAuditValue(change.after)}
+                  </Text>
+                ))}
+              </View>
+            </View>
+          ))}
+          {auditTrail.length > AUDIT_PREVIEW_COUNT && (
+            <Button onPress={() => setShowFullTrail(!showFullTrail)}>
+              {showFullTrail ? 'Réduire' : `Tout afficher (${auditTrail.length})`}
             </Button>
-          </View>
+          )}
         </Card.Content>
       </Card>
 
+      {/* Actions (masquées en consultation seule) */}
+      {(canEdit || canSurvey) && (
+        <Card style={styles.sectionCard}>
+          <Card.Content>
+            <Title style={styles.sectionTitle}>Actions</Title>
+            <View style={styles.actionButtons}>
+              {canEdit && (
+                <Button
+                  mode="contained"
+                  onPress={handleEdit}
+                  style={styles.actionButton}
+                  icon="pencil"
+                >
+                  Modifier
+                </Button>
+              )}
+              {canSurvey && (
+                <Button
+                  mode="outlined"
+                  onPress={() => navigation.navigate('Survey', { personId: person.id })}
+                  style={styles.actionButton}
+                  icon="assignment"
+                >
+                  Nouvelle enquête
+                </Button>
+              )}
+            </View>
+          </Card.Content>
+        </Card>
+      )}
+
       <View style={styles.bottomPadding} />
+
+      <Portal>
+        <Modal
+          visible={!!editValues}
+          onDismiss={() => setEditValues(null)}
+          contentContainerStyle={styles.editModal}
+        >
+          <Title style={styles.sectionTitle}>Modifier</Title>
+          {editValues && EDITABLE_FIELDS.map(({ key, label }) => (
+            <TextInput
+              key={key}
+              label={label}
+              mode="outlined"
+              value={editValues[key]}
+              onChangeText={text => setEditValues({ ...editValues, [key]: text })}
+              style={styles.editInput}
+            />
+          ))}
+          <View style={styles.actionButtons}>
+            <Button mode="outlined" onPress={() => setEditValues(null)} style={styles.actionButton}>
+              Annuler
+            </Button>
+            <Button mode="contained" onPress={handleSaveEdit} style={styles.actionButton}>
+              Enregistrer
+            </Button>
+          </View>
+        </Modal>
+      </Portal>
     </ScrollView>
   );
 }
@@ -311,6 +465,17 @@ const styles = StyleSheet.create({
     marginBottom: 12,
     elevation: 2,
   },
+  correctionCard: {
+    backgroundColor: '#E3F2FD',
+  },
+  correctionTitle: {
+    fontSize: 16,
+    color: '#1565C0',
+  },
+  correctionButton: {
+    marginTop: 8,
+    alignSelf: 'flex-start',
+  },
   sectionTitle: {
     fontSize: 18,
     marginBottom: 8,
@@ -335,6 +500,28 @@ const styles = StyleSheet.create({
   scoreChip: {
     backgroundColor: '#E8F5E8',
   },
+  auditEntry: {
+    paddingVertical: 8,
+  },
+  auditHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  auditTitle: {
+    fontWeight: 'bold',
+  },
+  auditChipText: {
+    fontSize: 11,
+  },
+  auditMeta: {
+    fontSize: 12,
+    color: '#666',
+    marginVertical: 2,
+  },
+  auditChange: {
+    fontSize: 13,
+  },
   actionButtons: {
     flexDirection: 'row',
     gap: 12,
@@ -345,4 +532,13 @@ const styles = StyleSheet.create({
   bottomPadding: {
     height: 20,
   },
+  editModal: {
+    backgroundColor: '#fff',
+    margin: 20,
+    padding: 20,
+    borderRadius: 8,
+  },
+  editInput: {
+    marginBottom: 8,
+  },
 });
\ No newline at end of file
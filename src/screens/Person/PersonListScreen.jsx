@@ -7,7 +7,6 @@ import {
   View,
   FlatList,
   StyleSheet,
-  Alert,
 } from 'react-native';
 import {
   Card,
@@ -24,17 +23,21 @@ import {
 } from 'react-native-paper';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 
-import apiClient from '../../services/api/apiClient';
+import localDatabase from '../../services/database/localDatabase';
+import pullService from '../../services/sync/pullService';
 import { GABON_PROVINCES } from '../../constants/gabonData';
+import { PERMISSIONS } from '../../constants/permissionsConstants';
+import usePermission from '../../hooks/usePermission';
 
 export default function PersonListScreen({ navigation }) {
-  const [persons, setPersons] = useState([]);
   const [filteredPersons, setFilteredPersons] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedProvince, setSelectedProvince] = useState('');
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [menuVisible, setMenuVisible] = useState(false);
+  const { can } = usePermission();
+  const canEnroll = can(PERMISSIONS.ACTIONS.CREATE_PERSON);
 
   useEffect(() => {
     loadPersons();
@@ -42,41 +45,27 @@ export default function PersonListScreen({ navigation }) {
 
   useEffect(() => {
     filterPersons();
-  }, [searchQuery, selectedProvince, persons]);
+  }, [searchQuery, selectedProvince]);
 
   const loadPersons = async () => {
-    try {
-      const response = await apiClient.get('/identity/persons/');
-      setPersons(response.data.results || []);
-    } catch (error) {
-      console.error('Erreur chargement personnes:', error);
-      Alert.alert('Erreur', 'Impossible de charger la liste des personnes');
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
+    // Changements de la zone depuis la dernière synchro (sans effet hors ligne)
+    await pullService.pull();
+    await filterPersons();
+    setLoading(false);
+    setRefreshing(false);
   };
 
-  const filterPersons = () => {
-    let filtered = persons;
-
-    // Filtre par recherche
-    if (searchQuery) {
-      const query = searchQuery.toLowerCase();
-      filtered = filtered.filter(person =>
-        person.first_name.toLowerCase().includes(query) ||
-        person.last_name.toLowerCase().includes(query) ||
-        person.nip.includes(query) ||
-        person.phone.includes(query)
-      );
-    }
-
-    // Filtre par province
-    if (selectedProvince) {
-      filtered = filtered.filter(person => person.province === selectedProvince);
+  const filterPersons = async () => {
+    try {
+      // Recherche (nom, NIP, téléphone) et province via les index locaux
+      const filtered = await localDatabase.queryPersons({
+        search: searchQuery,
+        province: selectedProvince,
+      });
+      setFilteredPersons(filtered);
+    } catch (error) {
+      console.error('Erreur recherche personnes:', error);
     }
-
-    setFilteredPersons(filtered);
   };
 
   const handleRefresh = () => {
@@ -201,7 +190,7 @@ export default function PersonListScreen({ navigation }) {
             <Paragraph style={styles.emptyText}>
               {loading ? 'Chargement...' : 'Aucune personne trouvée'}
             </Paragraph>
-            {!loading && (
+            {!loading && canEnroll && (
               <Button
                 mode="outlined"
                 onPress={() => navigation.navigate('Enrollment')}
@@ -216,12 +205,14 @@ export default function PersonListScreen({ navigation }) {
       />
 
       {/* Bouton flottant nouvelle inscription */}
-      <FAB
-        icon="plus"
-        style={styles.fab}
-        onPress={() => navigation.navigate('Enrollment')}
-        label="Nouvelle inscription"
-      />
+      {canEnroll && (
+        <FAB
+          icon="plus"
+          style={styles.fab}
+          onPress={() => navigation.navigate('Enrollment')}
+          label="Nouvelle inscription"
+        />
+      )}
     </View>
   );
 }
@@ -22,15 +22,36 @@ import {
   Switch,
   Chip,
   IconButton,
+  SegmentedButtons,
 } from 'react-native-paper';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import storageService from '../../services/storage/storageService';
 import * as Location from 'expo-location';
 import { format } from 'date-fns';
 import { fr } from 'date-fns/locale';
 
 import authService from '../../services/auth/authService';
 import syncService from '../../services/sync/syncService';
+import localDatabase from '../../services/database/localDatabase';
+import { unregisterBackgroundSync } from '../../services/sync/backgroundSync';
 import apiClient from '../../services/api/apiClient';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
+
+const { OPERATION_TYPES, NETWORK_RULES } = OFFLINE_CONFIG;
+
+// Types réglables dans la politique réseau
+const POLICY_TYPES = [
+  { type: OPERATION_TYPES.ENROLLMENT, label: 'Inscriptions' },
+  { type: OPERATION_TYPES.SURVEY, label: 'Enquêtes' },
+  { type: OPERATION_TYPES.UPDATE_PERSON, label: 'Modifications' },
+  { type: OPERATION_TYPES.CREATE_HOUSEHOLD, label: 'Ménages' },
+  { type: OPERATION_TYPES.UPLOAD_DOCUMENT, label: 'Documents photo' },
+];
+
+const RULE_BUTTONS = [
+  { value: NETWORK_RULES.ANY, label: 'Tout réseau' },
+  { value: NETWORK_RULES.CELLULAR_BUDGET, label: 'Budget' },
+  { value: NETWORK_RULES.WIFI_ONLY, label: 'Wi-Fi' },
+];
 
 export default function ProfileScreen({ navigation }) {
   const [user, setUser] = useState(null);
@@ -45,6 +66,9 @@ export default function ProfileScreen({ navigation }) {
     gpsTracking: true,
     offlineMode: false,
   });
+  const [syncPolicy, setSyncPolicy] = useState(null);
+  const [budgetInput, setBudgetInput] = useState('');
+  const [cellularUsage, setCellularUsage] = useState(null);
   const [loading, setLoading] = useState(true);
   const [editing, setEditing] = useState(false);
   const [editData, setEditData] = useState({});
@@ -96,18 +120,48 @@ export default function ProfileScreen({ navigation }) {
 
   const loadSettings = async () => {
     try {
-      const savedSettings = await AsyncStorage.getItem('user_settings');
+      const savedSettings = await storageService.getItem('user_settings');
       if (savedSettings) {
         setSettings(JSON.parse(savedSettings));
       }
+
+      const policy = await syncService.getSyncPolicy();
+      setSyncPolicy(policy);
+      setBudgetInput(String(policy.cellularBudgetMB));
+      setCellularUsage(syncService.getCellularUsage());
     } catch (error) {
       console.error('Erreur chargement paramètres:', error);
     }
   };
 
+  const handleRuleChange = async (type, rule) => {
+    try {
+      setSyncPolicy(await syncService.setSyncPolicy({ rules: { [type]: rule } }));
+    } catch (error) {
+      console.error('Erreur politique réseau:', error);
+    }
+  };
+
+  const handleBudgetSave = async () => {
+    const budget = parseInt(budgetInput, 10);
+    if (isNaN(budget) || budget < 0) {
+      setBudgetInput(String(syncPolicy.cellularBudgetMB));
+      return;
+    }
+
+    try {
+      setSyncPolicy(await syncService.setSyncPolicy({ cellularBudgetMB: budget }));
+      setCellularUsage(syncService.getCellularUsage());
+    } catch (error) {
+      console.error('Erreur budget données mobiles:', error);
+    }
+  };
+
+  const formatMB = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+
   const saveSettings = async (newSettings) => {
     try {
-      await AsyncStorage.setItem('user_settings', JSON.stringify(newSettings));
+      await storageService.setItem('user_settings', JSON.stringify(newSettings));
       setSettings(newSettings);
       
       // Appliquer les paramètres
@@ -168,6 +222,7 @@ export default function ProfileScreen({ navigation }) {
           style: 'destructive',
           onPress: async () => {
             try {
+              await unregisterBackgroundSync();
               await authService.logout();
               // L'app sera automatiquement redirigée vers login
             } catch (error) {
@@ -191,6 +246,7 @@ export default function ProfileScreen({ navigation }) {
           onPress: async () => {
             try {
               await syncService.clearData();
+              await localDatabase.clearRegistry();
               await loadUserStats();
               Alert.alert('Succès', 'Cache vidé avec succès');
             } catch (error) {
@@ -387,6 +443,46 @@ export default function ProfileScreen({ navigation }) {
         </Card.Content>
       </Card>
 
+      {/* Politique réseau */}
+      {syncPolicy && (
+        <Card style={styles.settingsCard}>
+          <Card.Content>
+            <Title style={styles.sectionTitle}>Données mobiles</Title>
+            <Paragraph style={styles.policyHint}>
+              Réseau autorisé pour l'envoi de chaque type de données.
+              « Budget » : Wi-Fi, ou réseau mobile dans la limite du budget mensuel.
+            </Paragraph>
+
+            {POLICY_TYPES.map(({ type, label }) => (
+              <View key={type} style={styles.policyRow}>
+                <Paragraph style={styles.policyLabel}>{label}</Paragraph>
+                <SegmentedButtons
+                  value={syncPolicy.rules[type]}
+                  onValueChange={(rule) => handleRuleChange(type, rule)}
+                  buttons={RULE_BUTTONS}
+                  density="small"
+                />
+              </View>
+            ))}
+
+            <TextInput
+              mode="outlined"
+              label="Budget mobile mensuel (Mo)"
+              value={budgetInput}
+              onChangeText={setBudgetInput}
+              onBlur={handleBudgetSave}
+              keyboardType="numeric"
+              style={styles.budgetInput}
+            />
+            {cellularUsage && (
+              <Paragraph style={styles.policyHint}>
+                Consommé ce mois : {formatMB(cellularUsage.bytes)} / {formatMB(cellularUsage.budgetBytes)} Mo
+              </Paragraph>
+            )}
+          </Card.Content>
+        </Card>
+      )}
+
       {/* Actions système */}
       <Card style={styles.actionsCard}>
         <Card.Content>
@@ -558,6 +654,22 @@ const styles = StyleSheet.create({
     marginBottom: 12,
     elevation: 2,
   },
+  policyHint: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 8,
+  },
+  policyRow: {
+    marginBottom: 12,
+  },
+  policyLabel: {
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  budgetInput: {
+    marginTop: 4,
+    marginBottom: 8,
+  },
   actionsCard: {
     marginHorizontal: 16,
     marginBottom: 12,
@@ -0,0 +1,421 @@
+// =============================================================================
+// RSU GABON - VÉRIFICATION D'UNE SAISIE
+// Fichier: src/screens/Review/ReviewDetailScreen.jsx
+// =============================================================================
+//
+// La fiche saisie à côté des preuves (photos, point GPS), puis la décision :
+// valider, renvoyer à l'enquêteur pour correction, ou rejeter (avec motif).
+// Sur petit écran, les deux colonnes s'empilent.
+// =============================================================================
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  ScrollView,
+  StyleSheet,
+  Alert,
+  Image,
+  useWindowDimensions,
+} from 'react-native';
+import {
+  Card,
+  Title,
+  Paragraph,
+  Button,
+  Chip,
+  List,
+  Divider,
+  Text,
+  Portal,
+  Modal,
+  TextInput,
+  HelperText,
+} from 'react-native-paper';
+import MapView, { Marker } from 'react-native-maps';
+import { format } from 'date-fns';
+import { fr } from 'date-fns/locale';
+
+import reviewService, {
+  VERIFICATION_STATUS,
+  VERIFICATION_COLORS,
+  getVerificationLabel,
+  getReviewReason,
+} from '../../services/review/reviewService';
+
+// Largeur à partir de laquelle fiche et preuves sont côte à côte
+const SIDE_BY_SIDE_MIN_WIDTH = 600;
+
+const RECORD_FIELDS = [
+  { key: 'nip', label: 'NIP', icon: 'card-account-details' },
+  { key: 'birth_date', label: 'Date de naissance', icon: 'calendar', date: true },
+  { key: 'gender', label: 'Genre', icon: 'account' },
+  { key: 'phone', label: 'Téléphone', icon: 'phone' },
+  { key: 'province', label: 'Province', icon: 'map' },
+  { key: 'city', label: 'Ville', icon: 'city' },
+  { key: 'address', label: 'Adresse', icon: 'home' },
+];
+
+const DECISIONS = {
+  [VERIFICATION_STATUS.REQUIRES_REVIEW]: {
+    title: 'Renvoyer pour correction',
+    hint: 'L\'enquêteur verra ce motif dans ses tâches à corriger.',
+  },
+  [VERIFICATION_STATUS.REJECTED]: {
+    title: 'Rejeter la saisie',
+    hint: 'Le motif sera conservé avec la fiche.',
+  },
+};
+
+function formatValue(field, value) {
+  if (value === undefined || value === null || value === '') {
+    return 'Non renseigné';
+  }
+  if (field.date) {
+    return format(new Date(value), 'dd MMMM yyyy', { locale: fr });
+  }
+  return String(value);
+}
+
+export default function ReviewDetailScreen({ route, navigation }) {
+  const { personId } = route.params;
+  const { width } = useWindowDimensions();
+  const [submission, setSubmission] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [decision, setDecision] = useState(null);
+  const [reason, setReason] = useState('');
+  const [reasonError, setReasonError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const sideBySide = width >= SIDE_BY_SIDE_MIN_WIDTH;
+
+  useEffect(() => {
+    loadSubmission();
+  }, [personId]);
+
+  const loadSubmission = async () => {
+    try {
+      setSubmission(await reviewService.getSubmission(personId));
+    } catch (error) {
+      console.error('Erreur chargement saisie:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitDecision = async (status, decisionReason) => {
+    try {
+      setSaving(true);
+      await reviewService.decide(submission.person, status, decisionReason);
+      setDecision(null);
+      Alert.alert(
+        getVerificationLabel(status),
+        'Décision enregistrée. Elle sera envoyée au serveur lors de la synchronisation.',
+        [{ text: 'OK', onPress: () => navigation.goBack() }]
+      );
+    } catch (error) {
+      if (decision) {
+        setReasonError(error.message);
+      } else {
+        Alert.alert('Erreur', error.message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openDecision = (status) => {
+    setReason('');
+    setReasonError(null);
+    setDecision(status);
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <Text>Chargement de la saisie...</Text>
+      </View>
+    );
+  }
+
+  if (!submission) {
+    return (
+      <View style={styles.centered}>
+        <Text>Saisie introuvable dans le registre local</Text>
+        <Button onPress={() => navigation.goBack()}>Retour</Button>
+      </View>
+    );
+  }
+
+  const { person, surveys, photos, photosOffline } = submission;
+  const latitude = parseFloat(person.latitude);
+  const longitude = parseFloat(person.longitude);
+  const hasLocation = !Number.isNaN(latitude) && !Number.isNaN(longitude);
+
+  return (
+    <ScrollView style={styles.container}>
+      <Card style={styles.headerCard}>
+        <Card.Content>
+          <Title>{person.first_name} {person.last_name}</Title>
+          <View style={styles.headerRow}>
+            <Chip
+              style={{ backgroundColor: VERIFICATION_COLORS[person.verification_status] || '#9E9E9E' }}
+              textStyle={styles.statusText}
+            >
+              {getVerificationLabel(person.verification_status)}
+            </Chip>
+            {person.updated_at && (
+              <Paragraph style={styles.muted}>
+                Saisie du {format(new Date(person.updated_at), 'dd/MM/yyyy HH:mm', { locale: fr })}
+              </Paragraph>
+            )}
+          </View>
+          {getReviewReason(person) && (
+            <Paragraph style={styles.reason}>Dernier motif : {getReviewReason(person)}</Paragraph>
+          )}
+        </Card.Content>
+      </Card>
+
+      <View style={sideBySide ? styles.columns : null}>
+        {/* Fiche saisie */}
+        <Card style={[styles.sectionCard, sideBySide && styles.column]}>
+          <Card.Content>
+            <Title style={styles.sectionTitle}>Fiche saisie</Title>
+            {RECORD_FIELDS.map((field, index) => (
+              <View key={field.key}>
+                {index > 0 && <Divider />}
+                <List.Item
+                  title={field.label}
+                  description={formatValue(field, person[field.key])}
+                  left={props => <List.Icon {...props} icon={field.icon} />}
+                />
+              </View>
+            ))}
+            <Divider />
+            <List.Item
+              title="Enquêtes"
+              description={`${surveys.length} enquête(s) rattachée(s)`}
+              left={props => <List.Icon {...props} icon="clipboard-text" />}
+            />
+          </Card.Content>
+        </Card>
+
+        {/* Preuves : photos et position */}
+        <View style={sideBySide && styles.column}>
+          <Card style={[styles.sectionCard, sideBySide && styles.columnCard]}>
+            <Card.Content>
+              <Title style={styles.sectionTitle}>Photos</Title>
+              {photosOffline && (
+                <Paragraph style={styles.muted}>
+                  Hors ligne : {photos.length} document(s) connu(s), images visibles une fois connecté.
+                </Paragraph>
+              )}
+              {!photosOffline && photos.length === 0 && (
+                <Paragraph style={styles.muted}>Aucune photo jointe</Paragraph>
+              )}
+              {!photosOffline && (
+                <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                  {photos.map(photo => (
+                    <View key={photo.id} style={styles.photo}>
+                      <Image source={{ uri: photo.uri }} style={styles.photoImage} />
+                      <Text style={styles.photoLabel}>{photo.document_type || 'Document'}</Text>
+                    </View>
+                  ))}
+                </ScrollView>
+              )}
+            </Card.Content>
+          </Card>
+
+          <Card style={[styles.sectionCard, sideBySide && styles.columnCard]}>
+            <Card.Content>
+              <Title style={styles.sectionTitle}>Position GPS</Title>
+              {hasLocation ? (
+                <>
+                  <MapView
+                    style={styles.map}
+                    liteMode
+                    initialRegion={{ latitude, longitude, latitudeDelta: 0.01, longitudeDelta: 0.01 }}
+                    scrollEnabled={false}
+                    zoomEnabled={false}
+                  >
+                    <Marker coordinate={{ latitude, longitude }} />
+                  </MapView>
+                  <Paragraph style={styles.muted}>
+                    {latitude.toFixed(6)}, {longitude.toFixed(6)}
+                    {person.gps_accuracy ? ` (± ${Math.round(person.gps_accuracy)} m)` : ''}
+                  </Paragraph>
+                </>
+              ) : (
+                <Paragraph style={styles.muted}>Aucune position enregistrée</Paragraph>
+              )}
+            </Card.Content>
+          </Card>
+        </View>
+      </View>
+
+      {/* Décision */}
+      <Card style={styles.sectionCard}>
+        <Card.Content>
+          <Title style={styles.sectionTitle}>Décision</Title>
+          <Button
+            mode="contained"
+            icon="check-decagram"
+            onPress={() => submitDecision(VERIFICATION_STATUS.VERIFIED)}
+            loading={saving && !decision}
+            disabled={saving}
+            style={styles.decisionButton}
+          >
+            Valider
+          </Button>
+          <Button
+            mode="outlined"
+            icon="undo-variant"
+            onPress={() => openDecision(VERIFICATION_STATUS.REQUIRES_REVIEW)}
+            disabled={saving}
+            style={styles.decisionButton}
+          >
+            Renvoyer pour correction
+          </Button>
+          <Button
+            mode="outlined"
+            icon="close-octagon"
+            onPress={() => openDecision(VERIFICATION_STATUS.REJECTED)}
+            disabled={saving}
+            textColor="#D32F2F"
+            style={styles.decisionButton}
+          >
+            Rejeter
+          </Button>
+        </Card.Content>
+      </Card>
+
+      <View style={styles.bottomPadding} />
+
+      <Portal>
+        <Modal
+          visible={!!decision}
+          onDismiss={() => setDecision(null)}
+          contentContainerStyle={styles.modal}
+        >
+          <Title>{DECISIONS[decision]?.title}</Title>
+          <Paragraph style={styles.muted}>{DECISIONS[decision]?.hint}</Paragraph>
+          <TextInput
+            mode="outlined"
+            label="Motif"
+            value={reason}
+            onChangeText={text => { setReason(text); setReasonError(null); }}
+            multiline
+            numberOfLines={3}
+            autoFocus
+          />
+          <HelperText type="error" visible={!!reasonError}>
+            {reasonError}
+          </HelperText>
+          <View style={styles.modalActions}>
+            <Button onPress={() => setDecision(null)}>Annuler</Button>
+            <Button
+              mode="contained"
+              onPress={() => submitDecision(decision, reason)}
+              loading={saving}
+              disabled={saving}
+            >
+              Confirmer
+            </Button>
+          </View>
+        </Modal>
+      </Portal>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  headerCard: {
+    margin: 16,
+    elevation: 4,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginTop: 4,
+  },
+  statusText: {
+    color: '#fff',
+  },
+  reason: {
+    marginTop: 8,
+    color: '#1976D2',
+    fontStyle: 'italic',
+  },
+  columns: {
+    flexDirection: 'row',
+    paddingHorizontal: 8,
+  },
+  column: {
+    flex: 1,
+    marginHorizontal: 8,
+  },
+  columnCard: {
+    marginHorizontal: 0,
+  },
+  sectionCard: {
+    marginHorizontal: 16,
+    marginBottom: 12,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    marginBottom: 8,
+    color: '#2E7D32',
+  },
+  muted: {
+    color: '#666',
+    fontSize: 12,
+  },
+  photo: {
+    marginRight: 8,
+    alignItems: 'center',
+  },
+  photoImage: {
+    width: 140,
+    height: 100,
+    borderRadius: 4,
+    backgroundColor: '#eee',
+  },
+  photoLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
+  map: {
+    height: 180,
+    borderRadius: 4,
+    marginBottom: 8,
+  },
+  decisionButton: {
+    marginBottom: 8,
+  },
+  bottomPadding: {
+    height: 20,
+  },
+  modal: {
+    backgroundColor: '#fff',
+    margin: 20,
+    padding: 20,
+    borderRadius: 8,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 8,
+  },
+});
@@ -0,0 +1,214 @@
+// =============================================================================
+// RSU GABON - FILE DE VÉRIFICATION DU SUPERVISEUR
+// Fichier: src/screens/Review/ReviewQueueScreen.jsx
+// =============================================================================
+//
+// Saisies des enquêteurs de la zone, par statut de vérification. Les fiches
+// viennent du registre local : la liste reste consultable hors ligne, le
+// rafraîchissement télécharge les dernières saisies.
+// =============================================================================
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  FlatList,
+  StyleSheet,
+  RefreshControl,
+} from 'react-native';
+import {
+  Card,
+  Title,
+  Paragraph,
+  Chip,
+  Avatar,
+  Searchbar,
+  Text,
+} from 'react-native-paper';
+import { format } from 'date-fns';
+import { fr } from 'date-fns/locale';
+
+import reviewService, {
+  VERIFICATION_STATUS,
+  VERIFICATION_COLORS,
+  getVerificationLabel,
+  getReviewReason,
+} from '../../services/review/reviewService';
+import pullService from '../../services/sync/pullService';
+
+const STATUS_FILTERS = [
+  VERIFICATION_STATUS.PENDING,
+  VERIFICATION_STATUS.REQUIRES_REVIEW,
+  VERIFICATION_STATUS.REJECTED,
+  VERIFICATION_STATUS.VERIFIED,
+];
+
+export default function ReviewQueueScreen({ navigation }) {
+  const [submissions, setSubmissions] = useState([]);
+  const [status, setStatus] = useState(VERIFICATION_STATUS.PENDING);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  useEffect(() => {
+    loadSubmissions();
+  }, [status, search]);
+
+  useEffect(() => {
+    // Décision prise sur la fiche : la liste change au retour
+    const unsubscribeFocus = navigation.addListener('focus', loadSubmissions);
+    return unsubscribeFocus;
+  }, [navigation, status, search]);
+
+  const loadSubmissions = async () => {
+    try {
+      setSubmissions(await reviewService.getReviewQueue({ status, search }));
+    } catch (error) {
+      console.error('Erreur chargement vérifications:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    try {
+      await pullService.pull();
+    } catch (error) {
+      console.log('📴 Téléchargement impossible, liste locale:', error.message);
+    }
+    await loadSubmissions();
+    setRefreshing(false);
+  };
+
+  const renderSubmission = ({ item: person }) => (
+    <Card
+      style={styles.card}
+      onPress={() => navigation.navigate('ReviewDetail', { personId: person.id })}
+    >
+      <Card.Content style={styles.cardContent}>
+        <Avatar.Text
+          size={44}
+          label={`${person.first_name?.[0] || ''}${person.last_name?.[0] || ''}`}
+          style={{ backgroundColor: VERIFICATION_COLORS[person.verification_status] || '#9E9E9E' }}
+        />
+        <View style={styles.info}>
+          <Title style={styles.name}>{person.first_name} {person.last_name}</Title>
+          <Paragraph style={styles.details}>
+            NIP: {person.nip || 'Non renseigné'} · {person.province || 'Province inconnue'}
+          </Paragraph>
+          {person.updated_at && (
+            <Paragraph style={styles.details}>
+              Saisie du {format(new Date(person.updated_at), 'dd/MM/yyyy HH:mm', { locale: fr })}
+            </Paragraph>
+          )}
+          {getReviewReason(person) && (
+            <Paragraph style={styles.reason} numberOfLines={2}>
+              Motif : {getReviewReason(person)}
+            </Paragraph>
+          )}
+        </View>
+      </Card.Content>
+    </Card>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.filters}>
+        <View style={styles.statusRow}>
+          {STATUS_FILTERS.map(value => (
+            <Chip
+              key={value}
+              selected={status === value}
+              onPress={() => setStatus(value)}
+              compact
+            >
+              {getVerificationLabel(value)}
+            </Chip>
+          ))}
+        </View>
+        <Searchbar
+          placeholder="Nom, NIP ou téléphone"
+          value={search}
+          onChangeText={setSearch}
+          style={styles.search}
+        />
+      </View>
+
+      <FlatList
+        data={submissions}
+        renderItem={renderSubmission}
+        keyExtractor={item => String(item.id)}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={
+          <View style={styles.empty}>
+            <Avatar.Icon size={64} icon="clipboard-check-outline" style={styles.emptyIcon} />
+            <Text style={styles.emptyText}>
+              {loading ? 'Chargement...' : 'Aucune saisie dans cette catégorie'}
+            </Text>
+          </View>
+        }
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  filters: {
+    padding: 12,
+    backgroundColor: '#fff',
+    elevation: 2,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 8,
+  },
+  search: {
+    elevation: 0,
+    backgroundColor: '#f5f5f5',
+  },
+  list: {
+    padding: 12,
+  },
+  card: {
+    marginBottom: 8,
+    elevation: 2,
+  },
+  cardContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  info: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  name: {
+    fontSize: 16,
+  },
+  details: {
+    fontSize: 12,
+    color: '#666',
+  },
+  reason: {
+    fontSize: 12,
+    color: '#1976D2',
+    fontStyle: 'italic',
+  },
+  empty: {
+    alignItems: 'center',
+    paddingTop: 48,
+  },
+  emptyIcon: {
+    backgroundColor: '#BDBDBD',
+  },
+  emptyText: {
+    marginTop: 12,
+    color: '#666',
+  },
+});
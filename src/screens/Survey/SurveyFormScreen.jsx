@@ -23,8 +23,12 @@ import {
   Divider,
 } from 'react-native-paper';
 
+import { v4 as uuidv4 } from 'uuid';
+
 import apiClient from '../../services/api/apiClient';
+import syncService from '../../services/sync/syncService';
 import validationService from '../../services/validation/validationService';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
 
 const SURVEY_TEMPLATES = {
   vulnerability_assessment: {
@@ -107,6 +111,11 @@ export default function SurveyFormScreen({ route, navigation }) {
   }, [personId]);
 
   const loadPersonData = async () => {
+    // Personne inscrite hors ligne : pas encore connue du serveur
+    if (syncService.isLocalId(personId)) {
+      return;
+    }
+
     try {
       const response = await apiClient.get(`/identity/persons/${personId}/`);
       setPerson(response.data);
@@ -162,11 +171,39 @@ export default function SurveyFormScreen({ route, navigation }) {
         completed_at: new Date().toISOString(),
       };
 
-      await apiClient.post('/surveys/responses/', surveyData);
+      // Clé partagée entre l'envoi direct et la queue (pas de doublon)
+      const idempotencyKey = uuidv4();
+      const resolvedPersonId = await syncService.resolveId(personId);
+
+      let savedOffline = false;
+      if (resolvedPersonId) {
+        try {
+          await apiClient.post('/surveys/responses/', { ...surveyData, person_id: resolvedPersonId }, {
+            headers: syncService.idempotencyHeaders(idempotencyKey),
+          });
+        } catch (apiError) {
+          console.log('Sauvegarde offline de l\'enquête');
+          savedOffline = true;
+        }
+      } else {
+        // Inscription encore en queue : l'enquête attendra sa synchronisation
+        savedOffline = true;
+      }
+
+      if (savedOffline) {
+        await syncService.enqueue(
+          OFFLINE_CONFIG.OPERATION_TYPES.SURVEY,
+          surveyData,
+          { description: template.title },
+          { idempotencyKey }
+        );
+      }
       
       Alert.alert(
         'Enquête terminée',
-        'L\'enquête a été sauvegardée avec succès',
+        savedOffline
+          ? 'L\'enquête sera synchronisée dès que possible'
+          : 'L\'enquête a été sauvegardée avec succès',
         [{ text: 'OK', onPress: () => navigation.goBack() }]
       );
 
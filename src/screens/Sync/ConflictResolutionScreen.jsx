@@ -0,0 +1,228 @@
+// =============================================================================
+// ConflictResolutionScreen.jsx - Fusion d'une mise à jour en conflit
+// =============================================================================
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  ScrollView,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import {
+  Card,
+  Title,
+  Paragraph,
+  Button,
+  RadioButton,
+  Divider,
+  Text,
+} from 'react-native-paper';
+import { format } from 'date-fns';
+import { fr } from 'date-fns/locale';
+
+import syncService from '../../services/sync/syncService';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
+
+const { QUEUE_STATUS } = OFFLINE_CONFIG;
+
+const FIELD_LABELS = {
+  first_name: 'Prénom',
+  last_name: 'Nom',
+  nip: 'NIP',
+  birth_date: 'Date de naissance',
+  gender: 'Genre',
+  phone: 'Téléphone',
+  email: 'Email',
+  province: 'Province',
+  district: 'District',
+  village: 'Village',
+  city: 'Ville',
+  address: 'Adresse',
+  education_level: 'Niveau d\'éducation',
+  occupation_status: 'Activité',
+  monthly_income: 'Revenu mensuel',
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return 'Non renseigné';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+export default function ConflictResolutionScreen({ route, navigation }) {
+  const { itemId } = route.params || {};
+  const [item, setItem] = useState(null);
+  const [choices, setChoices] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadConflict();
+  }, [itemId]);
+
+  const loadConflict = async () => {
+    try {
+      const queue = await syncService.getQueue();
+      const conflictItem = queue.find(q => q.id === itemId && q.status === QUEUE_STATUS.CONFLICT);
+      setItem(conflictItem || null);
+
+      // Par défaut, conserver la saisie terrain
+      const initialChoices = {};
+      conflictItem?.conflict.fields.forEach(({ field }) => { initialChoices[field] = 'local'; });
+      setChoices(initialChoices);
+    } catch (error) {
+      console.error('Erreur chargement conflit:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResolve = async () => {
+    const resolvedValues = {};
+    item.conflict.fields.forEach(({ field, local, server }) => {
+      resolvedValues[field] = choices[field] === 'server' ? server : local;
+    });
+
+    setSaving(true);
+    try {
+      const resolved = await syncService.resolveConflict(item.id, resolvedValues);
+      if (!resolved) {
+        Alert.alert('Erreur', 'Ce conflit n\'est plus en attente');
+      }
+      navigation.goBack();
+    } catch (error) {
+      console.error('Erreur résolution conflit:', error);
+      Alert.alert('Erreur', 'Impossible d\'enregistrer la fusion');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centerContainer}>
+        <Text>Chargement du conflit...</Text>
+      </View>
+    );
+  }
+
+  if (!item) {
+    return (
+      <View style={styles.centerContainer}>
+        <Text>Aucun conflit à résoudre</Text>
+        <Button onPress={() => navigation.goBack()}>
+          Retour
+        </Button>
+      </View>
+    );
+  }
+
+  const { conflict } = item;
+
+  return (
+    <ScrollView style={styles.container}>
+      <Card style={styles.headerCard}>
+        <Card.Content>
+          <Title style={styles.headerTitle}>
+            {item.metadata?.description || `Personne ${item.data.id}`}
+          </Title>
+          <Paragraph style={styles.headerText}>
+            Ces champs ont été modifiés sur le serveur depuis votre saisie.
+            Choisissez la valeur à conserver pour chacun.
+          </Paragraph>
+          {conflict.server.updated_at && (
+            <Paragraph style={styles.headerDate}>
+              Modifié sur le serveur le {format(new Date(conflict.server.updated_at), 'dd/MM/yyyy HH:mm', { locale: fr })}
+            </Paragraph>
+          )}
+        </Card.Content>
+      </Card>
+
+      {conflict.fields.map(({ field, base, local, server }) => (
+        <Card key={field} style={styles.fieldCard}>
+          <Card.Content>
+            <Title style={styles.fieldTitle}>{FIELD_LABELS[field] || field}</Title>
+            <Paragraph style={styles.baseValue}>
+              Valeur d'origine : {formatValue(base)}
+            </Paragraph>
+            <Divider style={styles.divider} />
+            <RadioButton.Group
+              value={choices[field]}
+              onValueChange={value => setChoices({ ...choices, [field]: value })}
+            >
+              <RadioButton.Item
+                label={`Ma saisie : ${formatValue(local)}`}
+                value="local"
+              />
+              <RadioButton.Item
+                label={`Serveur : ${formatValue(server)}`}
+                value="server"
+              />
+            </RadioButton.Group>
+          </Card.Content>
+        </Card>
+      ))}
+
+      <View style={styles.actions}>
+        <Button
+          mode="contained"
+          icon="call-merge"
+          onPress={handleResolve}
+          loading={saving}
+          disabled={saving}
+        >
+          Fusionner et renvoyer
+        </Button>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  headerCard: {
+    margin: 16,
+    elevation: 4,
+  },
+  headerTitle: {
+    fontSize: 20,
+    color: '#2E7D32',
+    marginBottom: 8,
+  },
+  headerText: {
+    color: '#666',
+  },
+  headerDate: {
+    color: '#888',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  fieldCard: {
+    marginHorizontal: 16,
+    marginBottom: 12,
+    elevation: 2,
+  },
+  fieldTitle: {
+    fontSize: 16,
+  },
+  baseValue: {
+    color: '#888',
+    fontSize: 12,
+  },
+  divider: {
+    marginVertical: 8,
+  },
+  actions: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+});
@@ -9,6 +9,7 @@ import {
   StyleSheet,
   Alert,
   RefreshControl,
+  Share,
 } from 'react-native';
 import {
   Card,
@@ -22,19 +23,75 @@ import {
   ProgressBar,
   Text,
   IconButton,
+  Portal,
+  Modal,
+  TextInput,
+  Searchbar,
+  Checkbox,
 } from 'react-native-paper';
 import NetInfo from '@react-native-community/netinfo';
-import { format } from 'date-fns';
+import { format, subDays } from 'date-fns';
 import { fr } from 'date-fns/locale';
 
 import syncService from '../../services/sync/syncService';
+import syncJournal, { RESULT_LABELS, toDay } from '../../services/sync/syncJournal';
+import bundleService from '../../services/sync/bundleService';
+import authService from '../../services/auth/authService';
+import { queueDeleteAction } from '../../services/auth/permissions';
+import usePermission from '../../hooks/usePermission';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
+import { PERMISSIONS } from '../../constants/permissionsConstants';
+
+const { OPERATION_TYPES, QUEUE_STATUS, NETWORK_BLOCKS, SYNC_EVENTS, JOURNAL_RESULTS } = OFFLINE_CONFIG;
+const { ACTIONS } = PERMISSIONS;
+
+// Filtres du journal des envois
+const JOURNAL_PERIODS = [
+  { key: 'today', label: 'Aujourd\'hui', filters: () => ({ day: toDay() }) },
+  { key: 'week', label: '7 jours', filters: () => ({ fromDay: toDay(subDays(new Date(), 6)) }) },
+  { key: 'all', label: 'Tout', filters: () => ({}) },
+];
+
+const JOURNAL_RESULT_FILTERS = [
+  { value: null, label: 'Tous' },
+  { value: JOURNAL_RESULTS.SYNCED, label: 'Envoyés' },
+  { value: JOURNAL_RESULTS.FAILED, label: 'Échecs' },
+  { value: JOURNAL_RESULTS.DEAD_LETTER, label: 'Rejetés' },
+  { value: JOURNAL_RESULTS.CONFLICT, label: 'Conflits' },
+];
+
+const JOURNAL_RESULT_ICONS = {
+  [JOURNAL_RESULTS.SYNCED]: { icon: 'check-circle', color: '#4CAF50' },
+  [JOURNAL_RESULTS.DUPLICATE]: { icon: 'check-all', color: '#4CAF50' },
+  [JOURNAL_RESULTS.FAILED]: { icon: 'alert-circle', color: '#FF9800' },
+  [JOURNAL_RESULTS.DEAD_LETTER]: { icon: 'alert-octagon', color: '#D32F2F' },
+  [JOURNAL_RESULTS.CONFLICT]: { icon: 'call-split', color: '#C2185B' },
+};
 
 export default function OfflineQueueScreen({ navigation }) {
   const [queueData, setQueueData] = useState([]);
+  const [deadLetters, setDeadLetters] = useState([]);
+  const [activeTab, setActiveTab] = useState('queue');
+  const [editingItem, setEditingItem] = useState(null);
+  const [editText, setEditText] = useState('');
   const [isConnected, setIsConnected] = useState(false);
+  const [networkStatus, setNetworkStatus] = useState(null);
+  const [journal, setJournal] = useState([]);
+  const [journalPeriod, setJournalPeriod] = useState('today');
+  const [journalResult, setJournalResult] = useState(null);
+  const [journalSearch, setJournalSearch] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [selecting, setSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [exportedBundle, setExportedBundle] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [transferCode, setTransferCode] = useState('');
+  const [transferring, setTransferring] = useState(false);
   const [loading, setLoading] = useState(true);
   const [syncing, setSyncing] = useState(false);
+  const [syncProgress, setSyncProgress] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
+  const { can } = usePermission();
 
   useEffect(() => {
     loadQueueData();
@@ -42,15 +99,54 @@ export default function OfflineQueueScreen({ navigation }) {
     
     const unsubscribe = NetInfo.addEventListener(state => {
       setIsConnected(state.isConnected);
+      // Wi-Fi / mobile : les éléments bloqués par la politique réseau changent
+      loadQueueData();
+    });
+
+    // Recharger au retour de l'écran de résolution de conflit
+    const unsubscribeFocus = navigation.addListener('focus', loadQueueData);
+
+    // Suivi en direct : élément en cours, avancement des uploads, compteur
+    const unsubscribeSync = syncService.subscribe(event => {
+      switch (event.type) {
+        case SYNC_EVENTS.STARTED:
+          setSyncing(true);
+          setSyncProgress({ total: event.total, done: 0 });
+          break;
+        case SYNC_EVENTS.ITEM_PROGRESS:
+          setQueueData(prev => prev.map(q => (q.id === event.itemId
+            ? { ...q, status: QUEUE_STATUS.SYNCING, upload: event.upload || q.upload }
+            : q)));
+          break;
+        case SYNC_EVENTS.ITEM_SUCCEEDED:
+        case SYNC_EVENTS.ITEM_FAILED:
+          setSyncProgress(prev => prev && { ...prev, done: prev.done + 1 });
+          loadQueueData();
+          break;
+        case SYNC_EVENTS.FINISHED:
+          setSyncing(false);
+          setSyncProgress(null);
+          loadQueueData();
+          break;
+        default:
+          loadQueueData();
+      }
     });
 
-    return unsubscribe;
-  }, []);
+    return () => {
+      unsubscribe();
+      unsubscribeFocus();
+      unsubscribeSync();
+    };
+  }, [navigation]);
 
   const loadQueueData = async () => {
     try {
-      const data = await syncService.getPendingData();
+      const data = await syncService.getQueue();
       setQueueData(data);
+      setDeadLetters(await syncService.getDeadLetters());
+      const status = syncService.getStatus();
+      setNetworkStatus({ connection: status.connection, cellularUsage: status.cellularUsage });
     } catch (error) {
       console.error('Erreur chargement queue:', error);
     } finally {
@@ -58,6 +154,105 @@ export default function OfflineQueueScreen({ navigation }) {
     }
   };
 
+  useEffect(() => {
+    if (activeTab === 'journal') {
+      loadJournal();
+    }
+  }, [activeTab, journalPeriod, journalResult, journalSearch, queueData]);
+
+  const loadJournal = async () => {
+    const period = JOURNAL_PERIODS.find(p => p.key === journalPeriod);
+    setJournal(await syncJournal.getEntries({
+      ...period.filters(),
+      result: journalResult,
+      search: journalSearch,
+    }));
+  };
+
+  const handleExportReport = async () => {
+    try {
+      setExporting(true);
+      const report = await syncJournal.getDailyReport();
+      const user = await authService.getCurrentUser();
+
+      await Share.share({
+        title: `Rapport de synchronisation ${report.day}`,
+        message: syncJournal.formatDailyReport(report, user),
+      });
+    } catch (error) {
+      console.error('Erreur export rapport:', error);
+      Alert.alert('Erreur', 'Impossible d\'exporter le rapport du jour');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const toggleSelected = (itemId) => {
+    setSelectedIds(prev => (prev.includes(itemId)
+      ? prev.filter(id => id !== itemId)
+      : [...prev, itemId]));
+  };
+
+  const cancelSelection = () => {
+    setSelecting(false);
+    setSelectedIds([]);
+  };
+
+  const handleExportSelection = async () => {
+    try {
+      setTransferring(true);
+      const bundle = await bundleService.exportItems(selectedIds);
+      cancelSelection();
+      setExportedBundle(bundle);
+      await loadQueueData();
+    } catch (error) {
+      Alert.alert('Export impossible', error.message);
+    } finally {
+      setTransferring(false);
+    }
+  };
+
+  const handleShareBundle = async () => {
+    try {
+      await bundleService.shareBundle(exportedBundle.uri);
+    } catch (error) {
+      Alert.alert('Partage impossible', error.message);
+    }
+  };
+
+  const handlePickBundle = async () => {
+    try {
+      const envelope = await bundleService.pickBundle();
+      if (envelope) {
+        setTransferCode('');
+        setPendingImport(envelope);
+      }
+    } catch (error) {
+      Alert.alert('Lot refusé', error.message);
+    }
+  };
+
+  const handleImportBundle = async () => {
+    try {
+      setTransferring(true);
+      const result = await bundleService.importBundle(pendingImport, transferCode);
+      setPendingImport(null);
+      await loadQueueData();
+
+      const details = [
+        `${result.imported} élément(s) ajouté(s) à la queue`,
+        result.skipped > 0 ? `${result.skipped} déjà présent(s)` : null,
+        result.refused > 0 ? `${result.refused} document(s) refusé(s) : queue pleine` : null,
+        result.rejected > 0 ? `${result.rejected} élément(s) rejeté(s) : modifié(s) depuis leur signature` : null,
+      ].filter(Boolean).join('\n');
+      Alert.alert('Lot importé', details);
+    } catch (error) {
+      Alert.alert('Import impossible', error.message);
+    } finally {
+      setTransferring(false);
+    }
+  };
+
   const checkNetworkStatus = async () => {
     const state = await NetInfo.fetch();
     setIsConnected(state.isConnected);
@@ -77,10 +272,17 @@ export default function OfflineQueueScreen({ navigation }) {
 
     try {
       setSyncing(true);
-      await syncService.syncPendingData();
+      const result = await syncService.drain();
       await loadQueueData();
       
-      Alert.alert('Succès', 'Synchronisation terminée avec succès');
+      if (result.success) {
+        Alert.alert('Succès', `${result.synced} élément(s) synchronisé(s)`);
+      } else {
+        Alert.alert(
+          'Synchronisation partielle',
+          `${result.synced} réussi(s), ${result.failed} échoué(s)`
+        );
+      }
     } catch (error) {
       console.error('Erreur sync:', error);
       Alert.alert('Erreur', 'Échec de la synchronisation');
@@ -96,8 +298,12 @@ export default function OfflineQueueScreen({ navigation }) {
     }
 
     try {
-      await syncService.syncSingleItem(item.id);
+      const result = await syncService.retry(item.id);
       await loadQueueData();
+
+      if (!result.success && result.error) {
+        Alert.alert('Erreur', result.error);
+      }
     } catch (error) {
       console.error('Erreur sync item:', error);
       Alert.alert('Erreur', 'Échec de la synchronisation');
@@ -105,9 +311,13 @@ export default function OfflineQueueScreen({ navigation }) {
   };
 
   const handleDeleteItem = (item) => {
+    const dependents = queueData.filter(q => (q.dependsOn || []).includes(item.id));
+
     Alert.alert(
       'Confirmer suppression',
-      'Êtes-vous sûr de vouloir supprimer cet élément de la queue ?',
+      dependents.length > 0
+        ? `Cet élément et ${dependents.length} élément(s) lié(s) (enquêtes, documents) seront supprimés. Continuer ?`
+        : 'Êtes-vous sûr de vouloir supprimer cet élément de la queue ?',
       [
         { text: 'Annuler', style: 'cancel' },
         { 
@@ -115,7 +325,7 @@ export default function OfflineQueueScreen({ navigation }) {
           style: 'destructive',
           onPress: async () => {
             try {
-              await syncService.removeFromQueue(item.id);
+              await syncService.discard(item.id);
               await loadQueueData();
             } catch (error) {
               console.error('Erreur suppression:', error);
@@ -126,73 +336,498 @@ export default function OfflineQueueScreen({ navigation }) {
     );
   };
 
+  const handleResubmit = async (item, correctedData = null) => {
+    try {
+      await syncService.resubmit(item.id, correctedData);
+      await loadQueueData();
+      Alert.alert('Resoumis', 'L\'élément a été remis en queue de synchronisation');
+    } catch (error) {
+      console.error('Erreur resoumission:', error);
+      Alert.alert('Erreur', 'Impossible de resoumettre l\'élément');
+    }
+  };
+
+  const handleEditDeadLetter = (item) => {
+    setEditingItem(item);
+    setEditText(JSON.stringify(item.data, null, 2));
+  };
+
+  const handleSaveCorrection = async () => {
+    let correctedData;
+    try {
+      correctedData = JSON.parse(editText);
+    } catch {
+      Alert.alert('Format invalide', 'Les données corrigées ne sont pas un JSON valide');
+      return;
+    }
+
+    const item = editingItem;
+    setEditingItem(null);
+    await handleResubmit(item, correctedData);
+  };
+
+  const handleDiscardDeadLetter = (item) => {
+    Alert.alert(
+      'Confirmer suppression',
+      'Cet élément rejeté sera définitivement perdu. Continuer ?',
+      [
+        { text: 'Annuler', style: 'cancel' },
+        {
+          text: 'Supprimer',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await syncService.discardDeadLetter(item.id);
+              await loadQueueData();
+            } catch (error) {
+              console.error('Erreur suppression dead-letter:', error);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const formatMB = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+
+  const formatErrorBody = (body) => {
+    if (!body) return null;
+    if (typeof body === 'string') return body;
+    return JSON.stringify(body, null, 2);
+  };
+
   const getTypeIcon = (type) => {
     switch (type) {
-      case 'enrollment': return 'person-add';
-      case 'survey': return 'assignment';
-      case 'update': return 'edit';
+      case OPERATION_TYPES.ENROLLMENT: return 'account-plus';
+      case OPERATION_TYPES.SURVEY: return 'clipboard-text';
+      case OPERATION_TYPES.UPDATE_PERSON: return 'pencil';
+      case OPERATION_TYPES.CREATE_HOUSEHOLD: return 'home-plus';
+      case OPERATION_TYPES.UPLOAD_DOCUMENT: return 'file-upload';
+      case OPERATION_TYPES.REVIEW_PERSON: return 'clipboard-check';
       default: return 'sync';
     }
   };
 
   const getTypeLabel = (type) => {
     switch (type) {
-      case 'enrollment': return 'Inscription';
-      case 'survey': return 'Enquête';
-      case 'update': return 'Mise à jour';
+      case OPERATION_TYPES.ENROLLMENT: return 'Inscription';
+      case OPERATION_TYPES.SURVEY: return 'Enquête';
+      case OPERATION_TYPES.UPDATE_PERSON: return 'Mise à jour';
+      case OPERATION_TYPES.CREATE_HOUSEHOLD: return 'Ménage';
+      case OPERATION_TYPES.UPLOAD_DOCUMENT: return 'Document';
+      case OPERATION_TYPES.REVIEW_PERSON: return 'Vérification';
       default: return 'Synchronisation';
     }
   };
 
-  const renderQueueItem = ({ item }) => (
+  const isWaitingForParent = (item) =>
+    (item.dependsOn || []).some(id =>
+      queueData.some(q => q.id === id) || deadLetters.some(q => q.id === id)
+    );
+
+  const getStatusChip = (item) => {
+    if (item.status !== QUEUE_STATUS.SYNCING && isWaitingForParent(item)) {
+      return { icon: 'link-variant', label: 'Attend inscription', color: '#EDE7F6' };
+    }
+
+    const networkBlock = item.status !== QUEUE_STATUS.CONFLICT && syncService.getNetworkBlock(item);
+    if (networkBlock === NETWORK_BLOCKS.PRODUCTION_ONLY) {
+      return { icon: 'server-off', label: 'Réservé à la production', color: '#FFF8E1' };
+    }
+    if (networkBlock === NETWORK_BLOCKS.WIFI_REQUIRED) {
+      return { icon: 'wifi-lock', label: 'Attend Wi-Fi', color: '#E0F7FA' };
+    }
+    if (networkBlock === NETWORK_BLOCKS.BUDGET_EXCEEDED) {
+      return { icon: 'wifi-alert', label: 'Budget mobile atteint', color: '#E0F7FA' };
+    }
+
+    switch (item.status) {
+      case QUEUE_STATUS.SYNCING:
+        return { icon: 'sync', label: 'En cours', color: '#E3F2FD' };
+      case QUEUE_STATUS.FAILED:
+        return { icon: 'alert-circle', label: `Échec (${item.attempts})`, color: '#FFEBEE' };
+      case QUEUE_STATUS.CONFLICT:
+        return { icon: 'call-split', label: 'Conflit', color: '#FCE4EC' };
+      default:
+        return { icon: 'clock', label: 'En attente', color: '#FFF3E0' };
+    }
+  };
+
+  const renderQueueItem = ({ item }) => {
+    const statusChip = getStatusChip(item);
+
+    return (
+      <Card
+        style={styles.itemCard}
+        onPress={selecting ? () => toggleSelected(item.id) : undefined}
+      >
+        <Card.Content>
+          <View style={styles.itemHeader}>
+            {selecting ? (
+              <Checkbox.Android
+                status={selectedIds.includes(item.id) ? 'checked' : 'unchecked'}
+                onPress={() => toggleSelected(item.id)}
+                color="#2E7D32"
+              />
+            ) : (
+              <Avatar.Icon 
+                size={40} 
+                icon={getTypeIcon(item.type)}
+                style={styles.itemIcon}
+              />
+            )}
+            <View style={styles.itemInfo}>
+              <Title style={styles.itemTitle}>
+                {getTypeLabel(item.type)}
+              </Title>
+              <Paragraph style={styles.itemDescription}>
+                {item.metadata?.description || `${item.type} - ${item.id}`}
+              </Paragraph>
+              <Paragraph style={styles.itemDate}>
+                {format(new Date(item.createdAt), 'dd/MM/yyyy HH:mm', { locale: fr })}
+              </Paragraph>
+              {item.metadata?.importedFrom && (
+                <Paragraph style={styles.itemOrigin}>
+                  Pour le compte de {item.origin?.name || item.origin?.username}
+                </Paragraph>
+              )}
+              {item.metadata?.exportedIn && (
+                <Paragraph style={styles.itemOrigin}>
+                  Confié à un autre appareil le {format(new Date(item.metadata.exportedIn.exportedAt), 'dd/MM HH:mm', { locale: fr })}
+                </Paragraph>
+              )}
+              {item.lastError && (
+                <Paragraph style={styles.itemError}>
+                  {item.lastError}
+                </Paragraph>
+              )}
+              {item.upload?.size > 0 && (
+                <View style={styles.uploadProgress}>
+                  <ProgressBar
+                    progress={item.upload.offset / item.upload.size}
+                    color="#2E7D32"
+                  />
+                  <Paragraph style={styles.itemDate}>
+                    {formatMB(item.upload.offset)} / {formatMB(item.upload.size)} Mo envoyés
+                  </Paragraph>
+                </View>
+              )}
+              {item.nextAttemptAt && (
+                <Paragraph style={styles.itemDate}>
+                  Prochaine tentative : {format(new Date(item.nextAttemptAt), 'HH:mm:ss', { locale: fr })}
+                </Paragraph>
+              )}
+            </View>
+            <View style={styles.itemActions}>
+              <Chip 
+                icon={statusChip.icon}
+                style={[styles.statusChip, { backgroundColor: statusChip.color }]}
+                textStyle={{ fontSize: 12 }}
+              >
+                {statusChip.label}
+              </Chip>
+              <View style={styles.actionButtons}>
+                {item.status === QUEUE_STATUS.CONFLICT ? (
+                  <IconButton
+                    icon="call-merge"
+                    size={20}
+                    onPress={() => navigation.navigate('ConflictResolution', { itemId: item.id })}
+                    style={styles.actionButton}
+                  />
+                ) : (
+                  <IconButton
+                    icon="sync"
+                    size={20}
+                    onPress={() => handleSyncItem(item)}
+                    disabled={!isConnected}
+                    style={styles.actionButton}
+                  />
+                )}
+                {can(queueDeleteAction(item.type)) && (
+                  <IconButton
+                    icon="delete"
+                    size={20}
+                    onPress={() => handleDeleteItem(item)}
+                    style={styles.deleteButton}
+                  />
+                )}
+              </View>
+            </View>
+          </View>
+        </Card.Content>
+      </Card>
+    );
+  };
+
+  const renderDeadLetterItem = ({ item }) => (
     <Card style={styles.itemCard}>
       <Card.Content>
         <View style={styles.itemHeader}>
-          <Avatar.Icon 
-            size={40} 
+          <Avatar.Icon
+            size={40}
             icon={getTypeIcon(item.type)}
-            style={styles.itemIcon}
+            style={styles.deadLetterIcon}
           />
           <View style={styles.itemInfo}>
             <Title style={styles.itemTitle}>
               {getTypeLabel(item.type)}
             </Title>
             <Paragraph style={styles.itemDescription}>
-              {item.description || `${item.type} - ${item.id}`}
+              {item.metadata?.description || `${item.type} - ${item.id}`}
             </Paragraph>
             <Paragraph style={styles.itemDate}>
-              {format(new Date(item.created_at), 'dd/MM/yyyy HH:mm', { locale: fr })}
+              Rejeté le {format(new Date(item.failedAt), 'dd/MM/yyyy HH:mm', { locale: fr })}
+              {item.error?.status ? ` (HTTP ${item.error.status})` : ''}
             </Paragraph>
-          </View>
-          <View style={styles.itemActions}>
-            <Chip 
-              icon="clock" 
-              style={styles.statusChip}
-              textStyle={{ fontSize: 12 }}
-            >
-              En attente
-            </Chip>
-            <View style={styles.actionButtons}>
-              <IconButton
-                icon="sync"
-                size={20}
-                onPress={() => handleSyncItem(item)}
-                disabled={!isConnected}
-                style={styles.actionButton}
-              />
-              <IconButton
-                icon="delete"
-                size={20}
-                onPress={() => handleDeleteItem(item)}
-                style={styles.deleteButton}
-              />
-            </View>
+            <Paragraph style={styles.itemError}>
+              {item.error?.message}
+            </Paragraph>
+            {formatErrorBody(item.error?.body) && (
+              <Text style={styles.errorBody}>
+                {formatErrorBody(item.error.body)}
+              </Text>
+            )}
           </View>
         </View>
       </Card.Content>
+      <Card.Actions>
+        {item.type !== OPERATION_TYPES.UPLOAD_DOCUMENT && (
+          <Button icon="pencil" onPress={() => handleEditDeadLetter(item)}>
+            Corriger
+          </Button>
+        )}
+        <Button icon="send" onPress={() => handleResubmit(item)}>
+          Resoumettre
+        </Button>
+        {can(queueDeleteAction(item.type)) && (
+          <IconButton
+            icon="delete"
+            size={20}
+            onPress={() => handleDiscardDeadLetter(item)}
+            style={styles.deleteButton}
+          />
+        )}
+      </Card.Actions>
     </Card>
   );
 
+  const renderJournalEntry = ({ item: entry }) => {
+    const resultIcon = JOURNAL_RESULT_ICONS[entry.result] || JOURNAL_RESULT_ICONS[JOURNAL_RESULTS.FAILED];
+
+    return (
+      <Card style={styles.itemCard}>
+        <List.Item
+          title={`${getTypeLabel(entry.itemType)} - ${entry.description || entry.itemId}`}
+          titleNumberOfLines={2}
+          description={[
+            format(new Date(entry.recordedAt), 'dd/MM/yyyy HH:mm', { locale: fr }),
+            RESULT_LABELS[entry.result] || entry.result,
+            `${entry.attempts} tentative(s)`,
+            entry.serverId ? `id serveur ${entry.serverId}` : null,
+            entry.error,
+          ].filter(Boolean).join(' · ')}
+          descriptionNumberOfLines={3}
+          left={props => <List.Icon {...props} icon={resultIcon.icon} color={resultIcon.color} />}
+        />
+      </Card>
+    );
+  };
+
+  const renderJournalFilters = () => (
+    <View style={styles.journalFilters}>
+      <View style={styles.filterRow}>
+        {JOURNAL_PERIODS.map(period => (
+          <Chip
+            key={period.key}
+            selected={journalPeriod === period.key}
+            onPress={() => setJournalPeriod(period.key)}
+            compact
+          >
+            {period.label}
+          </Chip>
+        ))}
+      </View>
+      <View style={styles.filterRow}>
+        {JOURNAL_RESULT_FILTERS.map(filter => (
+          <Chip
+            key={filter.label}
+            selected={journalResult === filter.value}
+            onPress={() => setJournalResult(filter.value)}
+            compact
+          >
+            {filter.label}
+          </Chip>
+        ))}
+      </View>
+      <Searchbar
+        placeholder="Nom, id local ou serveur"
+        value={journalSearch}
+        onChangeText={setJournalSearch}
+        style={styles.journalSearch}
+      />
+      {can(ACTIONS.EXPORT_DATA) && (
+        <Button
+          mode="outlined"
+          icon="file-export"
+          onPress={handleExportReport}
+          loading={exporting}
+          disabled={exporting}
+          style={styles.syncButton}
+        >
+          Exporter le rapport du jour
+        </Button>
+      )}
+    </View>
+  );
+
+  const renderTransferActions = () => (
+    selecting ? (
+      <View style={styles.transferActions}>
+        <Button onPress={cancelSelection}>Annuler</Button>
+        <Button
+          mode="contained"
+          icon="export-variant"
+          onPress={handleExportSelection}
+          disabled={selectedIds.length === 0 || transferring}
+          loading={transferring}
+        >
+          Exporter la sélection ({selectedIds.length})
+        </Button>
+      </View>
+    ) : (
+      <View style={styles.transferActions}>
+        {queueData.length > 0 && (
+          <Button icon="checkbox-multiple-marked-outline" onPress={() => setSelecting(true)}>
+            Confier à un collègue
+          </Button>
+        )}
+        <Button icon="import" onPress={handlePickBundle}>
+          Importer un lot
+        </Button>
+      </View>
+    )
+  );
+
+  const renderTransferModals = () => (
+    <Portal>
+      <Modal
+        visible={!!exportedBundle}
+        onDismiss={() => setExportedBundle(null)}
+        contentContainerStyle={styles.modal}
+      >
+        <Title>Lot prêt à transmettre</Title>
+        <Paragraph>
+          {exportedBundle?.count} élément(s) chiffré(s). Communiquez ce code au
+          collègue par un autre moyen que le fichier (oral, SMS) :
+        </Paragraph>
+        <Text style={styles.transferCode} selectable>
+          {exportedBundle?.code}
+        </Text>
+        <Paragraph style={styles.itemDate}>
+          Les éléments restent dans votre queue : s'ils sont envoyés des deux
+          côtés, le serveur ne les enregistre qu'une fois.
+        </Paragraph>
+        <View style={styles.modalActions}>
+          <Button onPress={() => setExportedBundle(null)}>Fermer</Button>
+          <Button mode="contained" icon="share-variant" onPress={handleShareBundle}>
+            Partager le fichier
+          </Button>
+        </View>
+      </Modal>
+
+      <Modal
+        visible={!!pendingImport}
+        onDismiss={() => setPendingImport(null)}
+        contentContainerStyle={styles.modal}
+      >
+        <Title>Importer un lot</Title>
+        <Paragraph>
+          {pendingImport?.itemCount} élément(s) de {pendingImport?.author.name || pendingImport?.author.username}
+        </Paragraph>
+        <Paragraph style={styles.itemDate}>
+          Créé le {pendingImport && format(new Date(pendingImport.createdAt), 'dd/MM/yyyy HH:mm', { locale: fr })}
+          {' '}· appareil {pendingImport?.author.deviceId}
+        </Paragraph>
+        <TextInput
+          mode="outlined"
+          label="Code de transfert"
+          value={transferCode}
+          onChangeText={setTransferCode}
+          autoCapitalize="characters"
+          autoCorrect={false}
+          style={styles.codeInput}
+        />
+        <View style={styles.modalActions}>
+          <Button onPress={() => setPendingImport(null)}>Annuler</Button>
+          <Button
+            mode="contained"
+            onPress={handleImportBundle}
+            disabled={!transferCode || transferring}
+            loading={transferring}
+          >
+            Importer
+          </Button>
+        </View>
+      </Modal>
+    </Portal>
+  );
+
+  const renderCorrectionModal = () => (
+    <Portal>
+      <Modal
+        visible={!!editingItem}
+        onDismiss={() => setEditingItem(null)}
+        contentContainerStyle={styles.modal}
+      >
+        <Title>Corriger les données</Title>
+        <Paragraph style={styles.itemError}>
+          {editingItem?.error?.message}
+        </Paragraph>
+        <TextInput
+          mode="outlined"
+          multiline
+          value={editText}
+          onChangeText={setEditText}
+          style={styles.editInput}
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        <View style={styles.modalActions}>
+          <Button onPress={() => setEditingItem(null)}>Annuler</Button>
+          <Button mode="contained" onPress={handleSaveCorrection}>
+            Resoumettre
+          </Button>
+        </View>
+      </Modal>
+    </Portal>
+  );
+
+  const isQueueTab = activeTab === 'queue';
+  const tabs = {
+    queue: {
+      data: queueData,
+      renderItem: renderQueueItem,
+      keyExtractor: item => item.id,
+      emptyTitle: 'Aucune donnée en attente',
+      emptyText: 'Toutes vos données sont synchronisées !',
+    },
+    dead: {
+      data: deadLetters,
+      renderItem: renderDeadLetterItem,
+      keyExtractor: item => item.id,
+      emptyTitle: 'Aucun élément rejeté',
+      emptyText: 'Le serveur a accepté toutes vos données.',
+    },
+    journal: {
+      data: journal,
+      renderItem: renderJournalEntry,
+      keyExtractor: entry => `${entry.itemId}_${entry.recordedAt}`,
+      emptyTitle: 'Aucun envoi trouvé',
+      emptyText: 'Aucune tentative d\'envoi ne correspond aux filtres.',
+    },
+  };
+  const tab = tabs[activeTab];
+
   return (
     <View style={styles.container}>
       {/* Header avec statut */}
@@ -219,9 +854,41 @@ export default function OfflineQueueScreen({ navigation }) {
                 {queueData.length} élément(s)
               </Chip>
             </View>
+            {isConnected && networkStatus?.connection.metered && (
+              <Paragraph style={styles.budgetText}>
+                Réseau mobile : {formatMB(networkStatus.cellularUsage.bytes)} / {formatMB(networkStatus.cellularUsage.budgetBytes)} Mo
+                utilisés ce mois (documents selon la politique du profil)
+              </Paragraph>
+            )}
+            <View style={styles.tabContainer}>
+              <Chip
+                selected={isQueueTab}
+                onPress={() => setActiveTab('queue')}
+                icon="clock"
+              >
+                En attente ({queueData.length})
+              </Chip>
+              <Chip
+                selected={activeTab === 'dead'}
+                onPress={() => { cancelSelection(); setActiveTab('dead'); }}
+                icon="alert-octagon"
+                style={deadLetters.length > 0 ? styles.deadLetterChip : null}
+              >
+                Rejetés ({deadLetters.length})
+              </Chip>
+              <Chip
+                selected={activeTab === 'journal'}
+                onPress={() => { cancelSelection(); setActiveTab('journal'); }}
+                icon="history"
+              >
+                Historique
+              </Chip>
+            </View>
+            {activeTab === 'journal' && renderJournalFilters()}
+            {isQueueTab && can(ACTIONS.TRANSFER_QUEUE) && renderTransferActions()}
           </View>
           
-          {queueData.length > 0 && (
+          {queueData.length > 0 && activeTab !== 'journal' && !selecting && (
             <Button
               mode="contained"
               onPress={handleSyncAll}
@@ -233,11 +900,23 @@ export default function OfflineQueueScreen({ navigation }) {
               Synchroniser tout
             </Button>
           )}
+
+          {syncProgress && (
+            <View style={styles.uploadProgress}>
+              <ProgressBar
+                progress={syncProgress.done / Math.max(syncProgress.total, syncProgress.done, 1)}
+                color="#2E7D32"
+              />
+              <Paragraph style={styles.itemDate}>
+                {syncProgress.done} / {Math.max(syncProgress.total, syncProgress.done)} élément(s) traité(s)
+              </Paragraph>
+            </View>
+          )}
         </Card.Content>
       </Card>
 
       {/* Liste des éléments */}
-      {queueData.length === 0 ? (
+      {tab.data.length === 0 ? (
         <View style={styles.emptyContainer}>
           <Avatar.Icon 
             size={80} 
@@ -245,17 +924,17 @@ export default function OfflineQueueScreen({ navigation }) {
             style={styles.emptyIcon}
           />
           <Title style={styles.emptyTitle}>
-            Aucune donnée en attente
+            {tab.emptyTitle}
           </Title>
           <Paragraph style={styles.emptyText}>
-            Toutes vos données sont synchronisées !
+            {tab.emptyText}
           </Paragraph>
         </View>
       ) : (
         <FlatList
-          data={queueData}
-          renderItem={renderQueueItem}
-          keyExtractor={(item) => item.id}
+          data={tab.data}
+          renderItem={tab.renderItem}
+          keyExtractor={tab.keyExtractor}
           contentContainerStyle={styles.listContainer}
           refreshControl={
             <RefreshControl
@@ -266,11 +945,14 @@ export default function OfflineQueueScreen({ navigation }) {
           }
         />
       )}
+
+      {renderCorrectionModal()}
+      {renderTransferModals()}
     </View>
   );
 }
 
-const queueStyles = StyleSheet.create({
+const styles = StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: '#f5f5f5',
@@ -297,6 +979,11 @@ const queueStyles = StyleSheet.create({
   countChip: {
     backgroundColor: '#E3F2FD',
   },
+  budgetText: {
+    color: '#666',
+    fontSize: 12,
+    marginTop: 8,
+  },
   syncButton: {
     marginTop: 8,
   },
@@ -332,6 +1019,90 @@ const queueStyles = StyleSheet.create({
     color: '#888',
     fontSize: 12,
   },
+  itemOrigin: {
+    color: '#1565C0',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  itemError: {
+    color: '#D32F2F',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  uploadProgress: {
+    marginTop: 6,
+    marginBottom: 2,
+  },
+  errorBody: {
+    fontFamily: 'monospace',
+    fontSize: 11,
+    color: '#555',
+    backgroundColor: '#FAFAFA',
+    padding: 6,
+    marginTop: 4,
+  },
+  tabContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 12,
+  },
+  journalFilters: {
+    marginTop: 12,
+  },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginBottom: 8,
+  },
+  journalSearch: {
+    marginBottom: 4,
+    elevation: 0,
+  },
+  deadLetterChip: {
+    backgroundColor: '#FFEBEE',
+  },
+  deadLetterIcon: {
+    backgroundColor: '#D32F2F',
+    marginRight: 12,
+  },
+  modal: {
+    backgroundColor: '#FFF',
+    margin: 20,
+    padding: 20,
+    borderRadius: 8,
+  },
+  editInput: {
+    marginTop: 12,
+    maxHeight: 320,
+    fontFamily: 'monospace',
+    fontSize: 12,
+  },
+  transferActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'flex-end',
+    gap: 8,
+    marginTop: 8,
+  },
+  transferCode: {
+    fontFamily: 'monospace',
+    fontSize: 24,
+    letterSpacing: 2,
+    textAlign: 'center',
+    marginVertical: 16,
+    color: '#2E7D32',
+  },
+  codeInput: {
+    marginTop: 12,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+    gap: 8,
+  },
   itemActions: {
     alignItems: 'flex-end',
   },
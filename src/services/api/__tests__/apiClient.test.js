@@ -0,0 +1,158 @@
+// =============================================================================
+// TESTS - CLIENT API
+// Renouvellement du jeton : une seule requête de renouvellement pour toutes
+// les requêtes en cours, renouvellement anticipé, session expirée
+// =============================================================================
+
+import axios from 'axios';
+import apiClient, { apiUtils } from '../apiClient';
+import { bytesToBase64, utf8ToBytes } from '../../storage/encryption';
+import { API_CONFIG } from '../../../constants/apiConfig';
+
+jest.mock('expo-secure-store', () => ({}));
+jest.mock('../../storage/storageService', () => {
+  const store = new Map();
+  return {
+    __store: store,
+    setItem: jest.fn((key, value) => Promise.resolve(Boolean(store.set(key, value)))),
+    getItem: jest.fn(key => Promise.resolve(store.has(key) ? store.get(key) : null)),
+    removeItem: jest.fn(key => Promise.resolve(store.delete(key))),
+    multiRemove: jest.fn(keys => Promise.resolve(keys.forEach(key => store.delete(key)) || true)),
+  };
+});
+jest.mock('../environmentService', () => ({
+  ensureLoaded: () => Promise.resolve(),
+  getApiUrl: () => 'https://rsu.test/api/v1',
+  getActiveKey: () => 'production',
+  url: path => `https://rsu.test${path}`,
+}));
+
+const { __store: store } = jest.requireMock('../../storage/storageService');
+const { AUTH_EVENTS } = API_CONFIG;
+
+const REFRESH_URL = 'https://rsu.test/api/v1/auth/token/refresh/';
+
+/**
+ * Jeton JWT (seule l'expiration est lue par le client)
+ */
+function jwt(name, expiresInMs) {
+  const payload = bytesToBase64(utf8ToBytes(JSON.stringify({ name, exp: Math.floor((Date.now() + expiresInMs) / 1000) })))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return `e30.${payload}.signature`;
+}
+
+const OLD_TOKEN = jwt('ancien', 60 * 60 * 1000);
+const NEW_TOKEN = jwt('nouveau', 60 * 60 * 1000);
+
+const httpError = (config, status) => Object.assign(new Error(`HTTP ${status}`), {
+  config,
+  response: { status, data: {}, headers: {}, config },
+});
+
+/**
+ * Serveur : accepte seulement le jeton courant ; refresh() répond au
+ * renouvellement (réponse ou erreur)
+ */
+function mockServer(refresh) {
+  const server = { accepted: NEW_TOKEN, requests: [] };
+
+  apiClient.defaults.adapter = config => {
+    const token = config.headers.Authorization?.replace('Bearer ', '');
+    server.requests.push({ url: config.url, token });
+    return token === server.accepted
+      ? Promise.resolve({ data: { ok: true }, status: 200, statusText: 'OK', headers: {}, config })
+      : Promise.reject(httpError(config, 401));
+  };
+
+  // Laisse le temps aux autres requêtes de recevoir leur 401
+  jest.spyOn(axios, 'post').mockImplementation(() => new Promise(resolve => setTimeout(resolve, 20)).then(refresh));
+
+  return server;
+}
+
+let events;
+let unsubscribe;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+beforeEach(() => {
+  store.clear();
+  store.set('auth_token', OLD_TOKEN);
+  store.set('refresh_token', 'refresh-1');
+  events = [];
+  unsubscribe = apiUtils.subscribe(event => events.push(event));
+});
+
+afterEach(() => {
+  unsubscribe();
+  axios.post.mockRestore();
+});
+
+describe('renouvellement du jeton', () => {
+  it('renouvelle une seule fois pour des 401 simultanés, puis rejoue chaque requête', async () => {
+    const server = mockServer(() => ({ data: { access: NEW_TOKEN, refresh: 'refresh-2' } }));
+
+    const responses = await Promise.all(['/a/', '/b/', '/c/'].map(url => apiClient.get(url)));
+
+    expect(responses.map(response => response.data)).toEqual([{ ok: true }, { ok: true }, { ok: true }]);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(axios.post).toHaveBeenCalledWith(REFRESH_URL, { refresh: 'refresh-1' }, expect.any(Object));
+    expect(server.requests.filter(request => request.token === NEW_TOKEN).map(request => request.url).sort())
+      .toEqual(['/a/', '/b/', '/c/']);
+
+    expect(store.get('auth_token')).toBe(NEW_TOKEN);
+    expect(store.get('refresh_token')).toBe('refresh-2');
+    expect(events).toEqual([{ type: AUTH_EVENTS.TOKEN_REFRESHED, access: NEW_TOKEN, refresh: 'refresh-2' }]);
+  });
+
+  it("renouvelle avant l'envoi un jeton qui expire bientôt", async () => {
+    store.set('auth_token', jwt('expirant', API_CONFIG.TOKEN_REFRESH_MARGIN / 2));
+    const server = mockServer(() => ({ data: { access: NEW_TOKEN } }));
+
+    await Promise.all([apiClient.get('/a/'), apiClient.get('/b/')]);
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(server.requests.map(request => request.token)).toEqual([NEW_TOKEN, NEW_TOKEN]);
+    // Sans rotation, le jeton de renouvellement reste le même
+    expect(store.get('refresh_token')).toBe('refresh-1');
+  });
+
+  it('ne renouvelle pas deux fois une requête refusée avec le nouveau jeton', async () => {
+    const server = mockServer(() => ({ data: { access: NEW_TOKEN } }));
+    server.accepted = 'aucun';
+
+    await expect(apiClient.get('/a/')).rejects.toMatchObject({ response: { status: 401 } });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(server.requests).toHaveLength(2);
+  });
+
+  it('termine la session si le serveur refuse le jeton de renouvellement', async () => {
+    mockServer(() => Promise.reject(httpError({}, 401)));
+
+    await expect(Promise.all([apiClient.get('/a/'), apiClient.get('/b/')]))
+      .rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(store.has('auth_token')).toBe(false);
+    expect(store.has('refresh_token')).toBe(false);
+    expect(events).toEqual([{ type: AUTH_EVENTS.AUTH_EXPIRED }]);
+  });
+
+  it("garde la session quand le renouvellement échoue faute de réseau", async () => {
+    mockServer(() => Promise.reject(new Error('Network Error')));
+
+    await expect(apiClient.get('/a/')).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(store.get('auth_token')).toBe(OLD_TOKEN);
+    expect(store.get('refresh_token')).toBe('refresh-1');
+    expect(events).toEqual([]);
+  });
+});
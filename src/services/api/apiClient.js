@@ -4,12 +4,16 @@
 // =============================================================================
 
 import axios from 'axios';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import storageService from '../storage/storageService';
+import environmentService from './environmentService';
+import { base64ToBytes, bytesToUtf8 } from '../storage/encryption';
+import { API_CONFIG } from '../../constants/apiConfig';
+
+const { AUTH_EVENTS } = API_CONFIG;
 
 // ✅ CONFIGURATION BACKEND
+// baseURL appliquée à chaque requête depuis le serveur actif (environmentService)
 const BACKEND_CONFIG = {
-  // Adresse backend Django
-  baseURL: 'http://192.168.1.69:8000',
   timeout: 10000,
   headers: {
     'Content-Type': 'application/json',
@@ -20,11 +24,122 @@ const BACKEND_CONFIG = {
 // ✅ Créer instance axios
 const apiClient = axios.create(BACKEND_CONFIG);
 
+// =============================================================================
+// RENOUVELLEMENT DU JETON
+// =============================================================================
+//
+// Un seul renouvellement à la fois : les requêtes qui arrivent pendant un
+// renouvellement (ou qui échouent en 401 en même temps) attendent la même
+// promesse puis repartent avec le nouveau jeton. Le jeton est renouvelé un
+// peu avant son expiration (TOKEN_REFRESH_MARGIN) pour éviter les 401.
+//
+// Si le serveur refuse le jeton de renouvellement, la session est terminée :
+// AUTH_EXPIRED est émis (App.jsx revient à la connexion, la queue de
+// synchronisation est conservée). Sans réseau, rien n'est effacé.
+
+let refreshPromise = null;
+const listeners = new Set();
+
+function emit(type, payload = {}) {
+  listeners.forEach(listener => {
+    try {
+      listener({ type, ...payload });
+    } catch (error) {
+      console.error('Erreur listener session:', error);
+    }
+  });
+}
+
+/**
+ * Date d'expiration (ms) d'un jeton JWT, null si illisible
+ */
+function getTokenExpiry(token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const padded = payload.padEnd(payload.length + (4 - payload.length % 4) % 4, '=');
+    const { exp } = JSON.parse(bytesToUtf8(base64ToBytes(padded)));
+    return exp ? exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function isExpiringSoon(token) {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry - Date.now() < API_CONFIG.TOKEN_REFRESH_MARGIN;
+}
+
+/**
+ * Renouvelle le jeton d'accès (une seule requête pour tous les appelants)
+ *
+ * @returns {Promise<string>} - Nouveau jeton d'accès
+ */
+function refreshAccessToken() {
+  if (!refreshPromise) {
+    refreshPromise = performRefresh().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+async function performRefresh() {
+  const refreshToken = await storageService.getItem('refresh_token');
+  if (!refreshToken) {
+    await expireSession();
+    throw new Error('Aucun jeton de renouvellement');
+  }
+
+  let response;
+  try {
+    // axios direct : ne repasse pas par les intercepteurs
+    response = await axios.post(
+      `${environmentService.getApiUrl()}${API_CONFIG.ENDPOINTS.REFRESH}`,
+      { refresh: refreshToken },
+      { timeout: BACKEND_CONFIG.timeout }
+    );
+  } catch (error) {
+    const status = error.response?.status;
+    if (status === 400 || status === 401) {
+      await expireSession();
+    }
+    throw error;
+  }
+
+  const { access, refresh } = response.data;
+  await storageService.setItem('auth_token', access);
+  // Rotation éventuelle du jeton de renouvellement
+  if (refresh) {
+    await storageService.setItem('refresh_token', refresh);
+  }
+
+  console.log('🔄 Jeton d\'accès renouvelé');
+  emit(AUTH_EVENTS.TOKEN_REFRESHED, { access, refresh: refresh || refreshToken });
+  return access;
+}
+
+async function expireSession() {
+  console.log('⛔ Session expirée, reconnexion requise');
+  await storageService.multiRemove(['auth_token', 'refresh_token']);
+  emit(AUTH_EVENTS.AUTH_EXPIRED);
+}
+
 // ✅ Intercepteur Request (ajouter token)
 apiClient.interceptors.request.use(
   async (config) => {
     try {
-      const token = await AsyncStorage.getItem('auth_token');
+      await environmentService.ensureLoaded();
+      config.baseURL = environmentService.getApiUrl();
+
+      // Attendre un renouvellement en cours plutôt que partir avec l'ancien jeton
+      if (refreshPromise) {
+        await refreshPromise.catch(() => null);
+      }
+
+      let token = await storageService.getItem('auth_token');
+      if (token && isExpiringSoon(token)) {
+        token = await refreshAccessToken().catch(() => token);
+      }
       if (token) {
         config.headers.Authorization = `Bearer ${token}`;
       }
@@ -54,28 +169,22 @@ apiClient.interceptors.response.use(
     console.error(`❌ API Error: ${error.response?.status} ${originalRequest?.url}`);
 
     // Gestion token expiré
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry) {
       originalRequest._retry = true;
 
       try {
-        // Tentative refresh token
-        const refreshToken = await AsyncStorage.getItem('refresh_token');
-        if (refreshToken) {
-          const response = await axios.post(`${BACKEND_CONFIG.baseURL}/api/v1/auth/token/refresh/`, {
-            refresh: refreshToken
-          });
-
-          const newToken = response.data.access;
-          await AsyncStorage.setItem('auth_token', newToken);
-          
-          // Retry requête originale
-          originalRequest.headers.Authorization = `Bearer ${newToken}`;
-          return apiClient(originalRequest);
-        }
+        // Jeton déjà renouvelé par une autre requête entre-temps ?
+        const sentToken = originalRequest.headers?.Authorization?.replace('Bearer ', '');
+        const currentToken = await storageService.getItem('auth_token');
+        const newToken = currentToken && currentToken !== sentToken
+          ? currentToken
+          : await refreshAccessToken();
+
+        // Retry requête originale
+        originalRequest.headers.Authorization = `Bearer ${newToken}`;
+        return apiClient(originalRequest);
       } catch (refreshError) {
-        console.error('Erreur refresh token:', refreshError);
-        // Rediriger vers login
-        await AsyncStorage.multiRemove(['auth_token', 'refresh_token', 'user_data']);
+        console.error('Erreur refresh token:', refreshError.message);
       }
     }
 
@@ -90,7 +199,7 @@ export const apiUtils = {
    */
   async testConnection() {
     try {
-      const response = await apiClient.get('/api/', { timeout: 5000 });
+      const response = await apiClient.get(environmentService.url('/api/'), { timeout: 5000 });
       return response.status === 200;
     } catch (error) {
       console.log('Backend non accessible:', error.message);
@@ -98,33 +207,43 @@ export const apiUtils = {
     }
   },
 
-  /**
-   * Configuration base URL dynamique
-   */
-  setBaseURL(url) {
-    apiClient.defaults.baseURL = url;
-    console.log('📍 Base URL mise à jour:', url);
-  },
-
   /**
    * Ajout token manuellement
    */
   async setAuthToken(token) {
     if (token) {
       apiClient.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      await AsyncStorage.setItem('auth_token', token);
+      await storageService.setItem('auth_token', token);
     } else {
       delete apiClient.defaults.headers.common['Authorization'];
-      await AsyncStorage.removeItem('auth_token');
+      await storageService.removeItem('auth_token');
     }
   },
 
+  /**
+   * Renouveler le jeton maintenant (partagé avec les requêtes en cours)
+   */
+  refreshToken() {
+    return refreshAccessToken();
+  },
+
+  /**
+   * Suivre la session (API_CONFIG.AUTH_EVENTS)
+   *
+   * @returns {Function} - Désabonnement
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
   /**
    * Obtenir configuration actuelle
    */
   getConfig() {
     return {
-      baseURL: apiClient.defaults.baseURL,
+      baseURL: environmentService.getApiUrl(),
+      environment: environmentService.getActiveKey(),
       timeout: apiClient.defaults.timeout,
       headers: apiClient.defaults.headers,
     };
@@ -0,0 +1,154 @@
+// =============================================================================
+// ENVIRONMENT SERVICE - SERVEUR BACKEND ACTIF
+// Fichier: src/services/api/environmentService.js
+// =============================================================================
+//
+// Registre des serveurs (API_CONFIG.ENVIRONMENTS : développement, recette,
+// production, maquette locale). Le serveur actif est choisi dans le panneau
+// caché de l'écran de connexion, mémorisé, et appliqué partout : apiClient
+// (baseURL de chaque requête), authService et les appels fetch (url()).
+//
+// Chaque élément de la queue est marqué avec le serveur sur lequel il a été
+// saisi : des données de production ne sont jamais envoyées à un serveur
+// hors production (canSendTo). Changer de serveur vide le registre local
+// téléchargé, propre à chaque serveur.
+// =============================================================================
+
+import storageService from '../storage/storageService';
+import localDatabase from '../database/localDatabase';
+import { API_CONFIG } from '../../constants/apiConfig';
+
+const ENVIRONMENT_STORAGE_KEY = 'api_environment';
+
+class EnvironmentService {
+  constructor() {
+    this.activeKey = API_CONFIG.DEFAULT_ENVIRONMENT;
+    this.loadPromise = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Charge le serveur mémorisé une seule fois
+   */
+  ensureLoaded() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.load();
+    }
+    return this.loadPromise;
+  }
+
+  async load() {
+    try {
+      const saved = await storageService.getItem(ENVIRONMENT_STORAGE_KEY);
+      if (saved && API_CONFIG.ENVIRONMENTS[saved]) {
+        this.activeKey = saved;
+      }
+      console.log(`🌍 Serveur actif: ${this.getActive().label} (${this.getServerUrl()})`);
+    } catch (error) {
+      console.error('Erreur chargement environnement:', error);
+    }
+  }
+
+  /**
+   * Liste des serveurs disponibles
+   */
+  getEnvironments() {
+    return Object.values(API_CONFIG.ENVIRONMENTS);
+  }
+
+  getActiveKey() {
+    return this.activeKey;
+  }
+
+  getActive() {
+    return API_CONFIG.ENVIRONMENTS[this.activeKey];
+  }
+
+  isProduction() {
+    return this.getActive().production;
+  }
+
+  /**
+   * Racine du serveur actif (sans préfixe d'API)
+   */
+  getServerUrl() {
+    return this.getActive().serverUrl;
+  }
+
+  /**
+   * Base des appels REST du serveur actif
+   */
+  getApiUrl() {
+    return `${this.getServerUrl()}${API_CONFIG.API_PATH}`;
+  }
+
+  /**
+   * URL absolue d'un chemin du serveur actif (appels fetch)
+   *
+   * @param {string} path - Chemin depuis la racine du serveur (`/api/...`)
+   */
+  url(path) {
+    return `${this.getServerUrl()}${path}`;
+  }
+
+  /**
+   * Des données saisies sur un serveur peuvent-elles partir vers le serveur
+   * actif ? Les données de production ne quittent jamais la production.
+   *
+   * @param {string} dataEnvironment - Serveur d'origine des données
+   */
+  canSendTo(dataEnvironment) {
+    const origin = API_CONFIG.ENVIRONMENTS[dataEnvironment];
+    if (!origin) {
+      return true;
+    }
+    return !origin.production || this.isProduction();
+  }
+
+  /**
+   * Change de serveur (mémorisé, registre local vidé)
+   *
+   * @param {string} key - Clé de API_CONFIG.ENVIRONMENTS
+   */
+  async setEnvironment(key) {
+    await this.ensureLoaded();
+
+    if (!API_CONFIG.ENVIRONMENTS[key]) {
+      throw new Error(`Environnement inconnu: ${key}`);
+    }
+    if (key === this.activeKey) {
+      return;
+    }
+
+    const saved = await storageService.setItem(ENVIRONMENT_STORAGE_KEY, key);
+    if (!saved) {
+      throw new Error('Impossible d\'enregistrer le serveur choisi');
+    }
+
+    this.activeKey = key;
+    // Personnes et ménages téléchargés appartiennent à l'ancien serveur
+    await localDatabase.clearRegistry();
+    console.log(`🌍 Serveur changé: ${this.getActive().label} (${this.getServerUrl()})`);
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.getActive());
+      } catch (error) {
+        console.error('Erreur listener environnement:', error);
+      }
+    });
+  }
+
+  /**
+   * Suivre les changements de serveur
+   *
+   * @returns {Function} - Désabonnement
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+const environmentService = new EnvironmentService();
+export default environmentService;
@@ -0,0 +1,202 @@
+// =============================================================================
+// AUDIT SERVICE - PISTE D'AUDIT DES SAISIES
+// Fichier: src/services/audit/auditService.js
+// =============================================================================
+//
+// Chaque création ou modification de personne ou de ménage produit une
+// entrée : qui (utilisateur), sur quel appareil, quand, où (GPS) et quelles
+// valeurs ont changé (avant / après, champ par champ).
+//
+// L'entrée part avec l'enregistrement (`audit_trail` du corps de requête,
+// envoi direct ou queue de synchronisation) et reste dans la table
+// `audit_entries` de la base locale : l'historique d'une fiche est
+// consultable hors ligne. Une entrée de création reçoit l'id serveur de
+// l'enregistrement une fois celui-ci synchronisé.
+// =============================================================================
+
+import * as Device from 'expo-device';
+import { v4 as uuidv4 } from 'uuid';
+import authService from '../auth/authService';
+import gpsService from '../gps/gpsService';
+import localDatabase from '../database/localDatabase';
+import { getSigningIdentity } from '../sync/transferBundle';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
+
+const { AUDIT } = OFFLINE_CONFIG;
+
+// Champs techniques jamais inscrits dans les changements
+const IGNORED_FIELDS = ['id', 'created_at', 'updated_at', 'version', 'audit_trail'];
+
+const FIELD_LABELS = {
+  first_name: 'Prénom',
+  last_name: 'Nom',
+  nip: 'NIP',
+  birth_date: 'Date de naissance',
+  gender: 'Genre',
+  phone: 'Téléphone',
+  email: 'Email',
+  province: 'Province',
+  district: 'District',
+  village: 'Village',
+  city: 'Ville',
+  address: 'Adresse',
+  latitude: 'Latitude',
+  longitude: 'Longitude',
+  education_level: 'Niveau d\'études',
+  occupation_status: 'Activité',
+  monthly_income: 'Revenu mensuel',
+  verification_status: 'Statut de vérification',
+  household_type: 'Type de ménage',
+  household_size: 'Taille du ménage',
+  housing_type: 'Type de logement',
+  head_of_household: 'Chef de ménage',
+};
+
+const ACTION_LABELS = {
+  [AUDIT.ACTIONS.CREATE]: 'Création',
+  [AUDIT.ACTIONS.UPDATE]: 'Modification',
+};
+
+export function getFieldLabel(field) {
+  return FIELD_LABELS[field] || field;
+}
+
+export function getActionLabel(action) {
+  return ACTION_LABELS[action] || action;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Valeurs modifiées, champ par champ
+ *
+ * @param {Object|null} before - Valeurs d'origine (null pour une création)
+ * @param {Object} after - Nouvelles valeurs
+ * @returns {Array} - [{ field, before, after }]
+ */
+export function diffValues(before, after) {
+  return Object.keys(after || {})
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => (before ? !sameValue(before[field], after[field]) : !isEmpty(after[field])))
+    .map(field => ({
+      field,
+      before: before ? before[field] ?? null : null,
+      after: after[field] ?? null,
+    }));
+}
+
+class AuditService {
+  /**
+   * Construit une entrée d'audit (non enregistrée : voir save)
+   *
+   * @param {Object} change - { recordType, action, before, after, location }
+   *   location : position déjà capturée par le formulaire, sinon relevée ici
+   * @returns {Promise<Object>} - Entrée au format envoyé au serveur
+   */
+  async build({ recordType, action, before = null, after, location = null }) {
+    const [user, device, position] = await Promise.all([
+      authService.getCurrentUser(),
+      this.getDevice(),
+      location ? Promise.resolve(location) : this.capturePosition(),
+    ]);
+
+    return {
+      id: uuidv4(),
+      record_type: recordType,
+      action,
+      recorded_at: new Date().toISOString(),
+      user: user
+        ? { id: user.id, name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.username || null }
+        : null,
+      device,
+      location: position && !isEmpty(position.latitude) && !isEmpty(position.longitude)
+        ? {
+          latitude: Number(position.latitude),
+          longitude: Number(position.longitude),
+          accuracy: position.accuracy ?? null,
+        }
+        : null,
+      changes: diffValues(before, after),
+    };
+  }
+
+  /**
+   * Enregistre des entrées dans la base locale
+   *
+   * @param {Array} entries - Entrées construites par build()
+   * @param {Object} options - { recordId, personId, synced }
+   *   personId : fiche sur laquelle l'entrée est affichée (par défaut recordId)
+   */
+  async save(entries, { recordId = null, personId = recordId, synced = false } = {}) {
+    try {
+      await localDatabase.addAuditEntries(
+        entries.map(entry => ({ ...entry, recordId, personId, synced }))
+      );
+    } catch (error) {
+      // L'enregistrement métier est déjà fait : l'audit ne doit pas le bloquer
+      console.error('Erreur enregistrement audit:', error);
+    }
+  }
+
+  /**
+   * Historique d'une personne : entrées locales et entrées reçues du serveur
+   *
+   * @param {Object} person - Personne (peut porter `audit_trail` du serveur)
+   * @returns {Promise<Array>} - Entrées, plus récentes d'abord
+   */
+  async getTrail(person) {
+    let localEntries = [];
+    try {
+      localEntries = await localDatabase.getAuditEntries(person.id);
+    } catch (error) {
+      console.error('Erreur lecture audit:', error);
+    }
+
+    const serverEntries = (person.audit_trail || []).map(entry => ({ ...entry, synced: true }));
+    const localIds = new Set(localEntries.map(entry => entry.id));
+
+    return [...localEntries, ...serverEntries.filter(entry => !localIds.has(entry.id))]
+      .sort((a, b) => String(b.recorded_at).localeCompare(String(a.recorded_at)));
+  }
+
+  async getDevice() {
+    try {
+      const { deviceId } = await getSigningIdentity();
+      return { id: deviceId, model: Device.modelName || null };
+    } catch (error) {
+      console.error('Erreur identité appareil:', error);
+      return { id: null, model: Device.modelName || null };
+    }
+  }
+
+  /**
+   * Position courante, ou null si le GPS ne répond pas vite
+   */
+  async capturePosition() {
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), AUDIT.GPS_TIMEOUT);
+    });
+
+    try {
+      return await Promise.race([
+        gpsService.getCurrentPosition({ maximumAge: AUDIT.GPS_MAX_AGE }),
+        timeout,
+      ]);
+    } catch (error) {
+      console.log('📍 Audit sans position:', error.message);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+const auditService = new AuditService();
+export default auditService;
@@ -0,0 +1,242 @@
+// =============================================================================
+// TESTS - AUTHENTIFICATION
+// Connexion en ligne (enregistrement de la clé de signature de l'appareil),
+// connexion hors ligne, droits de la session, effacement de l'appareil après
+// trop de codes PIN erronés
+// =============================================================================
+
+import authService from '../authService';
+import lockService from '../lockService';
+import localDatabase from '../../database/localDatabase';
+import syncService from '../../sync/syncService';
+import { signDeviceRegistration } from '../../sync/transferBundle';
+import { SECURITY_CONFIG } from '../../../constants/securityConstants';
+import { PERMISSIONS } from '../../../constants/permissionsConstants';
+import { ERROR_MESSAGES } from '../../../constants/errorMessages';
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: length => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+jest.mock('expo-secure-store', () => ({}));
+jest.mock('../../storage/storageService', () => {
+  const store = new Map();
+  return {
+    __store: store,
+    setItem: jest.fn((key, value) => Promise.resolve(Boolean(store.set(key, value)))),
+    getItem: jest.fn(key => Promise.resolve(store.has(key) ? store.get(key) : null)),
+    removeItem: jest.fn(key => Promise.resolve(store.delete(key))),
+    multiRemove: jest.fn(keys => Promise.resolve(keys.forEach(key => store.delete(key)) || true)),
+    getAllKeys: jest.fn(() => Promise.resolve([...store.keys()])),
+  };
+});
+jest.mock('../../api/apiClient', () => ({ apiUtils: { subscribe: jest.fn() } }));
+jest.mock('../../api/environmentService', () => ({
+  ensureLoaded: () => Promise.resolve(),
+  url: path => `https://rsu.test${path}`,
+  getActive: () => ({ label: 'Production' }),
+  getActiveKey: () => 'production',
+  getServerUrl: () => 'https://rsu.test',
+}));
+jest.mock('../../database/localDatabase', () => ({ clearRegistry: jest.fn(), clearAll: jest.fn() }));
+jest.mock('../../sync/syncService', () => ({ clearData: jest.fn() }));
+jest.mock('../lockService', () => ({
+  reset: jest.fn(),
+  lock: jest.fn(),
+  attemptsExhausted: jest.fn(),
+  hasPin: jest.fn(),
+  verifyPin: jest.fn(),
+}));
+jest.mock('../../sync/transferBundle', () => ({ signDeviceRegistration: jest.fn() }));
+
+const { __store: store } = jest.requireMock('../../storage/storageService');
+
+const PROFILE = { id: 12, username: 'agent12', first_name: 'Awa', last_name: 'Ndong', user_type: 'SURVEYOR' };
+const REGISTRATION = { device_id: 'appareil-1', public_key: 'cle-publique', signature: 'preuve' };
+
+const jsonResponse = (status, body = {}) => ({ status, ok: status >= 200 && status < 300, json: () => Promise.resolve(body) });
+
+/**
+ * Serveur d'authentification : réponses par chemin
+ */
+function mockServer(routes) {
+  global.fetch = jest.fn((url, options) => {
+    const path = url.replace('https://rsu.test', '');
+    const route = routes[path];
+    if (!route) {
+      return Promise.reject(new TypeError('Network request failed'));
+    }
+    return Promise.resolve(typeof route === 'function' ? route(options) : route);
+  });
+}
+
+const ONLINE = {
+  '/api/v1/auth/token/': jsonResponse(200, { access: 'jeton', refresh: 'jeton-refresh' }),
+  '/api/v1/core/users/me/': jsonResponse(200, PROFILE),
+  '/api/v1/core/users/me/signing-keys/': jsonResponse(201),
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  store.clear();
+  authService.currentUser = null;
+  signDeviceRegistration.mockResolvedValue(REGISTRATION);
+});
+
+describe('connexion en ligne', () => {
+  it("enregistre la clé de l'appareil au nom de l'utilisateur", async () => {
+    mockServer(ONLINE);
+
+    const user = await authService.login({ username: ' agent12 ', password: 'secret' });
+
+    expect(signDeviceRegistration).toHaveBeenCalledWith(12);
+    const [, options] = global.fetch.mock.calls.find(([url]) => url.endsWith('/signing-keys/'));
+    expect(options.method).toBe('POST');
+    expect(options.headers.Authorization).toBe('Bearer jeton');
+    expect(JSON.parse(options.body)).toEqual(REGISTRATION);
+
+    expect(user).toMatchObject({ id: 12, token: 'jeton', signingKey: 'cle-publique', offlineSession: false });
+    expect(JSON.parse(store.get('user_data')).signingKey).toBe('cle-publique');
+  });
+
+  it("ouvre la session sans clé enregistrée si le serveur la refuse", async () => {
+    mockServer({ ...ONLINE, '/api/v1/core/users/me/signing-keys/': jsonResponse(403) });
+
+    const user = await authService.login({ username: 'agent12', password: 'secret' });
+
+    expect(user).toMatchObject({ id: 12, token: 'jeton', signingKey: null });
+  });
+
+  it('refuse des identifiants invalides sans enregistrer de clé', async () => {
+    mockServer({ '/api/v1/auth/token/': jsonResponse(401) });
+
+    await expect(authService.login({ username: 'agent12', password: 'faux' })).rejects.toThrow('Identifiants invalides');
+    expect(signDeviceRegistration).not.toHaveBeenCalled();
+  });
+});
+
+describe('connexion hors ligne', () => {
+  const OFFLINE = {};
+
+  beforeEach(async () => {
+    // Dernière connexion en ligne sur ce serveur
+    mockServer(ONLINE);
+    await authService.login({ username: 'agent12', password: 'secret' });
+    store.delete('user_data');
+    authService.currentUser = null;
+  });
+
+  it('rouvre la dernière session en ligne avec le même mot de passe', async () => {
+    mockServer(OFFLINE);
+
+    const user = await authService.login({ username: 'Agent12', password: 'secret' });
+
+    expect(user).toMatchObject({ id: 12, token: 'jeton', signingKey: 'cle-publique', offlineSession: true });
+    expect(JSON.parse(store.get('user_data')).offlineSession).toBe(true);
+  });
+
+  it('refuse un mauvais mot de passe', async () => {
+    mockServer(OFFLINE);
+
+    await expect(authService.login({ username: 'agent12', password: 'faux' })).rejects.toThrow('Identifiants invalides');
+    expect(store.has('user_data')).toBe(false);
+  });
+
+  it('exige une connexion en ligne après la période hors ligne autorisée', async () => {
+    mockServer(OFFLINE);
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + SECURITY_CONFIG.OFFLINE_GRACE_PERIOD + 1000);
+
+    await expect(authService.login({ username: 'agent12', password: 'secret' }))
+      .rejects.toThrow(ERROR_MESSAGES.AUTH.ONLINE_LOGIN_REQUIRED);
+
+    Date.now.mockRestore();
+  });
+
+  it('exige une première connexion en ligne pour un autre identifiant', async () => {
+    mockServer(OFFLINE);
+
+    await expect(authService.login({ username: 'agent13', password: 'secret' }))
+      .rejects.toThrow('connexion internet requise');
+  });
+});
+
+describe('droits de la session', () => {
+  const { ACTIONS, USER_ROLES } = PERMISSIONS;
+
+  it('suit le rôle du profil serveur', async () => {
+    mockServer({ ...ONLINE, '/api/v1/core/users/me/': jsonResponse(200, { ...PROFILE, user_type: 'SUPERVISOR' }) });
+
+    await authService.login({ username: 'agent12', password: 'secret' });
+
+    expect(authService.getRole()).toBe(USER_ROLES.SUPERVISOR);
+    expect(authService.can(ACTIONS.VERIFY_PERSON)).toBe(true);
+    expect(authService.can(ACTIONS.MANAGE_USERS)).toBe(false);
+  });
+
+  it("limite un enquêteur à la saisie", async () => {
+    mockServer(ONLINE);
+
+    await authService.login({ username: 'agent12', password: 'secret' });
+
+    expect(authService.can(ACTIONS.CREATE_PERSON)).toBe(true);
+    expect(authService.can(ACTIONS.VERIFY_PERSON)).toBe(false);
+    expect(authService.can(ACTIONS.DELETE_PERSON)).toBe(false);
+  });
+
+  it("n'autorise que la consultation sans session", () => {
+    expect(authService.can(ACTIONS.VIEW_PERSONS)).toBe(true);
+    expect(authService.can(ACTIONS.CREATE_PERSON)).toBe(false);
+  });
+});
+
+describe('effacement après trop de codes PIN erronés', () => {
+  beforeEach(() => {
+    store.set('user_data', JSON.stringify({ id: 12, token: 'jeton', signingKey: 'cle-publique' }));
+    store.set('auth_token', 'jeton');
+    store.set('offline_verifier:agent12', '{}');
+    store.set('api_environment', 'production');
+  });
+
+  it('efface session, vérificateurs, registre et queue non envoyée', async () => {
+    lockService.verifyPin.mockResolvedValue({ success: false, remainingAttempts: 0, exhausted: true });
+
+    const result = await authService.unlockWithPin('0000');
+
+    expect(result.exhausted).toBe(true);
+    expect([...store.keys()]).toEqual(['api_environment']);
+    expect(lockService.reset).toHaveBeenCalled();
+    expect(syncService.clearData).toHaveBeenCalled();
+    expect(localDatabase.clearAll).toHaveBeenCalled();
+  });
+
+  it("efface aussi au démarrage si les essais ont été épuisés avant l'arrêt", async () => {
+    lockService.attemptsExhausted.mockResolvedValueOnce(true);
+
+    const { user, reason } = await authService.restoreSession();
+
+    expect(user).toBeNull();
+    expect(reason).toBe(ERROR_MESSAGES.AUTH.DEVICE_WIPED);
+    expect(syncService.clearData).toHaveBeenCalled();
+    expect(localDatabase.clearAll).toHaveBeenCalled();
+  });
+
+  it('ne touche à rien sur un code erroné avec des essais restants', async () => {
+    lockService.verifyPin.mockResolvedValue({ success: false, remainingAttempts: 2, exhausted: false });
+
+    await authService.unlockWithPin('0000');
+
+    expect(store.has('user_data')).toBe(true);
+    expect(syncService.clearData).not.toHaveBeenCalled();
+    expect(localDatabase.clearAll).not.toHaveBeenCalled();
+  });
+});
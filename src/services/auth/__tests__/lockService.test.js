@@ -0,0 +1,159 @@
+// =============================================================================
+// TESTS - DÉVERROUILLAGE PAR CODE PIN
+// Empreinte du PIN, compteur d'essais (redémarrage compris), biométrie
+// refusée après un code erroné, verrouillage après inactivité
+// =============================================================================
+
+import * as LocalAuthentication from 'expo-local-authentication';
+import lockService from '../lockService';
+import { SECURITY_CONFIG } from '../../../constants/securityConstants';
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: length => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+jest.mock('expo-secure-store', () => ({}));
+jest.mock('expo-local-authentication', () => ({
+  hasHardwareAsync: jest.fn(() => Promise.resolve(true)),
+  isEnrolledAsync: jest.fn(() => Promise.resolve(true)),
+  authenticateAsync: jest.fn(() => Promise.resolve({ success: true })),
+}));
+jest.mock('../../storage/storageService', () => {
+  const store = new Map();
+  return {
+    __store: store,
+    setItem: jest.fn((key, value) => Promise.resolve(Boolean(store.set(key, value)))),
+    getItem: jest.fn(key => Promise.resolve(store.has(key) ? store.get(key) : null)),
+    removeItem: jest.fn(key => Promise.resolve(store.delete(key))),
+  };
+});
+
+const { __store: store } = jest.requireMock('../../storage/storageService');
+
+const { MAX_UNLOCK_ATTEMPTS } = SECURITY_CONFIG;
+
+/**
+ * Nouveau lancement de l'application : état relu depuis le stockage
+ */
+function restart() {
+  lockService.loadPromise = null;
+  lockService.locked = true;
+}
+
+async function failAttempts(count) {
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    results.push(await lockService.verifyPin('0000'));
+  }
+  return results;
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  await lockService.reset();
+  store.clear();
+  await lockService.setPin(12, '4821');
+});
+
+describe('code PIN', () => {
+  it("ne garde qu'une empreinte du PIN", () => {
+    const saved = store.get('session_lock');
+
+    expect(saved).not.toContain('4821');
+    expect(JSON.parse(saved).pin).toEqual({
+      salt: expect.stringMatching(/^[0-9a-f]{32}$/),
+      iterations: 50000,
+      verifier: expect.stringMatching(/^[0-9a-f]{64}$/),
+    });
+  });
+
+  it('déverrouille avec le bon PIN', async () => {
+    expect(await lockService.verifyPin('4821')).toEqual({
+      success: true,
+      remainingAttempts: MAX_UNLOCK_ATTEMPTS,
+      exhausted: false,
+    });
+    expect(lockService.isLocked()).toBe(false);
+  });
+
+  it("n'est défini que pour son utilisateur", async () => {
+    expect(await lockService.hasPin(12)).toBe(true);
+    expect(await lockService.hasPin(13)).toBe(false);
+  });
+});
+
+describe('essais erronés', () => {
+  it('décompte les essais puis signale leur épuisement', async () => {
+    const results = await failAttempts(MAX_UNLOCK_ATTEMPTS);
+
+    expect(results.map(result => result.remainingAttempts))
+      .toEqual(Array.from({ length: MAX_UNLOCK_ATTEMPTS }, (_, i) => MAX_UNLOCK_ATTEMPTS - 1 - i));
+    expect(results.filter(result => result.exhausted)).toEqual([results[MAX_UNLOCK_ATTEMPTS - 1]]);
+    expect(lockService.isLocked()).toBe(true);
+    expect(await lockService.attemptsExhausted()).toBe(true);
+  });
+
+  it("garde le compte après un redémarrage de l'application", async () => {
+    await failAttempts(MAX_UNLOCK_ATTEMPTS - 1);
+
+    restart();
+    expect(await lockService.attemptsExhausted()).toBe(false);
+    expect(await lockService.verifyPin('0000')).toEqual({ success: false, remainingAttempts: 0, exhausted: true });
+
+    restart();
+    expect(await lockService.attemptsExhausted()).toBe(true);
+  });
+
+  it('remet le compte à zéro après un bon PIN', async () => {
+    await failAttempts(2);
+    await lockService.verifyPin('4821');
+
+    restart();
+    const [result] = await failAttempts(1);
+    expect(result.remainingAttempts).toBe(MAX_UNLOCK_ATTEMPTS - 1);
+  });
+
+  it('refuse tout code une fois le PIN oublié (effacement)', async () => {
+    await lockService.reset();
+
+    expect(await lockService.verifyPin('4821')).toEqual({ success: false, remainingAttempts: 0, exhausted: true });
+    expect(store.has('session_lock')).toBe(false);
+  });
+});
+
+describe('biométrie', () => {
+  beforeEach(async () => {
+    await lockService.setBiometricEnabled(true);
+  });
+
+  it('déverrouille en complément du PIN', async () => {
+    expect(await lockService.unlockWithBiometrics()).toBe(true);
+    expect(lockService.isLocked()).toBe(false);
+  });
+
+  it("n'est plus proposée après un code erroné", async () => {
+    await failAttempts(1);
+
+    expect(await lockService.unlockWithBiometrics()).toBe(false);
+    expect(LocalAuthentication.authenticateAsync).not.toHaveBeenCalled();
+    expect(lockService.isLocked()).toBe(true);
+  });
+});
+
+describe('inactivité', () => {
+  it('verrouille une fois le délai écoulé', async () => {
+    await lockService.verifyPin('4821');
+    const now = lockService.lastActivityAt;
+
+    expect(lockService.checkInactivity(now + SECURITY_CONFIG.INACTIVITY_TIMEOUT - 1)).toBe(false);
+    lockService.recordActivity();
+    expect(lockService.checkInactivity(lockService.lastActivityAt + SECURITY_CONFIG.INACTIVITY_TIMEOUT)).toBe(true);
+  });
+});
@@ -0,0 +1,88 @@
+// =============================================================================
+// TESTS - VÉRIFICATEUR DE CONNEXION HORS LIGNE
+// Dérivation, vérification par identifiant et par serveur, effacement
+// =============================================================================
+
+import {
+  saveOfflineCredential,
+  verifyOfflineCredential,
+  clearOfflineCredentials,
+} from '../offlineCredentials';
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: length => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+jest.mock('expo-secure-store', () => ({}));
+jest.mock('../../storage/storageService', () => {
+  const store = new Map();
+  return {
+    __store: store,
+    setItem: jest.fn((key, value) => Promise.resolve(Boolean(store.set(key, value)))),
+    getItem: jest.fn(key => Promise.resolve(store.has(key) ? store.get(key) : null)),
+    multiRemove: jest.fn(keys => Promise.resolve(keys.forEach(key => store.delete(key)) || true)),
+    getAllKeys: jest.fn(() => Promise.resolve([...store.keys()])),
+  };
+});
+
+const { __store: store } = jest.requireMock('../../storage/storageService');
+
+const SESSION = { id: 12, username: 'agent12', token: 'jeton' };
+
+beforeEach(() => {
+  store.clear();
+});
+
+describe('vérificateur hors ligne', () => {
+  beforeEach(async () => {
+    await saveOfflineCredential('production', 'Agent12', 'secret', SESSION);
+  });
+
+  it('ne garde ni le mot de passe ni l\'identifiant en clair', () => {
+    const [[key, value]] = [...store.entries()];
+    const record = JSON.parse(value);
+
+    expect(key).toMatch(/^offline_verifier:[0-9a-f]{32}$/);
+    expect(value).not.toContain('secret');
+    expect(key).not.toContain('agent12');
+    expect(record).toMatchObject({ version: 1, iterations: 100000, session: SESSION });
+    expect(record.salt).toMatch(/^[0-9a-f]{32}$/);
+    expect(record.verifier).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('rouvre la session avec le bon mot de passe, quelle que soit la casse de l\'identifiant', async () => {
+    expect(await verifyOfflineCredential('production', ' agent12 ', 'secret')).toEqual(SESSION);
+  });
+
+  it('refuse un autre mot de passe', async () => {
+    expect(await verifyOfflineCredential('production', 'agent12', 'Secret')).toBeNull();
+  });
+
+  it('exige une connexion en ligne préalable sur chaque serveur', async () => {
+    await expect(verifyOfflineCredential('staging', 'agent12', 'secret'))
+      .rejects.toMatchObject({ code: 'NO_OFFLINE_CREDENTIAL' });
+    await expect(verifyOfflineCredential('production', 'agent13', 'secret'))
+      .rejects.toMatchObject({ code: 'NO_OFFLINE_CREDENTIAL' });
+  });
+
+  it('tire un nouveau sel à chaque connexion en ligne', async () => {
+    const before = JSON.parse([...store.values()][0]);
+
+    await saveOfflineCredential('production', 'agent12', 'secret', SESSION);
+
+    const after = JSON.parse([...store.values()][0]);
+    expect(store.size).toBe(1);
+    expect(after.salt).not.toBe(before.salt);
+    expect(after.verifier).not.toBe(before.verifier);
+  });
+
+  it('oublie tous les vérificateurs, et seulement eux', async () => {
+    await saveOfflineCredential('staging', 'agent12', 'secret', SESSION);
+    store.set('api_environment', 'production');
+
+    await clearOfflineCredentials();
+
+    expect([...store.keys()]).toEqual(['api_environment']);
+    await expect(verifyOfflineCredential('production', 'agent12', 'secret'))
+      .rejects.toMatchObject({ code: 'NO_OFFLINE_CREDENTIAL' });
+  });
+});
@@ -0,0 +1,81 @@
+// =============================================================================
+// TESTS - CONTRÔLE D'ACCÈS PAR RÔLE
+// Rôle lu dans le profil, actions autorisées, retrait d'éléments de la queue
+// =============================================================================
+
+import { getUserRole, hasPermission, isReadOnly, queueDeleteAction } from '../permissions';
+import { PERMISSIONS } from '../../../constants/permissionsConstants';
+import { OFFLINE_CONFIG } from '../../../constants/offlineConstants';
+
+const { USER_ROLES, ACTIONS } = PERMISSIONS;
+const { OPERATION_TYPES } = OFFLINE_CONFIG;
+
+describe('getUserRole', () => {
+  it('lit le type du profil serveur', () => {
+    expect(getUserRole({ userType: 'SUPERVISOR' })).toBe(USER_ROLES.SUPERVISOR);
+    expect(getUserRole({ userType: ' surveyor ' })).toBe(USER_ROLES.SURVEYOR);
+  });
+
+  it.each([
+    ['sans session', null],
+    ['sans type', {}],
+    ['de type inconnu', { userType: 'ROOT' }],
+  ])('limite un utilisateur %s à la consultation', (label, user) => {
+    expect(getUserRole(user)).toBe(USER_ROLES.VIEWER);
+    expect(isReadOnly(getUserRole(user))).toBe(true);
+  });
+});
+
+describe('hasPermission', () => {
+  it.each([
+    [USER_ROLES.VIEWER, ACTIONS.VIEW_PERSONS, true],
+    [USER_ROLES.VIEWER, ACTIONS.CREATE_PERSON, false],
+    [USER_ROLES.SURVEYOR, ACTIONS.CREATE_PERSON, true],
+    [USER_ROLES.SURVEYOR, ACTIONS.TRANSFER_QUEUE, true],
+    [USER_ROLES.SURVEYOR, ACTIONS.DELETE_PERSON, false],
+    [USER_ROLES.SURVEYOR, ACTIONS.VERIFY_PERSON, false],
+    [USER_ROLES.SUPERVISOR, ACTIONS.VERIFY_PERSON, true],
+    [USER_ROLES.SUPERVISOR, ACTIONS.MANAGE_USERS, false],
+    [USER_ROLES.ADMIN, ACTIONS.MANAGE_USERS, true],
+    [USER_ROLES.ADMIN, ACTIONS.MANAGE_SYSTEM, false],
+  ])('%s / %s : %s', (role, action, allowed) => {
+    expect(hasPermission(role, action)).toBe(allowed);
+  });
+
+  it('donne toutes les actions au super administrateur', () => {
+    Object.values(ACTIONS).forEach(action => {
+      expect(hasPermission(USER_ROLES.SUPER_ADMIN, action)).toBe(true);
+    });
+  });
+
+  it('traite un rôle inconnu comme la consultation', () => {
+    expect(hasPermission('ROOT', ACTIONS.VIEW_PERSONS)).toBe(true);
+    expect(hasPermission('ROOT', ACTIONS.CREATE_PERSON)).toBe(false);
+    expect(hasPermission(undefined, ACTIONS.MANAGE_SYSTEM)).toBe(false);
+  });
+
+  it('cumule les droits du rôle inférieur', () => {
+    const roles = [USER_ROLES.VIEWER, USER_ROLES.SURVEYOR, USER_ROLES.SUPERVISOR, USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN];
+    roles.slice(1).forEach((role, index) => {
+      Object.values(ACTIONS)
+        .filter(action => hasPermission(roles[index], action))
+        .forEach(action => expect(hasPermission(role, action)).toBe(true));
+    });
+  });
+});
+
+describe('queueDeleteAction', () => {
+  it('demande le droit de supprimer la saisie correspondante', () => {
+    expect(queueDeleteAction(OPERATION_TYPES.ENROLLMENT)).toBe(ACTIONS.DELETE_PERSON);
+    expect(queueDeleteAction(OPERATION_TYPES.CREATE_HOUSEHOLD)).toBe(ACTIONS.DELETE_HOUSEHOLD);
+    expect(queueDeleteAction(OPERATION_TYPES.SURVEY)).toBe(ACTIONS.DELETE_SURVEY);
+    expect(queueDeleteAction(OPERATION_TYPES.REVIEW_PERSON)).toBe(ACTIONS.VERIFY_PERSON);
+    expect(queueDeleteAction('inconnu')).toBe(ACTIONS.DELETE_PERSON);
+  });
+
+  it("ne laisse pas un enquêteur retirer une saisie de la queue", () => {
+    Object.values(OPERATION_TYPES).forEach(type => {
+      expect(hasPermission(USER_ROLES.SURVEYOR, queueDeleteAction(type))).toBe(false);
+    });
+  });
+});
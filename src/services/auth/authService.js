@@ -1,69 +1,115 @@
 // =============================================================================
-// AUTHSERVICE CORRIGÉ - CREDENTIALS RÉELS + COMMUNICATION BACKEND
-// Fichier: src/services/auth/authService.js - CORRECTION COMPLÈTE
+// AUTHSERVICE - AUTHENTIFICATION SERVEUR + CONNEXION HORS LIGNE
+// Fichier: src/services/auth/authService.js
+// =============================================================================
+//
+// Aucun identifiant n'est embarqué dans l'application : la connexion passe
+// par le serveur actif (jetons JWT, profil), et la connexion hors ligne par
+// un vérificateur dérivé de la dernière connexion en ligne
+// (offlineCredentials.js), pendant au plus SECURITY_CONFIG.OFFLINE_GRACE_PERIOD.
+//
+// Une session ouverte est ensuite protégée par un code PIN (lockService.js) ;
+// trop de codes erronés effacent les données sensibles de l'appareil, queue
+// non envoyée comprise (saisies, photos, audit).
+//
+// Chaque connexion en ligne enregistre la clé de signature de l'appareil
+// (transferBundle.js) au nom de l'enquêteur : le serveur vérifie avec elle
+// l'auteur d'origine des éléments transmis par un autre appareil.
+//
+// Les jetons sont renouvelés par apiClient ; la session suit ses événements
+// (nouveau jeton mémorisé, session expirée).
 // =============================================================================
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import apiClient from '../api/apiClient';
-
-// ✅ CREDENTIALS BACKEND RÉELS
-const VALID_CREDENTIALS = [
-  {
-    email: 'souare.ahmed@gmail.com',
-    password: 'admin123',
-    username: 'admin',
-    userType: 'ADMIN'
-  },
-  // Credentials test pour développement
-  {
-    email: 'enqueteur@rsu.gabon.ga',
-    password: 'test123',
-    username: 'enqueteur_test',
-    userType: 'SURVEYOR'
-  }
-];
-
-// ✅ CONFIGURATION BACKEND
-const BACKEND_BASE_URL = 'http://192.168.1.69:8000';
+import storageService from '../storage/storageService';
+import { apiUtils } from '../api/apiClient';
+import environmentService from '../api/environmentService';
+import localDatabase from '../database/localDatabase';
+import syncService from '../sync/syncService';
+import lockService from './lockService';
+import { getUserRole, hasPermission } from './permissions';
+import { saveOfflineCredential, verifyOfflineCredential, clearOfflineCredentials } from './offlineCredentials';
+import { signDeviceRegistration } from '../sync/transferBundle';
+import { SECURITY_CONFIG } from '../../constants/securityConstants';
+import { ERROR_MESSAGES } from '../../constants/errorMessages';
+import { API_CONFIG } from '../../constants/apiConfig';
+
+// ✅ ENDPOINTS BACKEND (serveur actif : environmentService)
 const API_ENDPOINTS = {
   login: '/api/v1/auth/token/',
   refresh: '/api/v1/auth/token/refresh/',
   verify: '/api/v1/auth/token/verify/',
   userProfile: '/api/v1/core/users/me/',
+  signingKeys: '/api/v1/core/users/me/signing-keys/',
 };
 
+// Délai max d'un appel d'authentification avant de passer hors ligne
+const AUTH_REQUEST_TIMEOUT = 15000;
+
 class AuthService {
   constructor() {
     this.isAuthenticated = false;
     this.currentUser = null;
     this.token = null;
     this.backendAvailable = false;
+
+    apiUtils.subscribe(event => {
+      if (event.type === API_CONFIG.AUTH_EVENTS.TOKEN_REFRESHED) {
+        this.handleTokenRefreshed(event).catch(error => {
+          console.error('Erreur mise à jour session:', error);
+        });
+      }
+    });
   }
 
   /**
-   * Test communication backend
+   * Appel fetch vers le serveur actif, borné dans le temps.
+   * Une erreur réseau ou un serveur en panne (5xx) est marquée `offline`.
    */
-  async testBackendConnection() {
+  async request(path, options = {}) {
+    await environmentService.ensureLoaded();
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), AUTH_REQUEST_TIMEOUT);
+
+    let response;
     try {
-      console.log('🔍 Test connexion backend:', BACKEND_BASE_URL);
-      
-      const response = await fetch(`${BACKEND_BASE_URL}/api/`, {
-        method: 'GET',
+      response = await fetch(environmentService.url(path), {
+        ...options,
         headers: {
           'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          ...options.headers,
         },
-        timeout: 5000,
+        signal: controller.signal,
       });
+    } catch (networkError) {
+      const error = new Error(`Serveur ${environmentService.getActive().label} injoignable`);
+      error.offline = true;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
 
-      if (response.ok) {
-        this.backendAvailable = true;
-        console.log('✅ Backend accessible:', response.status);
-        return true;
-      } else {
-        console.log('⚠️ Backend répond mais erreur:', response.status);
-        this.backendAvailable = false;
-        return false;
-      }
+    if (response.status >= 500) {
+      const error = new Error(`Serveur ${environmentService.getActive().label} indisponible (${response.status})`);
+      error.offline = true;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Test communication backend
+   */
+  async testBackendConnection() {
+    try {
+      console.log('🔍 Test connexion backend:', environmentService.getServerUrl());
+
+      const response = await this.request('/api/', { method: 'GET' });
+      this.backendAvailable = response.ok;
+      console.log(response.ok ? '✅ Backend accessible:' : '⚠️ Backend répond mais erreur:', response.status);
+      return response.ok;
     } catch (error) {
       console.log('❌ Backend non accessible:', error.message);
       this.backendAvailable = false;
@@ -73,92 +119,41 @@ class AuthService {
 
   /**
    * Authentification
+   *
+   * En ligne : jetons JWT puis profil depuis le serveur actif. Sans réseau :
+   * vérification locale contre la dernière connexion en ligne réussie.
+   *
+   * @param {Object} credentials - { username (identifiant ou email), password }
+   * @returns {Promise<Object>} - Données utilisateur de la session
    */
   async login(credentials) {
-    try {
-      console.log('🔐 Tentative login:', credentials.email);
-
-      // 1. Test backend disponibilité
-      await this.testBackendConnection();
-
-      // 2. Validation credentials locales
-      const validCredential = VALID_CREDENTIALS.find(
-        cred => cred.email === credentials.email && cred.password === credentials.password
-      );
-
-      if (!validCredential) {
-        throw new Error('Identifiants invalides');
-      }
+    const identifier = credentials.username.trim();
 
-      console.log('✅ Credentials valides localement');
-
-      // 3. Tentative authentification backend
-      if (this.backendAvailable) {
-        try {
-          console.log('🌐 Tentative auth backend...');
-          
-          const response = await fetch(`${BACKEND_BASE_URL}${API_ENDPOINTS.login}`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              username: validCredential.username,
-              password: credentials.password,
-            }),
-          });
-
-          if (response.ok) {
-            const tokenData = await response.json();
-            
-            console.log('✅ Auth backend réussie');
-            
-            const userData = {
-              id: 1,
-              email: credentials.email,
-              username: validCredential.username,
-              userType: validCredential.userType,
-              token: tokenData.access,
-              refreshToken: tokenData.refresh,
-              firstName: validCredential.userType === 'ADMIN' ? 'Ahmed' : 'Enquêteur',
-              lastName: validCredential.userType === 'ADMIN' ? 'SOUARE' : 'RSU Gabon',
-              isAuthenticated: true,
-              lastLogin: new Date().toISOString(),
-              backendMode: true,
-            };
-
-            await this.saveUserData(userData);
-            return userData;
-
-          } else {
-            console.log('❌ Auth backend échouée:', response.status);
-            throw new Error('Échec authentification backend');
-          }
-        } catch (backendError) {
-          console.log('⚠️ Erreur backend, passage mode mock:', backendError.message);
+    try {
+      console.log('🔐 Tentative login:', identifier);
+
+      let tokens;
+      try {
+        tokens = await this.requestTokens(identifier, credentials.password);
+      } catch (error) {
+        if (!error.offline) {
+          throw error;
         }
+        console.log('📴 Serveur injoignable, vérification hors ligne:', error.message);
+        return await this.loginOffline(identifier, credentials.password);
       }
 
-      // 4. Mode Mock si backend indisponible
-      console.log('🎭 Mode mock activé');
-      
-      const mockUserData = {
-        id: Date.now(),
-        email: credentials.email,
-        username: validCredential.username,
-        userType: validCredential.userType,
-        token: 'mock_jwt_token_' + Date.now(),
-        refreshToken: 'mock_refresh_token_' + Date.now(),
-        firstName: validCredential.userType === 'ADMIN' ? 'Ahmed' : 'Enquêteur',
-        lastName: validCredential.userType === 'ADMIN' ? 'SOUARE' : 'RSU Gabon',
-        isAuthenticated: true,
-        lastLogin: new Date().toISOString(),
-        backendMode: false,
+      const profile = await this.fetchProfile(tokens.access);
+      const userData = {
+        ...this.buildUserData(profile, tokens),
+        signingKey: await this.registerSigningKey(profile.id, tokens.access),
       };
 
-      await this.saveUserData(mockUserData);
-      console.log('✅ Login mock réussi');
-      return mockUserData;
+      await this.saveUserData(userData);
+      await saveOfflineCredential(environmentService.getActiveKey(), identifier, credentials.password, userData);
+
+      console.log('✅ Auth backend réussie');
+      return userData;
 
     } catch (error) {
       console.error('❌ Erreur login:', error);
@@ -166,6 +161,214 @@ class AuthService {
     }
   }
 
+  /**
+   * Jetons JWT { access, refresh } pour un identifiant et un mot de passe
+   */
+  async requestTokens(identifier, password) {
+    const response = await this.request(API_ENDPOINTS.login, {
+      method: 'POST',
+      body: JSON.stringify({ username: identifier, password }),
+    });
+
+    if (response.status === 400 || response.status === 401) {
+      throw new Error('Identifiants invalides');
+    }
+    if (!response.ok) {
+      throw new Error(`Échec authentification (${response.status})`);
+    }
+
+    this.backendAvailable = true;
+    return response.json();
+  }
+
+  /**
+   * Profil de l'utilisateur authentifié
+   */
+  async fetchProfile(accessToken) {
+    const response = await this.request(API_ENDPOINTS.userProfile, {
+      method: 'GET',
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Profil utilisateur indisponible (${response.status})`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Enregistre la clé de signature de l'appareil au nom de l'utilisateur.
+   * En cas d'échec la connexion aboutit, mais l'export de lots reste
+   * bloqué jusqu'à la prochaine connexion en ligne.
+   *
+   * @returns {Promise<string|null>} - Clé publique enregistrée, null si refusée
+   */
+  async registerSigningKey(userId, accessToken) {
+    try {
+      const registration = await signDeviceRegistration(userId);
+      const response = await this.request(API_ENDPOINTS.signingKeys, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${accessToken}` },
+        body: JSON.stringify(registration),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Clé de signature refusée (${response.status})`);
+      }
+
+      console.log('🔏 Clé de signature de l\'appareil enregistrée');
+      return registration.public_key;
+    } catch (error) {
+      console.error('Erreur enregistrement clé de signature:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Données de session à partir du profil serveur
+   */
+  buildUserData(profile, tokens) {
+    return {
+      ...profile,
+      firstName: profile.first_name || '',
+      lastName: profile.last_name || '',
+      userType: profile.user_type || profile.role || null,
+      assignedZone: profile.assigned_zone || null,
+      token: tokens.access,
+      refreshToken: tokens.refresh,
+      isAuthenticated: true,
+      lastLogin: new Date().toISOString(),
+      lastOnlineAuthAt: new Date().toISOString(),
+      offlineSession: false,
+    };
+  }
+
+  /**
+   * Connexion sans réseau : rouvre la dernière session en ligne si le mot
+   * de passe correspond au vérificateur local
+   */
+  async loginOffline(identifier, password) {
+    const session = await verifyOfflineCredential(environmentService.getActiveKey(), identifier, password);
+    if (!session) {
+      throw new Error('Identifiants invalides');
+    }
+    if (this.isOfflineGraceExpired(session)) {
+      throw new Error(ERROR_MESSAGES.AUTH.ONLINE_LOGIN_REQUIRED);
+    }
+
+    // Jetons de la dernière connexion : renouvelés ou redemandés au retour du réseau
+    const userData = {
+      ...session,
+      lastLogin: new Date().toISOString(),
+      offlineSession: true,
+    };
+
+    await this.saveUserData(userData);
+    console.log('✅ Connexion hors ligne réussie');
+    return userData;
+  }
+
+  /**
+   * Période hors ligne écoulée depuis la dernière connexion en ligne ?
+   */
+  isOfflineGraceExpired(user) {
+    const lastOnline = user?.lastOnlineAuthAt || user?.lastLogin;
+    return !lastOnline
+      || Date.now() - new Date(lastOnline).getTime() > SECURITY_CONFIG.OFFLINE_GRACE_PERIOD;
+  }
+
+  /**
+   * Session à rouvrir au démarrage, après contrôle des règles de sécurité
+   *
+   * @returns {Promise<Object>} - { user, needsPin, reason } ; user null si une
+   *                              connexion est requise (reason : message)
+   */
+  async restoreSession() {
+    if (await lockService.attemptsExhausted()) {
+      await this.wipeSensitiveData();
+      return { user: null, needsPin: false, reason: ERROR_MESSAGES.AUTH.DEVICE_WIPED };
+    }
+
+    const user = await this.getCurrentUser();
+    if (!user?.token) {
+      return { user: null, needsPin: false, reason: null };
+    }
+
+    if (this.isOfflineGraceExpired(user)) {
+      await this.logout();
+      return { user: null, needsPin: false, reason: ERROR_MESSAGES.AUTH.ONLINE_LOGIN_REQUIRED };
+    }
+
+    return { user, needsPin: !await lockService.hasPin(user.id), reason: null };
+  }
+
+  /**
+   * Déverrouille la session avec le code PIN ; efface les données sensibles
+   * quand les essais sont épuisés
+   *
+   * @returns {Promise<Object>} - { success, remainingAttempts, exhausted }
+   */
+  async unlockWithPin(pin) {
+    const result = await lockService.verifyPin(pin);
+    if (result.exhausted) {
+      await this.wipeSensitiveData();
+    }
+    return result;
+  }
+
+  /**
+   * Efface session, jetons, PIN, vérificateurs hors ligne, registre
+   * téléchargé et queue non envoyée (photos, journal et audit compris) :
+   * la queue contient NIP, revenus et pièces d'identité. Les saisies non
+   * synchronisées sont perdues, ce que l'écran de déverrouillage annonce.
+   */
+  async wipeSensitiveData() {
+    console.log('🧨 Effacement des données sensibles');
+    await this.logout();
+    await clearOfflineCredentials();
+    try {
+      await syncService.clearData();
+      await localDatabase.clearAll();
+    } catch (error) {
+      console.error('Erreur effacement base locale:', error);
+    }
+  }
+
+  /**
+   * Jetons renouvelés par apiClient : la session mémorisée les reprend, et
+   * le renouvellement compte comme une authentification en ligne
+   */
+  async handleTokenRefreshed({ access, refresh }) {
+    const user = await this.getCurrentUser();
+    if (!user) {
+      return;
+    }
+
+    await this.saveUserData({
+      ...user,
+      token: access,
+      refreshToken: refresh,
+      lastOnlineAuthAt: new Date().toISOString(),
+      offlineSession: false,
+    });
+  }
+
+  /**
+   * Session refusée par le serveur : retour à la connexion. Contrairement à
+   * logout, le code PIN et le vérificateur hors ligne sont gardés pour le
+   * même enquêteur ; la queue n'est jamais touchée.
+   */
+  async expireSession() {
+    await storageService.multiRemove(['user_data', 'auth_token', 'refresh_token']);
+
+    this.currentUser = null;
+    this.token = null;
+    this.isAuthenticated = false;
+    lockService.lock();
+
+    console.log('⛔ Session expirée');
+  }
+
   /**
    * Sauvegarde données utilisateur
    */
@@ -175,8 +378,12 @@ class AuthService {
       this.token = userData.token;
       this.isAuthenticated = true;
 
-      await AsyncStorage.setItem('user_data', JSON.stringify(userData));
-      await AsyncStorage.setItem('auth_token', userData.token);
+      const saved = await storageService.setItem('user_data', JSON.stringify(userData))
+        && await storageService.setItem('auth_token', userData.token)
+        && await storageService.setItem('refresh_token', userData.refreshToken);
+      if (!saved) {
+        throw new Error('Écriture des données utilisateur impossible');
+      }
       
       console.log('✅ User data sauvegardé');
 
@@ -195,7 +402,7 @@ class AuthService {
         return this.currentUser;
       }
 
-      const userData = await AsyncStorage.getItem('user_data');
+      const userData = await storageService.getItem('user_data');
       if (userData) {
         this.currentUser = JSON.parse(userData);
         this.token = this.currentUser.token;
@@ -216,9 +423,10 @@ class AuthService {
    */
   async logout() {
     try {
-      await AsyncStorage.multiRemove([
+      await storageService.multiRemove([
         'user_data',
         'auth_token',
+        'refresh_token',
         'saved_email',
         'remember_me',
       ]);
@@ -226,6 +434,7 @@ class AuthService {
       this.currentUser = null;
       this.token = null;
       this.isAuthenticated = false;
+      await lockService.reset();
 
       console.log('✅ Déconnexion réussie');
 
@@ -245,6 +454,20 @@ class AuthService {
     return this.currentUser?.userType || null;
   }
 
+  /**
+   * Rôle RSU de la session (PERMISSIONS.USER_ROLES)
+   */
+  getRole() {
+    return getUserRole(this.currentUser);
+  }
+
+  /**
+   * L'utilisateur connecté peut-il réaliser cette action ?
+   */
+  can(action) {
+    return hasPermission(this.getRole(), action);
+  }
+
   getToken() {
     return this.token;
   }
@@ -258,18 +481,3 @@ class AuthService {
 const authService = new AuthService();
 export default authService;
 
-// Export credentials pour aide
-export const AVAILABLE_TEST_CREDENTIALS = [
-  {
-    email: 'souare.ahmed@gmail.com',
-    password: 'admin123',
-    userType: 'ADMIN',
-    note: 'Utilisateur backend réel'
-  },
-  {
-    email: 'enqueteur@rsu.gabon.ga',
-    password: 'test123',
-    userType: 'SURVEYOR',
-    note: 'Utilisateur test mobile'
-  }
-];
\ No newline at end of file
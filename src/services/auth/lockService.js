@@ -0,0 +1,278 @@
+// =============================================================================
+// LOCK SERVICE - DÉVERROUILLAGE LOCAL DE LA SESSION
+// Fichier: src/services/auth/lockService.js
+// =============================================================================
+//
+// Une session ouverte (authService) reste protégée par un code PIN propre à
+// l'utilisateur, et en option par la biométrie de l'appareil :
+//   - l'application démarre verrouillée, et se verrouille après
+//     SECURITY_CONFIG.INACTIVITY_TIMEOUT sans interaction ;
+//   - seule une empreinte du PIN est gardée (PBKDF2-SHA256, sel aléatoire) ;
+//   - les codes erronés sont comptés, redémarrage compris : au-delà de
+//     MAX_UNLOCK_ATTEMPTS, verifyPin signale `exhausted` et authService
+//     efface les données sensibles.
+// =============================================================================
+
+import * as Crypto from 'expo-crypto';
+import * as LocalAuthentication from 'expo-local-authentication';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha2';
+import { bytesToHex, hexToBytes } from '@noble/hashes/utils';
+import storageService from '../storage/storageService';
+import { utf8ToBytes } from '../storage/encryption';
+import { SECURITY_CONFIG } from '../../constants/securityConstants';
+
+const LOCK_STATE_KEY = 'session_lock';
+const PIN_KDF_ITERATIONS = 50000;
+const SALT_LENGTH = 16;
+
+const EMPTY_STATE = {
+  userId: null,
+  pin: null,               // { salt, iterations, verifier }
+  biometricEnabled: false,
+  failedAttempts: 0,
+};
+
+async function derivePin(pin, salt, iterations) {
+  return bytesToHex(await pbkdf2Async(sha256, utf8ToBytes(pin), salt, { c: iterations, dkLen: 32 }));
+}
+
+class LockService {
+  constructor() {
+    this.state = { ...EMPTY_STATE };
+    this.loadPromise = null;
+    this.locked = true;
+    this.lastActivityAt = Date.now();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Charge l'état mémorisé une seule fois
+   */
+  ensureLoaded() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.load();
+    }
+    return this.loadPromise;
+  }
+
+  async load() {
+    try {
+      const saved = await storageService.getItem(LOCK_STATE_KEY);
+      if (saved) {
+        this.state = { ...EMPTY_STATE, ...JSON.parse(saved) };
+      }
+    } catch (error) {
+      console.error('Erreur chargement verrouillage:', error);
+    }
+  }
+
+  async saveState() {
+    const saved = await storageService.setItem(LOCK_STATE_KEY, JSON.stringify(this.state));
+    if (!saved) {
+      throw new Error('Écriture de l\'état de verrouillage impossible');
+    }
+  }
+
+  // ===========================================================================
+  // CODE PIN
+  // ===========================================================================
+
+  /**
+   * Un PIN est-il défini pour cet utilisateur ?
+   */
+  async hasPin(userId) {
+    await this.ensureLoaded();
+    return Boolean(this.state.pin) && this.state.userId === userId;
+  }
+
+  /**
+   * Définit le PIN de l'utilisateur connecté (remplace l'éventuel précédent)
+   */
+  async setPin(userId, pin) {
+    await this.ensureLoaded();
+
+    const salt = Crypto.getRandomBytes(SALT_LENGTH);
+    this.state = {
+      ...EMPTY_STATE,
+      userId,
+      pin: {
+        salt: bytesToHex(salt),
+        iterations: PIN_KDF_ITERATIONS,
+        verifier: await derivePin(pin, salt, PIN_KDF_ITERATIONS),
+      },
+      biometricEnabled: this.state.userId === userId && this.state.biometricEnabled,
+    };
+    await this.saveState();
+    console.log('🔐 Code PIN défini');
+  }
+
+  /**
+   * Vérifie un PIN et déverrouille la session s'il est correct
+   *
+   * @returns {Promise<Object>} - { success, remainingAttempts, exhausted }
+   */
+  async verifyPin(pin) {
+    await this.ensureLoaded();
+
+    if (!this.state.pin) {
+      return { success: false, remainingAttempts: 0, exhausted: true };
+    }
+
+    const { salt, iterations, verifier } = this.state.pin;
+    const candidate = await derivePin(pin, hexToBytes(salt), iterations);
+
+    if (candidate === verifier) {
+      this.state.failedAttempts = 0;
+      await this.saveState();
+      this.unlock();
+      return { success: true, remainingAttempts: SECURITY_CONFIG.MAX_UNLOCK_ATTEMPTS, exhausted: false };
+    }
+
+    // Compté avant toute réponse : fermer l'application ne remet pas à zéro
+    this.state.failedAttempts++;
+    await this.saveState();
+
+    const remainingAttempts = Math.max(SECURITY_CONFIG.MAX_UNLOCK_ATTEMPTS - this.state.failedAttempts, 0);
+    console.log(`⚠️ Code PIN erroné (${remainingAttempts} essai(s) restant(s))`);
+    return { success: false, remainingAttempts, exhausted: remainingAttempts === 0 };
+  }
+
+  /**
+   * Essais épuisés lors d'un lancement précédent ?
+   */
+  async attemptsExhausted() {
+    await this.ensureLoaded();
+    return this.state.failedAttempts >= SECURITY_CONFIG.MAX_UNLOCK_ATTEMPTS;
+  }
+
+  // ===========================================================================
+  // BIOMÉTRIE
+  // ===========================================================================
+
+  /**
+   * Capteur présent et empreinte/visage enregistré sur l'appareil ?
+   */
+  async isBiometricAvailable() {
+    try {
+      return await LocalAuthentication.hasHardwareAsync()
+        && await LocalAuthentication.isEnrolledAsync();
+    } catch (error) {
+      console.error('Erreur détection biométrie:', error);
+      return false;
+    }
+  }
+
+  async isBiometricEnabled() {
+    await this.ensureLoaded();
+    return Boolean(this.state.pin) && this.state.biometricEnabled;
+  }
+
+  async setBiometricEnabled(enabled) {
+    await this.ensureLoaded();
+    this.state.biometricEnabled = enabled;
+    await this.saveState();
+  }
+
+  /**
+   * Déverrouille par biométrie (en complément du PIN, jamais à sa place
+   * après des codes erronés)
+   *
+   * @returns {Promise<boolean>} - true si déverrouillé
+   */
+  async unlockWithBiometrics() {
+    if (!await this.isBiometricEnabled() || this.state.failedAttempts > 0) {
+      return false;
+    }
+
+    try {
+      const result = await LocalAuthentication.authenticateAsync({
+        promptMessage: 'Déverrouiller RSU Gabon',
+        cancelLabel: 'Code PIN',
+        disableDeviceFallback: true,
+      });
+      if (result.success) {
+        this.unlock();
+      }
+      return result.success;
+    } catch (error) {
+      console.error('Erreur biométrie:', error);
+      return false;
+    }
+  }
+
+  // ===========================================================================
+  // VERROUILLAGE
+  // ===========================================================================
+
+  isLocked() {
+    return this.locked;
+  }
+
+  lock() {
+    if (!this.locked) {
+      this.locked = true;
+      console.log('🔒 Session verrouillée');
+      this.notify();
+    }
+  }
+
+  unlock() {
+    this.locked = false;
+    this.lastActivityAt = Date.now();
+    this.notify();
+  }
+
+  /**
+   * Interaction de l'utilisateur (repousse le verrouillage automatique)
+   */
+  recordActivity() {
+    this.lastActivityAt = Date.now();
+  }
+
+  /**
+   * Verrouille si l'inactivité a dépassé le délai
+   *
+   * @returns {boolean} - true si la session est verrouillée
+   */
+  checkInactivity(now = Date.now()) {
+    if (!this.locked && now - this.lastActivityAt >= SECURITY_CONFIG.INACTIVITY_TIMEOUT) {
+      this.lock();
+    }
+    return this.locked;
+  }
+
+  /**
+   * Oublie PIN, biométrie et compteur (déconnexion, effacement)
+   */
+  async reset() {
+    this.state = { ...EMPTY_STATE };
+    this.loadPromise = Promise.resolve();
+    this.locked = true;
+    await storageService.removeItem(LOCK_STATE_KEY);
+    this.notify();
+  }
+
+  /**
+   * Suivre le verrouillage
+   *
+   * @returns {Function} - Désabonnement
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.locked);
+      } catch (error) {
+        console.error('Erreur listener verrouillage:', error);
+      }
+    });
+  }
+}
+
+const lockService = new LockService();
+export default lockService;
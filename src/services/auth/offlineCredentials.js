@@ -0,0 +1,111 @@
+// =============================================================================
+// CONNEXION HORS LIGNE - VÉRIFICATEUR LOCAL
+// Fichier: src/services/auth/offlineCredentials.js
+// =============================================================================
+//
+// Aucun mot de passe n'est embarqué ni conservé : après chaque connexion en
+// ligne réussie, un vérificateur est dérivé du mot de passe (PBKDF2-SHA256,
+// sel aléatoire) et gardé avec la dernière session (profil et jetons) dans
+// le stockage chiffré. Sans réseau, seul un mot de passe qui redonne le même
+// vérificateur rouvre cette session.
+//
+// Un vérificateur par identifiant et par serveur (environmentService) : une
+// connexion hors ligne sur la production exige une connexion en ligne
+// préalable à la production.
+// =============================================================================
+
+import * as Crypto from 'expo-crypto';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha2';
+import { bytesToHex, hexToBytes } from '@noble/hashes/utils';
+import storageService from '../storage/storageService';
+import { utf8ToBytes } from '../storage/encryption';
+
+const VERIFIER_KEY_PREFIX = 'offline_verifier:';
+const VERIFIER_VERSION = 1;
+const KDF_ITERATIONS = 100000;
+const SALT_LENGTH = 16;
+
+function normalizeIdentifier(identifier) {
+  return String(identifier || '').trim().toLowerCase();
+}
+
+/**
+ * Clé de stockage du vérificateur (l'identifiant n'y apparaît pas en clair)
+ */
+function verifierKey(environment, identifier) {
+  const digest = sha256(utf8ToBytes(`${environment}:${normalizeIdentifier(identifier)}`));
+  return `${VERIFIER_KEY_PREFIX}${bytesToHex(digest).slice(0, 32)}`;
+}
+
+async function deriveVerifier(password, salt, iterations) {
+  return pbkdf2Async(sha256, utf8ToBytes(password), salt, { c: iterations, dkLen: 32 });
+}
+
+/**
+ * Comparaison en temps constant
+ */
+function sameBytes(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * Mémorise le vérificateur après une connexion en ligne réussie
+ *
+ * @param {string} environment - Serveur de la connexion
+ * @param {string} identifier - Identifiant saisi
+ * @param {string} password - Mot de passe accepté par le serveur
+ * @param {Object} session - Données utilisateur à rouvrir hors ligne
+ */
+export async function saveOfflineCredential(environment, identifier, password, session) {
+  const salt = Crypto.getRandomBytes(SALT_LENGTH);
+  const verifier = await deriveVerifier(password, salt, KDF_ITERATIONS);
+
+  const saved = await storageService.setItem(verifierKey(environment, identifier), JSON.stringify({
+    version: VERIFIER_VERSION,
+    salt: bytesToHex(salt),
+    iterations: KDF_ITERATIONS,
+    verifier: bytesToHex(verifier),
+    session,
+    savedAt: new Date().toISOString(),
+  }));
+
+  if (!saved) {
+    console.log('⚠️ Vérificateur hors ligne non enregistré');
+  }
+}
+
+/**
+ * Vérifie un mot de passe sans réseau
+ *
+ * @returns {Promise<Object|null>} - Session mémorisée, null si refusé
+ * @throws {Error} - code NO_OFFLINE_CREDENTIAL si jamais connecté en ligne
+ */
+export async function verifyOfflineCredential(environment, identifier, password) {
+  const stored = await storageService.getItem(verifierKey(environment, identifier));
+  if (!stored) {
+    const error = new Error('Première connexion sur ce serveur : connexion internet requise');
+    error.code = 'NO_OFFLINE_CREDENTIAL';
+    throw error;
+  }
+
+  const record = JSON.parse(stored);
+  const verifier = await deriveVerifier(password, hexToBytes(record.salt), record.iterations);
+
+  return sameBytes(verifier, hexToBytes(record.verifier)) ? record.session : null;
+}
+
+/**
+ * Oublie tous les vérificateurs de l'appareil (effacement des données sensibles)
+ */
+export async function clearOfflineCredentials() {
+  const keys = await storageService.getAllKeys();
+  await storageService.multiRemove(keys.filter(key => key.startsWith(VERIFIER_KEY_PREFIX)));
+}
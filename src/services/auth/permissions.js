@@ -0,0 +1,64 @@
+// =============================================================================
+// PERMISSIONS - CONTRÔLE D'ACCÈS PAR RÔLE
+// Fichier: src/services/auth/permissions.js
+// =============================================================================
+//
+// Le rôle vient du profil serveur (userType, voir authService.buildUserData)
+// et donne accès aux actions de ROLE_PERMISSIONS. Un rôle absent ou inconnu
+// n'ouvre que la consultation (VIEWER).
+//
+// Côté écrans : hooks/usePermission.js et components/auth/Can.jsx.
+// =============================================================================
+
+import { PERMISSIONS, ROLE_PERMISSIONS } from '../../constants/permissionsConstants';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
+
+const { USER_ROLES, ACTIONS } = PERMISSIONS;
+const { OPERATION_TYPES } = OFFLINE_CONFIG;
+
+// Retirer un élément de la queue revient à supprimer la saisie correspondante
+const QUEUE_DELETE_ACTIONS = {
+  [OPERATION_TYPES.ENROLLMENT]: ACTIONS.DELETE_PERSON,
+  [OPERATION_TYPES.UPDATE_PERSON]: ACTIONS.DELETE_PERSON,
+  [OPERATION_TYPES.DELETE_PERSON]: ACTIONS.DELETE_PERSON,
+  [OPERATION_TYPES.UPLOAD_DOCUMENT]: ACTIONS.DELETE_PERSON,
+  [OPERATION_TYPES.CREATE_HOUSEHOLD]: ACTIONS.DELETE_HOUSEHOLD,
+  [OPERATION_TYPES.SURVEY]: ACTIONS.DELETE_SURVEY,
+  [OPERATION_TYPES.REVIEW_PERSON]: ACTIONS.VERIFY_PERSON,
+};
+
+/**
+ * Rôle RSU d'un utilisateur (USER_ROLES)
+ *
+ * @param {Object} user - Données de session (authService)
+ */
+export function getUserRole(user) {
+  const role = String(user?.userType || '').trim().toUpperCase();
+  return USER_ROLES[role] || USER_ROLES.VIEWER;
+}
+
+/**
+ * Ce rôle peut-il réaliser cette action ?
+ *
+ * @param {string} role - USER_ROLES (getUserRole)
+ * @param {string} action - PERMISSIONS.ACTIONS
+ */
+export function hasPermission(role, action) {
+  return (ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS[USER_ROLES.VIEWER]).includes(action);
+}
+
+/**
+ * Consultation seule : aucune saisie, modification ni suppression
+ */
+export function isReadOnly(role) {
+  return role === USER_ROLES.VIEWER;
+}
+
+/**
+ * Action requise pour retirer un élément de la queue
+ *
+ * @param {string} itemType - OPERATION_TYPES
+ */
+export function queueDeleteAction(itemType) {
+  return QUEUE_DELETE_ACTIONS[itemType] || ACTIONS.DELETE_PERSON;
+}
@@ -22,8 +22,10 @@ import * as Camera from 'expo-camera';
 import * as ImagePicker from 'expo-image-picker';
 import * as FileSystem from 'expo-file-system';
 import { Alert, Platform } from 'react-native';
-import apiClient from '../api/apiClient';
-import storageService from '../storage/storageService';
+import { v4 as uuidv4 } from 'uuid';
+import syncService from '../sync/syncService';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
+import { ERROR_MESSAGES } from '../../constants/errorMessages';
 
 class CameraService {
   /**
@@ -137,6 +139,15 @@ class CameraService {
    */
   async captureDocument(documentType = this.DOCUMENT_TYPES.OTHER, options = {}) {
     try {
+      // Queue hors ligne pleine : la photo ne pourrait pas être conservée
+      if (!await syncService.canAcceptDocuments()) {
+        return {
+          success: false,
+          error: ERROR_MESSAGES.STORAGE.QUEUE_FULL,
+          queueFull: true,
+        };
+      }
+
       // Vérifier permissions
       const hasPermission = await this.requestCameraPermissions();
       if (!hasPermission) {
@@ -187,6 +198,14 @@ class CameraService {
    */
   async pickFromGallery(documentType = this.DOCUMENT_TYPES.OTHER) {
     try {
+      if (!await syncService.canAcceptDocuments()) {
+        return {
+          success: false,
+          error: ERROR_MESSAGES.STORAGE.QUEUE_FULL,
+          queueFull: true,
+        };
+      }
+
       // Vérifier permissions
       const hasPermission = await this.requestGalleryPermissions();
       if (!hasPermission) {
@@ -361,39 +380,31 @@ class CameraService {
    * @returns {Promise<Object>} - Résultat upload
    */
   async uploadDocument(image, personId) {
-    try {
-      // Préparer FormData
-      const formData = new FormData();
-      
-      // Ajouter le fichier
-      formData.append('document', {
-        uri: image.uri,
-        type: 'image/jpeg',
-        name: `${image.documentType}_${personId}_${Date.now()}.jpg`,
-      });
+    // Clé réutilisée par la queue si l'upload direct échoue : elle reprend
+    // la même session d'upload, à l'offset déjà reçu par le serveur
+    const idempotencyKey = uuidv4();
 
-      // Ajouter métadonnées
-      formData.append('document_type', image.documentType);
-      formData.append('person_id', personId);
-      formData.append('metadata', JSON.stringify(image.metadata));
+    // Personne inscrite hors ligne et pas encore synchronisée :
+    // le document attendra son inscription dans la queue
+    const resolvedPersonId = await syncService.resolveId(personId);
 
-      // Upload
-      const response = await apiClient.post(
-        '/identity/persons/upload-document/',
-        formData,
-        {
-          headers: {
-            'Content-Type': 'multipart/form-data',
-          },
-          timeout: 60000, // 60 secondes pour upload
-        }
-      );
+    if (!resolvedPersonId) {
+      const saved = await this._saveForOfflineSync(image, personId, idempotencyKey);
+      return {
+        success: false,
+        error: saved ? 'Personne pas encore synchronisée' : ERROR_MESSAGES.STORAGE.QUEUE_FULL,
+        savedOffline: saved,
+      };
+    }
+
+    try {
+      const data = await syncService.sendDocument({ image, personId: resolvedPersonId }, idempotencyKey);
 
-      if (response.data) {
+      if (data) {
         return {
           success: true,
-          url: response.data.url,
-          document_id: response.data.id,
+          url: data.url,
+          document_id: data.id,
         };
       }
 
@@ -402,15 +413,24 @@ class CameraService {
         error: 'Réponse serveur invalide',
       };
     } catch (error) {
+      // Document déjà reçu par le serveur lors d'un envoi précédent
+      if (syncService.isAlreadyProcessed(error)) {
+        return {
+          success: true,
+          url: error.response.data.url,
+          document_id: error.response.data.server_id || error.response.data.id,
+        };
+      }
+
       console.error('Erreur upload document:', error);
       
       // En cas d'erreur, sauvegarder localement pour sync ultérieure
-      await this._saveForOfflineSync(image, personId);
+      const saved = await this._saveForOfflineSync(image, personId, idempotencyKey);
 
       return {
         success: false,
-        error: error.message,
-        savedOffline: true,
+        error: saved ? error.message : ERROR_MESSAGES.STORAGE.QUEUE_FULL,
+        savedOffline: saved,
       };
     }
   }
@@ -422,101 +442,50 @@ class CameraService {
    */
 
   /**
-   * Sauvegarde une image pour synchronisation ultérieure
+   * Place une image dans la queue de synchronisation (la photo y est copiée
+   * dans le répertoire de l'application, sans le base64 de l'aperçu)
    * 
    * @param {Object} image - Image à sauvegarder
    * @param {string} personId - UUID de la personne
+   * @param {string} idempotencyKey - Clé de l'upload direct échoué
+   * @returns {Promise<boolean>} - false si refusé (queue pleine) ou en erreur
    */
-  async _saveForOfflineSync(image, personId) {
+  async _saveForOfflineSync(image, personId, idempotencyKey) {
     try {
-      const key = `offline_document_${Date.now()}`;
-      const data = {
-        image: image,
-        personId: personId,
-        timestamp: new Date().toISOString(),
-        synced: false,
-      };
-
-      await storageService.setItem(key, JSON.stringify(data));
+      await syncService.enqueue(
+        OFFLINE_CONFIG.OPERATION_TYPES.UPLOAD_DOCUMENT,
+        { image, personId },
+        {
+          description: this.getDocumentTypeLabel(image.documentType),
+          documentType: image.documentType,
+        },
+        { idempotencyKey }
+      );
       console.log('✅ Document sauvegardé pour sync offline');
+      return true;
     } catch (error) {
       console.error('Erreur sauvegarde offline document:', error);
+      return false;
     }
   }
 
   /**
    * Récupère tous les documents en attente de sync
    * 
-   * @returns {Promise<Array>} - Documents en attente
+   * @returns {Promise<Array>} - Éléments de queue de type document
    */
   async getPendingDocuments() {
-    try {
-      const allKeys = await storageService.getAllKeys();
-      const documentKeys = allKeys.filter(key => key.startsWith('offline_document_'));
-
-      const documents = [];
-      for (const key of documentKeys) {
-        const data = await storageService.getItem(key);
-        if (data) {
-          documents.push({
-            key: key,
-            data: JSON.parse(data),
-          });
-        }
-      }
-
-      return documents;
-    } catch (error) {
-      console.error('Erreur récupération documents offline:', error);
-      return [];
-    }
+    const queue = await syncService.getQueue();
+    return queue.filter(item => item.type === OFFLINE_CONFIG.OPERATION_TYPES.UPLOAD_DOCUMENT);
   }
 
   /**
-   * Synchronise tous les documents en attente
+   * Synchronise la queue (documents compris)
    * 
    * @returns {Promise<Object>} - Résultat de la synchronisation
    */
   async syncPendingDocuments() {
-    try {
-      const pendingDocs = await this.getPendingDocuments();
-      
-      if (pendingDocs.length === 0) {
-        return {
-          success: true,
-          synced: 0,
-          message: 'Aucun document en attente',
-        };
-      }
-
-      let synced = 0;
-      let failed = 0;
-
-      for (const doc of pendingDocs) {
-        const result = await this.uploadDocument(doc.data.image, doc.data.personId);
-        
-        if (result.success) {
-          // Supprimer du storage local
-          await storageService.removeItem(doc.key);
-          synced++;
-        } else {
-          failed++;
-        }
-      }
-
-      return {
-        success: true,
-        synced: synced,
-        failed: failed,
-        total: pendingDocs.length,
-      };
-    } catch (error) {
-      console.error('Erreur sync documents:', error);
-      return {
-        success: false,
-        error: error.message,
-      };
-    }
+    return await syncService.drain();
   }
 
   /**
@@ -0,0 +1,405 @@
+// =============================================================================
+// TESTS - BASE LOCALE INDEXÉE
+// localDatabase.js sur le stand-in Node (sql.js, limite de 999 paramètres)
+// =============================================================================
+
+import localDatabase from '../localDatabase';
+import { openNodeDatabase } from '../nodeDatabase';
+
+jest.mock('expo-sqlite', () => ({ openDatabaseAsync: jest.fn() }));
+jest.mock('../../storage/encryption', () => ({ getDatabaseKey: jest.fn() }));
+
+const person = (id, overrides = {}) => ({
+  id,
+  nip: `NIP-${id}`,
+  first_name: 'Jean',
+  last_name: 'Mba',
+  phone: '+24106000000',
+  province: 'ESTUAIRE',
+  latitude: '0.39',
+  longitude: '9.45',
+  verification_status: 'PENDING',
+  updated_at: '2026-01-01T00:00:00Z',
+  ...overrides,
+});
+
+const queueItem = (id, overrides = {}) => ({
+  id,
+  type: 'enrollment',
+  status: 'pending',
+  createdAt: '2026-01-01T00:00:00Z',
+  nextAttemptAt: null,
+  retries: 0,
+  data: { first_name: 'Awa', household: { members: [1, 2] } },
+  ...overrides,
+});
+
+const auditEntry = (id, overrides = {}) => ({
+  id,
+  record_type: 'person',
+  action: 'update',
+  recorded_at: '2026-01-01T00:00:00Z',
+  user: { id: 7, name: 'Agent' },
+  changes: [{ field: 'phone', before: null, after: '+24106000000' }],
+  ...overrides,
+});
+
+const range = (count, prefix) => Array.from({ length: count }, (_, i) => `${prefix}-${i}`);
+
+let db;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+beforeEach(() => {
+  db = null;
+  localDatabase.configure({
+    openDatabase: async () => {
+      db = await openNodeDatabase();
+      return db;
+    },
+  });
+});
+
+describe('ouverture', () => {
+  it('crée le schéma et fixe user_version', async () => {
+    await localDatabase.open();
+    const row = await db.getFirstAsync('PRAGMA user_version');
+    expect(row.user_version).toBe(5);
+  });
+
+  it("n'ouvre la base qu'une fois", async () => {
+    const [first, second] = await Promise.all([localDatabase.open(), localDatabase.open()]);
+    expect(first).toBe(second);
+  });
+});
+
+describe('enregistrements métier', () => {
+  it('relit un enregistrement complet par id', async () => {
+    const record = person('p1', { household: { id: 'h1' } });
+    await localDatabase.upsertRecords('persons', [record]);
+
+    expect(await localDatabase.getRecord('persons', 'p1')).toEqual(record);
+    expect(await localDatabase.getRecord('persons', 'absent')).toBeNull();
+  });
+
+  it('remplace un enregistrement existant', async () => {
+    await localDatabase.upsertRecords('persons', [person('p1')]);
+    await localDatabase.upsertRecords('persons', [person('p1', { phone: '+24107000000' })]);
+
+    expect((await localDatabase.getRecord('persons', 'p1')).phone).toBe('+24107000000');
+    expect(await localDatabase.countPersons()).toBe(1);
+  });
+
+  it('refuse une table inconnue', async () => {
+    await expect(localDatabase.upsertRecords('users', [{ id: 1 }])).rejects.toThrow('Table inconnue');
+    await expect(localDatabase.getRecord('users', 1)).rejects.toThrow('Table inconnue');
+    await expect(localDatabase.getRecordsForPerson('persons', 1)).rejects.toThrow('Table sans person_id');
+  });
+
+  it('liste les enregistrements d\'une personne, plus récents d\'abord', async () => {
+    await localDatabase.upsertRecords('surveys', [
+      { id: 's1', person_id: 'p1', created_at: '2026-01-01' },
+      { id: 's2', person_id: 'p1', created_at: '2026-03-01' },
+      { id: 's3', person_id: 'p2', created_at: '2026-02-01' },
+    ]);
+
+    const surveys = await localDatabase.getRecordsForPerson('surveys', 'p1');
+    expect(surveys.map(survey => survey.id)).toEqual(['s2', 's1']);
+  });
+});
+
+describe('requêtes personnes', () => {
+  beforeEach(async () => {
+    await localDatabase.upsertRecords('persons', [
+      person('p1', { first_name: 'Awa', last_name: 'Ndong' }),
+      person('p2', { first_name: 'Paul', last_name: 'bongo', province: 'OGOOUE_MARITIME', verification_status: 'VERIFIED' }),
+      person('p3', { first_name: 'Marie', last_name: 'Allogo', latitude: '', longitude: null, verification_status: 'REJECTED' }),
+    ]);
+  });
+
+  it('trie par nom sans tenir compte de la casse', async () => {
+    const persons = await localDatabase.queryPersons();
+    expect(persons.map(p => p.id)).toEqual(['p3', 'p2', 'p1']);
+  });
+
+  it('filtre par recherche, province, position et statut', async () => {
+    expect((await localDatabase.queryPersons({ search: ' ndo ' })).map(p => p.id)).toEqual(['p1']);
+    expect((await localDatabase.queryPersons({ search: 'NIP-p2' })).map(p => p.id)).toEqual(['p2']);
+    expect((await localDatabase.queryPersons({ province: 'ESTUAIRE' })).map(p => p.id)).toEqual(['p3', 'p1']);
+    expect((await localDatabase.queryPersons({ withLocation: true })).map(p => p.id)).toEqual(['p2', 'p1']);
+    expect((await localDatabase.queryPersons({ verificationStatus: 'VERIFIED' })).map(p => p.id)).toEqual(['p2']);
+    expect(
+      (await localDatabase.queryPersons({ verificationStatus: ['PENDING', 'REJECTED'] })).map(p => p.id)
+    ).toEqual(['p3', 'p1']);
+  });
+
+  it('pagine et compte', async () => {
+    expect((await localDatabase.queryPersons({ limit: 1, offset: 1 })).map(p => p.id)).toEqual(['p2']);
+    expect(await localDatabase.countPersons()).toBe(3);
+    expect(await localDatabase.countPersons({ province: 'ESTUAIRE', withLocation: true })).toBe(1);
+  });
+});
+
+describe('queue de synchronisation', () => {
+  it('conserve les éléments à l\'identique, du plus ancien au plus récent', async () => {
+    const items = [
+      queueItem('q2', { createdAt: '2026-01-02T00:00:00Z', nextAttemptAt: '2026-01-03T00:00:00Z' }),
+      queueItem('q1', { type: 'document', origin: { userId: 3, signature: 'abc' } }),
+    ];
+    await localDatabase.saveQueueItems(items);
+
+    expect(await localDatabase.getQueueItems()).toEqual([items[1], items[0]]);
+  });
+
+  it('met à jour un élément sans changer son rang', async () => {
+    await localDatabase.saveQueueItems([queueItem('q1'), queueItem('q2', { createdAt: '2026-01-02T00:00:00Z' })]);
+    await localDatabase.saveQueueItems([queueItem('q1', { status: 'dead_letter', retries: 5 })]);
+
+    const items = await localDatabase.getQueueItems();
+    expect(items.map(item => item.id)).toEqual(['q1', 'q2']);
+    expect(items[0]).toMatchObject({ status: 'dead_letter', retries: 5 });
+  });
+
+  it('supprime et vide', async () => {
+    await localDatabase.saveQueueItems([queueItem('q1'), queueItem('q2'), queueItem('q3')]);
+
+    await localDatabase.deleteQueueItems(['q1', 'q3']);
+    expect((await localDatabase.getQueueItems()).map(item => item.id)).toEqual(['q2']);
+
+    await localDatabase.clearQueueItems();
+    expect(await localDatabase.getQueueItems()).toEqual([]);
+  });
+
+  it('annule toute la transaction si un élément échoue', async () => {
+    await expect(
+      localDatabase.saveQueueItems([queueItem('q1'), queueItem('q2', { type: null })])
+    ).rejects.toThrow();
+
+    expect(await localDatabase.getQueueItems()).toEqual([]);
+  });
+});
+
+describe('écritures simultanées', () => {
+  it('enchaîne les transactions de plusieurs appelants', async () => {
+    await Promise.all([
+      localDatabase.saveQueueItems([queueItem('q1'), queueItem('q2')]),
+      localDatabase.upsertRecords('persons', [person('p1'), person('p2')]),
+      localDatabase.addJournalEntries([
+        { itemId: 'q0', itemType: 'enrollment', result: 'success', day: '2026-01-01', recordedAt: '2026-01-01T08:00:00Z' },
+      ]),
+      localDatabase.saveIdMappings({ 'local-1': 42 }),
+      localDatabase.setSyncState('pull_cursor:persons', { since: '2026-01-01' }),
+      localDatabase.deleteQueueItems(['q0']),
+    ]);
+
+    expect((await localDatabase.getQueueItems()).map(item => item.id)).toEqual(['q1', 'q2']);
+    expect(await localDatabase.countPersons()).toBe(2);
+    expect(await localDatabase.queryJournal()).toHaveLength(1);
+    expect(await localDatabase.getIdMap()).toEqual({ 'local-1': '42' });
+  });
+
+  it("n'annule que la transaction en échec", async () => {
+    const results = await Promise.allSettled([
+      localDatabase.saveQueueItems([queueItem('q1'), queueItem('q2')]),
+      localDatabase.saveQueueItems([queueItem('q3'), queueItem('q4', { type: null })]),
+      localDatabase.upsertRecords('persons', [person('p1')]),
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+    expect((await localDatabase.getQueueItems()).map(item => item.id)).toEqual(['q1', 'q2']);
+    expect(await localDatabase.countPersons()).toBe(1);
+  });
+
+  it("poursuit après l'échec d'une écriture précédente", async () => {
+    await expect(localDatabase.saveQueueItems([queueItem('q1', { type: null })])).rejects.toThrow();
+
+    await localDatabase.saveQueueItems([queueItem('q2')]);
+    expect((await localDatabase.getQueueItems()).map(item => item.id)).toEqual(['q2']);
+  });
+});
+
+describe('correspondances et état de synchronisation', () => {
+  it('enregistre les ids serveur en texte', async () => {
+    await localDatabase.saveIdMappings({ 'local-1': 42, 'local-2': 'abc' });
+    await localDatabase.saveIdMappings({ 'local-1': 43 });
+
+    expect(await localDatabase.getIdMap()).toEqual({ 'local-1': '43', 'local-2': 'abc' });
+  });
+
+  it('relit une valeur JSON', async () => {
+    await localDatabase.setSyncState('pull_cursor:persons', { since: '2026-01-01', page: 2 });
+
+    expect(await localDatabase.getSyncState('pull_cursor:persons')).toEqual({ since: '2026-01-01', page: 2 });
+    expect(await localDatabase.getSyncState('absent')).toBeNull();
+  });
+});
+
+describe('journal des envois', () => {
+  const entry = (itemId, overrides = {}) => ({
+    itemId,
+    itemType: 'enrollment',
+    result: 'success',
+    serverId: 10,
+    description: 'Awa Ndong',
+    day: '2026-01-01',
+    recordedAt: '2026-01-01T08:00:00Z',
+    ...overrides,
+  });
+
+  beforeEach(async () => {
+    await localDatabase.addJournalEntries([
+      entry('a'),
+      entry('b', { result: 'failure', serverId: null, recordedAt: '2026-01-01T09:00:00Z' }),
+      entry('c', { itemType: 'survey', description: 'Paul Bongo', day: '2026-01-02', recordedAt: '2026-01-02T08:00:00Z' }),
+    ]);
+  });
+
+  it('filtre et trie du plus récent au plus ancien', async () => {
+    expect((await localDatabase.queryJournal()).map(e => e.itemId)).toEqual(['c', 'b', 'a']);
+    expect((await localDatabase.queryJournal({ day: '2026-01-01' })).map(e => e.itemId)).toEqual(['b', 'a']);
+    expect((await localDatabase.queryJournal({ fromDay: '2026-01-02' })).map(e => e.itemId)).toEqual(['c']);
+    expect((await localDatabase.queryJournal({ type: 'survey' })).map(e => e.itemId)).toEqual(['c']);
+    expect((await localDatabase.queryJournal({ result: 'failure' })).map(e => e.itemId)).toEqual(['b']);
+    expect((await localDatabase.queryJournal({ search: 'bongo' })).map(e => e.itemId)).toEqual(['c']);
+  });
+
+  it('purge les jours antérieurs', async () => {
+    await localDatabase.pruneJournal('2026-01-02');
+    expect((await localDatabase.queryJournal()).map(e => e.itemId)).toEqual(['c']);
+  });
+});
+
+describe("piste d'audit", () => {
+  it('relit les entrées d\'une personne, plus récentes d\'abord', async () => {
+    await localDatabase.addAuditEntries([
+      { ...auditEntry('e1'), recordId: 'p1', personId: 'p1', synced: true },
+      { ...auditEntry('e2', { record_type: 'household', recorded_at: '2026-02-01T00:00:00Z' }), recordId: 'h1', personId: 'p1', synced: false },
+      { ...auditEntry('e3'), recordId: 'p2', personId: 'p2', synced: false },
+    ]);
+
+    const entries = await localDatabase.getAuditEntries('p1');
+    expect(entries.map(entry => [entry.id, entry.recordId, entry.synced])).toEqual([
+      ['e2', 'h1', false],
+      ['e1', 'p1', true],
+    ]);
+    expect(entries[1].changes).toEqual(auditEntry('e1').changes);
+  });
+
+  it("rattache une création à l'id serveur, sans toucher aux modifications", async () => {
+    await localDatabase.addAuditEntries([
+      { ...auditEntry('create', { action: 'create' }), recordId: 'local-1', personId: 'local-1' },
+      { ...auditEntry('household', { action: 'create', record_type: 'household' }), recordId: 'local-h', personId: 'local-1' },
+      { ...auditEntry('update'), recordId: 'local-1', personId: 'local-1' },
+    ]);
+
+    await localDatabase.markAuditSynced(['create', 'update'], 42);
+
+    const entries = await localDatabase.getAuditEntries('42');
+    expect(entries.map(entry => [entry.id, entry.recordId, entry.synced])).toEqual([['create', '42', true]]);
+
+    const pending = await localDatabase.getAuditEntries('local-1');
+    expect(pending.map(entry => [entry.id, entry.recordId, entry.synced]).sort()).toEqual([
+      ['household', 'local-h', false],
+      ['update', 'local-1', true],
+    ]);
+  });
+});
+
+describe('requêtes par lots (IN)', () => {
+  it('supprime plus d\'ids que la limite de paramètres', async () => {
+    const ids = range(1200, 'p');
+    await localDatabase.upsertRecords('persons', ids.map(id => person(id)));
+
+    await localDatabase.deleteRecords('persons', ids.slice(0, 1100));
+    expect(await localDatabase.countPersons()).toBe(100);
+  });
+
+  it('marque plus d\'entrées que la limite de paramètres', async () => {
+    const ids = range(1200, 'e');
+    await localDatabase.addAuditEntries(
+      ids.map(id => ({ ...auditEntry(id, { action: 'create' }), recordId: 'local-1', personId: 'local-1' }))
+    );
+
+    await localDatabase.markAuditSynced(ids, 42);
+
+    const entries = await localDatabase.getAuditEntries('42');
+    expect(entries).toHaveLength(1200);
+    expect(entries.every(entry => entry.synced)).toBe(true);
+  });
+
+  it('le stand-in refuse une requête au-delà de la limite', async () => {
+    await localDatabase.open();
+    const ids = range(1000, 'x');
+    await expect(
+      db.runAsync(`DELETE FROM persons WHERE id IN (${ids.map(() => '?').join(', ')})`, ids)
+    ).rejects.toThrow('too many SQL variables');
+  });
+});
+
+describe('clearRegistry', () => {
+  it('vide le cache du registre et conserve la queue et les données non envoyées', async () => {
+    await localDatabase.upsertRecords('persons', [person('p1')]);
+    await localDatabase.upsertRecords('households', [{ id: 'h1', head_of_household: 'p1' }]);
+    await localDatabase.upsertRecords('surveys', [{ id: 's1', person_id: 'p1' }]);
+    await localDatabase.upsertRecords('documents', [{ id: 'd1', person_id: 'p1' }]);
+    await localDatabase.saveAssessment('p1', { vulnerability_score: 62 });
+    await localDatabase.saveQueueItems([queueItem('q1')]);
+    await localDatabase.saveIdMappings({ 'local-1': 42 });
+    await localDatabase.addAuditEntries([
+      { ...auditEntry('sent'), recordId: 'p1', personId: 'p1', synced: true },
+      { ...auditEntry('pending'), recordId: 'p1', personId: 'p1', synced: false },
+    ]);
+    await localDatabase.setSyncState('pull_cursor:persons', { since: '2026-01-01' });
+    await localDatabase.setSyncState('pull_cursor:households', { since: '2026-01-01' });
+    await localDatabase.setSyncState('network_policy', { cellular: true });
+    await localDatabase.setSyncState('scoring_model', { version: 'server-3' });
+
+    await localDatabase.clearRegistry();
+
+    expect(await localDatabase.countPersons()).toBe(0);
+    expect(await localDatabase.getRecord('households', 'h1')).toBeNull();
+    expect(await localDatabase.getRecordsForPerson('surveys', 'p1')).toEqual([]);
+    expect(await localDatabase.getRecordsForPerson('documents', 'p1')).toEqual([]);
+    expect(await localDatabase.getAssessment('p1')).toBeNull();
+    expect(await localDatabase.getSyncState('pull_cursor:persons')).toBeNull();
+    expect(await localDatabase.getSyncState('pull_cursor:households')).toBeNull();
+
+    expect((await localDatabase.getQueueItems()).map(item => item.id)).toEqual(['q1']);
+    expect(await localDatabase.getIdMap()).toEqual({ 'local-1': '42' });
+    expect((await localDatabase.getAuditEntries('p1')).map(entry => entry.id)).toEqual(['pending']);
+    expect(await localDatabase.getSyncState('network_policy')).toEqual({ cellular: true });
+    expect(await localDatabase.getSyncState('scoring_model')).toEqual({ version: 'server-3' });
+  });
+});
+
+describe('clearAll', () => {
+  it('efface registre, queue, journal et audit, même non envoyés', async () => {
+    await localDatabase.upsertRecords('persons', [person('p1')]);
+    await localDatabase.saveAssessment('p1', { vulnerability_score: 62 });
+    await localDatabase.saveQueueItems([queueItem('q1')]);
+    await localDatabase.saveIdMappings({ 'local-1': 42 });
+    await localDatabase.addJournalEntries([
+      { itemId: 'q0', itemType: 'enrollment', result: 'success', description: 'Awa Ndong', day: '2026-01-01', recordedAt: '2026-01-01T08:00:00Z' },
+    ]);
+    await localDatabase.addAuditEntries([{ ...auditEntry('pending'), recordId: 'p1', personId: 'p1', synced: false }]);
+    await localDatabase.setSyncState('pull_cursor:persons', { since: '2026-01-01' });
+    await localDatabase.setSyncState('network_policy', { cellular: true });
+
+    await localDatabase.clearAll();
+
+    expect(await localDatabase.countPersons()).toBe(0);
+    expect(await localDatabase.getAssessment('p1')).toBeNull();
+    expect(await localDatabase.getQueueItems()).toEqual([]);
+    expect(await localDatabase.getIdMap()).toEqual({});
+    expect(await localDatabase.queryJournal()).toEqual([]);
+    expect(await localDatabase.getAuditEntries('p1')).toEqual([]);
+    expect(await localDatabase.getSyncState('pull_cursor:persons')).toBeNull();
+    expect(await localDatabase.getSyncState('network_policy')).toEqual({ cellular: true });
+  });
+});
@@ -0,0 +1,702 @@
+// =============================================================================
+// BASE LOCALE INDEXÉE (services/database/localDatabase.js)
+// Registre hors ligne : personnes, ménages, enquêtes, documents, évaluations,
+// éléments de la queue de synchronisation, correspondances d'ids, curseurs
+// de téléchargement, journal des envois et piste d'audit des saisies.
+// =============================================================================
+//
+// SQLite (expo-sqlite) chiffré par SQLCipher avec la clé d'appareil
+// (storage/encryption.js). Chaque enregistrement est une ligne : une
+// modification n'écrit que les lignes concernées, dans une transaction.
+//
+// La connexion est partagée par tous les services (envoi de la queue,
+// téléchargement, saisies, journal) : les écritures passent une à une par
+// write() / transaction(), deux transactions ne se chevauchent jamais.
+//
+// Les colonnes indexées servent aux requêtes (recherche, province, GPS,
+// statut de queue) ; l'objet complet est conservé en JSON dans `data`.
+//
+// Hors application (tests Node), configure({ openDatabase }) permet de
+// fournir une connexion exposant la même API asynchrone qu'expo-sqlite
+// (execAsync, runAsync, getAllAsync, getFirstAsync, withTransactionAsync) :
+// voir le stand-in sql.js de nodeDatabase.js.
+// =============================================================================
+
+import * as SQLite from 'expo-sqlite';
+import { getDatabaseKey } from '../storage/encryption';
+
+const DATABASE_NAME = 'rsu_registry.db';
+const SCHEMA_VERSION = 5;
+
+// Limite de paramètres SQLite par requête
+const MAX_PARAMS_PER_QUERY = 500;
+
+/**
+ * Tables d'enregistrements métier : colonnes extraites pour l'indexation
+ */
+const RECORD_TABLES = {
+  persons: ['nip', 'first_name', 'last_name', 'phone', 'province', 'latitude', 'longitude', 'verification_status', 'updated_at'],
+  households: ['head_of_household', 'province', 'updated_at'],
+  surveys: ['person_id', 'created_at'],
+  documents: ['person_id', 'document_type', 'created_at'],
+};
+
+const NUMERIC_COLUMNS = ['latitude', 'longitude'];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS persons (
+    id TEXT PRIMARY KEY NOT NULL,
+    nip TEXT,
+    first_name TEXT,
+    last_name TEXT,
+    phone TEXT,
+    province TEXT,
+    latitude REAL,
+    longitude REAL,
+    verification_status TEXT,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_persons_name ON persons (last_name, first_name);
+  CREATE INDEX IF NOT EXISTS idx_persons_nip ON persons (nip);
+  CREATE INDEX IF NOT EXISTS idx_persons_province ON persons (province);
+  CREATE INDEX IF NOT EXISTS idx_persons_location ON persons (latitude, longitude);
+  CREATE INDEX IF NOT EXISTS idx_persons_verification ON persons (verification_status, updated_at);
+
+  CREATE TABLE IF NOT EXISTS households (
+    id TEXT PRIMARY KEY NOT NULL,
+    head_of_household TEXT,
+    province TEXT,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_households_head ON households (head_of_household);
+
+  CREATE TABLE IF NOT EXISTS surveys (
+    id TEXT PRIMARY KEY NOT NULL,
+    person_id TEXT,
+    created_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_surveys_person ON surveys (person_id);
+
+  CREATE TABLE IF NOT EXISTS documents (
+    id TEXT PRIMARY KEY NOT NULL,
+    person_id TEXT,
+    document_type TEXT,
+    created_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_documents_person ON documents (person_id);
+
+  CREATE TABLE IF NOT EXISTS assessments (
+    person_id TEXT PRIMARY KEY NOT NULL,
+    cached_at TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS queue_items (
+    id TEXT PRIMARY KEY NOT NULL,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    created_at TEXT,
+    next_attempt_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_queue_status ON queue_items (status, created_at);
+
+  CREATE TABLE IF NOT EXISTS id_map (
+    local_id TEXT PRIMARY KEY NOT NULL,
+    server_id TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS sync_state (
+    key TEXT PRIMARY KEY NOT NULL,
+    value TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS sync_journal (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    item_id TEXT NOT NULL,
+    item_type TEXT NOT NULL,
+    result TEXT NOT NULL,
+    server_id TEXT,
+    description TEXT,
+    day TEXT NOT NULL,
+    recorded_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_journal_day ON sync_journal (day, recorded_at);
+  CREATE INDEX IF NOT EXISTS idx_journal_item ON sync_journal (item_id);
+
+  CREATE TABLE IF NOT EXISTS audit_entries (
+    id TEXT PRIMARY KEY NOT NULL,
+    record_type TEXT NOT NULL,
+    record_id TEXT,
+    person_id TEXT,
+    action TEXT NOT NULL,
+    recorded_at TEXT NOT NULL,
+    synced INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_audit_person ON audit_entries (person_id, recorded_at);
+  CREATE INDEX IF NOT EXISTS idx_audit_record ON audit_entries (record_id);
+`;
+
+/**
+ * Découpe une liste pour rester sous la limite de paramètres
+ */
+function chunk(list, size = MAX_PARAMS_PER_QUERY) {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) {
+    chunks.push(list.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function columnValue(record, column) {
+  const value = record[column];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (NUMERIC_COLUMNS.includes(column)) {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+class LocalDatabase {
+  constructor() {
+    this.dbPromise = null;
+    this.writeChain = Promise.resolve();
+    this.openDatabase = async () => {
+      const db = await SQLite.openDatabaseAsync(DATABASE_NAME);
+      await db.execAsync(`PRAGMA key = "x'${await getDatabaseKey()}'";`);
+      return db;
+    };
+  }
+
+  /**
+   * Remplace l'ouverture de la base (stand-in Node pour les tests)
+   */
+  configure({ openDatabase }) {
+    this.openDatabase = openDatabase;
+    this.dbPromise = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  // ===========================================================================
+  // OUVERTURE
+  // ===========================================================================
+
+  /**
+   * Connexion ouverte et schéma à jour (une seule ouverture par lancement)
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = this.openAndMigrate().catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async openAndMigrate() {
+    const db = await this.openDatabase();
+    await db.execAsync('PRAGMA journal_mode = WAL;');
+
+    const row = await db.getFirstAsync('PRAGMA user_version');
+    if ((row?.user_version || 0) < SCHEMA_VERSION) {
+      await db.execAsync(SCHEMA);
+      await db.execAsync(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+      console.log(`🗄️ Base locale initialisée (schéma v${SCHEMA_VERSION})`);
+    }
+
+    return db;
+  }
+
+  // ===========================================================================
+  // ÉCRITURES
+  // ===========================================================================
+
+  /**
+   * Exécute une écriture après celles déjà lancées (file unique) : une
+   * requête isolée ne se retrouve pas dans la transaction d'un autre appelant
+   *
+   * @param {Function} task - (db) => Promise
+   */
+  write(task) {
+    const run = this.writeChain.then(async () => task(await this.open()));
+    this.writeChain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Écriture dans une transaction : BEGIN … COMMIT, ROLLBACK en cas d'erreur
+   * (seules les requêtes de cette tâche sont annulées)
+   *
+   * @param {Function} task - (db) => Promise
+   */
+  transaction(task) {
+    return this.write(db => db.withTransactionAsync(() => task(db)));
+  }
+
+  // ===========================================================================
+  // ENREGISTREMENTS MÉTIER (persons, households, surveys, documents)
+  // ===========================================================================
+
+  /**
+   * Insère ou remplace des enregistrements
+   *
+   * @param {string} table - Table de RECORD_TABLES
+   * @param {Array} records - Objets avec un champ `id`
+   */
+  async upsertRecords(table, records) {
+    const columns = RECORD_TABLES[table];
+    if (!columns) {
+      throw new Error(`Table inconnue: ${table}`);
+    }
+    if (records.length === 0) return;
+
+    const sql = `INSERT OR REPLACE INTO ${table} (id, ${columns.join(', ')}, data)
+      VALUES (?, ${columns.map(() => '?').join(', ')}, ?)`;
+
+    await this.transaction(async db => {
+      for (const record of records) {
+        await db.runAsync(sql, [
+          String(record.id),
+          ...columns.map(column => columnValue(record, column)),
+          JSON.stringify(record),
+        ]);
+      }
+    });
+  }
+
+  /**
+   * Lit un enregistrement par id
+   */
+  async getRecord(table, id) {
+    if (!RECORD_TABLES[table]) {
+      throw new Error(`Table inconnue: ${table}`);
+    }
+
+    const db = await this.open();
+    const row = await db.getFirstAsync(`SELECT data FROM ${table} WHERE id = ?`, [String(id)]);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Enregistrements liés à une personne (enquêtes, documents)
+   */
+  async getRecordsForPerson(table, personId) {
+    if (!RECORD_TABLES[table]?.includes('person_id')) {
+      throw new Error(`Table sans person_id: ${table}`);
+    }
+
+    const db = await this.open();
+    const rows = await db.getAllAsync(
+      `SELECT data FROM ${table} WHERE person_id = ? ORDER BY created_at DESC`,
+      [String(personId)]
+    );
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Supprime des enregistrements par id
+   */
+  async deleteRecords(table, ids) {
+    if (!RECORD_TABLES[table]) {
+      throw new Error(`Table inconnue: ${table}`);
+    }
+    await this.deleteByIds(table, 'id', ids.map(String));
+  }
+
+  // ===========================================================================
+  // PERSONNES
+  // ===========================================================================
+
+  /**
+   * Construit la clause WHERE des requêtes personnes
+   */
+  buildPersonFilters({ search, province, withLocation, verificationStatus } = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (search) {
+      const like = `%${search.trim()}%`;
+      clauses.push('(first_name LIKE ? OR last_name LIKE ? OR nip LIKE ? OR phone LIKE ?)');
+      params.push(like, like, like, like);
+    }
+    if (province) {
+      clauses.push('province = ?');
+      params.push(province);
+    }
+    if (withLocation) {
+      clauses.push('latitude IS NOT NULL AND longitude IS NOT NULL');
+    }
+    if (verificationStatus) {
+      const statuses = [].concat(verificationStatus);
+      clauses.push(`verification_status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+
+    return {
+      where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+      params,
+    };
+  }
+
+  /**
+   * Recherche de personnes
+   *
+   * @param {Object} filters - { search, province, withLocation, verificationStatus
+   *                           (statut ou liste de statuts), limit, offset }
+   * @returns {Promise<Array>} - Personnes triées par nom
+   */
+  async queryPersons(filters = {}) {
+    const { limit = 100, offset = 0 } = filters;
+    const { where, params } = this.buildPersonFilters(filters);
+
+    const db = await this.open();
+    const rows = await db.getAllAsync(
+      `SELECT data FROM persons ${where}
+       ORDER BY last_name COLLATE NOCASE, first_name COLLATE NOCASE
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Nombre de personnes correspondant aux filtres
+   */
+  async countPersons(filters = {}) {
+    const { where, params } = this.buildPersonFilters(filters);
+
+    const db = await this.open();
+    const row = await db.getFirstAsync(`SELECT COUNT(*) AS total FROM persons ${where}`, params);
+    return row?.total || 0;
+  }
+
+  // ===========================================================================
+  // ÉVALUATIONS DE VULNÉRABILITÉ
+  // ===========================================================================
+
+  async saveAssessment(personId, assessment) {
+    await this.write(db => db.runAsync(
+      'INSERT OR REPLACE INTO assessments (person_id, cached_at, data) VALUES (?, ?, ?)',
+      [String(personId), new Date().toISOString(), JSON.stringify(assessment)]
+    ));
+  }
+
+  async getAssessment(personId) {
+    const db = await this.open();
+    const row = await db.getFirstAsync('SELECT data FROM assessments WHERE person_id = ?', [String(personId)]);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  // ===========================================================================
+  // QUEUE DE SYNCHRONISATION
+  // ===========================================================================
+
+  /**
+   * Tous les éléments (queue et dead-letters), du plus ancien au plus récent
+   */
+  async getQueueItems() {
+    const db = await this.open();
+    const rows = await db.getAllAsync('SELECT data FROM queue_items ORDER BY created_at, rowid');
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Insère ou met à jour des éléments de queue
+   */
+  async saveQueueItems(items) {
+    if (items.length === 0) return;
+
+    await this.transaction(async db => {
+      for (const item of items) {
+        await db.runAsync(
+          `INSERT OR REPLACE INTO queue_items (id, type, status, created_at, next_attempt_at, data)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [item.id, item.type, item.status, item.createdAt, item.nextAttemptAt || null, JSON.stringify(item)]
+        );
+      }
+    });
+  }
+
+  async deleteQueueItems(ids) {
+    await this.deleteByIds('queue_items', 'id', ids);
+  }
+
+  async clearQueueItems() {
+    await this.write(db => db.runAsync('DELETE FROM queue_items'));
+  }
+
+  // ===========================================================================
+  // CORRESPONDANCES ID LOCAL -> ID SERVEUR
+  // ===========================================================================
+
+  async getIdMap() {
+    const db = await this.open();
+    const rows = await db.getAllAsync('SELECT local_id, server_id FROM id_map');
+
+    const idMap = {};
+    rows.forEach(row => { idMap[row.local_id] = row.server_id; });
+    return idMap;
+  }
+
+  /**
+   * @param {Object} mappings - { idLocal: idServeur }
+   */
+  async saveIdMappings(mappings) {
+    const entries = Object.entries(mappings);
+    if (entries.length === 0) return;
+
+    await this.transaction(async db => {
+      for (const [localId, serverId] of entries) {
+        await db.runAsync(
+          'INSERT OR REPLACE INTO id_map (local_id, server_id) VALUES (?, ?)',
+          [localId, String(serverId)]
+        );
+      }
+    });
+  }
+
+  // ===========================================================================
+  // ÉTAT DE SYNCHRONISATION (curseurs de téléchargement)
+  // ===========================================================================
+
+  async getSyncState(key) {
+    const db = await this.open();
+    const row = await db.getFirstAsync('SELECT value FROM sync_state WHERE key = ?', [key]);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async setSyncState(key, value) {
+    await this.write(db => db.runAsync(
+      'INSERT OR REPLACE INTO sync_state (key, value) VALUES (?, ?)',
+      [key, JSON.stringify(value)]
+    ));
+  }
+
+  // ===========================================================================
+  // JOURNAL DES ENVOIS
+  // ===========================================================================
+
+  /**
+   * Ajoute des entrées au journal
+   *
+   * @param {Array} entries - { itemId, itemType, result, serverId, description, day, recordedAt, ... }
+   */
+  async addJournalEntries(entries) {
+    if (entries.length === 0) return;
+
+    await this.transaction(async db => {
+      for (const entry of entries) {
+        await db.runAsync(
+          `INSERT INTO sync_journal (item_id, item_type, result, server_id, description, day, recorded_at, data)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            entry.itemId,
+            entry.itemType,
+            entry.result,
+            entry.serverId ? String(entry.serverId) : null,
+            entry.description || null,
+            entry.day,
+            entry.recordedAt,
+            JSON.stringify(entry),
+          ]
+        );
+      }
+    });
+  }
+
+  /**
+   * Entrées du journal, des plus récentes aux plus anciennes
+   *
+   * @param {Object} filters - { day, fromDay, type, result, search, limit, offset }
+   */
+  async queryJournal(filters = {}) {
+    const { day, fromDay, type, result, search, limit = 200, offset = 0 } = filters;
+    const clauses = [];
+    const params = [];
+
+    if (day) {
+      clauses.push('day = ?');
+      params.push(day);
+    }
+    if (fromDay) {
+      clauses.push('day >= ?');
+      params.push(fromDay);
+    }
+    if (type) {
+      clauses.push('item_type = ?');
+      params.push(type);
+    }
+    if (result) {
+      clauses.push('result = ?');
+      params.push(result);
+    }
+    if (search) {
+      const like = `%${search.trim()}%`;
+      clauses.push('(description LIKE ? OR item_id LIKE ? OR server_id LIKE ?)');
+      params.push(like, like, like);
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const db = await this.open();
+    const rows = await db.getAllAsync(
+      `SELECT data FROM sync_journal ${where} ORDER BY recorded_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Supprime les entrées antérieures à un jour (YYYY-MM-DD)
+   */
+  async pruneJournal(beforeDay) {
+    await this.write(db => db.runAsync('DELETE FROM sync_journal WHERE day < ?', [beforeDay]));
+  }
+
+  // ===========================================================================
+  // PISTE D'AUDIT
+  // ===========================================================================
+
+  /**
+   * Ajoute des entrées d'audit
+   *
+   * @param {Array} entries - Entrées (auditService) avec { recordId, personId, synced }
+   */
+  async addAuditEntries(entries) {
+    if (entries.length === 0) return;
+
+    await this.transaction(async db => {
+      for (const { recordId, personId, synced, ...entry } of entries) {
+        await db.runAsync(
+          `INSERT OR REPLACE INTO audit_entries (id, record_type, record_id, person_id, action, recorded_at, synced, data)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            entry.id,
+            entry.record_type,
+            recordId ? String(recordId) : null,
+            personId ? String(personId) : null,
+            entry.action,
+            entry.recorded_at,
+            synced ? 1 : 0,
+            JSON.stringify(entry),
+          ]
+        );
+      }
+    });
+  }
+
+  /**
+   * Entrées d'audit d'une personne (et de son ménage), plus récentes d'abord
+   */
+  async getAuditEntries(personId) {
+    const db = await this.open();
+    const rows = await db.getAllAsync(
+      `SELECT record_id, synced, data FROM audit_entries
+       WHERE person_id = ? ORDER BY recorded_at DESC`,
+      [String(personId)]
+    );
+    return rows.map(row => ({
+      ...JSON.parse(row.data),
+      recordId: row.record_id,
+      synced: row.synced === 1,
+    }));
+  }
+
+  /**
+   * Marque des entrées envoyées avec leur enregistrement ; une création
+   * prend l'id attribué par le serveur
+   *
+   * @param {Array<string>} ids - Entrées d'audit
+   * @param {string} serverId - Id serveur de l'enregistrement (création)
+   */
+  async markAuditSynced(ids, serverId = null) {
+    if (ids.length === 0) return;
+
+    await this.transaction(async db => {
+      for (const idsChunk of chunk(ids)) {
+        const placeholders = idsChunk.map(() => '?').join(', ');
+        if (serverId) {
+          await db.runAsync(
+            `UPDATE audit_entries SET
+               person_id = CASE WHEN person_id = record_id THEN ? ELSE person_id END,
+               record_id = ?
+             WHERE id IN (${placeholders}) AND action = 'create'`,
+            [String(serverId), String(serverId), ...idsChunk]
+          );
+        }
+        await db.runAsync(
+          `UPDATE audit_entries SET synced = 1 WHERE id IN (${placeholders})`,
+          idsChunk
+        );
+      }
+    });
+  }
+
+  // ===========================================================================
+  // UTILITAIRES
+  // ===========================================================================
+
+  async deleteByIds(table, column, ids) {
+    if (ids.length === 0) return;
+
+    await this.transaction(async db => {
+      for (const idsChunk of chunk(ids)) {
+        await db.runAsync(
+          `DELETE FROM ${table} WHERE ${column} IN (${idsChunk.map(() => '?').join(', ')})`,
+          idsChunk
+        );
+      }
+    });
+  }
+
+  /**
+   * Vide les données du registre en cache (la queue, la politique de
+   * synchronisation et les entrées d'audit non envoyées sont conservées ;
+   * les curseurs de téléchargement sont remis à zéro)
+   */
+  async clearRegistry() {
+    await this.write(db => db.execAsync(`
+      DELETE FROM persons;
+      DELETE FROM households;
+      DELETE FROM surveys;
+      DELETE FROM documents;
+      DELETE FROM assessments;
+      DELETE FROM audit_entries WHERE synced = 1;
+      DELETE FROM sync_state WHERE key LIKE 'pull_cursor:%';
+    `));
+    console.log('🧹 Registre local vidé');
+  }
+
+  /**
+   * Efface toutes les données saisies ou téléchargées : registre, queue,
+   * correspondances d'identifiants, journal et audit, même non envoyés
+   * (seuls la politique de synchronisation et le modèle de scoring restent)
+   */
+  async clearAll() {
+    await this.write(db => db.execAsync(`
+      DELETE FROM persons;
+      DELETE FROM households;
+      DELETE FROM surveys;
+      DELETE FROM documents;
+      DELETE FROM assessments;
+      DELETE FROM queue_items;
+      DELETE FROM id_map;
+      DELETE FROM sync_journal;
+      DELETE FROM audit_entries;
+      DELETE FROM sync_state WHERE key LIKE 'pull_cursor:%';
+    `));
+    console.log('🧹 Base locale effacée');
+  }
+}
+
+const localDatabase = new LocalDatabase();
+export default localDatabase;
@@ -0,0 +1,99 @@
+// =============================================================================
+// STAND-IN NODE DE LA BASE LOCALE (services/database/nodeDatabase.js)
+// Connexion SQLite en mémoire (sql.js) exposant l'API asynchrone
+// d'expo-sqlite utilisée par localDatabase.js, pour les tests Node.
+// =============================================================================
+//
+// Utilisation :
+//   localDatabase.configure({ openDatabase: () => openNodeDatabase() });
+//
+// maxParams reproduit la limite de paramètres des SQLite anciens (999 avant
+// 3.32, encore présents sur des Android) : une requête qui la dépasse échoue
+// comme sur l'appareil.
+// Réservé aux tests : jamais importé par l'application.
+// =============================================================================
+
+// Version asm.js : la version WebAssembly ne peut pas ouvrir de base dans
+// l'environnement de test jest-expo
+import initSqlJs from 'sql.js/dist/sql-asm';
+
+const LEGACY_MAX_PARAMS = 999;
+
+let sqlPromise = null;
+
+function loadSql() {
+  if (!sqlPromise) {
+    sqlPromise = initSqlJs();
+  }
+  return sqlPromise;
+}
+
+/**
+ * Ouvre une base SQLite en mémoire
+ *
+ * @param {Object} options - { maxParams }
+ * @returns {Promise<Object>} - Connexion (execAsync, runAsync, getAllAsync,
+ *                              getFirstAsync, withTransactionAsync, closeAsync)
+ */
+export async function openNodeDatabase({ maxParams = LEGACY_MAX_PARAMS } = {}) {
+  const SQL = await loadSql();
+  const db = new SQL.Database();
+
+  const checkParams = (params) => {
+    if (params.length > maxParams) {
+      throw new Error(`too many SQL variables (${params.length} > ${maxParams})`);
+    }
+  };
+
+  const select = (sql, params = []) => {
+    checkParams(params);
+    const statement = db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  };
+
+  return {
+    async execAsync(sql) {
+      db.exec(sql);
+    },
+
+    async runAsync(sql, params = []) {
+      checkParams(params);
+      db.run(sql, params);
+      const changes = db.getRowsModified();
+      const [{ id }] = select('SELECT last_insert_rowid() AS id');
+      return { changes, lastInsertRowId: id };
+    },
+
+    async getAllAsync(sql, params = []) {
+      return select(sql, params);
+    },
+
+    async getFirstAsync(sql, params = []) {
+      return select(sql, params)[0] ?? null;
+    },
+
+    async withTransactionAsync(task) {
+      db.exec('BEGIN');
+      try {
+        await task();
+        db.exec('COMMIT');
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    },
+
+    async closeAsync() {
+      db.close();
+    },
+  };
+}
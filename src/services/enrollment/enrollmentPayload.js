@@ -0,0 +1,55 @@
+// =============================================================================
+// ENROLLMENT PAYLOAD (services/enrollment/enrollmentPayload.js)
+// Conversion formulaire mobile -> format API backend, partagée entre
+// enrollmentService (envoi direct) et syncService (envoi différé)
+// =============================================================================
+
+/**
+ * Date de naissance au format YYYY-MM-DD
+ * (Date en mémoire ou chaîne ISO après passage par la queue persistante)
+ */
+function formatBirthDate(birthDate) {
+  if (!birthDate) return null;
+  return new Date(birthDate).toISOString().split('T')[0];
+}
+
+/**
+ * Construit le payload /enrollment/submit/ depuis les données du formulaire
+ */
+export function buildEnrollmentPayload(data) {
+  return {
+    person: {
+      first_name: data.person.firstName,
+      last_name: data.person.lastName,
+      nip: data.person.nip,
+      birth_date: formatBirthDate(data.person.birthDate),
+      gender: data.person.gender,
+      phone: data.person.phone,
+      email: data.person.email || '',
+      province: data.person.province,
+      district: data.person.district || '',
+      village: data.person.village || '',
+      education_level: data.person.educationLevel,
+      occupation_status: data.person.occupationStatus,
+      monthly_income: parseFloat(data.person.monthlyIncome) || 0,
+      latitude: data.gpsData?.latitude,
+      longitude: data.gpsData?.longitude,
+      gps_accuracy: data.gpsData?.accuracy,
+    },
+    household: {
+      household_size: parseInt(data.household.householdSize) || 1,
+      dependents: parseInt(data.household.dependents) || 0,
+      total_monthly_income: parseFloat(data.household.monthlyIncome) || 0,
+      has_electricity: data.household.hasElectricity === 'yes',
+      has_running_water: data.household.hasRunningWater === 'yes',
+      housing_type: data.household.housingType,
+      province: data.person.province,
+    },
+    vulnerability_assessment: {
+      vulnerability_score: data.vulnerabilityScore?.score,
+      risk_level: data.vulnerabilityScore?.level,
+      vulnerability_factors: data.vulnerabilityScore?.factors || [],
+      model_version: data.vulnerabilityScore?.modelVersion,
+    }
+  };
+}
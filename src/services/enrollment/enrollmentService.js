@@ -2,108 +2,103 @@
 // 5. ENROLLMENT SERVICE (services/enrollment/enrollmentService.js)
 // =============================================================================
 import apiClient from '../api/apiClient';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import syncService from '../sync/syncService';
+import auditService from '../audit/auditService';
+import { buildEnrollmentPayload } from './enrollmentPayload';
 import { v4 as uuidv4 } from 'uuid';
 import NetInfo from '@react-native-community/netinfo';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
 
 class EnrollmentService {
   async submitEnrollment(enrollmentData) {
+    // Même clé pour l'envoi direct et l'éventuelle mise en queue :
+    // si la réponse est perdue, le serveur ne crée pas de doublon
+    const idempotencyKey = uuidv4();
+
+    // Même entrée d'audit pour l'envoi direct et la queue
+    const audit = [await auditService.build({
+      recordType: OFFLINE_CONFIG.AUDIT.RECORD_TYPES.PERSON,
+      action: OFFLINE_CONFIG.AUDIT.ACTIONS.CREATE,
+      after: buildEnrollmentPayload(enrollmentData).person,
+      location: enrollmentData.gpsData,
+    })];
+
     try {
       const networkState = await NetInfo.fetch();
       
       if (networkState.isConnected) {
         // Soumission en ligne
-        return await this.submitOnline(enrollmentData);
+        return await this.submitOnline(enrollmentData, idempotencyKey, audit);
       } else {
         // Sauvegarde hors ligne
-        return await this.saveOffline(enrollmentData);
+        return await this.saveOffline(enrollmentData, idempotencyKey, audit);
       }
     } catch (error) {
       console.error('Erreur soumission inscription:', error);
       // Fallback vers sauvegarde offline
-      return await this.saveOffline(enrollmentData);
+      return await this.saveOffline(enrollmentData, idempotencyKey, audit);
     }
   }
 
-  async submitOnline(data) {
+  async submitOnline(data, idempotencyKey = uuidv4(), audit = []) {
     try {
       // Préparer données pour l'API backend
       const payload = {
-        person: {
-          first_name: data.person.firstName,
-          last_name: data.person.lastName,
-          nip: data.person.nip,
-          birth_date: data.person.birthDate.toISOString().split('T')[0],
-          gender: data.person.gender,
-          phone: data.person.phone,
-          email: data.person.email || '',
-          province: data.person.province,
-          district: data.person.district || '',
-          village: data.person.village || '',
-          education_level: data.person.educationLevel,
-          occupation_status: data.person.occupationStatus,
-          monthly_income: parseFloat(data.person.monthlyIncome) || 0,
-          latitude: data.gpsData?.latitude,
-          longitude: data.gpsData?.longitude,
-          gps_accuracy: data.gpsData?.accuracy,
-        },
-        household: {
-          household_size: parseInt(data.household.householdSize) || 1,
-          dependents: parseInt(data.household.dependents) || 0,
-          total_monthly_income: parseFloat(data.household.monthlyIncome) || 0,
-          has_electricity: data.household.hasElectricity === 'yes',
-          has_running_water: data.household.hasRunningWater === 'yes',
-          housing_type: data.household.housingType,
-          province: data.person.province,
-        },
-        vulnerability_assessment: {
-          vulnerability_score: data.vulnerabilityScore?.score,
-          risk_level: data.vulnerabilityScore?.level,
-          vulnerability_factors: data.vulnerabilityScore?.factors || [],
-        }
+        ...buildEnrollmentPayload(data),
+        ...(audit.length > 0 ? { audit_trail: audit } : {}),
       };
 
       // Appeler l'API d'inscription
-      const response = await apiClient.post('/enrollment/submit/', payload);
+      const response = await apiClient.post('/enrollment/submit/', payload, {
+        headers: syncService.idempotencyHeaders(idempotencyKey),
+      });
+
+      const personId = response.data.person_id || response.data.person?.id;
+      await auditService.save(audit, { recordId: personId, synced: true });
       
       return {
         success: true,
         rsuId: response.data.rsu_id,
+        personId,
         message: 'Inscription soumise avec succès',
         data: response.data,
       };
     } catch (error) {
+      // Inscription déjà enregistrée par un envoi précédent
+      if (syncService.isAlreadyProcessed(error)) {
+        await auditService.save(audit, {
+          recordId: error.response.data.person_id || error.response.data.server_id,
+          synced: true,
+        });
+        return {
+          success: true,
+          rsuId: error.response.data.rsu_id || error.response.data.server_id,
+          personId: error.response.data.person_id || error.response.data.server_id,
+          message: 'Inscription déjà enregistrée',
+          data: error.response.data,
+        };
+      }
+
       console.error('Erreur soumission online:', error);
       throw new Error(error.response?.data?.message || 'Erreur serveur');
     }
   }
 
-  async saveOffline(data) {
+  async saveOffline(data, idempotencyKey = uuidv4(), audit = []) {
     try {
       const offlineId = uuidv4();
-      const timestamp = new Date().toISOString();
-      
-      const offlineEntry = {
-        id: offlineId,
-        type: 'enrollment',
-        data: data,
-        timestamp: timestamp,
-        status: 'pending',
-      };
+      const rsuId = `${OFFLINE_CONFIG.LOCAL_ID_PREFIX}${offlineId.substring(0, 8)}`;
 
-      // Récupérer queue existante
-      const existingQueue = await AsyncStorage.getItem('offline_queue');
-      const queue = existingQueue ? JSON.parse(existingQueue) : [];
-      
-      // Ajouter nouvelle entrée
-      queue.push(offlineEntry);
-      
-      // Sauvegarder
-      await AsyncStorage.setItem('offline_queue', JSON.stringify(queue));
+      // Mise en queue dans le moteur de synchronisation unique
+      await syncService.enqueue(OFFLINE_CONFIG.OPERATION_TYPES.ENROLLMENT, data, {
+        rsuId,
+        description: `${data.person.firstName} ${data.person.lastName}`,
+      }, { idempotencyKey, audit });
+      await auditService.save(audit, { recordId: rsuId });
 
       return {
         success: true,
-        rsuId: `OFFLINE-${offlineId.substring(0, 8)}`,
+        rsuId,
         message: 'Inscription sauvegardée hors ligne',
         offline: true,
       };
@@ -0,0 +1,90 @@
+// =============================================================================
+// TESTS - VÉRIFICATION DES SAISIES
+// Tâches de correction de l'enquêteur connecté, décision réservée au droit
+// de vérification (registre local sur le stand-in Node de la base)
+// =============================================================================
+
+import authService from '../../auth/authService';
+import localDatabase from '../../database/localDatabase';
+import { openNodeDatabase } from '../../database/nodeDatabase';
+import syncService from '../../sync/syncService';
+import reviewService, { VERIFICATION_STATUS } from '../reviewService';
+import { PERMISSIONS } from '../../../constants/permissionsConstants';
+
+jest.mock('expo-sqlite', () => ({ openDatabaseAsync: jest.fn() }));
+jest.mock('../../storage/encryption', () => ({ getDatabaseKey: jest.fn() }));
+jest.mock('../../api/apiClient', () => ({ get: jest.fn() }));
+jest.mock('../../auth/authService', () => ({ getCurrentUser: jest.fn(), can: jest.fn() }));
+jest.mock('../../sync/syncService', () => ({ enqueueReview: jest.fn() }));
+
+const person = (id, overrides = {}) => ({
+  id,
+  first_name: 'Awa',
+  last_name: `Ndong ${id}`,
+  verification_status: VERIFICATION_STATUS.REQUIRES_REVIEW,
+  updated_at: '2026-01-01T00:00:00Z',
+  ...overrides,
+});
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  localDatabase.configure({ openDatabase: () => openNodeDatabase() });
+  authService.getCurrentUser.mockResolvedValue({ id: 12 });
+
+  await localDatabase.upsertRecords('persons', [
+    person('a', { created_by: 12 }),
+    person('b', { surveyor_id: '12' }),
+    person('c', { created_by: 31 }),
+    person('d'),
+    person('e', { created_by: null, surveyor_id: null }),
+    person('f', { created_by: 12, verification_status: VERIFICATION_STATUS.PENDING }),
+  ]);
+});
+
+describe('getCorrectionTasks', () => {
+  it("ne renvoie que les fiches renvoyées dont l'enquêteur est l'auteur", async () => {
+    const tasks = await reviewService.getCorrectionTasks();
+    expect(tasks.map(task => task.id).sort()).toEqual(['a', 'b']);
+  });
+
+  it("écarte les fiches sans auteur au lieu de les donner à toute la zone", async () => {
+    authService.getCurrentUser.mockResolvedValue({ id: 31 });
+
+    const tasks = await reviewService.getCorrectionTasks();
+    expect(tasks.map(task => task.id)).toEqual(['c']);
+  });
+
+  it('ne renvoie rien sans session', async () => {
+    authService.getCurrentUser.mockResolvedValue(null);
+    expect(await reviewService.getCorrectionTasks()).toEqual([]);
+  });
+});
+
+describe('decide', () => {
+  it("refuse la décision sans le droit de vérification", async () => {
+    authService.can.mockReturnValue(false);
+
+    await expect(reviewService.decide(person('c'), VERIFICATION_STATUS.VERIFIED)).rejects.toThrow('Action non autorisée');
+
+    expect(authService.can).toHaveBeenCalledWith(PERMISSIONS.ACTIONS.VERIFY_PERSON);
+    expect(syncService.enqueueReview).not.toHaveBeenCalled();
+    expect((await localDatabase.getRecord('persons', 'c')).verification_status).toBe(VERIFICATION_STATUS.REQUIRES_REVIEW);
+  });
+
+  it('applique et met en queue la décision du superviseur', async () => {
+    authService.can.mockReturnValue(true);
+
+    await reviewService.decide(person('c'), VERIFICATION_STATUS.VERIFIED);
+
+    expect(syncService.enqueueReview).toHaveBeenCalledTimes(1);
+    expect((await localDatabase.getRecord('persons', 'c')).verification_status).toBe(VERIFICATION_STATUS.VERIFIED);
+  });
+});
@@ -0,0 +1,200 @@
+// =============================================================================
+// REVIEW SERVICE - VÉRIFICATION DES SAISIES PAR LE SUPERVISEUR
+// Fichier: src/services/review/reviewService.js
+// =============================================================================
+//
+// Les personnes de la zone (registre local, pullService) portent un statut
+// de vérification (FORM_OPTIONS.VERIFICATION_STATUS) :
+//   PENDING          saisie envoyée, à vérifier par le superviseur ;
+//   VERIFIED         fiche validée ;
+//   REJECTED         fiche rejetée (motif obligatoire) ;
+//   REQUIRES_REVIEW  renvoyée à l'enquêteur pour correction (motif obligatoire).
+//
+// Une décision est appliquée au registre local puis envoyée par la queue
+// (REVIEW_PERSON) : le superviseur peut vérifier hors ligne. Côté enquêteur,
+// les fiches renvoyées redescendent au prochain téléchargement et forment
+// ses tâches de correction ; corriger la fiche la remet à vérifier.
+//
+// Contrat serveur : une fiche téléchargée porte son auteur (`created_by`,
+// ou `surveyor_id`). Une fiche sans auteur n'est la tâche de personne ici :
+// la renvoyer à tous les enquêteurs de la zone exposerait la fiche et la
+// correction à des collègues qui ne l'ont pas saisie.
+// =============================================================================
+
+import apiClient from '../api/apiClient';
+import authService from '../auth/authService';
+import localDatabase from '../database/localDatabase';
+import syncService from '../sync/syncService';
+import { API_CONFIG } from '../../constants/apiConfig';
+import { FORM_OPTIONS } from '../../constants/formConstants';
+import { PERMISSIONS } from '../../constants/permissionsConstants';
+import { ERROR_MESSAGES } from '../../constants/errorMessages';
+
+// { PENDING: 'PENDING', VERIFIED: 'VERIFIED', ... }
+export const VERIFICATION_STATUS = Object.fromEntries(
+  FORM_OPTIONS.VERIFICATION_STATUS.map(({ value }) => [value, value])
+);
+
+// Décisions qui doivent être expliquées à l'enquêteur
+const REASON_REQUIRED = [VERIFICATION_STATUS.REJECTED, VERIFICATION_STATUS.REQUIRES_REVIEW];
+
+const REVIEW_QUEUE_LIMIT = 500;
+
+export const VERIFICATION_COLORS = {
+  [VERIFICATION_STATUS.PENDING]: '#FF9800',
+  [VERIFICATION_STATUS.VERIFIED]: '#4CAF50',
+  [VERIFICATION_STATUS.REJECTED]: '#D32F2F',
+  [VERIFICATION_STATUS.REQUIRES_REVIEW]: '#1976D2',
+};
+
+/**
+ * Libellé d'un statut de vérification
+ */
+export function getVerificationLabel(status) {
+  return FORM_OPTIONS.VERIFICATION_STATUS.find(option => option.value === status)?.label
+    || FORM_OPTIONS.VERIFICATION_STATUS[0].label;
+}
+
+/**
+ * Motif de la dernière décision (local ou tel que téléchargé)
+ */
+export function getReviewReason(person) {
+  return person?.review?.reason || person?.review_reason || null;
+}
+
+class ReviewService {
+  /**
+   * Saisies à vérifier (registre local de la zone du superviseur)
+   *
+   * @param {Object} filters - { status (statut ou liste), search }
+   */
+  async getReviewQueue({ status = VERIFICATION_STATUS.PENDING, search } = {}) {
+    const persons = await localDatabase.queryPersons({
+      verificationStatus: status,
+      search,
+      limit: REVIEW_QUEUE_LIMIT,
+    });
+
+    // Plus anciennes saisies en premier
+    return persons.sort((a, b) => String(a.updated_at || '').localeCompare(String(b.updated_at || '')));
+  }
+
+  async countPending() {
+    return await localDatabase.countPersons({ verificationStatus: VERIFICATION_STATUS.PENDING });
+  }
+
+  /**
+   * Fiche complète d'une saisie : personne, enquêtes et photos
+   *
+   * @returns {Promise<Object>} - { person, surveys, photos, photosOffline }
+   */
+  async getSubmission(personId) {
+    const person = await localDatabase.getRecord('persons', personId);
+    if (!person) {
+      return null;
+    }
+
+    const surveys = await localDatabase.getRecordsForPerson('surveys', personId);
+
+    // Les images ne sont pas gardées dans le registre local : en ligne seulement
+    let photos = [];
+    let photosOffline = false;
+    try {
+      const response = await apiClient.get(API_CONFIG.ENDPOINTS.DOCUMENTS, {
+        params: { person: personId },
+      });
+      const documents = response.data.results || response.data;
+      photos = documents
+        .map(document => ({ ...document, uri: document.file || document.url }))
+        .filter(document => document.uri);
+    } catch (error) {
+      console.log('📴 Photos indisponibles hors ligne:', error.message);
+      photos = await localDatabase.getRecordsForPerson('documents', personId);
+      photosOffline = true;
+    }
+
+    return { person, surveys, photos, photosOffline };
+  }
+
+  /**
+   * Enregistre la décision du superviseur
+   *
+   * @param {Object} person - Personne vérifiée
+   * @param {string} status - VERIFIED, REJECTED ou REQUIRES_REVIEW
+   * @param {string} reason - Motif (obligatoire sauf validation)
+   * @returns {Promise<Object>} - Personne mise à jour
+   */
+  async decide(person, status, reason) {
+    if (!authService.can(PERMISSIONS.ACTIONS.VERIFY_PERSON)) {
+      throw new Error(ERROR_MESSAGES.NETWORK.FORBIDDEN);
+    }
+    if (![VERIFICATION_STATUS.VERIFIED, ...REASON_REQUIRED].includes(status)) {
+      throw new Error(ERROR_MESSAGES.REVIEW.INVALID_STATUS);
+    }
+
+    const trimmedReason = String(reason || '').trim();
+    if (REASON_REQUIRED.includes(status) && !trimmedReason) {
+      throw new Error(ERROR_MESSAGES.REVIEW.REASON_REQUIRED);
+    }
+
+    const reviewer = await authService.getCurrentUser();
+    const review = {
+      verification_status: status,
+      reason: trimmedReason || null,
+      reviewed_at: new Date().toISOString(),
+    };
+
+    const updated = {
+      ...person,
+      verification_status: status,
+      review: {
+        ...review,
+        reviewed_by: reviewer?.id ?? null,
+        reviewer_name: `${reviewer?.firstName || ''} ${reviewer?.lastName || ''}`.trim() || null,
+      },
+    };
+
+    await localDatabase.upsertRecords('persons', [updated]);
+    await syncService.enqueueReview(person, review);
+
+    console.log(`🧾 Décision ${status} pour ${person.id}`);
+    return updated;
+  }
+
+  /**
+   * Fiches renvoyées à l'enquêteur connecté pour correction
+   */
+  async getCorrectionTasks() {
+    const user = await authService.getCurrentUser();
+    if (!user?.id) {
+      return [];
+    }
+
+    const persons = await localDatabase.queryPersons({
+      verificationStatus: VERIFICATION_STATUS.REQUIRES_REVIEW,
+      limit: REVIEW_QUEUE_LIMIT,
+    });
+
+    // Fiches de la zone saisies par cet enquêteur (auteur absent : écartée)
+    return persons.filter(person => {
+      const author = person.created_by ?? person.surveyor_id;
+      return author !== undefined && author !== null && String(author) === String(user.id);
+    });
+  }
+
+  /**
+   * Modifications d'une fiche renvoyée : la corriger la remet à vérifier
+   *
+   * @param {Object} person - Personne avant modification
+   * @param {Object} changes - Champs modifiés
+   */
+  withCorrectionStatus(person, changes) {
+    if (person.verification_status !== VERIFICATION_STATUS.REQUIRES_REVIEW) {
+      return changes;
+    }
+    return { ...changes, verification_status: VERIFICATION_STATUS.PENDING };
+  }
+}
+
+const reviewService = new ReviewService();
+export default reviewService;
@@ -0,0 +1,236 @@
+// =============================================================================
+// TESTS - EXPRESSIONS DE RÈGLES DE SCORING
+// =============================================================================
+
+import { parseExpression, evaluateExpression, expressionVariables } from '../ruleExpression';
+import { INPUT_VARIABLES } from '../scoringEngine';
+import { VULNERABILITY_FACTORS } from '../../../constants/gabonData';
+
+const evaluate = (source, variables = {}) => evaluateExpression(parseExpression(source), variables);
+
+// Pour chaque `threshold` de VULNERABILITY_FACTORS : variables qui le
+// rendent vrai, puis faux
+const THRESHOLD_CASES = {
+  'ECONOMIC.UNEMPLOYMENT': [{ occupationStatus: 'UNEMPLOYED' }, { occupationStatus: 'EMPLOYED' }],
+  'ECONOMIC.LOW_INCOME': [{ monthlyIncome: 99999 }, { monthlyIncome: 100000 }],
+  'ECONOMIC.INFORMAL_WORK': [{ occupationStatus: 'INFORMAL' }, { occupationStatus: 'UNEMPLOYED' }],
+  'ECONOMIC.NO_SAVINGS': [{ hasSavings: 'no' }, { hasSavings: 'yes' }],
+  'ECONOMIC.POOR_HOUSING': [{ housingType: 'PRECARIOUS' }, { housingType: 'MODERN' }],
+  'ECONOMIC.NO_ELECTRICITY': [{ hasElectricity: 'no' }, { hasElectricity: 'yes' }],
+  'ECONOMIC.NO_WATER': [{ hasRunningWater: 'no' }, { hasRunningWater: 'yes' }],
+  'SOCIAL.NO_EDUCATION': [{ educationLevel: 'NONE' }, { educationLevel: 'PRIMARY' }],
+  'SOCIAL.PRIMARY_ONLY': [{ educationLevel: 'PRIMARY' }, { educationLevel: 'SECONDARY' }],
+  'SOCIAL.FEMALE_HEAD': [
+    { gender: 'F', isHouseholdHead: true },
+    { gender: 'F', isHouseholdHead: false },
+  ],
+  'SOCIAL.YOUNG_PARENT': [{ age: 24, dependents: 1 }, { age: 25, dependents: 1 }],
+  'SOCIAL.ELDERLY': [{ age: 66 }, { age: 65 }],
+  'DEMOGRAPHIC.LARGE_HOUSEHOLD': [{ householdSize: 7 }, { householdSize: 6 }],
+  'DEMOGRAPHIC.HIGH_DEPENDENCY': [
+    { dependents: 4, householdSize: 6 },
+    { dependents: 3, householdSize: 5 },
+  ],
+  'DEMOGRAPHIC.LOW_INCOME_PER_CAPITA': [
+    { totalIncome: 100000, householdSize: 3 },
+    { totalIncome: 150000, householdSize: 3 },
+  ],
+  'DEMOGRAPHIC.SINGLE_PARENT': [
+    { maritalStatus: 'SINGLE', dependents: 2 },
+    { maritalStatus: 'SINGLE', dependents: 0 },
+  ],
+  'GEOGRAPHIC.RURAL_REMOTE': [{ province: 'OGOOUE_IVINDO' }, { province: 'ESTUAIRE' }],
+  'GEOGRAPHIC.LIMITED_ACCESS': [{ distanceToServices: 51 }, { distanceToServices: 50 }],
+  'GEOGRAPHIC.POOR_INFRASTRUCTURE': [{ infrastructureScore: 39 }, { infrastructureScore: 40 }],
+  'RESILIENCE.NO_SOCIAL_NETWORK': [{ hasSocialSupport: 'no' }, { hasSocialSupport: 'yes' }],
+  'RESILIENCE.FOOD_INSECURITY': [{ hasFoodSecurity: 'no' }, { hasFoodSecurity: 'yes' }],
+  'RESILIENCE.NO_EMERGENCY_FUND': [{ hasEmergencyFund: 'no' }, { hasEmergencyFund: 'yes' }],
+  'RESILIENCE.HEALTH_ISSUES': [{ hasHealthIssues: 'yes' }, { hasHealthIssues: 'no' }],
+};
+
+const THRESHOLDS = Object.entries(VULNERABILITY_FACTORS).flatMap(([dimension, factors]) =>
+  Object.entries(factors).map(([key, factor]) => [`${dimension}.${key}`, factor.threshold])
+);
+
+describe('seuils de VULNERABILITY_FACTORS', () => {
+  it('ont tous un cas de test', () => {
+    expect(THRESHOLDS.map(([key]) => key).sort()).toEqual(Object.keys(THRESHOLD_CASES).sort());
+  });
+
+  it.each(THRESHOLDS)('%s : %s', (key, threshold) => {
+    const node = parseExpression(threshold, { variables: INPUT_VARIABLES });
+    const [whenTrue, whenFalse] = THRESHOLD_CASES[key];
+
+    expect(evaluateExpression(node, whenTrue)).toBe(true);
+    expect(evaluateExpression(node, whenFalse)).toBe(false);
+    expect(evaluateExpression(node, {})).toBeUndefined();
+  });
+});
+
+describe('priorité des opérateurs', () => {
+  it.each([
+    ['1 + 2 * 3', 7],
+    ['(1 + 2) * 3', 9],
+    ['10 - 4 - 3', 3],
+    ['12 / 3 / 2', 2],
+    ['-2 * 3', -6],
+    ['- -2', 2],
+    ['2 * -3 + 1', -5],
+  ])('%s = %d', (source, value) => {
+    expect(evaluate(source)).toBe(value);
+  });
+
+  it('compare après les calculs', () => {
+    expect(evaluate('1 + 2 * 3 == 7')).toBe(true);
+    expect(evaluate('a / b > 0.6', { a: 4, b: 6 })).toBe(true);
+  });
+
+  it('évalue && avant ||', () => {
+    expect(evaluate('true || true && false')).toBe(true);
+    expect(evaluate('(true || true) && false')).toBe(false);
+    expect(evaluate('false && true || true')).toBe(true);
+  });
+
+  it('applique ! à la comparaison entière', () => {
+    expect(evaluate('!age > 65', { age: 70 })).toBe(false);
+    expect(evaluate('!(age > 65) && age > 18', { age: 40 })).toBe(true);
+    expect(evaluate('!!true')).toBe(true);
+  });
+
+  it('traite == et === comme une égalité stricte', () => {
+    expect(evaluate('x == 1', { x: '1' })).toBe(false);
+    expect(evaluate('x === "1"', { x: '1' })).toBe(true);
+    expect(evaluate('x != 1', { x: 2 })).toBe(true);
+    expect(evaluate('x !== null', { x: null })).toBe(false);
+  });
+});
+
+describe('listes IN [...]', () => {
+  it('teste l\'appartenance', () => {
+    expect(evaluate('province IN ["NYANGA", \'OGOOUE_LOLO\']', { province: 'OGOOUE_LOLO' })).toBe(true);
+    expect(evaluate('province IN ["NYANGA", "OGOOUE_LOLO"]', { province: 'ESTUAIRE' })).toBe(false);
+    expect(evaluate('size IN [1, 2, 1 + 2]', { size: 3 })).toBe(true);
+  });
+
+  it('accepte une liste vide', () => {
+    expect(evaluate('x IN []', { x: 1 })).toBe(false);
+  });
+
+  it('est inconnu pour une variable absente', () => {
+    expect(evaluate('province IN ["NYANGA"]')).toBeUndefined();
+  });
+
+  it('refuse une liste mal fermée', () => {
+    expect(() => parseExpression('x IN ["A", "B"')).toThrow('« ] » attendu');
+    expect(() => parseExpression('x IN ["A",]')).toThrow(expect.objectContaining({ code: 'EXPRESSION_SYNTAX' }));
+  });
+});
+
+describe('division par zéro', () => {
+  it('donne undefined, et la comparaison est inconnue', () => {
+    const node = parseExpression('(dependents / householdSize) > 0.6');
+
+    expect(evaluateExpression(parseExpression('dependents / householdSize'), { dependents: 3, householdSize: 0 }))
+      .toBeUndefined();
+    expect(evaluateExpression(node, { dependents: 3, householdSize: 0 })).toBeUndefined();
+    expect(evaluateExpression(node, { dependents: 0, householdSize: 0 })).toBeUndefined();
+  });
+
+  it('laisse inconnue la négation d\'une comparaison incalculable', () => {
+    expect(evaluate('!(x / 0 < 1)', { x: 1 })).toBeUndefined();
+    expect(evaluate('x / 0 < 1 || x > 0', { x: 1 })).toBe(true);
+  });
+});
+
+describe('variables absentes', () => {
+  it('rendent toute comparaison inconnue', () => {
+    ['age > 65', 'age < 65', 'age == 65', 'age != 65', 'status === "A"', 'age + 1 > 0'].forEach(source => {
+      expect(evaluate(source)).toBeUndefined();
+    });
+  });
+
+  it('restent inconnues sous une négation', () => {
+    expect(evaluate('!(monthlyIncome < 50000)')).toBeUndefined();
+    expect(evaluate('!monthlyIncome')).toBeUndefined();
+    expect(evaluate('!!(age > 65)')).toBeUndefined();
+    expect(evaluate('!(monthlyIncome < 50000)', { monthlyIncome: 80000 })).toBe(true);
+  });
+
+  it('ne décident une combinaison que si l\'autre côté ne suffit pas', () => {
+    expect(evaluate('age > 65 && gender == "F"', { gender: 'M' })).toBe(false);
+    expect(evaluate('age > 65 || gender == "F"', { gender: 'F' })).toBe(true);
+    expect(evaluate('age > 65 && gender == "F"', { gender: 'F' })).toBeUndefined();
+    expect(evaluate('age > 65 || gender == "F"', { gender: 'M' })).toBeUndefined();
+    expect(evaluate('!(age > 65 || gender == "F")', { gender: 'M' })).toBeUndefined();
+  });
+
+  it('ne lisent pas les propriétés héritées', () => {
+    expect(evaluate('toString != null', {})).toBeUndefined();
+    expect(evaluate('constructor != null', {})).toBeUndefined();
+  });
+
+  it('ne participent pas aux calculs', () => {
+    expect(evaluate('age * 2')).toBeUndefined();
+    expect(evaluate('name + 1', { name: 'Awa' })).toBeUndefined();
+  });
+});
+
+describe('entrées invalides', () => {
+  const syntaxError = expect.objectContaining({ code: 'EXPRESSION_SYNTAX' });
+
+  it.each([
+    ['(age > 65', '« ) » attendu'],
+    ['age > 65)', 'Fin d\'expression attendue'],
+    ['((age > 65)', '« ) » attendu'],
+    ['age >', 'Expression incomplète'],
+    ['age > > 65', '« > » inattendu'],
+    ['age = 65', 'Caractère inattendu « = »'],
+    ['name === "Awa', 'Chaîne non terminée'],
+    ['1.2.3 > 0', 'Fin d\'expression attendue'],
+    ['age > 65 ;', 'Caractère inattendu « ; »'],
+    ['', 'Expression vide'],
+    ['   ', 'Expression vide'],
+  ])('%j : %s', (source, message) => {
+    expect(() => parseExpression(source)).toThrow(message);
+    expect(() => parseExpression(source)).toThrow(syntaxError);
+  });
+
+  it('refuse une expression trop longue', () => {
+    expect(() => parseExpression(`age > ${'1'.repeat(1000)}`)).toThrow('Expression trop longue');
+  });
+
+  it('refuse un texte qui n\'est pas une chaîne', () => {
+    expect(() => parseExpression(null)).toThrow(syntaxError);
+    expect(() => parseExpression({ field: 'age' })).toThrow(syntaxError);
+  });
+
+  it.each([
+    'max(age, 65) > 0',
+    'Math.max(age) > 0',
+    'eval("1")',
+    'age > 65 && isNaN(age)',
+    'constructor.constructor("return 1")()',
+  ])('refuse l\'appel de fonction %j', source => {
+    expect(() => parseExpression(source)).toThrow(syntaxError);
+  });
+
+  it('signale la position de l\'appel', () => {
+    expect(() => parseExpression('age > 65 && abs(age)')).toThrow('Appel de fonction non autorisé « abs(…) » (position 12)');
+  });
+
+  it('refuse un identifiant inconnu quand les variables sont données', () => {
+    const options = { variables: INPUT_VARIABLES };
+
+    expect(() => parseExpression('agee > 65', options)).toThrow('Variable inconnue « agee » (position 0)');
+    expect(() => parseExpression('age > 65 && window', options)).toThrow(syntaxError);
+    expect(() => parseExpression('province IN [NYANGA]', options)).toThrow('Variable inconnue « NYANGA »');
+    expect(parseExpression('age > 65 && dependents > 0', options)).toBeDefined();
+  });
+});
+
+describe('expressionVariables', () => {
+  it('liste les variables lues, sans doublon', () => {
+    const node = parseExpression('(dependents / householdSize) > 0.6 || !(dependents > 0) || x IN [y, "z"]');
+    expect(expressionVariables(node).sort()).toEqual(['dependents', 'householdSize', 'x', 'y']);
+  });
+});
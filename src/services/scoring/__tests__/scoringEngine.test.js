@@ -0,0 +1,179 @@
+// =============================================================================
+// TESTS - MOTEUR DE SCORING
+// Cas de régression du modèle embarqué (calculés à la main, pas par le
+// serveur), seuils, arrondi, validation des modèles téléchargés
+// =============================================================================
+
+import {
+  buildScoringInput,
+  scoreWithModel,
+  validateModel,
+  determineLevel,
+  checkExamples,
+} from '../scoringEngine';
+import { DEFAULT_SCORING_MODEL } from '../../../constants/scoringModel';
+import { SCORING_REGRESSION_CASES } from '../../../constants/scoringExamples';
+
+/**
+ * Modèle d'une seule dimension : chaque facteur vrai ajoute ses points au
+ * score total (poids 1)
+ */
+const singleDimensionModel = factors => ({
+  version: 'test',
+  precision: 2,
+  dimensions: [{ key: 'economic', weight: 1, factors }],
+  thresholds: DEFAULT_SCORING_MODEL.thresholds,
+});
+
+describe('modèle par défaut', () => {
+  it('est valide', () => {
+    expect(validateModel(DEFAULT_SCORING_MODEL)).toEqual([]);
+  });
+
+  it('embarque les cas de régression du moteur', () => {
+    expect(DEFAULT_SCORING_MODEL.examples).toBe(SCORING_REGRESSION_CASES);
+    expect(SCORING_REGRESSION_CASES.length).toBeGreaterThan(0);
+  });
+
+  it('couvre chaque niveau de risque', () => {
+    const levels = new Set(SCORING_REGRESSION_CASES.map(example => example.expected.risk_level));
+    expect([...levels].sort()).toEqual(Object.keys(DEFAULT_SCORING_MODEL.thresholds).sort());
+  });
+});
+
+describe('validation d\'un modèle téléchargé', () => {
+  const withCondition = condition => singleDimensionModel([{ key: 'F', points: 10, condition }]);
+
+  it('accepte les variables du moteur', () => {
+    expect(validateModel(withCondition('age > 65 && dependents > 0'))).toEqual([]);
+  });
+
+  it('refuse une variable inconnue, un appel de fonction ou une expression mal formée', () => {
+    expect(validateModel(withCondition('revenu < 100'))).toEqual([
+      'economic.F: Variable inconnue « revenu » (position 0)',
+    ]);
+    expect(validateModel(withCondition('max(age, 1) > 0'))).toHaveLength(1);
+    expect(validateModel(withCondition('(age > 65'))).toHaveLength(1);
+  });
+});
+
+describe('cas de régression du moteur', () => {
+  it.each(SCORING_REGRESSION_CASES.map((example, index) => [index, example.expected.risk_level, example]))(
+    'cas %i (%s) : même score et même niveau',
+    (index, level, { person, household, expected }) => {
+      const actual = scoreWithModel(DEFAULT_SCORING_MODEL, buildScoringInput(person, household));
+
+      expect(actual.vulnerability_score).toBeCloseTo(expected.vulnerability_score, 2);
+      expect(actual.risk_level).toBe(expected.risk_level);
+      expect(actual.dimension_scores).toEqual(expected.dimension_scores);
+      expect(actual.model_version).toBe(DEFAULT_SCORING_MODEL.version);
+    }
+  );
+
+  it('checkExamples ne trouve aucun écart', () => {
+    expect(checkExamples(DEFAULT_SCORING_MODEL)).toEqual([]);
+  });
+
+  it('checkExamples signale un résultat attendu différent', () => {
+    const [example] = SCORING_REGRESSION_CASES;
+    const model = {
+      ...DEFAULT_SCORING_MODEL,
+      examples: [{ ...example, expected: { ...example.expected, vulnerability_score: 80 } }],
+    };
+
+    expect(checkExamples(model)).toEqual([
+      expect.objectContaining({ index: 0, actual: expect.objectContaining({ vulnerability_score: 85.5 }) }),
+    ]);
+  });
+
+  it('lit aussi le formulaire d\'inscription (camelCase)', () => {
+    const { person, household, expected } = SCORING_REGRESSION_CASES[0];
+    const form = {
+      age: person.age,
+      gender: person.gender,
+      isHouseholdHead: person.is_household_head,
+      maritalStatus: person.marital_status,
+      educationLevel: person.education_level,
+      occupationStatus: person.occupation_status,
+      monthlyIncome: String(person.monthly_income),
+      province: person.province,
+    };
+    const householdForm = {
+      householdSize: String(household.household_size),
+      dependents: household.dependents,
+      monthlyIncome: household.total_monthly_income,
+      housingType: household.housing_type,
+      hasSavings: household.has_savings,
+      hasElectricity: household.has_electricity,
+      hasRunningWater: household.has_running_water,
+      hasFoodSecurity: household.has_food_security,
+      hasSocialSupport: household.has_social_support,
+      hasEmergencyFund: household.has_emergency_fund,
+      hasHealthIssues: household.has_health_issues,
+      distanceToServices: household.distance_to_services,
+      infrastructureScore: household.infrastructure_score,
+    };
+
+    const actual = scoreWithModel(DEFAULT_SCORING_MODEL, buildScoringInput(form, householdForm));
+    expect(actual.vulnerability_score).toBeCloseTo(expected.vulnerability_score, 2);
+    expect(actual.risk_level).toBe(expected.risk_level);
+  });
+});
+
+describe('seuils 75 / 50 / 25', () => {
+  it.each([
+    [100, 'CRITICAL'],
+    [75, 'CRITICAL'],
+    [74.99, 'HIGH'],
+    [50, 'HIGH'],
+    [49.99, 'MODERATE'],
+    [25, 'MODERATE'],
+    [24.99, 'LOW'],
+    [0, 'LOW'],
+  ])('score %d -> %s', (score, level) => {
+    expect(determineLevel(DEFAULT_SCORING_MODEL.thresholds, score)).toBe(level);
+  });
+
+  it.each([
+    [[75], 75, 'CRITICAL'],
+    [[50, 24.99], 74.99, 'HIGH'],
+    [[50], 50, 'HIGH'],
+    [[25, 24.99], 49.99, 'MODERATE'],
+    [[25], 25, 'MODERATE'],
+    [[24.99], 24.99, 'LOW'],
+  ])('facteurs %j -> score %d, %s', (points, score, level) => {
+    const model = singleDimensionModel(
+      points.map((value, index) => ({ key: `F${index}`, points: value, condition: 'age > 0' }))
+    );
+
+    const result = scoreWithModel(model, { age: 40 });
+    expect(result.vulnerability_score).toBe(score);
+    expect(result.risk_level).toBe(level);
+  });
+
+  it('arrondit avant de classer (74.995 -> 75, CRITICAL)', () => {
+    const model = singleDimensionModel([{ key: 'F', points: 74.995, condition: 'age > 0' }]);
+
+    const result = scoreWithModel(model, { age: 40 });
+    expect(result.vulnerability_score).toBe(75);
+    expect(result.risk_level).toBe('CRITICAL');
+  });
+
+  it('plafonne une dimension à 100', () => {
+    const model = singleDimensionModel([
+      { key: 'A', points: 80, condition: 'age > 0' },
+      { key: 'B', points: 80, condition: 'age > 0' },
+    ]);
+
+    expect(scoreWithModel(model, { age: 40 }).dimension_scores.economic).toBe(100);
+  });
+});
+
+describe('données manquantes', () => {
+  it('ne compte pas un facteur nié dont la donnée manque', () => {
+    const model = singleDimensionModel([{ key: 'NOT_POOR', points: 40, condition: '!(monthlyIncome < 50000)' }]);
+
+    expect(scoreWithModel(model, {}).factors).toEqual([]);
+    expect(scoreWithModel(model, { monthlyIncome: 80000 }).factors.map(factor => factor.key)).toEqual(['NOT_POOR']);
+  });
+});
@@ -0,0 +1,76 @@
+// =============================================================================
+// TESTS - SERVICE DE SCORING
+// Adoption d'un modèle téléchargé : valide, avec des cas d'exemple, et
+// retrouvés par le moteur local
+// =============================================================================
+
+import apiClient from '../../api/apiClient';
+import localDatabase from '../../database/localDatabase';
+import scoringService from '../scoringService';
+import { DEFAULT_SCORING_MODEL } from '../../../constants/scoringModel';
+import { SCORING_REGRESSION_CASES } from '../../../constants/scoringExamples';
+
+jest.mock('../../api/apiClient', () => ({ get: jest.fn(), post: jest.fn() }));
+jest.mock('../../database/localDatabase', () => ({
+  getSyncState: jest.fn(() => Promise.resolve(null)),
+  setSyncState: jest.fn(() => Promise.resolve()),
+}));
+
+const serverModel = (overrides = {}) => ({
+  ...DEFAULT_SCORING_MODEL,
+  version: 'server-3',
+  examples: SCORING_REGRESSION_CASES,
+  ...overrides,
+});
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  console.warn.mockRestore();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  scoringService.model = DEFAULT_SCORING_MODEL;
+});
+
+describe('refreshModel', () => {
+  it('adopte un modèle dont les cas sont retrouvés', async () => {
+    apiClient.get.mockResolvedValue({ data: serverModel() });
+
+    expect(await scoringService.refreshModel()).toBe(true);
+    expect(scoringService.getModelVersion()).toBe('server-3');
+    expect(localDatabase.setSyncState).toHaveBeenCalledWith('scoring_model', serverModel());
+  });
+
+  it.each([
+    ['sans champ examples', { examples: undefined }],
+    ['avec une liste vide', { examples: [] }],
+  ])('refuse un modèle %s', async (label, overrides) => {
+    apiClient.get.mockResolvedValue({ data: serverModel(overrides) });
+
+    expect(await scoringService.refreshModel()).toBe(false);
+    expect(scoringService.getModelVersion()).toBe(DEFAULT_SCORING_MODEL.version);
+    expect(localDatabase.setSyncState).not.toHaveBeenCalled();
+  });
+
+  it('refuse un modèle dont un cas diverge', async () => {
+    const [example, ...others] = SCORING_REGRESSION_CASES;
+    const examples = [{ ...example, expected: { ...example.expected, risk_level: 'LOW' } }, ...others];
+    apiClient.get.mockResolvedValue({ data: serverModel({ examples }) });
+
+    expect(await scoringService.refreshModel()).toBe(false);
+    expect(scoringService.getModelVersion()).toBe(DEFAULT_SCORING_MODEL.version);
+  });
+
+  it('refuse un modèle invalide', async () => {
+    apiClient.get.mockResolvedValue({ data: serverModel({ thresholds: undefined }) });
+
+    expect(await scoringService.refreshModel()).toBe(false);
+    expect(localDatabase.setSyncState).not.toHaveBeenCalled();
+  });
+});
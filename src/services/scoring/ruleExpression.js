@@ -0,0 +1,394 @@
+// =============================================================================
+// EXPRESSIONS DE RÈGLES DE SCORING
+// Fichier: src/services/scoring/ruleExpression.js
+// =============================================================================
+//
+// Petit langage des conditions de facteurs (`threshold` de
+// VULNERABILITY_FACTORS, conditions du modèle téléchargé) :
+//
+//   occupationStatus === "UNEMPLOYED"
+//   gender === "F" && isHouseholdHead === true
+//   (dependents / householdSize) > 0.6
+//   province IN ["NYANGA", "OGOOUE_IVINDO"]
+//
+// Littéraux : nombres, chaînes "..." ou '...', true, false, null, listes [..].
+// Opérateurs, du moins au plus prioritaire :
+//   ||   &&   !   == === != !== < <= > >= IN   + -   * /   - (unaire)
+//
+// Analyse par descente récursive vers un arbre, évalué sans eval() ni
+// Function : seules les variables fournies sont lisibles, et l'analyse
+// refuse les appels de fonction et, si la liste des variables connues est
+// donnée, tout autre identifiant.
+//
+// Une variable absente ou un calcul impossible (division par zéro, texte
+// dans un calcul) donne `undefined` (inconnu), qui se propage : une
+// comparaison ou une négation qui en dépend reste inconnue, && n'est faux
+// que si un côté est faux et || vrai que si un côté est vrai. Seul `true`
+// compte un facteur : un facteur dont la donnée manque n'est pas compté,
+// même écrit `!(monthlyIncome < 50000)`.
+// =============================================================================
+
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null,
+};
+
+// Opérateurs de comparaison (== et === sont équivalents : égalité stricte)
+const COMPARISONS = {
+  '==': (a, b) => a === b,
+  '===': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '!==': (a, b) => a !== b,
+  '<': (a, b) => typeof a === 'number' && typeof b === 'number' && a < b,
+  '<=': (a, b) => typeof a === 'number' && typeof b === 'number' && a <= b,
+  '>': (a, b) => typeof a === 'number' && typeof b === 'number' && a > b,
+  '>=': (a, b) => typeof a === 'number' && typeof b === 'number' && a >= b,
+  IN: (a, b) => Array.isArray(b) && b.includes(a),
+};
+
+const ARITHMETIC = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => (b === 0 ? undefined : a / b),
+};
+
+// Symboles, les plus longs d'abord
+const SYMBOLS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '+', '-', '*', '/', '(', ')', '[', ']', ','];
+
+const MAX_EXPRESSION_LENGTH = 1000;
+
+function syntaxError(message, position) {
+  const error = new Error(`${message} (position ${position})`);
+  error.code = 'EXPRESSION_SYNTAX';
+  error.position = position;
+  return error;
+}
+
+// =============================================================================
+// ANALYSE LEXICALE
+// =============================================================================
+
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    if (/[0-9.]/.test(char)) {
+      const match = /^(\d+(\.\d+)?|\.\d+)/.exec(source.slice(index));
+      if (!match) {
+        throw syntaxError('Nombre invalide', index);
+      }
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position: index });
+      index += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      const end = source.indexOf(char, index + 1);
+      if (end === -1) {
+        throw syntaxError('Chaîne non terminée', index);
+      }
+      tokens.push({ type: 'string', value: source.slice(index + 1, end), position: index });
+      index = end + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const [word] = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(index));
+      if (word === 'IN') {
+        tokens.push({ type: 'operator', value: 'IN', position: index });
+      } else if (Object.prototype.hasOwnProperty.call(KEYWORDS, word)) {
+        tokens.push({ type: 'literal', value: KEYWORDS[word], position: index });
+      } else {
+        tokens.push({ type: 'identifier', value: word, position: index });
+      }
+      index += word.length;
+      continue;
+    }
+
+    const symbol = SYMBOLS.find(candidate => source.startsWith(candidate, index));
+    if (!symbol) {
+      throw syntaxError(`Caractère inattendu « ${char} »`, index);
+    }
+    tokens.push({ type: 'operator', value: symbol, position: index });
+    index += symbol.length;
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+}
+
+// =============================================================================
+// ANALYSE SYNTAXIQUE (descente récursive)
+// =============================================================================
+
+class Parser {
+  constructor(tokens, variables = null) {
+    this.tokens = tokens;
+    this.variables = variables;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    const token = this.tokens[this.index];
+    this.index += 1;
+    return token;
+  }
+
+  accept(...operators) {
+    const token = this.peek();
+    if (token.type === 'operator' && operators.includes(token.value)) {
+      this.index += 1;
+      return token.value;
+    }
+    return null;
+  }
+
+  expect(operator) {
+    if (!this.accept(operator)) {
+      throw syntaxError(`« ${operator} » attendu`, this.peek().position);
+    }
+  }
+
+  parse() {
+    const node = this.parseOr();
+    if (this.peek().type !== 'end') {
+      throw syntaxError('Fin d\'expression attendue', this.peek().position);
+    }
+    return node;
+  }
+
+  parseOr() {
+    let node = this.parseAnd();
+    while (this.accept('||')) {
+      node = { type: 'logical', operator: '||', left: node, right: this.parseAnd() };
+    }
+    return node;
+  }
+
+  parseAnd() {
+    let node = this.parseNot();
+    while (this.accept('&&')) {
+      node = { type: 'logical', operator: '&&', left: node, right: this.parseNot() };
+    }
+    return node;
+  }
+
+  parseNot() {
+    if (this.accept('!')) {
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const operator = this.accept(...Object.keys(COMPARISONS));
+    if (!operator) {
+      return left;
+    }
+    return { type: 'comparison', operator, left, right: this.parseAdditive() };
+  }
+
+  parseAdditive() {
+    let node = this.parseMultiplicative();
+    let operator;
+    while ((operator = this.accept('+', '-'))) {
+      node = { type: 'arithmetic', operator, left: node, right: this.parseMultiplicative() };
+    }
+    return node;
+  }
+
+  parseMultiplicative() {
+    let node = this.parseUnary();
+    let operator;
+    while ((operator = this.accept('*', '/'))) {
+      node = { type: 'arithmetic', operator, left: node, right: this.parseUnary() };
+    }
+    return node;
+  }
+
+  parseUnary() {
+    if (this.accept('-')) {
+      return { type: 'negate', operand: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'literal':
+        return { type: 'literal', value: token.value };
+      case 'identifier':
+        if (this.peek().type === 'operator' && this.peek().value === '(') {
+          throw syntaxError(`Appel de fonction non autorisé « ${token.value}(…) »`, token.position);
+        }
+        if (this.variables && !this.variables.includes(token.value)) {
+          throw syntaxError(`Variable inconnue « ${token.value} »`, token.position);
+        }
+        return { type: 'variable', name: token.value };
+      case 'operator':
+        if (token.value === '(') {
+          const node = this.parseOr();
+          this.expect(')');
+          return node;
+        }
+        if (token.value === '[') {
+          return this.parseList();
+        }
+        break;
+      default:
+        break;
+    }
+
+    throw syntaxError(
+      token.type === 'end' ? 'Expression incomplète' : `« ${token.value} » inattendu`,
+      token.position
+    );
+  }
+
+  parseList() {
+    const items = [];
+    if (!this.accept(']')) {
+      do {
+        items.push(this.parseAdditive());
+      } while (this.accept(','));
+      this.expect(']');
+    }
+    return { type: 'list', items };
+  }
+}
+
+/**
+ * Analyse une expression
+ *
+ * @param {string} source - Expression (ex. "age > 65")
+ * @param {Object} options - { variables } : noms autorisés (tous si absent)
+ * @returns {Object} - Arbre de l'expression
+ * @throws {Error} - code EXPRESSION_SYNTAX, avec la position de l'erreur
+ */
+export function parseExpression(source, { variables = null } = {}) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw syntaxError('Expression vide', 0);
+  }
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw syntaxError('Expression trop longue', MAX_EXPRESSION_LENGTH);
+  }
+  return new Parser(tokenize(source), variables).parse();
+}
+
+// =============================================================================
+// ÉVALUATION
+// =============================================================================
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Valeur logique d'un opérande : true, false ou undefined (inconnu)
+function truthValue(value) {
+  return value === undefined ? undefined : Boolean(value);
+}
+
+/**
+ * Évalue un arbre d'expression
+ *
+ * @param {Object} node - Arbre (parseExpression)
+ * @param {Object} variables - { nom: valeur }
+ * @returns {*} - Valeur de l'expression (undefined si incalculable)
+ */
+export function evaluateExpression(node, variables) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'variable':
+      return Object.prototype.hasOwnProperty.call(variables, node.name)
+        ? variables[node.name]
+        : undefined;
+    case 'list':
+      return node.items.map(item => evaluateExpression(item, variables));
+    case 'not': {
+      const value = truthValue(evaluateExpression(node.operand, variables));
+      return value === undefined ? undefined : !value;
+    }
+    case 'negate': {
+      const value = evaluateExpression(node.operand, variables);
+      return isNumber(value) ? -value : undefined;
+    }
+    case 'logical': {
+      // Valeur qui décide seule : faux pour &&, vrai pour ||
+      const decisive = node.operator === '||';
+      const left = truthValue(evaluateExpression(node.left, variables));
+      const right = truthValue(evaluateExpression(node.right, variables));
+      if (left === decisive || right === decisive) {
+        return decisive;
+      }
+      return left === undefined || right === undefined ? undefined : !decisive;
+    }
+    case 'arithmetic': {
+      const left = evaluateExpression(node.left, variables);
+      const right = evaluateExpression(node.right, variables);
+      if (!isNumber(left) || !isNumber(right)) {
+        return undefined;
+      }
+      const result = ARITHMETIC[node.operator](left, right);
+      return isNumber(result) ? result : undefined;
+    }
+    case 'comparison': {
+      const left = evaluateExpression(node.left, variables);
+      const right = evaluateExpression(node.right, variables);
+      if (left === undefined || right === undefined) {
+        return undefined;
+      }
+      return COMPARISONS[node.operator](left, right);
+    }
+    default:
+      throw new Error(`Nœud d'expression inconnu: ${node.type}`);
+  }
+}
+
+/**
+ * Variables lues par une expression
+ *
+ * @returns {Array<string>} - Noms, sans doublon
+ */
+export function expressionVariables(node, names = new Set()) {
+  switch (node.type) {
+    case 'variable':
+      names.add(node.name);
+      break;
+    case 'list':
+      node.items.forEach(item => expressionVariables(item, names));
+      break;
+    case 'not':
+    case 'negate':
+      expressionVariables(node.operand, names);
+      break;
+    case 'logical':
+    case 'arithmetic':
+    case 'comparison':
+      expressionVariables(node.left, names);
+      expressionVariables(node.right, names);
+      break;
+    default:
+      break;
+  }
+  return [...names];
+}
@@ -0,0 +1,346 @@
+// =============================================================================
+// MOTEUR DE SCORING DE VULNÉRABILITÉ
+// Fichier: src/services/scoring/scoringEngine.js
+// =============================================================================
+//
+// Évalue un modèle déclaratif (constants/scoringModel.js, ou le modèle
+// téléchargé depuis le profil de pondération du serveur) :
+//   1. les données personne / ménage (formulaire ou API) sont ramenées aux
+//      variables du modèle (buildScoringInput) ;
+//   2. chaque facteur dont la condition est vraie ajoute ses points à sa
+//      dimension (plafonnée à 100) ;
+//   3. le score total est la somme des dimensions pondérées, arrondie à
+//      `precision` décimales, puis classé par les seuils du modèle.
+//
+// Une condition est une expression (ruleExpression.js, ex. "age > 65"),
+// ou sa forme structurée { field, op, value } / { ratio } / { all } / { any }.
+//
+// Fonctions pures, sans accès réseau ni stockage : le même calcul sert en
+// ligne et hors ligne, et les cas d'exemple du serveur (checkExamples)
+// vérifient qu'un modèle téléchargé donne ici les mêmes résultats.
+// =============================================================================
+
+import { parseExpression, evaluateExpression } from './ruleExpression';
+
+const OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => typeof a === 'number' && a < b,
+  '<=': (a, b) => typeof a === 'number' && a <= b,
+  '>': (a, b) => typeof a === 'number' && a > b,
+  '>=': (a, b) => typeof a === 'number' && a >= b,
+  in: (a, b) => Array.isArray(b) && b.includes(a),
+};
+
+/**
+ * Variables du modèle : clés acceptées (formulaire camelCase puis API
+ * snake_case) et conversion
+ */
+const VARIABLES = {
+  occupationStatus: { from: 'person', keys: ['occupationStatus', 'occupation_status', 'employment_status'], type: 'code' },
+  monthlyIncome: { from: 'person', keys: ['monthlyIncome', 'monthly_income'], type: 'number' },
+  educationLevel: { from: 'person', keys: ['educationLevel', 'education_level'], type: 'code' },
+  gender: { from: 'person', keys: ['gender'], type: 'code' },
+  maritalStatus: { from: 'person', keys: ['maritalStatus', 'marital_status'], type: 'code' },
+  isHouseholdHead: { from: 'person', keys: ['isHouseholdHead', 'is_household_head'], type: 'boolean' },
+  province: { from: 'person', keys: ['province'], type: 'code' },
+  householdSize: { from: 'household', keys: ['householdSize', 'household_size'], type: 'number' },
+  dependents: { from: 'household', keys: ['dependents'], type: 'number' },
+  totalIncome: { from: 'household', keys: ['monthlyIncome', 'total_monthly_income'], type: 'number' },
+  housingType: { from: 'household', keys: ['housingType', 'housing_type'], type: 'code' },
+  hasSavings: { from: 'household', keys: ['hasSavings', 'has_savings'], type: 'yesno' },
+  hasElectricity: { from: 'household', keys: ['hasElectricity', 'has_electricity'], type: 'yesno' },
+  hasRunningWater: { from: 'household', keys: ['hasRunningWater', 'has_running_water'], type: 'yesno' },
+  hasFoodSecurity: { from: 'household', keys: ['hasFoodSecurity', 'has_food_security'], type: 'yesno' },
+  hasSocialSupport: { from: 'household', keys: ['hasSocialSupport', 'has_social_support'], type: 'yesno' },
+  hasEmergencyFund: { from: 'household', keys: ['hasEmergencyFund', 'has_emergency_fund'], type: 'yesno' },
+  hasHealthIssues: { from: 'household', keys: ['hasHealthIssues', 'has_health_issues'], type: 'yesno' },
+  distanceToServices: { from: 'household', keys: ['distanceToServices', 'distance_to_services'], type: 'number' },
+  infrastructureScore: { from: 'household', keys: ['infrastructureScore', 'infrastructure_score'], type: 'number' },
+};
+
+// Variables lisibles par les conditions
+export const INPUT_VARIABLES = ['age', ...Object.keys(VARIABLES)];
+
+// Expressions déjà analysées (les modèles réutilisent les mêmes conditions)
+const compiledExpressions = new Map();
+
+const YES_VALUES = ['yes', 'oui', 'true'];
+const NO_VALUES = ['no', 'non', 'false'];
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function convert(value, type) {
+  if (isMissing(value)) {
+    return undefined;
+  }
+
+  switch (type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      return Number.isNaN(number) ? undefined : number;
+    }
+    case 'code':
+      return String(value).toUpperCase();
+    case 'boolean':
+      return value === true || YES_VALUES.includes(String(value).toLowerCase());
+    case 'yesno': {
+      const text = String(value).toLowerCase();
+      if (value === true || YES_VALUES.includes(text)) return 'yes';
+      if (value === false || NO_VALUES.includes(text)) return 'no';
+      return undefined;
+    }
+    default:
+      return value;
+  }
+}
+
+function computeAge(person) {
+  if (typeof person.age === 'number') {
+    return person.age;
+  }
+
+  const birthDate = person.birthDate || person.birth_date;
+  if (!birthDate) {
+    return undefined;
+  }
+
+  const birth = new Date(birthDate);
+  if (Number.isNaN(birth.getTime())) {
+    return undefined;
+  }
+
+  const today = new Date();
+  let age = today.getFullYear() - birth.getFullYear();
+  const beforeBirthday = today.getMonth() < birth.getMonth()
+    || (today.getMonth() === birth.getMonth() && today.getDate() < birth.getDate());
+  return beforeBirthday ? age - 1 : age;
+}
+
+function round(value, precision) {
+  const factor = 10 ** precision;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Variables du modèle à partir d'une personne et de son ménage
+ *
+ * @param {Object} person - Formulaire d'inscription ou personne de l'API
+ * @param {Object} household - Formulaire ou ménage de l'API
+ * @returns {Object} - { variable: valeur } (valeurs absentes : undefined)
+ */
+export function buildScoringInput(person = {}, household = {}) {
+  const sources = { person: person || {}, household: household || {} };
+  const input = { age: computeAge(sources.person) };
+
+  Object.entries(VARIABLES).forEach(([name, { from, keys, type }]) => {
+    const source = sources[from];
+    const key = keys.find(candidate => !isMissing(source[candidate]));
+    input[name] = key ? convert(source[key], type) : undefined;
+  });
+
+  return input;
+}
+
+function compileExpression(source) {
+  if (!compiledExpressions.has(source)) {
+    compiledExpressions.set(source, parseExpression(source, { variables: INPUT_VARIABLES }));
+  }
+  return compiledExpressions.get(source);
+}
+
+function operandValue(condition, input) {
+  if (condition.ratio) {
+    const [numerator, denominator] = condition.ratio.map(name => input[name]);
+    if (typeof numerator !== 'number' || typeof denominator !== 'number' || denominator === 0) {
+      return undefined;
+    }
+    return numerator / denominator;
+  }
+  return input[condition.field];
+}
+
+/**
+ * Évalue une condition ; une variable absente (résultat inconnu) rend la
+ * condition fausse
+ */
+export function evaluateCondition(condition, input) {
+  if (typeof condition === 'string') {
+    return evaluateExpression(compileExpression(condition), input) === true;
+  }
+  if (condition.all) {
+    return condition.all.every(part => evaluateCondition(part, input));
+  }
+  if (condition.any) {
+    return condition.any.some(part => evaluateCondition(part, input));
+  }
+
+  const value = operandValue(condition, input);
+  if (value === undefined) {
+    return false;
+  }
+  return OPERATORS[condition.op](value, condition.value);
+}
+
+function validateCondition(condition, path, errors) {
+  if (typeof condition === 'string') {
+    try {
+      compileExpression(condition);
+    } catch (error) {
+      errors.push(`${path}: ${error.message}`);
+    }
+    return;
+  }
+  if (!condition || typeof condition !== 'object') {
+    errors.push(`${path}: condition manquante`);
+    return;
+  }
+  if (condition.all || condition.any) {
+    const parts = condition.all || condition.any;
+    if (!Array.isArray(parts) || parts.length === 0) {
+      errors.push(`${path}: combinaison vide`);
+      return;
+    }
+    parts.forEach((part, index) => validateCondition(part, `${path}[${index}]`, errors));
+    return;
+  }
+  if (!OPERATORS[condition.op]) {
+    errors.push(`${path}: opérateur inconnu ${condition.op}`);
+  }
+  if (condition.ratio) {
+    if (!Array.isArray(condition.ratio) || condition.ratio.length !== 2) {
+      errors.push(`${path}: ratio invalide`);
+    }
+  } else if (!condition.field) {
+    errors.push(`${path}: variable manquante`);
+  }
+  [condition.field, ...(condition.ratio || [])]
+    .filter(name => name && !INPUT_VARIABLES.includes(name))
+    .forEach(name => errors.push(`${path}: variable inconnue ${name}`));
+}
+
+/**
+ * Vérifie la structure d'un modèle
+ *
+ * @returns {Array<string>} - Erreurs (vide si le modèle est utilisable)
+ */
+export function validateModel(model) {
+  const errors = [];
+
+  if (!model || typeof model !== 'object') {
+    return ['modèle absent'];
+  }
+  if (!model.version) {
+    errors.push('version manquante');
+  }
+  if (!Array.isArray(model.dimensions) || model.dimensions.length === 0) {
+    errors.push('aucune dimension');
+  } else {
+    model.dimensions.forEach(dimension => {
+      if (!dimension.key || typeof dimension.weight !== 'number') {
+        errors.push(`dimension ${dimension.key || '?'}: clé ou poids manquant`);
+      }
+      (dimension.factors || []).forEach(factor => {
+        if (typeof factor.points !== 'number') {
+          errors.push(`${dimension.key}.${factor.key}: points manquants`);
+        }
+        validateCondition(factor.condition, `${dimension.key}.${factor.key}`, errors);
+      });
+    });
+  }
+  if (!model.thresholds || Object.values(model.thresholds).some(value => typeof value !== 'number')) {
+    errors.push('seuils invalides');
+  }
+
+  return errors;
+}
+
+/**
+ * Niveau de risque : premier seuil atteint, du plus haut au plus bas
+ */
+export function determineLevel(thresholds, score) {
+  const levels = Object.entries(thresholds).sort(([, a], [, b]) => b - a);
+  const reached = levels.find(([, threshold]) => score >= threshold);
+  return reached ? reached[0] : levels[levels.length - 1][0];
+}
+
+/**
+ * Calcule le score d'une personne avec un modèle
+ *
+ * @param {Object} model - Modèle validé (validateModel)
+ * @param {Object} input - Variables (buildScoringInput)
+ * @returns {Object} - { vulnerability_score, risk_level, dimension_scores,
+ *                       factors, recommendations, model_version }
+ */
+export function scoreWithModel(model, input) {
+  const precision = model.precision ?? 2;
+  const dimensionScores = {};
+  const factors = [];
+  let total = 0;
+
+  model.dimensions.forEach(dimension => {
+    let points = 0;
+    (dimension.factors || []).forEach(factor => {
+      if (evaluateCondition(factor.condition, input)) {
+        points += factor.points;
+        factors.push({ dimension: dimension.key, key: factor.key, label: factor.label, points: factor.points });
+      }
+    });
+
+    const dimensionScore = Math.min(points, 100);
+    dimensionScores[dimension.key] = round(dimensionScore, precision);
+    total += dimensionScore * dimension.weight;
+  });
+
+  const score = round(total, precision);
+  const level = determineLevel(model.thresholds, score);
+
+  const recommendations = [];
+  (model.recommendations || []).forEach(rule => {
+    const applies = rule.level
+      ? rule.level === level
+      : dimensionScores[rule.dimension] >= rule.min;
+    if (applies) {
+      rule.codes.forEach(code => {
+        if (!recommendations.includes(code)) recommendations.push(code);
+      });
+    }
+  });
+
+  return {
+    vulnerability_score: score,
+    risk_level: level,
+    dimension_scores: dimensionScores,
+    factors,
+    recommendations,
+    model_version: model.version,
+  };
+}
+
+/**
+ * Rejoue les cas d'exemple du modèle avec ce moteur
+ *
+ * @returns {Array} - Écarts [{ index, expected, actual }] (vide si identique,
+ *                    ou si le modèle n'a pas de cas : voir refreshModel)
+ */
+export function checkExamples(model) {
+  const precision = model.precision ?? 2;
+  const tolerance = 10 ** -precision / 2;
+
+  return (model.examples || [])
+    .map((example, index) => {
+      const actual = scoreWithModel(model, buildScoringInput(example.person, example.household));
+      const { expected } = example;
+
+      const sameDimensions = Object.entries(expected.dimension_scores || {})
+        .every(([key, value]) => Math.abs((actual.dimension_scores[key] ?? NaN) - value) <= tolerance);
+      const matches = Math.abs(actual.vulnerability_score - expected.vulnerability_score) <= tolerance
+        && actual.risk_level === expected.risk_level
+        && sameDimensions;
+
+      return matches ? null : { index, expected, actual };
+    })
+    .filter(Boolean);
+}
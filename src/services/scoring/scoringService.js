@@ -5,11 +5,19 @@
  * =============================================================================
  * 
  * Service de calcul des scores de vulnérabilité avec intégration API Django.
- * Utilise l'algorithme de pondération configurable du backend.
+ * Hors ligne, le score est calculé par le moteur local (scoringEngine.js)
+ * avec le modèle déclaratif servi par le profil de pondération du backend :
+ * mêmes facteurs, points, poids et seuils que le calcul serveur.
+ *
+ * Le modèle est versionné et gardé en base locale. Un modèle téléchargé
+ * n'est adopté que s'il est valide, qu'il contient des cas d'exemple
+ * (calculés par le serveur) et que le moteur local retrouve leurs résultats ;
+ * sinon le modèle précédent reste utilisé. Sans modèle téléchargé :
+ * DEFAULT_SCORING_MODEL.
  * 
  * Endpoints Backend Utilisés:
  * - POST /api/v1/services/vulnerability-assessments/calculate/
- * - GET /api/v1/services/vulnerability-assessments/weighting-profile/
+ * - GET /api/v1/services/vulnerability-assessments/weighting-profile/ (modèle)
  * - POST /api/v1/services/vulnerability-assessments/bulk_calculate/
  * 
  * Fichier: src/services/scoring/scoringService.js
@@ -17,34 +25,23 @@
  */
 
 import apiClient from '../api/apiClient';
-import storageService from '../storage/storageService';
-import { Alert } from 'react-native';
+import localDatabase from '../database/localDatabase';
+import {
+  buildScoringInput,
+  scoreWithModel,
+  validateModel,
+  checkExamples,
+} from './scoringEngine';
+import { DEFAULT_SCORING_MODEL } from '../../constants/scoringModel';
+import { API_CONFIG } from '../../constants/apiConfig';
+
+// Clé du modèle téléchargé dans l'état de synchronisation
+const MODEL_STATE_KEY = 'scoring_model';
 
 class ScoringService {
-  /**
-   * Profil de pondération par défaut (fallback offline)
-   * Synchronisé avec backend Django
-   */
-  DEFAULT_WEIGHTING_PROFILE = {
-    household_composition_weight: 30.0,
-    economic_vulnerability_weight: 35.0,
-    social_vulnerability_weight: 20.0,
-    health_vulnerability_weight: 15.0,
-  };
-
-  /**
-   * Seuils de classification des risques
-   * Synchronisé avec backend Django
-   */
-  RISK_THRESHOLDS = {
-    CRITICAL: 80.0,
-    HIGH: 60.0,
-    MODERATE: 40.0,
-    LOW: 0.0,
-  };
-
   constructor() {
-    this.cachedWeightingProfile = null;
+    this.model = DEFAULT_SCORING_MODEL;
+    this.loadPromise = null;
   }
 
   /**
@@ -56,11 +53,13 @@ class ScoringService {
   /**
    * Calcule le score de vulnérabilité pour une personne (via API)
    * 
-   * @param {string} personId - UUID de la personne
+   * @param {Object|string} person - Personne (ou son UUID)
    * @param {boolean} forceRecalculate - Forcer le recalcul même si existant
    * @returns {Promise<Object>} - Résultat complet de l'évaluation
    */
-  async calculateVulnerabilityScore(personId, forceRecalculate = false) {
+  async calculateVulnerabilityScore(person, forceRecalculate = false) {
+    const personId = typeof person === 'object' ? person.id : person;
+
     try {
       const response = await apiClient.post(
         '/services/vulnerability-assessments/calculate/',
@@ -97,6 +96,15 @@ class ScoringService {
         };
       }
 
+      // Sinon: calcul local avec le même modèle que le serveur
+      if (typeof person === 'object') {
+        return {
+          success: true,
+          assessment: await this.calculateScoreLocally(person, person.household),
+          fromCache: false,
+        };
+      }
+
       return {
         success: false,
         error: error.response?.data?.error || error.message,
@@ -141,51 +149,18 @@ class ScoringService {
 
   /**
    * Calcule le score localement (mode offline)
-   * Utilise les mêmes règles que le backend Django
+   * Même modèle et même moteur que le calcul serveur
    * 
-   * @param {Object} personData - Données de la personne
+   * @param {Object} personData - Données de la personne (API ou formulaire)
    * @param {Object} householdData - Données du ménage
-   * @returns {Object} - Score calculé localement
+   * @returns {Promise<Object>} - Évaluation au format de l'API
    */
   async calculateScoreLocally(personData, householdData) {
     try {
-      // Récupérer le profil de pondération
-      const weights = await this.getWeightingProfile();
-
-      // Calcul des composantes
-      const householdScore = this._calculateHouseholdCompositionScore(householdData);
-      const economicScore = this._calculateEconomicVulnerabilityScore(personData, householdData);
-      const socialScore = this._calculateSocialVulnerabilityScore(personData);
-      const healthScore = this._calculateHealthVulnerabilityScore(personData, householdData);
-
-      // Score final pondéré
-      const totalScore = (
-        householdScore * (weights.household_composition_weight / 100) +
-        economicScore * (weights.economic_vulnerability_weight / 100) +
-        socialScore * (weights.social_vulnerability_weight / 100) +
-        healthScore * (weights.health_vulnerability_weight / 100)
-      );
-
-      // Déterminer le niveau de risque
-      const riskLevel = this._determineRiskLevel(totalScore);
-
-      // Générer recommandations
-      const recommendations = this._generateRecommendations(
-        totalScore,
-        householdScore,
-        economicScore,
-        socialScore,
-        healthScore
-      );
+      await this.loadModel();
 
       return {
-        vulnerability_score: parseFloat(totalScore.toFixed(2)),
-        risk_level: riskLevel,
-        household_composition_score: parseFloat(householdScore.toFixed(2)),
-        economic_vulnerability_score: parseFloat(economicScore.toFixed(2)),
-        social_vulnerability_score: parseFloat(socialScore.toFixed(2)),
-        health_vulnerability_score: parseFloat(healthScore.toFixed(2)),
-        recommendations: recommendations,
+        ...scoreWithModel(this.model, buildScoringInput(personData, householdData)),
         calculated_offline: true,
       };
     } catch (error) {
@@ -195,264 +170,103 @@ class ScoringService {
   }
 
   /**
-   * ==========================================================================
-   * CALCUL DES COMPOSANTES (ALGORITHMES)
-   * ==========================================================================
-   */
-
-  /**
-   * Score de composition du ménage (0-100)
-   */
-  _calculateHouseholdCompositionScore(householdData) {
-    let score = 0;
-    const maxScore = 100;
-
-    if (!householdData) return 0;
-
-    // Taille du ménage (max 30 points)
-    const householdSize = householdData.household_size || 0;
-    if (householdSize >= 10) {
-      score += 30;
-    } else if (householdSize >= 7) {
-      score += 25;
-    } else if (householdSize >= 5) {
-      score += 20;
-    } else if (householdSize >= 3) {
-      score += 10;
-    }
-
-    // Membres vulnérables (max 40 points)
-    if (householdData.has_disabled_members) score += 15;
-    if (householdData.has_elderly_members) score += 10;
-    if (householdData.has_children_under_5) score += 10;
-    if (householdData.has_pregnant_women) score += 5;
-
-    // Ratio de dépendance (max 30 points)
-    const dependencyRatio = householdData.dependency_ratio || 0;
-    if (dependencyRatio >= 2.0) {
-      score += 30;
-    } else if (dependencyRatio >= 1.5) {
-      score += 20;
-    } else if (dependencyRatio >= 1.0) {
-      score += 10;
-    }
-
-    return Math.min(score, maxScore);
-  }
-
-  /**
-   * Score de vulnérabilité économique (0-100)
-   */
-  _calculateEconomicVulnerabilityScore(personData, householdData) {
-    let score = 0;
-    const maxScore = 100;
-
-    // Situation d'emploi (max 40 points)
-    const employmentStatus = personData.employment_status?.toUpperCase();
-    if (employmentStatus === 'UNEMPLOYED') {
-      score += 40;
-    } else if (employmentStatus === 'INFORMAL') {
-      score += 30;
-    } else if (employmentStatus === 'TEMPORARY') {
-      score += 20;
-    }
-
-    // Revenu par personne (max 40 points)
-    const income = householdData?.total_monthly_income || 0;
-    const householdSize = householdData?.household_size || 1;
-    const incomePerPerson = income / householdSize;
-
-    if (incomePerPerson < 50000) {
-      score += 40; // Pauvreté extrême
-    } else if (incomePerPerson < 100000) {
-      score += 30; // Pauvreté
-    } else if (incomePerPerson < 150000) {
-      score += 20; // Vulnérable
-    } else if (incomePerPerson < 200000) {
-      score += 10; // Limite
-    }
-
-    // Conditions de logement (max 20 points)
-    const housingType = householdData?.housing_type;
-    if (housingType === 'PRECARIOUS' || housingType === 'HOMELESS') {
-      score += 20;
-    } else if (housingType === 'SHARED') {
-      score += 10;
-    }
-
-    return Math.min(score, maxScore);
-  }
-
-  /**
-   * Score de vulnérabilité sociale (0-100)
-   */
-  _calculateSocialVulnerabilityScore(personData) {
-    let score = 0;
-    const maxScore = 100;
-
-    // Niveau d'éducation (max 30 points)
-    const educationLevel = personData.education_level?.toUpperCase();
-    if (educationLevel === 'NONE') {
-      score += 30;
-    } else if (educationLevel === 'PRIMARY') {
-      score += 20;
-    } else if (educationLevel === 'SECONDARY') {
-      score += 10;
-    }
-
-    // Genre et contexte (max 20 points)
-    if (personData.gender === 'F') {
-      score += 10; // Femmes souvent plus vulnérables
-      if (personData.marital_status === 'WIDOWED' || 
-          personData.marital_status === 'DIVORCED') {
-        score += 10;
-      }
-    }
-
-    // Statut civil (max 20 points)
-    if (personData.marital_status === 'WIDOWED') {
-      score += 15;
-    } else if (personData.marital_status === 'DIVORCED' || 
-               personData.marital_status === 'SEPARATED') {
-      score += 10;
-    }
-
-    // Handicap (max 30 points)
-    if (personData.disability_status === 'YES') {
-      score += 30;
-    } else if (personData.disability_status === 'PARTIAL') {
-      score += 15;
-    }
-
-    return Math.min(score, maxScore);
-  }
-
-  /**
-   * Score de vulnérabilité santé (0-100)
+   * Score affiché pendant l'inscription (formulaire camelCase), avec le
+   * modèle déjà chargé
+   *
+   * @returns {Object} - { score, level, levelLabel, dimensions, factors, modelVersion }
    */
-  _calculateHealthVulnerabilityScore(personData, householdData) {
-    let score = 0;
-    const maxScore = 100;
-
-    // Handicap personnel (max 40 points)
-    if (personData.disability_status === 'YES') {
-      score += 40;
-    } else if (personData.disability_status === 'PARTIAL') {
-      score += 20;
-    }
-
-    // Âge (max 30 points)
-    const age = personData.age || 0;
-    if (age >= 70) {
-      score += 30;
-    } else if (age >= 60) {
-      score += 20;
-    } else if (age <= 5) {
-      score += 25;
-    }
-
-    // Membres handicapés dans ménage (max 30 points)
-    if (householdData?.has_disabled_members) {
-      score += 30;
-    }
-
-    return Math.min(score, maxScore);
+  calculateLocalVulnerabilityScore(personData, householdData) {
+    const result = scoreWithModel(this.model, buildScoringInput(personData, householdData));
+
+    const dimensions = {};
+    Object.entries(result.dimension_scores).forEach(([key, value]) => {
+      dimensions[this.getDimensionLabel(key)] = value;
+    });
+
+    return {
+      score: result.vulnerability_score,
+      level: result.risk_level,
+      levelLabel: this.getRiskLevelLabel(result.risk_level),
+      dimensions,
+      factors: result.factors.map(factor => factor.label),
+      factorKeys: result.factors.map(factor => factor.key),
+      recommendations: result.recommendations,
+      modelVersion: result.model_version,
+    };
   }
 
   /**
    * ==========================================================================
-   * DÉTERMINATION NIVEAU DE RISQUE
+   * MODÈLE DE SCORING
    * ==========================================================================
    */
 
   /**
-   * Détermine le niveau de risque selon le score
+   * Charge le modèle gardé en base locale (une fois)
    */
-  _determineRiskLevel(score) {
-    if (score >= this.RISK_THRESHOLDS.CRITICAL) {
-      return 'CRITICAL';
-    } else if (score >= this.RISK_THRESHOLDS.HIGH) {
-      return 'HIGH';
-    } else if (score >= this.RISK_THRESHOLDS.MODERATE) {
-      return 'MODERATE';
-    } else {
-      return 'LOW';
+  loadModel() {
+    if (!this.loadPromise) {
+      this.loadPromise = localDatabase.getSyncState(MODEL_STATE_KEY)
+        .then(model => {
+          if (model && validateModel(model).length === 0) {
+            this.model = model;
+            console.log(`📐 Modèle de scoring ${model.version} chargé`);
+          }
+        })
+        .catch(error => console.error('Erreur chargement modèle de scoring:', error));
     }
+    return this.loadPromise;
   }
 
   /**
-   * Génère des recommandations selon les scores
+   * Télécharge le modèle du profil de pondération et l'adopte s'il est
+   * valide et conforme à ses cas d'exemple (un modèle sans cas ne peut pas
+   * être comparé au serveur : refusé)
+   *
+   * @returns {Promise<boolean>} - true si un nouveau modèle est adopté
    */
-  _generateRecommendations(totalScore, householdScore, economicScore, socialScore, healthScore) {
-    const recommendations = [];
-
-    // Recommandations économiques
-    if (economicScore >= 60) {
-      recommendations.push('CASH_TRANSFER_PROGRAM');
-      recommendations.push('VOCATIONAL_TRAINING');
-    }
-
-    // Recommandations santé
-    if (healthScore >= 50) {
-      recommendations.push('HEALTH_INSURANCE');
-      recommendations.push('DISABILITY_SUPPORT');
-    }
-
-    // Recommandations éducation
-    if (socialScore >= 50) {
-      recommendations.push('EDUCATION_SUPPORT');
-      recommendations.push('LITERACY_PROGRAM');
-    }
-
-    // Recommandations ménage
-    if (householdScore >= 60) {
-      recommendations.push('HOUSING_ASSISTANCE');
-      recommendations.push('CHILDCARE_SUPPORT');
-    }
-
-    // Intervention urgente si critique
-    if (totalScore >= this.RISK_THRESHOLDS.CRITICAL) {
-      recommendations.push('PRIORITY_PROGRAM_ENROLLMENT');
-      recommendations.push('INTENSIVE_CASE_MANAGEMENT');
-    }
+  async refreshModel() {
+    await this.loadModel();
 
-    return recommendations;
-  }
+    try {
+      const response = await apiClient.get(API_CONFIG.ENDPOINTS.SCORING_MODEL);
+      const model = response.data;
 
-  /**
-   * ==========================================================================
-   * PROFIL DE PONDÉRATION
-   * ==========================================================================
-   */
+      if (model?.version === this.model.version) {
+        return false;
+      }
 
-  /**
-   * Récupère le profil de pondération (API ou cache)
-   */
-  async getWeightingProfile() {
-    try {
-      // Vérifier cache
-      if (this.cachedWeightingProfile) {
-        return this.cachedWeightingProfile;
+      const errors = validateModel(model);
+      if (errors.length > 0) {
+        console.warn('Modèle de scoring serveur invalide, modèle actuel conservé:', errors);
+        return false;
       }
 
-      // Récupérer depuis API
-      const response = await apiClient.get(
-        '/services/vulnerability-assessments/weighting-profile/'
-      );
+      if (!Array.isArray(model.examples) || model.examples.length === 0) {
+        console.warn(`Modèle de scoring ${model.version} sans cas d'exemple, modèle actuel conservé`);
+        return false;
+      }
 
-      if (response.data) {
-        this.cachedWeightingProfile = response.data;
-        return response.data;
+      const mismatches = checkExamples(model);
+      if (mismatches.length > 0) {
+        console.warn(`Modèle de scoring ${model.version}: ${mismatches.length} cas d'exemple divergent(s), modèle actuel conservé`, mismatches);
+        return false;
       }
 
-      // Fallback: profil par défaut
-      return this.DEFAULT_WEIGHTING_PROFILE;
+      await localDatabase.setSyncState(MODEL_STATE_KEY, model);
+      this.model = model;
+      console.log(`📐 Modèle de scoring ${model.version} adopté`);
+      return true;
     } catch (error) {
-      console.warn('Utilisation profil pondération par défaut:', error.message);
-      return this.DEFAULT_WEIGHTING_PROFILE;
+      console.warn('Modèle de scoring non téléchargé:', error.message);
+      return false;
     }
   }
 
+  getModelVersion() {
+    return this.model.version;
+  }
+
   /**
    * ==========================================================================
    * CACHE LOCAL
@@ -464,8 +278,7 @@ class ScoringService {
    */
   async _cacheAssessment(personId, assessment) {
     try {
-      const key = `assessment_${personId}`;
-      await storageService.setItem(key, JSON.stringify(assessment));
+      await localDatabase.saveAssessment(personId, assessment);
     } catch (error) {
       console.error('Erreur sauvegarde cache assessment:', error);
     }
@@ -476,9 +289,7 @@ class ScoringService {
    */
   async _getCachedAssessment(personId) {
     try {
-      const key = `assessment_${personId}`;
-      const cached = await storageService.getItem(key);
-      return cached ? JSON.parse(cached) : null;
+      return await localDatabase.getAssessment(personId);
     } catch (error) {
       console.error('Erreur lecture cache assessment:', error);
       return null;
@@ -491,6 +302,13 @@ class ScoringService {
    * ==========================================================================
    */
 
+  /**
+   * Libellé d'une dimension du modèle
+   */
+  getDimensionLabel(key) {
+    return this.model.dimensions.find(dimension => dimension.key === key)?.label || key;
+  }
+
   /**
    * Retourne la couleur associée au niveau de risque
    */
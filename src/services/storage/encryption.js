@@ -0,0 +1,144 @@
+// =============================================================================
+// CHIFFREMENT AU REPOS (services/storage/encryption.js)
+// Utilisé uniquement par StorageService : aucune donnée bénéficiaire
+// (NIP, revenus, GPS, documents, tokens) n'est écrite en clair sur l'appareil.
+// =============================================================================
+//
+// Clé de données : 256 bits aléatoires générés au premier lancement, conservés
+// dans le trousseau sécurisé du système (expo-secure-store, Keychain /
+// Android Keystore), jamais dans AsyncStorage ni exportée de l'appareil.
+//
+// Format stocké : `enc:v1:` + base64(nonce 24 octets || texte chiffré + tag)
+// avec XChaCha20-Poly1305 (chiffrement authentifié : toute altération du
+// contenu est détectée au déchiffrement).
+// =============================================================================
+
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+
+export const ENCRYPTED_PREFIX = 'enc:v1:';
+
+const KEY_ALIAS = 'rsu_storage_key';
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 24;
+
+let dataKeyPromise = null;
+
+// =============================================================================
+// CONVERSIONS (partagées avec les lots de transfert, sync/transferBundle.js)
+// =============================================================================
+
+export function utf8ToBytes(text) {
+  const binary = unescape(encodeURIComponent(text));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+export function bytesToUtf8(bytes) {
+  return decodeURIComponent(escape(bytesToBinary(bytes)));
+}
+
+function bytesToBinary(bytes) {
+  // Par tranches : String.fromCharCode a une limite d'arguments
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return binary;
+}
+
+export function bytesToBase64(bytes) {
+  return btoa(bytesToBinary(bytes));
+}
+
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// =============================================================================
+// CLÉ DE DONNÉES
+// =============================================================================
+
+async function loadOrCreateDataKey() {
+  const saved = await SecureStore.getItemAsync(KEY_ALIAS);
+  if (saved) {
+    return base64ToBytes(saved);
+  }
+
+  const key = Crypto.getRandomBytes(KEY_LENGTH);
+  // Lisible après le premier déverrouillage (synchronisation en arrière-plan)
+  await SecureStore.setItemAsync(KEY_ALIAS, bytesToBase64(key), {
+    keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+  });
+  console.log('🔐 Clé de chiffrement locale générée');
+  return key;
+}
+
+/**
+ * Clé de données de l'appareil (chargée une seule fois)
+ */
+function getDataKey() {
+  if (!dataKeyPromise) {
+    dataKeyPromise = loadOrCreateDataKey().catch(error => {
+      dataKeyPromise = null;
+      throw error;
+    });
+  }
+  return dataKeyPromise;
+}
+
+// =============================================================================
+// API
+// =============================================================================
+
+/**
+ * Valeur déjà au format chiffré ?
+ */
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Chiffre une chaîne
+ */
+export async function encrypt(plaintext) {
+  const key = await getDataKey();
+  const nonce = Crypto.getRandomBytes(NONCE_LENGTH);
+  const sealed = xchacha20poly1305(key, nonce).encrypt(utf8ToBytes(plaintext));
+
+  const payload = new Uint8Array(NONCE_LENGTH + sealed.length);
+  payload.set(nonce, 0);
+  payload.set(sealed, NONCE_LENGTH);
+
+  return ENCRYPTED_PREFIX + bytesToBase64(payload);
+}
+
+/**
+ * Déchiffre une valeur produite par encrypt()
+ * (lève une erreur si la valeur a été altérée ou la clé a changé)
+ */
+export async function decrypt(value) {
+  const key = await getDataKey();
+  const payload = base64ToBytes(value.slice(ENCRYPTED_PREFIX.length));
+  const nonce = payload.subarray(0, NONCE_LENGTH);
+  const sealed = payload.subarray(NONCE_LENGTH);
+
+  return bytesToUtf8(xchacha20poly1305(key, nonce).decrypt(sealed));
+}
+
+/**
+ * Clé SQLCipher de la base locale (même clé d'appareil, format hexadécimal)
+ */
+export async function getDatabaseKey() {
+  const key = await getDataKey();
+  return Array.from(key, byte => byte.toString(16).padStart(2, '0')).join('');
+}
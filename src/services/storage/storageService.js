@@ -3,17 +3,27 @@
  * 🇬🇦 RSU GABON - STORAGE SERVICE
  * Standards Top 1% - Gestion AsyncStorage
  * =============================================================================
+ *
+ * Point d'accès unique au stockage local : toutes les valeurs sont chiffrées
+ * avant écriture (voir encryption.js). Les valeurs en clair laissées par les
+ * versions précédentes sont chiffrées à la volée à la première lecture, ou en
+ * une fois au démarrage via migratePlaintextKeys().
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { encrypt, decrypt, isEncrypted } from './encryption';
 
 class StorageService {
+  constructor() {
+    this.migrationPromise = null;
+  }
+
   /**
-   * Sauvegarde un item
+   * Sauvegarde un item (chiffré)
    */
   async setItem(key, value) {
     try {
-      await AsyncStorage.setItem(key, value);
+      await AsyncStorage.setItem(key, await encrypt(value));
       return true;
     } catch (error) {
       console.error('Erreur setItem:', error);
@@ -22,11 +32,18 @@ class StorageService {
   }
 
   /**
-   * Récupère un item
+   * Récupère un item (déchiffré)
    */
   async getItem(key) {
     try {
-      return await AsyncStorage.getItem(key);
+      const stored = await AsyncStorage.getItem(key);
+      if (stored === null || isEncrypted(stored)) {
+        return stored === null ? null : await decrypt(stored);
+      }
+
+      // Valeur en clair d'une version précédente : chiffrer sur place
+      await AsyncStorage.setItem(key, await encrypt(stored));
+      return stored;
     } catch (error) {
       console.error('Erreur getItem:', error);
       return null;
@@ -46,6 +63,19 @@ class StorageService {
     }
   }
 
+  /**
+   * Supprime plusieurs items
+   */
+  async multiRemove(keys) {
+    try {
+      await AsyncStorage.multiRemove(keys);
+      return true;
+    } catch (error) {
+      console.error('Erreur multiRemove:', error);
+      return false;
+    }
+  }
+
   /**
    * Récupère toutes les clés
    */
@@ -70,6 +100,41 @@ class StorageService {
       return false;
     }
   }
+
+  /**
+   * Chiffre toutes les valeurs encore en clair (une fois par lancement)
+   */
+  migratePlaintextKeys() {
+    if (!this.migrationPromise) {
+      this.migrationPromise = this.encryptPlaintextKeys();
+    }
+    return this.migrationPromise;
+  }
+
+  async encryptPlaintextKeys() {
+    try {
+      const keys = await AsyncStorage.getAllKeys();
+      const entries = await AsyncStorage.multiGet(keys);
+      const plaintext = entries.filter(([, value]) => value !== null && !isEncrypted(value));
+
+      if (plaintext.length === 0) {
+        return 0;
+      }
+
+      const encrypted = [];
+      for (const [key, value] of plaintext) {
+        encrypted.push([key, await encrypt(value)]);
+      }
+      await AsyncStorage.multiSet(encrypted);
+
+      console.log(`🔐 ${encrypted.length} clé(s) chiffrée(s)`);
+      return encrypted.length;
+    } catch (error) {
+      console.error('Erreur migration chiffrement:', error);
+      this.migrationPromise = null;
+      return 0;
+    }
+  }
 }
 
-export default new StorageService();
\ No newline at end of file
+export default new StorageService();
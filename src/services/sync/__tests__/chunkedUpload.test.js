@@ -0,0 +1,292 @@
+// =============================================================================
+// TESTS - UPLOAD REPRENABLE DES DOCUMENTS PHOTO
+// Morceaux, reprise à l'offset du serveur, refus de morceaux, photos des
+// éléments en queue (copie dans le répertoire de l'application)
+// =============================================================================
+
+import { File } from 'expo-file-system';
+import apiClient from '../../api/apiClient';
+import {
+  uploadDocumentInChunks,
+  storeDocumentImage,
+  removeDocumentImage,
+  clearDocumentImages,
+  DOCUMENT_FILE_MISSING,
+} from '../chunkedUpload';
+import { bytesToBase64 } from '../../storage/encryption';
+import { OFFLINE_CONFIG } from '../../../constants/offlineConstants';
+
+// Système de fichiers en mémoire : uri -> octets
+jest.mock('expo-file-system', () => {
+  const files = new Map();
+
+  class Directory {
+    constructor(parent, name) {
+      this.uri = `${parent.uri}/${name}`;
+    }
+
+    get exists() {
+      return true;
+    }
+
+    create() {}
+
+    delete() {
+      [...files.keys()].filter(uri => uri.startsWith(`${this.uri}/`)).forEach(uri => files.delete(uri));
+    }
+  }
+
+  class File {
+    constructor(parent, name) {
+      this.uri = name === undefined ? parent : `${parent.uri}/${name}`;
+    }
+
+    get exists() {
+      return files.has(this.uri);
+    }
+
+    get size() {
+      return files.get(this.uri)?.length ?? 0;
+    }
+
+    create() {
+      files.set(this.uri, new Uint8Array(0));
+    }
+
+    write(bytes) {
+      files.set(this.uri, bytes);
+    }
+
+    bytes() {
+      return files.get(this.uri);
+    }
+
+    copy(target) {
+      files.set(target.uri, files.get(this.uri));
+    }
+
+    delete() {
+      files.delete(this.uri);
+    }
+
+    open() {
+      const content = files.get(this.uri);
+      return {
+        offset: 0,
+        readBytes(length) {
+          return content.slice(this.offset, this.offset + length);
+        },
+        close() {},
+      };
+    }
+  }
+
+  return { File, Directory, Paths: { document: { uri: 'file:///document' } }, __files: files };
+});
+jest.mock('expo-crypto', () => ({
+  CryptoDigestAlgorithm: { SHA256: 'SHA-256' },
+  digest: (algorithm, bytes) => Promise.resolve(require('crypto').createHash('sha256').update(bytes).digest()),
+  getRandomBytes: length => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+jest.mock('expo-secure-store', () => ({}));
+jest.mock('../../api/apiClient', () => ({
+  post: jest.fn(),
+  patch: jest.fn(),
+}));
+
+const CHUNK_SIZE = OFFLINE_CONFIG.SYNC_CONFIG.UPLOAD_CHUNK_SIZE;
+const SIZE = Math.round(CHUNK_SIZE * 2.5);
+const PHOTO_URI = 'file:///cache/ImagePicker/photo.jpg';
+const QUEUED_URI = 'file:///document/queued_documents/cle-1.jpg';
+
+const { __files: files } = jest.requireMock('expo-file-system');
+
+const DATA = {
+  personId: 42,
+  image: { uri: PHOTO_URI, documentType: 'national_id', metadata: { width: 800 } },
+};
+
+const photo = (size = SIZE) => Uint8Array.from({ length: size }, (_, i) => i % 251);
+
+const httpError = (status, data = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, data } });
+
+/**
+ * Serveur d'upload : garde l'offset reçu et les morceaux acceptés
+ */
+function mockServer({ offset = 0, rejections = [] } = {}) {
+  const server = { offset, sessions: 0, chunks: [] };
+
+  apiClient.post.mockImplementation(url => {
+    if (url.endsWith('complete/')) {
+      return Promise.resolve({ data: { id: 77, url: 'https://rsu/doc/77' } });
+    }
+    server.sessions++;
+    return Promise.resolve({ data: { upload_id: `u${server.sessions}`, offset: server.offset } });
+  });
+
+  apiClient.patch.mockImplementation((url, bytes, { headers }) => {
+    const rejection = rejections.shift();
+    if (rejection) {
+      return Promise.reject(rejection);
+    }
+    server.chunks.push({ url, offset: Number(headers['Upload-Offset']), length: bytes.length, headers });
+    server.offset = Number(headers['Upload-Offset']) + bytes.length;
+    return Promise.resolve({ data: { offset: server.offset } });
+  });
+
+  return server;
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  files.clear();
+  files.set(PHOTO_URI, photo());
+});
+
+describe('uploadDocumentInChunks', () => {
+  it('envoie le fichier par morceaux avec offset et empreinte, puis finalise', async () => {
+    const server = mockServer();
+    const onProgress = jest.fn();
+
+    const document = await uploadDocumentInChunks(DATA, 'cle-1', { onProgress, headers: { 'X-On-Behalf-Of': '12' } });
+
+    expect(document).toEqual({ id: 77, url: 'https://rsu/doc/77' });
+    expect(server.chunks.map(({ offset, length }) => [offset, length])).toEqual([
+      [0, CHUNK_SIZE],
+      [CHUNK_SIZE, CHUNK_SIZE],
+      [CHUNK_SIZE * 2, SIZE - CHUNK_SIZE * 2],
+    ]);
+    expect(server.chunks[0].headers['Upload-Checksum']).toMatch(/^sha256 [0-9a-f]{64}$/);
+    expect(onProgress.mock.calls.map(([upload]) => upload.offset)).toEqual([0, CHUNK_SIZE, CHUNK_SIZE * 2, SIZE]);
+
+    const [sessionUrl, session, { headers }] = apiClient.post.mock.calls[0];
+    expect(sessionUrl).toBe('/identity/documents/uploads/');
+    expect(session).toEqual({
+      person_id: 42,
+      document_type: 'national_id',
+      metadata: { width: 800 },
+      filename: 'national_id_42.jpg',
+      size: SIZE,
+    });
+    expect(headers).toEqual({ 'X-On-Behalf-Of': '12', 'Idempotency-Key': 'cle-1' });
+    expect(apiClient.post.mock.calls[1][2].headers).toEqual(headers);
+  });
+
+  it("reprend à l'offset d'une session déjà ouverte", async () => {
+    const server = mockServer({ offset: CHUNK_SIZE * 2 });
+
+    await uploadDocumentInChunks(DATA, 'cle-1');
+
+    expect(server.chunks.map(chunk => chunk.offset)).toEqual([CHUNK_SIZE * 2]);
+  });
+
+  it("se recale sur l'offset du serveur (409)", async () => {
+    const server = mockServer({ rejections: [httpError(409, { offset: CHUNK_SIZE })] });
+
+    await uploadDocumentInChunks(DATA, 'cle-1');
+
+    expect(server.chunks.map(chunk => chunk.offset)).toEqual([CHUNK_SIZE, CHUNK_SIZE * 2]);
+  });
+
+  it('renvoie un morceau altéré en route (460)', async () => {
+    const server = mockServer({ rejections: [httpError(460)] });
+
+    await uploadDocumentInChunks(DATA, 'cle-1');
+
+    expect(server.chunks.map(chunk => chunk.offset)).toEqual([0, CHUNK_SIZE, CHUNK_SIZE * 2]);
+    expect(apiClient.patch).toHaveBeenCalledTimes(4);
+  });
+
+  it('rouvre une session expirée (410)', async () => {
+    const server = mockServer({ rejections: [httpError(410)] });
+
+    await uploadDocumentInChunks(DATA, 'cle-1');
+
+    expect(server.sessions).toBe(2);
+    expect(server.chunks[0].url).toBe('/identity/documents/uploads/u2/');
+  });
+
+  it('abandonne après trop de refus consécutifs', async () => {
+    mockServer({ rejections: [httpError(460), httpError(460), httpError(460), httpError(460)] });
+
+    await expect(uploadDocumentInChunks(DATA, 'cle-1')).rejects.toThrow('HTTP 460');
+    expect(apiClient.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('laisse la session ouverte sur une coupure réseau', async () => {
+    const server = mockServer({ rejections: [undefined, new Error('Network Error')] });
+
+    await expect(uploadDocumentInChunks(DATA, 'cle-1')).rejects.toThrow('Network Error');
+    expect(server.offset).toBe(CHUNK_SIZE);
+
+    // Nouvel essai : même clé, même session côté serveur, reprise au 2e morceau
+    await uploadDocumentInChunks(DATA, 'cle-1');
+    expect(server.chunks.map(chunk => chunk.offset)).toEqual([0, CHUNK_SIZE, CHUNK_SIZE * 2]);
+  });
+
+  it('signale un fichier disparu comme erreur définitive', async () => {
+    files.clear();
+    mockServer();
+
+    await expect(uploadDocumentInChunks(DATA, 'cle-1')).rejects.toMatchObject({ code: DOCUMENT_FILE_MISSING });
+    await expect(uploadDocumentInChunks({ personId: 42, image: {} }, 'cle-1'))
+      .rejects.toMatchObject({ code: DOCUMENT_FILE_MISSING });
+    expect(apiClient.post).not.toHaveBeenCalled();
+  });
+});
+
+describe('photos des éléments en queue', () => {
+  it("copie la capture dans le répertoire de l'application, sans base64", () => {
+    const { image, size } = storeDocumentImage({ ...DATA.image, base64: 'AAAA' }, 'cle-1');
+
+    expect(image).toEqual({ uri: QUEUED_URI, documentType: 'national_id', metadata: { width: 800 } });
+    expect(size).toBe(SIZE);
+
+    // Le cache d'ImagePicker peut être vidé : la copie reste envoyable
+    files.delete(PHOTO_URI);
+    expect(new File(QUEUED_URI).bytes()).toEqual(photo());
+  });
+
+  it('écrit en fichier une photo connue seulement en base64', () => {
+    files.clear();
+    const bytes = photo(300);
+
+    const { image, size } = storeDocumentImage({ documentType: 'national_id', base64: bytesToBase64(bytes) }, 'cle-1');
+
+    expect(image).toEqual({ uri: QUEUED_URI, documentType: 'national_id' });
+    expect(size).toBe(300);
+    expect(new File(QUEUED_URI).bytes()).toEqual(bytes);
+  });
+
+  it('refuse une photo sans fichier ni base64', () => {
+    files.clear();
+    expect(() => storeDocumentImage(DATA.image, 'cle-1')).toThrow(expect.objectContaining({ code: DOCUMENT_FILE_MISSING }));
+  });
+
+  it('ne supprime que les copies de la queue', () => {
+    const { image } = storeDocumentImage(DATA.image, 'cle-1');
+
+    removeDocumentImage(DATA.image);
+    removeDocumentImage(image);
+
+    expect(files.has(PHOTO_URI)).toBe(true);
+    expect(files.has(QUEUED_URI)).toBe(false);
+  });
+
+  it('supprime toutes les copies quand la queue est vidée', () => {
+    storeDocumentImage(DATA.image, 'cle-1');
+    storeDocumentImage(DATA.image, 'cle-2');
+
+    clearDocumentImages();
+
+    expect([...files.keys()]).toEqual([PHOTO_URI]);
+  });
+});
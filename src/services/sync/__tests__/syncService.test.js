@@ -0,0 +1,642 @@
+// =============================================================================
+// TESTS - SERVICE DE SYNCHRONISATION
+// Envoi d'un élément de queue seul : en-têtes d'idempotence et d'auteur
+// d'origine (élément reçu d'un autre appareil). Mise en queue. Reprise
+// (backoff) et dead-letter. Envoi par lots et repli sur l'envoi unitaire.
+// Ids provisoires réécrits après l'inscription. Conflits de mise à jour et
+// fusion.
+// =============================================================================
+
+import apiClient from '../../api/apiClient';
+import localDatabase from '../../database/localDatabase';
+import { openNodeDatabase } from '../../database/nodeDatabase';
+import { uploadDocumentInChunks, storeDocumentImage, removeDocumentImage } from '../chunkedUpload';
+import syncService from '../syncService';
+import { OFFLINE_CONFIG } from '../../../constants/offlineConstants';
+
+jest.mock('expo-sqlite', () => ({ openDatabaseAsync: jest.fn() }));
+jest.mock('@react-native-community/netinfo', () => ({
+  addEventListener: jest.fn(() => jest.fn()),
+  fetch: jest.fn(() => Promise.resolve({ isConnected: true, type: 'wifi' })),
+}));
+jest.mock('../../storage/encryption', () => ({ getDatabaseKey: jest.fn() }));
+jest.mock('../../storage/storageService', () => ({}));
+jest.mock('../../api/environmentService', () => ({
+  getActiveKey: () => 'production',
+  canSendTo: () => true,
+  ensureLoaded: () => Promise.resolve(),
+}));
+jest.mock('../../api/apiClient', () => ({
+  get: jest.fn(),
+  post: jest.fn(),
+  patch: jest.fn(),
+}));
+jest.mock('../chunkedUpload', () => ({
+  DOCUMENT_FILE_MISSING: 'DOCUMENT_FILE_MISSING',
+  uploadDocumentInChunks: jest.fn(),
+  storeDocumentImage: jest.fn(),
+  removeDocumentImage: jest.fn(),
+}));
+
+const { OPERATION_TYPES, QUEUE_STATUS, SYNC_CONFIG, SYNC_EVENTS } = OFFLINE_CONFIG;
+
+const ORIGIN = {
+  userId: 12,
+  deviceId: 'device-origine',
+  publicKey: 'cle-publique',
+  signature: 'signature',
+  payloadHash: 'empreinte-donnees',
+  attachmentHash: '',
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  localDatabase.configure({ openDatabase: () => openNodeDatabase() });
+  syncService.syncQueue = [];
+  syncService.deadLetters = [];
+  syncService.idMap = {};
+  syncService.authRequired = false;
+  syncService.bulkSupported = true;
+});
+
+const httpError = (status, data = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, data } });
+
+describe("envoi d'un élément seul", () => {
+  it("envoie la clé d'idempotence de l'élément", async () => {
+    const item = syncService.createItem(OPERATION_TYPES.SURVEY, { person_id: 5, answers: { q1: 'oui' } });
+    syncService.syncQueue = [item];
+    apiClient.post.mockResolvedValue({ data: { id: 91 } });
+
+    const result = await syncService.processItem(item);
+
+    expect(result).toMatchObject({ success: true, serverId: 91 });
+    expect(apiClient.post).toHaveBeenCalledWith('/surveys/responses/', item.data, {
+      headers: { 'Idempotency-Key': item.idempotencyKey },
+    });
+    expect(syncService.syncQueue).toEqual([]);
+  });
+
+  it("ajoute l'auteur d'origine signé d'un élément importé", async () => {
+    const item = syncService.createItem(
+      OPERATION_TYPES.SURVEY,
+      { person_id: 5, answers: { q1: 'oui' } },
+      {},
+      { origin: ORIGIN }
+    );
+    syncService.syncQueue = [item];
+    apiClient.post.mockResolvedValue({ data: { id: 92 } });
+
+    const result = await syncService.processItem(item);
+
+    expect(result).toMatchObject({ success: true, serverId: 92 });
+    expect(apiClient.post.mock.calls[0][2].headers).toEqual({
+      'Idempotency-Key': item.idempotencyKey,
+      'X-On-Behalf-Of': '12',
+      'X-Origin-Device': 'device-origine',
+      'X-Origin-Public-Key': 'cle-publique',
+      'X-Origin-Signature': 'signature',
+      'X-Origin-Payload-Hash': 'empreinte-donnees',
+      'X-Origin-Attachment-Hash': '',
+    });
+  });
+
+  it('transmet les mêmes en-têtes à l\'upload de document', async () => {
+    const item = syncService.createItem(
+      OPERATION_TYPES.UPLOAD_DOCUMENT,
+      { image: 'file:///photo.jpg', personId: 5 },
+      {},
+      { origin: ORIGIN }
+    );
+    syncService.syncQueue = [item];
+    uploadDocumentInChunks.mockResolvedValue({ id: 93 });
+
+    const result = await syncService.processItem(item);
+
+    expect(result).toMatchObject({ success: true, serverId: 93 });
+    const [, idempotencyKey, options] = uploadDocumentInChunks.mock.calls[0];
+    expect(idempotencyKey).toBe(item.idempotencyKey);
+    expect(options.headers).toEqual({
+      'Idempotency-Key': item.idempotencyKey,
+      'X-On-Behalf-Of': '12',
+      'X-Origin-Device': 'device-origine',
+      'X-Origin-Public-Key': 'cle-publique',
+      'X-Origin-Signature': 'signature',
+      'X-Origin-Payload-Hash': 'empreinte-donnees',
+      'X-Origin-Attachment-Hash': '',
+    });
+  });
+
+  it("reprogramme un élément refusé temporairement, sans l'en-tête d'origine", async () => {
+    const item = syncService.createItem(OPERATION_TYPES.SURVEY, { person_id: 5 });
+    syncService.syncQueue = [item];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    apiClient.post.mockRejectedValue(Object.assign(new Error('Service indisponible'), {
+      response: { status: 503, data: {} },
+    }));
+
+    const result = await syncService.processItem(item);
+
+    console.error.mockRestore();
+    expect(result.success).toBe(false);
+    expect(item).toMatchObject({ status: QUEUE_STATUS.FAILED, attempts: 1 });
+    expect(apiClient.post.mock.calls[0][2].headers).toEqual({ 'Idempotency-Key': item.idempotencyKey });
+  });
+
+  it('supprime la copie de la photo une fois le document envoyé', async () => {
+    const image = { uri: 'file:///document/queued_documents/cle.jpg' };
+    const item = syncService.createItem(OPERATION_TYPES.UPLOAD_DOCUMENT, { image, personId: 5 });
+    syncService.syncQueue = [item];
+    uploadDocumentInChunks.mockResolvedValue({ id: 94 });
+
+    await syncService.processItem(item);
+
+    expect(removeDocumentImage).toHaveBeenCalledWith(image);
+  });
+
+  it('place en dead-letter un document dont la photo a disparu', async () => {
+    const item = syncService.createItem(OPERATION_TYPES.UPLOAD_DOCUMENT, { image: { uri: 'file:///x.jpg' }, personId: 5 });
+    syncService.syncQueue = [item];
+    syncService.deadLetters = [];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    uploadDocumentInChunks.mockRejectedValue(Object.assign(new Error('Photo introuvable'), {
+      code: 'DOCUMENT_FILE_MISSING',
+    }));
+
+    const result = await syncService.processItem(item);
+
+    console.error.mockRestore();
+    expect(result).toMatchObject({ success: false, deadLetter: true });
+    expect(syncService.syncQueue).toEqual([]);
+    expect(syncService.deadLetters.map(deadLetter => deadLetter.id)).toEqual([item.id]);
+    expect((await localDatabase.getQueueItems())[0].status).toBe(QUEUE_STATUS.DEAD_LETTER);
+  });
+});
+
+describe('mise en queue', () => {
+  beforeEach(() => {
+    syncService.loadPromise = Promise.resolve();
+  });
+
+  it('enregistre en base puis ajoute en mémoire', async () => {
+    const id = await syncService.enqueue(OPERATION_TYPES.SURVEY, { person_id: 5 });
+
+    expect(syncService.syncQueue.map(item => item.id)).toEqual([id]);
+    expect((await localDatabase.getQueueItems()).map(item => item.id)).toEqual([id]);
+  });
+
+  it("met en queue la copie de la photo, sans base64, et compte sa taille", async () => {
+    const capture = { uri: 'file:///cache/photo.jpg', base64: 'AAAA', documentType: 'national_id' };
+    const stored = { uri: 'file:///document/queued_documents/cle.jpg', documentType: 'national_id' };
+    storeDocumentImage.mockReturnValue({ image: stored, size: 500000 });
+
+    const id = await syncService.enqueue(OPERATION_TYPES.UPLOAD_DOCUMENT, { image: capture, personId: 5 }, {}, {
+      idempotencyKey: 'cle',
+    });
+
+    expect(storeDocumentImage).toHaveBeenCalledWith(capture, 'cle');
+    const [saved] = await localDatabase.getQueueItems();
+    expect(saved).toMatchObject({ id, data: { image: stored, personId: 5 } });
+    expect(saved.sizeBytes).toBeGreaterThan(500000);
+  });
+
+  it("ne garde rien en mémoire si l'écriture échoue", async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const save = jest.spyOn(localDatabase, 'saveQueueItems')
+      .mockRejectedValueOnce(new Error('cannot start a transaction within a transaction'));
+
+    await expect(syncService.enqueue(OPERATION_TYPES.SURVEY, { person_id: 5 })).rejects.toThrow();
+
+    save.mockRestore();
+    console.error.mockRestore();
+    expect(syncService.syncQueue).toEqual([]);
+    expect(await localDatabase.getQueueItems()).toEqual([]);
+  });
+});
+
+describe('reprise et dead-letter', () => {
+  afterEach(() => {
+    if (jest.isMockFunction(Math.random)) {
+      Math.random.mockRestore();
+    }
+  });
+
+  it('double le délai à chaque tentative, avec un jitter entre 50 % et 100 %', () => {
+    const { RETRY_DELAY } = SYNC_CONFIG;
+
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    expect([1, 2, 3, 4].map(attempts => syncService.computeBackoff(attempts)))
+      .toEqual([RETRY_DELAY, RETRY_DELAY * 2, RETRY_DELAY * 4, RETRY_DELAY * 8]);
+
+    Math.random.mockReturnValue(0);
+    expect(syncService.computeBackoff(3)).toBe(RETRY_DELAY * 2);
+  });
+
+  it('plafonne le délai à MAX_RETRY_DELAY', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    expect(syncService.computeBackoff(30)).toBe(SYNC_CONFIG.MAX_RETRY_DELAY);
+  });
+
+  it.each([
+    ['coupure réseau', new Error('Network Error'), true],
+    ['erreur serveur 503', httpError(503), true],
+    ['trop de requêtes 429', httpError(429), true],
+    ['timeout 408', httpError(408), true],
+    ['session 401', httpError(401), true],
+    ['validation 400', httpError(400), false],
+    ['validation 422', httpError(422), false],
+    ['accès refusé 403', httpError(403), false],
+    ['photo disparue', Object.assign(new Error('Photo introuvable'), { code: 'DOCUMENT_FILE_MISSING' }), false],
+  ])('classe %s', (label, error, retryable) => {
+    expect(syncService.classifyError(error).retryable).toBe(retryable);
+  });
+
+  it('reprend le détail du serveur dans le message', () => {
+    expect(syncService.classifyError(httpError(400, { detail: 'NIP invalide' }))).toEqual({
+      retryable: false,
+      status: 400,
+      message: 'NIP invalide',
+      body: { detail: 'NIP invalide' },
+    });
+  });
+
+  it('reprogramme un échec temporaire après le backoff', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    const item = syncService.createItem(OPERATION_TYPES.SURVEY, { person_id: 5 });
+    syncService.syncQueue = [item];
+    const before = Date.now();
+
+    const result = syncService.recordFailure(item, syncService.classifyError(httpError(503)));
+
+    expect(result).toEqual({ success: false, error: 'HTTP 503' });
+    expect(item).toMatchObject({ status: QUEUE_STATUS.FAILED, attempts: 1, lastError: 'HTTP 503' });
+    expect(Date.parse(item.nextAttemptAt) - before).toBeGreaterThanOrEqual(SYNC_CONFIG.RETRY_DELAY);
+    expect(syncService.syncQueue).toEqual([item]);
+    expect(syncService.deadLetters).toEqual([]);
+  });
+
+  it('déplace un rejet définitif en dead-letter avec la réponse du serveur', () => {
+    const item = syncService.createItem(OPERATION_TYPES.SURVEY, { person_id: 5 });
+    syncService.syncQueue = [item];
+    const body = { answers: ['Réponse obligatoire'] };
+
+    const result = syncService.recordFailure(item, syncService.classifyError(httpError(422, body)));
+
+    expect(result).toEqual({ success: false, error: 'HTTP 422', deadLetter: true });
+    expect(syncService.syncQueue).toEqual([]);
+    expect(syncService.deadLetters).toEqual([expect.objectContaining({
+      id: item.id,
+      status: QUEUE_STATUS.DEAD_LETTER,
+      nextAttemptAt: null,
+      error: { status: 422, message: 'HTTP 422', body },
+    })]);
+  });
+
+  it('signale une seule fois une session refusée (401)', () => {
+    const listener = jest.fn();
+    const unsubscribe = syncService.subscribe(listener);
+    const items = [1, 2].map(() => syncService.createItem(OPERATION_TYPES.SURVEY, { person_id: 5 }));
+
+    items.forEach(item => syncService.recordFailure(item, syncService.classifyError(httpError(401))));
+    unsubscribe();
+
+    expect(syncService.authRequired).toBe(true);
+    expect(listener.mock.calls.filter(([event]) => event.type === SYNC_EVENTS.AUTH_REQUIRED)).toHaveLength(1);
+    expect(items.every(item => item.status === QUEUE_STATUS.FAILED)).toBe(true);
+  });
+
+  it('garde le dead-letter en base après un rejet de validation', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const item = syncService.createItem(OPERATION_TYPES.SURVEY, { person_id: 5 });
+    syncService.syncQueue = [item];
+    apiClient.post.mockRejectedValue(httpError(400, { detail: 'Enquête incomplète' }));
+
+    await syncService.processItem(item);
+
+    console.error.mockRestore();
+    const [saved] = await localDatabase.getQueueItems();
+    expect(saved).toMatchObject({
+      id: item.id,
+      status: QUEUE_STATUS.DEAD_LETTER,
+      error: { status: 400, message: 'Enquête incomplète' },
+    });
+  });
+});
+
+describe('envoi par lots', () => {
+  const survey = personId => syncService.createItem(OPERATION_TYPES.SURVEY, { person_id: personId, answers: { q1: 'oui' } });
+
+  it('envoie le lot avec identifiant client et clé de chaque élément', async () => {
+    const items = [survey(5), syncService.createItem(OPERATION_TYPES.CREATE_HOUSEHOLD, { head_of_household: 5 })];
+    syncService.syncQueue = [...items];
+    apiClient.post.mockResolvedValue({ data: { results: [] } });
+
+    await syncService.processBatch(items);
+
+    expect(apiClient.post).toHaveBeenCalledWith('/sync/bulk-upload/', {
+      items: items.map(item => ({
+        client_id: item.id,
+        idempotency_key: item.idempotencyKey,
+        type: item.type,
+        payload: item.data,
+      })),
+    });
+  });
+
+  it('rapproche chaque résultat de son élément', async () => {
+    const [created, duplicate, rejected, missing] = [5, 6, 7, 8].map(survey);
+    syncService.syncQueue = [created, duplicate, rejected, missing];
+    apiClient.post.mockResolvedValue({
+      data: {
+        // Ordre de la réponse indépendant de celui du lot
+        results: [
+          { client_id: rejected.id, status: 'error', status_code: 422, errors: { answers: ['Obligatoire'] } },
+          { client_id: duplicate.id, status: 'already_processed', server_id: 62 },
+          { client_id: created.id, status: 'created', server_id: 61 },
+        ],
+      },
+    });
+
+    const results = await syncService.processBatch([created, duplicate, rejected, missing]);
+
+    expect(results).toEqual([
+      { success: true, serverId: 61, duplicate: false },
+      { success: true, serverId: 62, duplicate: true },
+      { success: false, error: 'Données rejetées par le serveur', deadLetter: true },
+      { success: false, error: 'Élément absent de la réponse du serveur' },
+    ]);
+    expect(syncService.syncQueue).toEqual([missing]);
+    expect(missing.status).toBe(QUEUE_STATUS.FAILED);
+    expect(syncService.deadLetters).toEqual([expect.objectContaining({
+      id: rejected.id,
+      error: { status: 422, message: 'Données rejetées par le serveur', body: { answers: ['Obligatoire'] } },
+    })]);
+
+    // Correspondances et registre local mis à jour
+    expect(await localDatabase.getIdMap()).toEqual({ [created.id]: '61', [duplicate.id]: '62' });
+    expect((await localDatabase.getRecordsForPerson('surveys', 5)).map(record => record.id)).toEqual([61]);
+    const saved = await localDatabase.getQueueItems();
+    expect(saved.map(item => [item.id, item.status]).sort()).toEqual([
+      [missing.id, QUEUE_STATUS.FAILED],
+      [rejected.id, QUEUE_STATUS.DEAD_LETTER],
+    ].sort());
+  });
+
+  it('reprogramme tout le lot sur une coupure réseau', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const items = [survey(5), survey(6)];
+    syncService.syncQueue = [...items];
+    apiClient.post.mockRejectedValue(new Error('Network Error'));
+
+    const results = await syncService.processBatch(items);
+
+    console.error.mockRestore();
+    expect(results.every(result => !result.success && !result.deadLetter)).toBe(true);
+    expect(items.map(item => item.status)).toEqual([QUEUE_STATUS.FAILED, QUEUE_STATUS.FAILED]);
+    expect(syncService.syncQueue).toHaveLength(2);
+  });
+
+  it.each([404, 405])('repasse en envoi unitaire si le serveur répond %d', async status => {
+    const items = [survey(5), survey(6)];
+    syncService.syncQueue = [...items];
+    apiClient.post.mockImplementation(url => (url === '/sync/bulk-upload/'
+      ? Promise.reject(httpError(status))
+      : Promise.resolve({ data: { id: 70 + apiClient.post.mock.calls.length } })));
+
+    const results = await syncService.processBatch(items);
+
+    expect(results.map(result => result.serverId)).toEqual([72, 73]);
+    expect(apiClient.post.mock.calls.map(([url]) => url)).toEqual([
+      '/sync/bulk-upload/',
+      '/surveys/responses/',
+      '/surveys/responses/',
+    ]);
+    expect(syncService.syncQueue).toEqual([]);
+
+    // Lots suivants : directement en unitaire
+    const next = survey(7);
+    syncService.syncQueue = [next];
+    await syncService.processBatch([next]);
+    expect(apiClient.post.mock.calls.map(([url]) => url).slice(3)).toEqual(['/surveys/responses/']);
+  });
+});
+
+describe('ids provisoires', () => {
+  const RSU_ID = 'OFFLINE-20260101-0001';
+
+  // Inscription hors ligne déjà en queue
+  const enrollment = () => {
+    const item = syncService.createItem(OPERATION_TYPES.ENROLLMENT, { person: { firstName: 'Awa' } }, { rsuId: RSU_ID });
+    syncService.syncQueue.push(item);
+    return item;
+  };
+
+  beforeEach(() => {
+    syncService.loadPromise = Promise.resolve();
+    syncService.isOnline = false;
+  });
+
+  it("fait attendre les éléments liés à une inscription non envoyée", async () => {
+    const parent = enrollment();
+
+    const surveyId = await syncService.enqueue(OPERATION_TYPES.SURVEY, { person_id: RSU_ID });
+    const householdId = await syncService.enqueue(OPERATION_TYPES.CREATE_HOUSEHOLD, { head_of_household: RSU_ID });
+
+    const [survey, household] = [surveyId, householdId].map(id => syncService.syncQueue.find(item => item.id === id));
+    expect(survey.dependsOn).toEqual([parent.id]);
+    expect(household.dependsOn).toEqual([parent.id]);
+    expect(syncService.getDependents(parent.id).map(item => item.id)).toEqual([surveyId, householdId]);
+    expect(syncService.isReady(survey)).toBe(false);
+  });
+
+  it("réécrit l'id provisoire une fois l'inscription acceptée", async () => {
+    const parent = enrollment();
+    const surveyId = await syncService.enqueue(OPERATION_TYPES.SURVEY, { person_id: RSU_ID, answers: {} });
+    const survey = syncService.syncQueue.find(item => item.id === surveyId);
+
+    syncService.recordSuccess(parent, 501);
+    await syncService.saveIdMap();
+
+    expect(syncService.isReady(survey)).toBe(true);
+    expect(syncService.applyIdMap(survey)).toBe(true);
+    expect(survey.data).toEqual({ person_id: 501, answers: {} });
+    expect(await localDatabase.getIdMap()).toEqual({ [parent.id]: '501', [RSU_ID]: '501' });
+  });
+
+  it("envoie l'id serveur dans le lot suivant", async () => {
+    const parent = enrollment();
+    const surveyId = await syncService.enqueue(OPERATION_TYPES.SURVEY, { person_id: RSU_ID });
+    const survey = syncService.syncQueue.find(item => item.id === surveyId);
+    syncService.recordSuccess(parent, 501);
+    apiClient.post.mockResolvedValue({ data: { results: [{ client_id: surveyId, status: 'created', server_id: 88 }] } });
+
+    await syncService.processBatch([survey]);
+
+    expect(apiClient.post.mock.calls[0][1].items[0].payload).toEqual({ person_id: 501 });
+  });
+
+  it("met en queue directement l'id serveur s'il est déjà connu", async () => {
+    syncService.idMap = { [RSU_ID]: 501 };
+    storeDocumentImage.mockReturnValue({ image: { uri: 'file:///document/queued_documents/cle.jpg' }, size: 1000 });
+
+    const id = await syncService.enqueue(OPERATION_TYPES.UPLOAD_DOCUMENT, { image: {}, personId: RSU_ID });
+
+    const item = syncService.syncQueue.find(q => q.id === id);
+    expect(item.data.personId).toBe(501);
+    expect(item.dependsOn).toEqual([]);
+  });
+
+  it('laisse les ids serveur et les ids provisoires inconnus', () => {
+    syncService.idMap = { [RSU_ID]: 501 };
+    const known = syncService.createItem(OPERATION_TYPES.SURVEY, { person_id: 42 });
+    const unknown = syncService.createItem(OPERATION_TYPES.SURVEY, { person_id: 'OFFLINE-20260101-0002' });
+
+    expect(syncService.applyIdMap(known)).toBe(false);
+    expect(syncService.applyIdMap(unknown)).toBe(false);
+    expect(known.data.person_id).toBe(42);
+    expect(unknown.data.person_id).toBe('OFFLINE-20260101-0002');
+  });
+});
+
+describe('conflits de mise à jour', () => {
+  const ORIGINAL = {
+    id: 42,
+    first_name: 'Awa',
+    last_name: 'Ndong',
+    phone: '+24106000000',
+    village: 'Kango',
+    updated_at: '2026-01-01T08:00:00Z',
+    version: 3,
+  };
+
+  // Personne modifiée sur le serveur depuis le chargement local
+  const SERVER = {
+    ...ORIGINAL,
+    phone: '+24107111111',
+    last_name: 'Ndong Mba',
+    updated_at: '2026-01-02T08:00:00Z',
+    version: 4,
+  };
+
+  const update = async changes => {
+    const id = await syncService.enqueueUpdate(ORIGINAL, changes);
+    return syncService.syncQueue.find(item => item.id === id);
+  };
+
+  beforeEach(() => {
+    syncService.loadPromise = Promise.resolve();
+    syncService.isOnline = false;
+  });
+
+  it('ne signale que les champs modifiés des deux côtés', async () => {
+    const item = await update({ phone: '+24106222222', village: 'Ntoum', last_name: 'Ndong Mba' });
+
+    const conflict = syncService.computeConflict(item, SERVER);
+
+    // village : inchangé côté serveur ; last_name : même valeur des deux côtés
+    expect(conflict).toEqual({
+      detectedAt: expect.any(String),
+      server: { updated_at: '2026-01-02T08:00:00Z', version: 4 },
+      fields: [{ field: 'phone', base: '+24106000000', local: '+24106222222', server: '+24107111111' }],
+    });
+    expect(syncService.computeConflict(await update({ village: 'Ntoum' }), SERVER)).toBeNull();
+  });
+
+  it("met l'élément en conflit sans rien envoyer si le serveur a changé le même champ", async () => {
+    const item = await update({ phone: '+24106222222' });
+    apiClient.get.mockResolvedValue({ data: SERVER });
+
+    const result = await syncService.processItem(item);
+
+    expect(result).toEqual({ success: false, error: expect.any(String), conflict: true });
+    expect(apiClient.patch).not.toHaveBeenCalled();
+    expect(item.status).toBe(QUEUE_STATUS.CONFLICT);
+    expect((await localDatabase.getQueueItems())[0].conflict.fields.map(field => field.field)).toEqual(['phone']);
+  });
+
+  it('envoie la mise à jour si le serveur a changé d\'autres champs', async () => {
+    const item = await update({ village: 'Ntoum' });
+    apiClient.get.mockResolvedValue({ data: SERVER });
+    apiClient.patch.mockResolvedValue({ data: { ...SERVER, village: 'Ntoum' } });
+
+    const result = await syncService.processItem(item);
+
+    expect(result.success).toBe(true);
+    expect(apiClient.patch).toHaveBeenCalledWith('/identity/persons/42/', { village: 'Ntoum' }, {
+      headers: { 'Idempotency-Key': item.idempotencyKey },
+    });
+  });
+
+  it('lit le conflit dans une réponse 412', async () => {
+    const item = await update({ phone: '+24106222222' });
+    apiClient.get.mockResolvedValue({ data: ORIGINAL });
+    apiClient.patch.mockRejectedValue(httpError(412, SERVER));
+
+    const result = await syncService.processItem(item);
+
+    expect(result.conflict).toBe(true);
+    expect(item.conflict.server.version).toBe(4);
+  });
+
+  describe('resolveConflict', () => {
+    const inConflict = async changes => {
+      const item = await update(changes);
+      apiClient.get.mockResolvedValue({ data: SERVER });
+      await syncService.processItem(item);
+      return item;
+    };
+
+    it("renvoie la valeur locale retenue, sur la version serveur", async () => {
+      const item = await inConflict({ phone: '+24106222222', village: 'Ntoum' });
+
+      expect(await syncService.resolveConflict(item.id, { phone: '+24106222222' })).toBe(true);
+
+      expect(item).toMatchObject({
+        status: QUEUE_STATUS.PENDING,
+        conflict: null,
+        attempts: 0,
+        data: { id: 42, phone: '+24106222222', village: 'Ntoum' },
+        base: {
+          updated_at: '2026-01-02T08:00:00Z',
+          version: 4,
+          values: { phone: '+24107111111', village: 'Kango' },
+        },
+      });
+      expect((await localDatabase.getQueueItems())[0].status).toBe(QUEUE_STATUS.PENDING);
+
+      // Nouvel envoi : plus de conflit contre la version résolue
+      apiClient.patch.mockResolvedValue({ data: {} });
+      expect((await syncService.processItem(item)).success).toBe(true);
+    });
+
+    it('ne renvoie plus un champ dont la valeur serveur est retenue', async () => {
+      const item = await inConflict({ phone: '+24106222222', village: 'Ntoum' });
+
+      await syncService.resolveConflict(item.id, { phone: '+24107111111' });
+
+      expect(item.data).toEqual({ id: 42, village: 'Ntoum' });
+    });
+
+    it("abandonne l'élément si toutes les valeurs serveur sont retenues", async () => {
+      const item = await inConflict({ phone: '+24106222222' });
+
+      await syncService.resolveConflict(item.id, { phone: '+24107111111' });
+
+      expect(syncService.syncQueue).toEqual([]);
+      expect(await localDatabase.getQueueItems()).toEqual([]);
+    });
+
+    it("refuse un élément qui n'est pas en conflit", async () => {
+      const item = await update({ village: 'Ntoum' });
+      expect(await syncService.resolveConflict(item.id, { village: 'Ntoum' })).toBe(false);
+      expect(await syncService.resolveConflict('inconnu', {})).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+// =============================================================================
+// TESTS - LOTS DE TRANSFERT ENTRE APPAREILS
+// Signature d'origine : un élément modifié après l'export est rejeté
+// =============================================================================
+
+import { randomBytes } from 'crypto';
+import {
+  getSigningIdentity,
+  signOrigin,
+  verifyOrigin,
+  sealBundle,
+  openBundle,
+  generateTransferCode,
+  signDeviceRegistration,
+  deviceRegistrationMessage,
+} from '../transferBundle';
+import { ed25519 } from '@noble/curves/ed25519';
+import { hexToBytes } from '@noble/hashes/utils';
+import { bytesToBase64, utf8ToBytes } from '../../storage/encryption';
+
+jest.mock('expo-secure-store', () => {
+  const store = {};
+  return {
+    AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY: 'after-first-unlock',
+    getItemAsync: jest.fn(key => Promise.resolve(store[key] ?? null)),
+    setItemAsync: jest.fn((key, value) => {
+      store[key] = value;
+      return Promise.resolve();
+    }),
+  };
+});
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: length => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+
+const PHOTO = bytesToBase64(new Uint8Array(randomBytes(256)));
+
+let author;
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+async function signedItems() {
+  const enrollment = {
+    id: 'enrollment_1',
+    type: 'enrollment',
+    idempotencyKey: 'cle-1',
+    createdAt: '2026-01-01T08:00:00Z',
+    data: { first_name: 'Awa', last_name: 'Ndong', monthly_income: 50000 },
+    audit: [{ id: 'audit-1', action: 'create', changes: [{ field: 'first_name', before: null, after: 'Awa' }] }],
+  };
+  const document = {
+    id: 'upload_document_1',
+    type: 'upload_document',
+    idempotencyKey: 'cle-2',
+    createdAt: '2026-01-01T08:05:00Z',
+    data: { personId: 'enrollment_1', documentType: 'ID_CARD', image: { uri: 'file:///a.jpg', width: 800 } },
+    attachment: PHOTO,
+  };
+
+  for (const item of [enrollment, document]) {
+    item.origin = await signOrigin(item, author);
+  }
+  return [enrollment, document];
+}
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  const identity = await getSigningIdentity();
+  author = { userId: 12, username: 'agent12', name: 'Agent Douze', ...identity };
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  console.warn.mockRestore();
+});
+
+describe("signature d'origine", () => {
+  it('accepte un élément intact', async () => {
+    const items = await signedItems();
+    expect(items.every(verifyOrigin)).toBe(true);
+  });
+
+  it("ne dépend ni de l'ordre des champs ni de l'emplacement de la photo", async () => {
+    const [enrollment, document] = await signedItems();
+
+    const reordered = { ...enrollment, data: { monthly_income: 50000, last_name: 'Ndong', first_name: 'Awa' } };
+    const moved = { ...document, data: { ...document.data, image: { width: 800, uri: 'file:///autre/cle-2.jpg' } } };
+
+    expect(verifyOrigin(reordered)).toBe(true);
+    expect(verifyOrigin(moved)).toBe(true);
+  });
+
+  it('rejette des données modifiées', async () => {
+    const [enrollment] = await signedItems();
+    expect(verifyOrigin({ ...enrollment, data: { ...enrollment.data, monthly_income: 5000 } })).toBe(false);
+    expect(verifyOrigin({ ...enrollment, audit: [] })).toBe(false);
+  });
+
+  it('rejette une photo remplacée ou retirée', async () => {
+    const [, document] = await signedItems();
+    const other = bytesToBase64(new Uint8Array(randomBytes(256)));
+
+    expect(verifyOrigin({ ...document, attachment: other })).toBe(false);
+    expect(verifyOrigin({ ...document, attachment: undefined })).toBe(false);
+  });
+
+  it('rejette des empreintes recalculées sans nouvelle signature', async () => {
+    const [enrollment] = await signedItems();
+    const altered = { ...enrollment, data: { ...enrollment.data, monthly_income: 5000 } };
+    const resigned = await signOrigin(altered, author);
+
+    expect(verifyOrigin({ ...altered, origin: { ...enrollment.origin, payloadHash: resigned.payloadHash } })).toBe(false);
+  });
+
+  it("rejette un élément sans auteur ou signé par un autre appareil", async () => {
+    const [enrollment] = await signedItems();
+    expect(verifyOrigin({ ...enrollment, origin: undefined })).toBe(false);
+    expect(verifyOrigin({ ...enrollment, origin: { ...enrollment.origin, userId: 13 } })).toBe(false);
+  });
+});
+
+describe("enregistrement de la clé de l'appareil", () => {
+  it("signe l'utilisateur, l'appareil et la clé avec la clé enregistrée", async () => {
+    const registration = await signDeviceRegistration(12);
+
+    expect(registration).toMatchObject({ device_id: author.deviceId, public_key: author.publicKey });
+    const verifies = (userId) => ed25519.verify(
+      hexToBytes(registration.signature),
+      utf8ToBytes(deviceRegistrationMessage(userId, registration.device_id, registration.public_key)),
+      hexToBytes(registration.public_key)
+    );
+    expect(verifies(12)).toBe(true);
+    expect(verifies(13)).toBe(false);
+  });
+});
+
+describe('ouverture d\'un lot', () => {
+  it('écarte les éléments modifiés et garde les autres', async () => {
+    const code = generateTransferCode();
+    const items = await signedItems();
+    const tampered = clone(items);
+    tampered[0].data.monthly_income = 5000;
+
+    // Lot rescellé par un appareil intermédiaire : enveloppe valide,
+    // signature d'origine de l'élément modifié invalide
+    const relayed = await openBundle(await sealBundle(tampered, author, code), code);
+
+    expect(relayed.rejected).toBe(1);
+    expect(relayed.items.map(item => item.id)).toEqual(['upload_document_1']);
+  });
+
+  it('restitue un lot intact', async () => {
+    const code = generateTransferCode();
+    const items = await signedItems();
+
+    const opened = await openBundle(await sealBundle(items, author, code), code);
+
+    expect(opened).toEqual({ items: clone(items), rejected: 0 });
+  });
+});
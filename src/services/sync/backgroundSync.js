@@ -0,0 +1,130 @@
+// =============================================================================
+// SYNCHRONISATION EN ARRIÈRE-PLAN
+// Fichier: src/services/sync/backgroundSync.js
+// =============================================================================
+//
+// Tâche système (expo-background-task) réveillée périodiquement, y compris
+// téléphone verrouillé ou application fermée. Le système ne la lance que
+// lorsqu'une connexion est disponible : un retour du réseau déclenche donc
+// la prochaine exécution. Elle vide la queue unique avec la même logique que
+// l'application (backoff, dépendances, dead-letter) puis publie une
+// notification locale résumant les inscriptions et documents envoyés.
+//
+// Ce module doit être importé au démarrage (App.jsx) : la tâche est définie
+// à l'évaluation du module, avant toute exécution en arrière-plan.
+// =============================================================================
+
+import * as BackgroundTask from 'expo-background-task';
+import * as TaskManager from 'expo-task-manager';
+import * as Notifications from 'expo-notifications';
+import syncService from './syncService';
+import authService from '../auth/authService';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
+
+const { OPERATION_TYPES } = OFFLINE_CONFIG;
+
+export const BACKGROUND_SYNC_TASK = 'rsu-background-sync';
+
+// Intervalle minimal entre deux réveils (minutes, 15 au minimum sur Android)
+const MINIMUM_INTERVAL = 15;
+
+/**
+ * Texte de la notification de fin de synchronisation
+ */
+function buildSummary(result) {
+  const counts = (type) => result.byType[type] || { synced: 0, failed: 0 };
+  const enrollments = counts(OPERATION_TYPES.ENROLLMENT);
+  const documents = counts(OPERATION_TYPES.UPLOAD_DOCUMENT);
+  const otherSynced = result.synced - enrollments.synced - documents.synced;
+  const otherFailed = result.failed - enrollments.failed - documents.failed;
+
+  const synced = [`${enrollments.synced} inscription(s)`, `${documents.synced} document(s)`];
+  if (otherSynced > 0) {
+    synced.push(`${otherSynced} autre(s) élément(s)`);
+  }
+
+  let body = `Envoyés : ${synced.join(', ')}.`;
+  if (result.failed > 0) {
+    const failed = [`${enrollments.failed} inscription(s)`, `${documents.failed} document(s)`];
+    if (otherFailed > 0) {
+      failed.push(`${otherFailed} autre(s)`);
+    }
+    body += ` Échecs : ${failed.join(', ')}.`;
+  }
+
+  return {
+    title: result.failed > 0 ? 'Synchronisation RSU partielle' : 'Synchronisation RSU terminée',
+    body,
+  };
+}
+
+TaskManager.defineTask(BACKGROUND_SYNC_TASK, async () => {
+  try {
+    // Rien à envoyer sans enquêteur connecté
+    const user = await authService.getCurrentUser();
+    if (!user?.token) {
+      return BackgroundTask.BackgroundTaskResult.Success;
+    }
+
+    await syncService.ensureLoaded();
+    if (!await syncService.refreshNetworkState()) {
+      return BackgroundTask.BackgroundTaskResult.Success;
+    }
+
+    const result = await syncService.drain();
+    console.log(`🌙 Sync arrière-plan: ${result.synced} succès, ${result.failed} échecs`);
+
+    if (result.synced + result.failed > 0) {
+      await Notifications.scheduleNotificationAsync({
+        content: buildSummary(result),
+        trigger: null,
+      });
+    }
+
+    return BackgroundTask.BackgroundTaskResult.Success;
+  } catch (error) {
+    console.error('❌ Erreur sync arrière-plan:', error);
+    return BackgroundTask.BackgroundTaskResult.Failed;
+  }
+});
+
+/**
+ * Active la synchronisation en arrière-plan (idempotent)
+ */
+export async function registerBackgroundSync() {
+  try {
+    const status = await BackgroundTask.getStatusAsync();
+    if (status !== BackgroundTask.BackgroundTaskStatus.Available) {
+      console.log('⚠️ Tâches en arrière-plan indisponibles sur cet appareil');
+      return false;
+    }
+
+    // Autorisation des notifications de résumé (la sync fonctionne sans)
+    await Notifications.requestPermissionsAsync();
+
+    if (!await TaskManager.isTaskRegisteredAsync(BACKGROUND_SYNC_TASK)) {
+      await BackgroundTask.registerTaskAsync(BACKGROUND_SYNC_TASK, {
+        minimumInterval: MINIMUM_INTERVAL,
+      });
+      console.log('🌙 Sync arrière-plan enregistrée');
+    }
+    return true;
+  } catch (error) {
+    console.error('Erreur enregistrement sync arrière-plan:', error);
+    return false;
+  }
+}
+
+/**
+ * Désactive la synchronisation en arrière-plan
+ */
+export async function unregisterBackgroundSync() {
+  try {
+    if (await TaskManager.isTaskRegisteredAsync(BACKGROUND_SYNC_TASK)) {
+      await BackgroundTask.unregisterTaskAsync(BACKGROUND_SYNC_TASK);
+      console.log('🌙 Sync arrière-plan désactivée');
+    }
+  } catch (error) {
+    console.error('Erreur désactivation sync arrière-plan:', error);
+  }
+}
@@ -0,0 +1,204 @@
+// =============================================================================
+// BUNDLE SERVICE - TRANSFERT DE QUEUE ENTRE APPAREILS
+// Fichier: src/services/sync/bundleService.js
+// =============================================================================
+//
+// Export : les éléments choisis dans la queue (et les inscriptions dont ils
+// dépendent) sont signés au nom de l'enquêteur connecté, scellés dans un
+// fichier `.rsub` (transferBundle.js) partagé par Bluetooth, câble ou
+// messagerie. Le code de transfert affiché est communiqué séparément.
+//
+// Import : le fichier est vérifié (signature de l'appareil d'origine), puis
+// déchiffré avec le code. Un élément modifié depuis sa signature d'origine
+// est écarté. Les photos embarquées sont réécrites avec celles de la queue
+// (chunkedUpload.js) et les éléments rejoignent la queue de SyncService, qui
+// les envoie pour le compte de leur auteur avec leur clé d'idempotence
+// d'origine.
+// =============================================================================
+
+import { File, Paths } from 'expo-file-system';
+import * as DocumentPicker from 'expo-document-picker';
+import * as Sharing from 'expo-sharing';
+import { format } from 'date-fns';
+import syncService from './syncService';
+import authService from '../auth/authService';
+import {
+  BUNDLE_EXTENSION,
+  getSigningIdentity,
+  signOrigin,
+  generateTransferCode,
+  sealBundle,
+  checkEnvelope,
+  openBundle,
+} from './transferBundle';
+import { storeDocumentImage } from './chunkedUpload';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
+
+const { OPERATION_TYPES } = OFFLINE_CONFIG;
+
+const BUNDLE_MIME_TYPE = 'application/json';
+
+class BundleService {
+  /**
+   * Auteur des éléments exportés depuis cet appareil
+   */
+  async getAuthor() {
+    const user = await authService.getCurrentUser();
+    if (!user) {
+      throw new Error('Connectez-vous pour exporter des éléments');
+    }
+
+    // Clé inconnue du serveur pour cet enquêteur : ses éléments seraient refusés
+    const identity = await getSigningIdentity();
+    if (user.signingKey !== identity.publicKey) {
+      throw new Error('Appareil non enregistré : connectez-vous en ligne avant d\'exporter des éléments');
+    }
+
+    return {
+      userId: user.id,
+      username: user.username || user.email,
+      name: `${user.firstName || user.first_name || ''} ${user.lastName || user.last_name || ''}`.trim(),
+      deviceId: identity.deviceId,
+      publicKey: identity.publicKey,
+    };
+  }
+
+  /**
+   * Embarque la photo d'un document dans l'élément (l'uri locale n'a pas de
+   * sens sur l'appareil destinataire)
+   */
+  async embedAttachment(item) {
+    const { image } = item.data;
+    const file = new File(image.uri);
+    const content = file.exists ? await file.base64() : image.base64;
+    if (!content) {
+      throw new Error(`Photo introuvable pour ${item.metadata?.description || item.id}`);
+    }
+
+    const { base64, ...rest } = image;
+    item.data = { ...item.data, image: rest };
+    item.attachment = content;
+  }
+
+  /**
+   * Exporte des éléments de la queue dans un lot chiffré
+   *
+   * @param {Array} itemIds - Éléments choisis
+   * @returns {Promise<Object>} - { uri, code, count, bundleId }
+   */
+  async exportItems(itemIds) {
+    try {
+      const author = await this.getAuthor();
+      const items = await syncService.getExportableItems(itemIds);
+      if (items.length === 0) {
+        throw new Error('Aucun élément à exporter');
+      }
+
+      for (const item of items) {
+        // Photo embarquée avant la signature, qui couvre son contenu
+        if (item.type === OPERATION_TYPES.UPLOAD_DOCUMENT) {
+          await this.embedAttachment(item);
+        }
+        // Un élément déjà reçu d'un collègue garde son auteur d'origine
+        if (!item.origin) {
+          item.origin = await signOrigin(item, author);
+        }
+        delete item.upload;
+      }
+
+      const code = generateTransferCode();
+      const envelope = await sealBundle(items, author, code);
+
+      const file = new File(Paths.cache, `rsu-lot-${format(new Date(), 'yyyyMMdd-HHmm')}.${BUNDLE_EXTENSION}`);
+      if (file.exists) {
+        file.delete();
+      }
+      file.create();
+      file.write(JSON.stringify(envelope));
+
+      await syncService.markExported(items.map(item => item.id), envelope.bundleId);
+      console.log(`📤 Lot ${envelope.bundleId} exporté: ${items.length} élément(s)`);
+
+      return { uri: file.uri, code, count: items.length, bundleId: envelope.bundleId };
+    } catch (error) {
+      console.error('Erreur export lot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Partage un fichier de lot (Bluetooth, câble, messagerie...)
+   */
+  async shareBundle(uri) {
+    if (!await Sharing.isAvailableAsync()) {
+      throw new Error('Partage de fichiers indisponible sur cet appareil');
+    }
+    await Sharing.shareAsync(uri, {
+      mimeType: BUNDLE_MIME_TYPE,
+      dialogTitle: 'Transmettre le lot RSU',
+    });
+  }
+
+  /**
+   * Choisit un fichier de lot et vérifie sa signature
+   *
+   * @returns {Promise<Object|null>} - Enveloppe du lot, null si annulé
+   */
+  async pickBundle() {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: '*/*',
+      copyToCacheDirectory: true,
+    });
+    if (result.canceled || !result.assets?.length) {
+      return null;
+    }
+
+    let envelope;
+    try {
+      envelope = JSON.parse(await new File(result.assets[0].uri).text());
+    } catch {
+      throw new Error('Fichier illisible : ce n\'est pas un lot de transfert RSU');
+    }
+
+    checkEnvelope(envelope);
+    return envelope;
+  }
+
+  /**
+   * Réécrit la photo embarquée d'un document avec les photos de la queue
+   */
+  restoreAttachment(item) {
+    const { image } = storeDocumentImage({ ...item.data.image, base64: item.attachment }, item.idempotencyKey);
+    item.data = { ...item.data, image };
+    delete item.attachment;
+  }
+
+  /**
+   * Déchiffre un lot et ajoute ses éléments à la queue
+   *
+   * @param {Object} envelope - Enveloppe retournée par pickBundle
+   * @param {string} code - Code de transfert saisi
+   * @returns {Promise<Object>} - { imported, skipped, refused, rejected }
+   */
+  async importBundle(envelope, code) {
+    try {
+      const { items, rejected } = await openBundle(envelope, code);
+
+      items
+        .filter(item => item.attachment)
+        .forEach(item => this.restoreAttachment(item));
+
+      const result = await syncService.importItems(items, {
+        bundleId: envelope.bundleId,
+        author: envelope.author,
+      });
+      return { ...result, rejected };
+    } catch (error) {
+      console.error('Erreur import lot:', error);
+      throw error;
+    }
+  }
+}
+
+const bundleService = new BundleService();
+export default bundleService;
@@ -0,0 +1,257 @@
+// =============================================================================
+// UPLOAD REPRENABLE DES DOCUMENTS PHOTO
+// Fichier: src/services/sync/chunkedUpload.js
+// =============================================================================
+//
+// Les photos de pièces d'identité sont envoyées par morceaux
+// (SYNC_CONFIG.UPLOAD_CHUNK_SIZE) dans une session d'upload, pour qu'une
+// coupure sur une connexion rurale faible reprenne là où elle s'est arrêtée
+// au lieu de tout renvoyer.
+//
+// Protocole (API_CONFIG.ENDPOINTS.DOCUMENT_UPLOADS) :
+//   POST  uploads/                { person_id, document_type, metadata,
+//                                   filename, size } + Idempotency-Key
+//                                   -> { upload_id, offset }
+//   PATCH uploads/{id}/           octets du morceau, en-têtes Upload-Offset
+//                                   et Upload-Checksum (`sha256 <hex>`)
+//                                   -> { offset } (octets reçus au total)
+//   POST  uploads/{id}/complete/  -> document créé { id, url }
+//
+// La session est ouverte avec la clé d'idempotence de l'élément : chaque
+// nouvel essai (après redémarrage, ou depuis la queue après un upload direct
+// interrompu) retrouve la même session et reprend à l'offset du serveur.
+//
+// La photo d'un élément en queue est copiée dans le répertoire documents de
+// l'application (le cache d'ImagePicker peut être vidé par le système) et
+// l'élément ne garde que son uri. Un fichier disparu malgré tout est une
+// erreur définitive (DOCUMENT_FILE_MISSING) : l'élément part en dead-letter.
+// Vider la queue (ou effacer l'appareil) supprime tout le répertoire.
+// =============================================================================
+
+import { File, Directory, Paths } from 'expo-file-system';
+import * as Crypto from 'expo-crypto';
+import apiClient from '../api/apiClient';
+import { base64ToBytes } from '../storage/encryption';
+import { API_CONFIG } from '../../constants/apiConfig';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
+import { ERROR_MESSAGES } from '../../constants/errorMessages';
+
+const { SYNC_CONFIG } = OFFLINE_CONFIG;
+
+export const DOCUMENT_FILE_MISSING = 'DOCUMENT_FILE_MISSING';
+
+const QUEUED_DOCUMENTS_DIR = 'queued_documents';
+
+// Refus d'un morceau par le serveur
+const CHUNK_REJECTIONS = {
+  SESSION_EXPIRED: [404, 410],   // Session inconnue ou expirée : en rouvrir une
+  OFFSET_MISMATCH: 409,          // Offset décalé : reprendre à celui du serveur
+  CHECKSUM_MISMATCH: 460,        // Morceau altéré en route : le renvoyer
+};
+
+// Refus consécutifs tolérés avant d'abandonner la tentative
+const MAX_CHUNK_REJECTIONS = 3;
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Empreinte SHA-256 d'un morceau (en-tête Upload-Checksum)
+ */
+async function checksum(bytes) {
+  const digest = await Crypto.digest(Crypto.CryptoDigestAlgorithm.SHA256, bytes);
+  return `sha256 ${toHex(digest)}`;
+}
+
+function missingFileError() {
+  const error = new Error(ERROR_MESSAGES.SYNC.DOCUMENT_FILE_MISSING);
+  error.code = DOCUMENT_FILE_MISSING;
+  return error;
+}
+
+// =============================================================================
+// PHOTOS DES ÉLÉMENTS EN QUEUE
+// =============================================================================
+
+function queuedDocumentsDirectory() {
+  const directory = new Directory(Paths.document, QUEUED_DOCUMENTS_DIR);
+  if (!directory.exists) {
+    directory.create();
+  }
+  return directory;
+}
+
+/**
+ * Place la photo d'un document dans le répertoire de l'application : copie
+ * du fichier capturé, ou écriture du base64 (documents des anciennes queues)
+ *
+ * @param {Object} image - Image capturée { uri, base64?, documentType, ... }
+ * @param {string} name - Nom stable du fichier (clé d'idempotence de l'élément)
+ * @returns {Object} - { image (uri dans l'application, sans base64), size }
+ */
+export function storeDocumentImage(image, name) {
+  const { base64, ...rest } = image;
+  const target = new File(queuedDocumentsDirectory(), `${name}.jpg`);
+
+  if (!target.exists) {
+    const source = rest.uri ? new File(rest.uri) : null;
+    if (source?.exists) {
+      source.copy(target);
+    } else if (base64) {
+      target.create();
+      target.write(base64ToBytes(base64));
+    } else {
+      throw missingFileError();
+    }
+  }
+
+  return { image: { ...rest, uri: target.uri }, size: target.size };
+}
+
+/**
+ * Supprime la copie d'une photo envoyée ou abandonnée (les fichiers hors du
+ * répertoire de la queue ne sont pas touchés)
+ */
+export function removeDocumentImage(image) {
+  try {
+    const directory = new Directory(Paths.document, QUEUED_DOCUMENTS_DIR);
+    if (!image?.uri?.startsWith(directory.uri)) return;
+
+    const file = new File(image.uri);
+    if (file.exists) {
+      file.delete();
+    }
+  } catch (error) {
+    console.error('Erreur suppression photo en queue:', error);
+  }
+}
+
+/**
+ * Supprime toutes les photos de la queue (queue vidée, appareil effacé)
+ */
+export function clearDocumentImages() {
+  try {
+    const directory = new Directory(Paths.document, QUEUED_DOCUMENTS_DIR);
+    if (directory.exists) {
+      directory.delete();
+    }
+  } catch (error) {
+    console.error('Erreur suppression photos en queue:', error);
+  }
+}
+
+// =============================================================================
+// UPLOAD PAR MORCEAUX
+// =============================================================================
+
+function sessionUrl(uploadId, action = '') {
+  return `${API_CONFIG.ENDPOINTS.DOCUMENT_UPLOADS}${uploadId}/${action}`;
+}
+
+/**
+ * Ouvre (ou retrouve, même clé d'idempotence) la session d'upload
+ */
+async function openSession({ image, personId }, size, headers) {
+  const response = await apiClient.post(
+    API_CONFIG.ENDPOINTS.DOCUMENT_UPLOADS,
+    {
+      person_id: personId,
+      document_type: image.documentType,
+      metadata: image.metadata,
+      filename: `${image.documentType}_${personId}.jpg`,
+      size,
+    },
+    { headers }
+  );
+
+  return {
+    uploadId: response.data.upload_id,
+    offset: response.data.offset || 0,
+    size,
+  };
+}
+
+/**
+ * Envoie un morceau à l'offset courant de la session
+ *
+ * @returns {Promise<number>} - Nouvel offset confirmé par le serveur
+ */
+async function sendChunk(upload, bytes) {
+  const response = await apiClient.patch(sessionUrl(upload.uploadId), bytes, {
+    headers: {
+      'Content-Type': 'application/offset+octet-stream',
+      'Upload-Offset': String(upload.offset),
+      'Upload-Checksum': await checksum(bytes),
+    },
+    timeout: SYNC_CONFIG.UPLOAD_CHUNK_TIMEOUT,
+  });
+
+  return response.data.offset;
+}
+
+/**
+ * Envoie un document photo par morceaux, en reprenant une session existante
+ *
+ * @param {Object} data - { image, personId } (personId = id serveur)
+ * @param {string} idempotencyKey - Clé stable de l'élément
+ * @param {Object} options - { onProgress(upload) } appelé après chaque morceau
+ *                           avec { uploadId, offset, size } ;
+ *                           { headers } en-têtes ajoutés à l'ouverture et à la
+ *                           finalisation (auteur d'origine)
+ * @returns {Promise<Object>} - Document créé par le serveur
+ */
+export async function uploadDocumentInChunks(data, idempotencyKey, options = {}) {
+  const { onProgress = () => {} } = options;
+  const headers = { ...options.headers, [API_CONFIG.IDEMPOTENCY_HEADER]: idempotencyKey };
+
+  const file = data.image?.uri ? new File(data.image.uri) : null;
+  if (!file?.exists) {
+    throw missingFileError();
+  }
+
+  const size = file.size;
+  let upload = await openSession(data, size, headers);
+  if (upload.offset > 0) {
+    console.log(`⏯️ Reprise upload ${upload.uploadId} à ${upload.offset}/${size} octets`);
+  }
+  await onProgress(upload);
+
+  const handle = file.open();
+  try {
+    let rejections = 0;
+
+    while (upload.offset < size) {
+      handle.offset = upload.offset;
+      const bytes = handle.readBytes(Math.min(SYNC_CONFIG.UPLOAD_CHUNK_SIZE, size - upload.offset));
+
+      try {
+        upload = { ...upload, offset: await sendChunk(upload, bytes) };
+        rejections = 0;
+        await onProgress(upload);
+      } catch (error) {
+        // Pas de réponse (réseau, timeout) : la session reprendra au prochain essai
+        const status = error.response?.status;
+        const rejected = CHUNK_REJECTIONS.SESSION_EXPIRED.includes(status)
+          || status === CHUNK_REJECTIONS.OFFSET_MISMATCH
+          || status === CHUNK_REJECTIONS.CHECKSUM_MISMATCH;
+
+        if (!rejected || ++rejections > MAX_CHUNK_REJECTIONS) {
+          throw error;
+        }
+
+        if (CHUNK_REJECTIONS.SESSION_EXPIRED.includes(status)) {
+          upload = await openSession(data, size, headers);
+        } else if (status === CHUNK_REJECTIONS.OFFSET_MISMATCH && Number.isInteger(error.response.data?.offset)) {
+          upload = { ...upload, offset: error.response.data.offset };
+        }
+        console.log(`⚠️ Morceau refusé (HTTP ${status}), reprise à ${upload.offset} octets`);
+      }
+    }
+  } finally {
+    handle.close();
+  }
+
+  const response = await apiClient.post(sessionUrl(upload.uploadId, 'complete/'), {}, { headers });
+  return response.data;
+}
@@ -0,0 +1,139 @@
+// =============================================================================
+// PULL SERVICE - TÉLÉCHARGEMENT DU REGISTRE DE LA ZONE
+// Fichier: src/services/sync/pullService.js
+// =============================================================================
+//
+// Pendant de SyncService (envoi) : télécharge dans la base locale les
+// personnes et ménages de la zone assignée à l'enquêteur, pour que liste,
+// détail et carte fonctionnent entièrement hors ligne.
+//
+// Le premier téléchargement récupère toute la zone ; les suivants ne
+// demandent que les enregistrements modifiés depuis le dernier curseur
+// (`updated_since` = plus grand `updated_at` reçu). Un curseur est gardé par
+// table et par zone : changer de zone relance un téléchargement complet.
+// Les enregistrements supprimés ou désactivés côté serveur sont retirés.
+// =============================================================================
+
+import apiClient from '../api/apiClient';
+import authService from '../auth/authService';
+import localDatabase from '../database/localDatabase';
+import { API_CONFIG } from '../../constants/apiConfig';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
+
+const { SYNC_CONFIG } = OFFLINE_CONFIG;
+
+// Tables locales alimentées depuis le serveur
+const PULL_SOURCES = [
+  { table: 'persons', endpoint: API_CONFIG.ENDPOINTS.PERSONS },
+  { table: 'households', endpoint: API_CONFIG.ENDPOINTS.HOUSEHOLDS },
+];
+
+class PullService {
+  constructor() {
+    this.pullPromise = null;
+    this.lastPullAt = null;
+  }
+
+  /**
+   * Zone assignée à l'enquêteur connecté (toute la base si non renseignée)
+   */
+  async getZone() {
+    const user = await authService.getCurrentUser();
+    const zone = user?.assignedZone || {};
+
+    return {
+      province: zone.province || null,
+      district: zone.district || null,
+    };
+  }
+
+  cursorKey(table, zone) {
+    return `pull_cursor:${table}:${zone.province || '*'}:${zone.district || '*'}`;
+  }
+
+  /**
+   * Télécharge les changements de la zone (un seul téléchargement à la fois)
+   *
+   * @returns {Promise<Object>} - { success, counts: { persons, households }, error }
+   */
+  pull() {
+    if (!this.pullPromise) {
+      this.pullPromise = this.pullZone().finally(() => {
+        this.pullPromise = null;
+      });
+    }
+    return this.pullPromise;
+  }
+
+  async pullZone() {
+    try {
+      const zone = await this.getZone();
+      const counts = {};
+
+      for (const source of PULL_SOURCES) {
+        counts[source.table] = await this.pullTable(source, zone);
+      }
+
+      this.lastPullAt = new Date().toISOString();
+      console.log(`⬇️ Registre à jour: ${counts.persons} personne(s), ${counts.households} ménage(s)`);
+      return { success: true, counts };
+    } catch (error) {
+      console.log('⚠️ Téléchargement registre impossible:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Télécharge une table page par page depuis son curseur
+   *
+   * @returns {Promise<number>} - Nombre d'enregistrements reçus
+   */
+  async pullTable({ table, endpoint }, zone) {
+    const key = this.cursorKey(table, zone);
+    const cursor = await localDatabase.getSyncState(key);
+    let newCursor = cursor;
+    let received = 0;
+    let page = 1;
+    let hasNext = true;
+
+    while (hasNext) {
+      const response = await apiClient.get(endpoint, {
+        params: {
+          ...(zone.province ? { province: zone.province } : {}),
+          ...(zone.district ? { district: zone.district } : {}),
+          ...(cursor ? { updated_since: cursor } : {}),
+          ordering: 'updated_at',
+          page,
+          page_size: SYNC_CONFIG.PULL_PAGE_SIZE,
+        },
+      });
+
+      const records = response.data?.results || [];
+      const removed = records.filter(record => record.is_deleted || record.is_active === false);
+      const active = records.filter(record => !removed.includes(record));
+
+      await localDatabase.upsertRecords(table, active);
+      await localDatabase.deleteRecords(table, removed.map(record => record.id));
+
+      records.forEach(record => {
+        if (record.updated_at && (!newCursor || record.updated_at > newCursor)) {
+          newCursor = record.updated_at;
+        }
+      });
+
+      received += records.length;
+      hasNext = Boolean(response.data?.next);
+      page++;
+    }
+
+    // Curseur avancé seulement une fois toutes les pages enregistrées
+    if (newCursor !== cursor) {
+      await localDatabase.setSyncState(key, newCursor);
+    }
+
+    return received;
+  }
+}
+
+const pullService = new PullService();
+export default pullService;
@@ -0,0 +1,205 @@
+// =============================================================================
+// JOURNAL DES ENVOIS
+// Fichier: src/services/sync/syncJournal.js
+// =============================================================================
+//
+// Historique persistant de chaque tentative d'envoi (table `sync_journal` de
+// la base locale) : un élément synchronisé quitte la queue mais reste
+// retrouvable ici (type, id local, id serveur, dates, tentatives, octets,
+// résultat). Alimenté par SyncService, consulté depuis OfflineQueueScreen
+// et exporté en rapport journalier pour le superviseur.
+//
+// Les entrées de plus de JOURNAL_RETENTION_DAYS jours sont purgées.
+// =============================================================================
+
+import { format, subDays } from 'date-fns';
+import { fr } from 'date-fns/locale';
+import localDatabase from '../database/localDatabase';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
+
+const { OPERATION_TYPES, JOURNAL_RESULTS } = OFFLINE_CONFIG;
+
+const TYPE_LABELS = {
+  [OPERATION_TYPES.ENROLLMENT]: 'Inscription',
+  [OPERATION_TYPES.SURVEY]: 'Enquête',
+  [OPERATION_TYPES.UPDATE_PERSON]: 'Mise à jour',
+  [OPERATION_TYPES.DELETE_PERSON]: 'Suppression',
+  [OPERATION_TYPES.CREATE_HOUSEHOLD]: 'Ménage',
+  [OPERATION_TYPES.UPLOAD_DOCUMENT]: 'Document',
+  [OPERATION_TYPES.REVIEW_PERSON]: 'Vérification',
+};
+
+const RESULT_LABELS = {
+  [JOURNAL_RESULTS.SYNCED]: 'Envoyé',
+  [JOURNAL_RESULTS.DUPLICATE]: 'Déjà reçu',
+  [JOURNAL_RESULTS.FAILED]: 'Échec (nouvel essai)',
+  [JOURNAL_RESULTS.DEAD_LETTER]: 'Rejeté',
+  [JOURNAL_RESULTS.CONFLICT]: 'Conflit',
+};
+
+const CSV_COLUMNS = ['heure', 'type', 'description', 'id_local', 'id_serveur', 'resultat', 'tentatives', 'octets', 'erreur'];
+
+/**
+ * Jour local au format YYYY-MM-DD (clé de filtre et de rapport)
+ */
+export function toDay(date = new Date()) {
+  return format(date, 'yyyy-MM-dd');
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[;"\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class SyncJournal {
+  constructor() {
+    this.pruned = false;
+  }
+
+  /**
+   * Résultat de journal d'un résultat de SyncService
+   */
+  resultOf(itemResult) {
+    if (itemResult.success) {
+      return itemResult.duplicate ? JOURNAL_RESULTS.DUPLICATE : JOURNAL_RESULTS.SYNCED;
+    }
+    if (itemResult.conflict) {
+      return JOURNAL_RESULTS.CONFLICT;
+    }
+    return itemResult.deadLetter ? JOURNAL_RESULTS.DEAD_LETTER : JOURNAL_RESULTS.FAILED;
+  }
+
+  /**
+   * Enregistre le résultat de tentatives d'envoi (n'interrompt jamais la sync)
+   *
+   * @param {Array} outcomes - [{ item, itemResult }]
+   */
+  async record(outcomes) {
+    try {
+      const now = new Date();
+      const entries = outcomes.map(({ item, itemResult }) => ({
+        itemId: item.id,
+        itemType: item.type,
+        result: this.resultOf(itemResult),
+        serverId: itemResult.serverId || null,
+        description: item.metadata?.description || null,
+        rsuId: item.metadata?.rsuId || null,
+        createdAt: item.createdAt,
+        recordedAt: now.toISOString(),
+        day: toDay(now),
+        // recordFailure compte déjà la tentative, recordSuccess non
+        attempts: itemResult.success ? item.attempts + 1 : item.attempts,
+        bytes: item.sizeBytes || 0,
+        error: itemResult.error || null,
+      }));
+
+      await localDatabase.addJournalEntries(entries);
+      await this.pruneOnce();
+    } catch (error) {
+      console.error('Erreur journal des envois:', error);
+    }
+  }
+
+  /**
+   * Purge des entrées expirées (une fois par lancement)
+   */
+  async pruneOnce() {
+    if (this.pruned) {
+      return;
+    }
+    this.pruned = true;
+    await localDatabase.pruneJournal(toDay(subDays(new Date(), OFFLINE_CONFIG.JOURNAL_RETENTION_DAYS)));
+  }
+
+  /**
+   * Entrées du journal filtrées
+   *
+   * @param {Object} filters - { day, fromDay, type, result, search, limit, offset }
+   */
+  async getEntries(filters = {}) {
+    try {
+      return await localDatabase.queryJournal(filters);
+    } catch (error) {
+      console.error('Erreur lecture journal:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Bilan d'une journée
+   *
+   * @param {string} day - YYYY-MM-DD (aujourd'hui par défaut)
+   * @returns {Promise<Object>} - { day, totals, byType, entries }
+   */
+  async getDailyReport(day = toDay()) {
+    const entries = await this.getEntries({ day, limit: 10000 });
+    const emptyCounts = () => ({ sent: 0, failed: 0, rejected: 0, conflicts: 0, bytes: 0 });
+    const totals = emptyCounts();
+    const byType = {};
+
+    entries.forEach(entry => {
+      byType[entry.itemType] = byType[entry.itemType] || emptyCounts();
+
+      [totals, byType[entry.itemType]].forEach(counts => {
+        switch (entry.result) {
+          case JOURNAL_RESULTS.SYNCED:
+          case JOURNAL_RESULTS.DUPLICATE:
+            counts.sent++;
+            counts.bytes += entry.bytes;
+            break;
+          case JOURNAL_RESULTS.DEAD_LETTER:
+            counts.rejected++;
+            break;
+          case JOURNAL_RESULTS.CONFLICT:
+            counts.conflicts++;
+            break;
+          default:
+            counts.failed++;
+        }
+      });
+    });
+
+    return { day, totals, byType, entries };
+  }
+
+  /**
+   * Rapport journalier exportable : résumé puis détail CSV (séparateur `;`)
+   *
+   * @param {Object} report - Résultat de getDailyReport
+   * @param {Object} surveyor - Utilisateur connecté (nom dans l'en-tête)
+   */
+  formatDailyReport(report, surveyor = null) {
+    const megabytes = (bytes) => (bytes / 1024 / 1024).toFixed(2);
+    const dayLabel = format(new Date(`${report.day}T12:00:00`), 'EEEE d MMMM yyyy', { locale: fr });
+    const { totals } = report;
+
+    const lines = [
+      `Rapport de synchronisation RSU - ${dayLabel}`,
+      surveyor ? `Enquêteur : ${surveyor.first_name || ''} ${surveyor.last_name || ''} (${surveyor.username || surveyor.email || ''})` : null,
+      `Envoyés : ${totals.sent} (${megabytes(totals.bytes)} Mo) - Échecs temporaires : ${totals.failed} - Rejets : ${totals.rejected} - Conflits : ${totals.conflicts}`,
+      '',
+      ...Object.entries(report.byType).map(([type, counts]) =>
+        `${TYPE_LABELS[type] || type} : ${counts.sent} envoyé(s), ${counts.failed} échec(s), ${counts.rejected} rejet(s), ${counts.conflicts} conflit(s)`
+      ),
+      '',
+      CSV_COLUMNS.join(';'),
+      ...report.entries.map(entry => [
+        format(new Date(entry.recordedAt), 'HH:mm:ss'),
+        TYPE_LABELS[entry.itemType] || entry.itemType,
+        entry.description,
+        entry.itemId,
+        entry.serverId,
+        RESULT_LABELS[entry.result] || entry.result,
+        entry.attempts,
+        entry.bytes,
+        entry.error,
+      ].map(csvCell).join(';')),
+    ];
+
+    return lines.filter(line => line !== null).join('\n');
+  }
+}
+
+const syncJournal = new SyncJournal();
+export { TYPE_LABELS, RESULT_LABELS };
+export default syncJournal;
@@ -1,74 +1,428 @@
 // =============================================================================
-// CORRECTION 2 : SYNCSERVICE INITIALIZE METHOD
-// Fichier: src/services/sync/syncService.js - CORRECTION COMPLÈTE
+// SYNC SERVICE - MOTEUR DE SYNCHRONISATION UNIQUE
+// Fichier: src/services/sync/syncService.js
+// =============================================================================
+//
+// Seul propriétaire de la queue offline persistante (table `queue_items` de
+// la base locale, une ligne par élément).
+// Tous les écrans, hooks et services passent par cette API :
+//   enqueue(type, data, metadata)  - ajouter une opération
+//   drain()                        - synchroniser les éléments en attente
+//   getQueue()                     - lire la queue
+//   retry(itemId)                  - relancer un élément
+//   discard(itemId)                - abandonner un élément
+//   getQueueUsage()                - occupation (éléments, octets, niveau)
+//   enqueueUpdate(person, changes) - modifier une personne existante
+//   enqueueReview(person, review)  - décision de vérification du superviseur
+//   resolveConflict(itemId, values)- fusionner une mise à jour en conflit
+//   setSyncPolicy(policy)          - réseaux autorisés par type, budget mobile
+//   subscribe(listener)            - suivre la sync en direct (SYNC_EVENTS)
+//   importItems(items, bundle)     - reprendre la queue d'un autre appareil
+//
+// Les échecs temporaires (réseau, 5xx, 429) sont réessayés avec un backoff
+// exponentiel. Les rejets définitifs (4xx de validation) partent en
+// dead-letter (même table, statut `dead_letter`) où ils peuvent être corrigés puis
+// resoumis via resubmit(itemId, data).
+//
+// Chaque élément porte une clé d'idempotence stable (en-tête
+// `Idempotency-Key`) : une réponse « déjà traité » du serveur est un succès
+// et l'id serveur est mémorisé (getServerId) pour l'id local.
+//
+// Un élément qui référence un RSU-ID provisoire (`OFFLINE-xxxxxxxx`) dépend
+// de l'inscription correspondante (dependsOn) : il attend qu'elle soit
+// synchronisée puis la référence est réécrite avec l'id serveur.
+//
+// Une mise à jour de personne porte l'état serveur sur lequel elle a été
+// faite (base : updated_at, version, valeurs d'origine). Si le serveur a
+// modifié entre-temps les mêmes champs, l'élément passe en conflit et attend
+// une fusion champ par champ (resolveConflict) avant d'être renvoyé.
+//
+// La queue est limitée en nombre d'éléments et en octets (MAX_QUEUE_SIZE,
+// MAX_QUEUE_BYTES) : au-delà, les nouveaux documents photo sont refusés
+// (QUEUE_FULL) ; les saisies texte restent acceptées. Quand la queue est sous
+// pression, les plus gros puis les plus anciens éléments partent en premier.
+//
+// Chaque élément est marqué avec le serveur actif à sa création
+// (environmentService) : une saisie de production attend le retour sur le
+// serveur de production au lieu de partir vers un serveur de test.
+//
+// Chaque type d'opération a une règle réseau (NETWORK_RULES) : par défaut les
+// saisies texte partent sur tout réseau et les documents photo attendent le
+// Wi-Fi, ou partent sur réseau mobile tant que le budget mensuel (Mo) n'est
+// pas consommé. Les octets envoyés sur réseau mobile sont comptés par mois.
+//
+// Les enregistrements texte sont envoyés par lots (SYNC_CONFIG.BATCH_SIZE)
+// sur /sync/bulk-upload/ ; les documents photo restent envoyés un par un,
+// par morceaux dans une session reprenable (chunkedUpload.js) dont
+// l'avancement est gardé sur l'élément (upload : { uploadId, offset, size }).
+//
+// Des éléments peuvent être confiés à un autre appareil (bundleService.js) :
+// importés avec leur clé d'idempotence et leur auteur signé (origin), ils
+// sont envoyés pour son compte (en-têtes API_CONFIG.ORIGIN_HEADERS).
+//
+// Chaque tentative (succès, échec, rejet, conflit) est inscrite au journal
+// des envois (syncJournal.js), qui survit au retrait de l'élément de la queue.
+//
+// Un élément peut porter les entrées d'audit de la saisie (auditService.js) :
+// elles partent dans le corps de requête (`audit_trail`) et sont marquées
+// envoyées dans la base locale quand l'élément est synchronisé.
+//
+// Les anciennes files (`offline_queue`, `offline_document_*`, puis les blobs
+// JSON `sync_queue` / `sync_dead_letter` / `sync_id_map`) sont migrées au
+// chargement puis supprimées.
 // =============================================================================
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import NetInfo from '@react-native-community/netinfo';
+import { v4 as uuidv4 } from 'uuid';
 import apiClient from '../api/apiClient';
+import environmentService from '../api/environmentService';
+import storageService from '../storage/storageService';
+import localDatabase from '../database/localDatabase';
+import { buildEnrollmentPayload } from '../enrollment/enrollmentPayload';
+import {
+  uploadDocumentInChunks,
+  storeDocumentImage,
+  removeDocumentImage,
+  clearDocumentImages,
+  DOCUMENT_FILE_MISSING,
+} from './chunkedUpload';
+import syncJournal from './syncJournal';
+import { API_CONFIG } from '../../constants/apiConfig';
+import { OFFLINE_CONFIG } from '../../constants/offlineConstants';
+import { ERROR_MESSAGES } from '../../constants/errorMessages';
+
+const {
+  STORAGE_KEYS, OPERATION_TYPES, QUEUE_STATUS, SYNC_CONFIG, QUEUE_PRESSURE,
+  NETWORK_RULES, NETWORK_BLOCKS, DEFAULT_SYNC_POLICY, SYNC_EVENTS,
+} = OFFLINE_CONFIG;
+
+// Clés de la table sync_state (base locale)
+const POLICY_STATE_KEY = 'sync_policy';
+const CELLULAR_USAGE_STATE_KEY = 'cellular_usage';
+
+// Réseaux non facturés au volume
+const UNMETERED_TYPES = ['wifi', 'ethernet'];
+
+// Types historiques -> types unifiés (OPERATION_TYPES)
+const LEGACY_TYPE_MAP = {
+  update: OPERATION_TYPES.UPDATE_PERSON,
+  CREATE_PERSON: OPERATION_TYPES.ENROLLMENT,
+  UPDATE_PERSON: OPERATION_TYPES.UPDATE_PERSON,
+  CREATE_HOUSEHOLD: OPERATION_TYPES.CREATE_HOUSEHOLD,
+  SUBMIT_SURVEY: OPERATION_TYPES.SURVEY,
+  UPLOAD_DOCUMENT: OPERATION_TYPES.UPLOAD_DOCUMENT,
+};
+
+// Types envoyables via l'endpoint bulk (JSON, sans fichier).
+// Les mises à jour restent unitaires pour la détection de conflit.
+const BULK_TYPES = [
+  OPERATION_TYPES.ENROLLMENT,
+  OPERATION_TYPES.SURVEY,
+  OPERATION_TYPES.CREATE_HOUSEHOLD,
+];
+
+// Champs pouvant contenir l'id d'une personne inscrite hors ligne
+const PERSON_REFERENCE_FIELDS = {
+  [OPERATION_TYPES.SURVEY]: ['person_id'],
+  [OPERATION_TYPES.UPLOAD_DOCUMENT]: ['personId'],
+  [OPERATION_TYPES.CREATE_HOUSEHOLD]: ['head_of_household'],
+  [OPERATION_TYPES.UPDATE_PERSON]: ['id'],
+  [OPERATION_TYPES.REVIEW_PERSON]: ['id'],
+};
+
+// Table du registre local alimentée par chaque envoi réussi
+const REGISTRY_TABLES = {
+  [OPERATION_TYPES.ENROLLMENT]: 'persons',
+  [OPERATION_TYPES.SURVEY]: 'surveys',
+  [OPERATION_TYPES.CREATE_HOUSEHOLD]: 'households',
+  [OPERATION_TYPES.UPLOAD_DOCUMENT]: 'documents',
+};
+
+// Statut par élément retourné par /sync/bulk-upload/
+const BULK_RESULT_STATUS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  DUPLICATE: 'duplicate',
+  ALREADY_PROCESSED: 'already_processed',
+  ERROR: 'error',
+};
 
 class SyncService {
   constructor() {
     this.isInitialized = false;
     this.syncQueue = [];
+    this.deadLetters = [];
+    this.idMap = {};
+    this.pendingIdMappings = {};
+    this.pendingAuditUpdates = [];
     this.isOnline = false;
-    this.autoSyncEnabled = true;
+    this.connection = { type: null, metered: false };
+    this.policy = DEFAULT_SYNC_POLICY;
+    this.cellularUsage = { month: this.currentMonth(), bytes: 0 };
+    this.autoSyncEnabled = SYNC_CONFIG.AUTO_SYNC;
     this.syncInProgress = false;
+    this.loadPromise = null;
+    this.unsubscribeNetInfo = null;
+    this.retryTimer = null;
+    this.bulkSupported = true;
+    this.listeners = new Set();
+    this.authRequired = false;
+  }
+
+  // ===========================================================================
+  // ÉVÉNEMENTS
+  // ===========================================================================
+
+  /**
+   * S'abonner aux événements de synchronisation
+   *
+   * @param {Function} listener - Reçoit { type: SYNC_EVENTS, timestamp, ...données }
+   * @returns {Function} - Désabonnement
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(type, payload = {}) {
+    const event = { type, timestamp: new Date().toISOString(), ...payload };
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`Erreur abonné sync (${type}):`, error);
+      }
+    });
+  }
+
+  emitQueueChanged() {
+    this.emit(SYNC_EVENTS.QUEUE_CHANGED, { pendingCount: this.syncQueue.length });
   }
 
   /**
-   * ✅ MÉTHODE INITIALIZE - CORRECTION CRITIQUE
+   * Initialisation : chargement queue, migration legacy, écoute réseau
    */
   async initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
     try {
       console.log('🔄 Initialisation SyncService...');
-      
-      // 1. Charger queue persistante
-      await this.loadPendingQueue();
-      
+
+      // 1. Charger queue persistante (+ migration anciennes files)
+      await this.ensureLoaded();
+
       // 2. Écouter changements réseau
       this.setupNetworkListener();
-      
+
       // 3. Vérifier état réseau initial
-      const networkState = await NetInfo.fetch();
-      this.isOnline = networkState.isConnected;
-      
+      this.applyNetworkState(await NetInfo.fetch());
+
       // 4. Démarrer sync auto si en ligne
       if (this.isOnline && this.autoSyncEnabled) {
-        setTimeout(() => this.syncPendingData(), 2000);
+        setTimeout(() => this.drain(), 2000);
       }
-      
+
       this.isInitialized = true;
       console.log('✅ SyncService initialisé avec succès');
-      
+
     } catch (error) {
       console.error('❌ Erreur initialisation SyncService:', error);
     }
   }
 
   /**
-   * Charger queue depuis storage persistant
+   * Charge la queue une seule fois (appelable avant initialize)
+   */
+  ensureLoaded() {
+    if (!this.loadPromise) {
+      this.loadPromise = environmentService.ensureLoaded()
+        .then(() => this.loadPendingQueue())
+        .then(() => this.migrateLegacyQueues())
+        .then(() => this.loadPolicy());
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Charger queue depuis la base locale
    */
   async loadPendingQueue() {
     try {
-      const savedQueue = await AsyncStorage.getItem('sync_queue');
-      if (savedQueue) {
-        this.syncQueue = JSON.parse(savedQueue);
-        console.log(`📦 ${this.syncQueue.length} éléments chargés en queue`);
+      const items = await localDatabase.getQueueItems();
+
+      // Éléments antérieurs au choix du serveur : rattachés au serveur actif
+      const untagged = items.filter(item => !item.environment);
+      if (untagged.length > 0) {
+        untagged.forEach(item => { item.environment = environmentService.getActiveKey(); });
+        await localDatabase.saveQueueItems(untagged);
       }
+
+      this.deadLetters = items.filter(item => item.status === QUEUE_STATUS.DEAD_LETTER);
+      this.syncQueue = items
+        .filter(item => item.status !== QUEUE_STATUS.DEAD_LETTER)
+        .map(item => this.normalizeItem(item));
+      console.log(`📦 ${this.syncQueue.length} éléments chargés en queue`);
+
+      this.idMap = await localDatabase.getIdMap();
     } catch (error) {
       console.error('Erreur chargement queue:', error);
     }
   }
 
   /**
-   * Sauvegarder queue
+   * Migre les files stockées en blobs JSON vers la base locale
+   */
+  async migrateLegacyQueues() {
+    try {
+      let migrated = 0;
+      const knownIds = new Set([...this.syncQueue, ...this.deadLetters].map(item => item.id));
+
+      // 0. Queue unique, dead-letters et ids avant la base locale
+      const blobQueue = await storageService.getItem(STORAGE_KEYS.SYNC_QUEUE);
+      for (const entry of blobQueue ? JSON.parse(blobQueue) : []) {
+        if (!knownIds.has(entry.id)) {
+          this.syncQueue.push(this.normalizeItem(entry));
+          knownIds.add(entry.id);
+          migrated++;
+        }
+      }
+
+      const blobDeadLetters = await storageService.getItem(STORAGE_KEYS.DEAD_LETTER);
+      for (const entry of blobDeadLetters ? JSON.parse(blobDeadLetters) : []) {
+        if (!knownIds.has(entry.id)) {
+          this.deadLetters.push(entry);
+          knownIds.add(entry.id);
+          migrated++;
+        }
+      }
+
+      const blobIdMap = await storageService.getItem(STORAGE_KEYS.ID_MAP);
+      if (blobIdMap) {
+        const mappings = JSON.parse(blobIdMap);
+        this.idMap = { ...mappings, ...this.idMap };
+        Object.assign(this.pendingIdMappings, mappings);
+        await this.saveIdMap();
+      }
+
+      // 1. Ancienne queue des inscriptions (enrollmentService / SyncService écran)
+      const legacyQueue = await storageService.getItem(STORAGE_KEYS.OFFLINE_QUEUE);
+      if (legacyQueue) {
+        for (const entry of JSON.parse(legacyQueue)) {
+          if (entry.status === QUEUE_STATUS.SYNCED || knownIds.has(entry.id)) {
+            continue;
+          }
+          this.syncQueue.push(this.normalizeItem({
+            ...entry,
+            attempts: 0,
+            status: QUEUE_STATUS.PENDING,
+          }));
+          migrated++;
+        }
+      }
+
+      // 2. Anciens documents photo (cameraService)
+      const allKeys = await storageService.getAllKeys();
+      const documentKeys = allKeys.filter(key => key.startsWith(STORAGE_KEYS.OFFLINE_DOCUMENT_PREFIX));
+      for (const key of documentKeys) {
+        const saved = await storageService.getItem(key);
+        const document = saved ? JSON.parse(saved) : null;
+        if (document && !document.synced) {
+          this.syncQueue.push(this.createItem(
+            OPERATION_TYPES.UPLOAD_DOCUMENT,
+            { image: document.image, personId: document.personId },
+            {},
+            { createdAt: document.timestamp }
+          ));
+          migrated++;
+        }
+      }
+
+      // 3. Photos gardées en base64 dans la queue : écrites en fichier
+      for (const item of [...this.syncQueue, ...this.deadLetters]) {
+        if (item.type === OPERATION_TYPES.UPLOAD_DOCUMENT && item.data?.image?.base64) {
+          try {
+            this.storeDocumentFile(item);
+            migrated++;
+          } catch (error) {
+            console.error(`Photo illisible pour ${item.id}:`, error);
+          }
+        }
+      }
+
+      if (migrated > 0) {
+        await this.saveItems([...this.syncQueue, ...this.deadLetters]);
+        console.log(`📦 ${migrated} élément(s) migré(s) depuis les anciennes queues`);
+      }
+
+      // Supprimer les anciennes clés uniquement après sauvegarde réussie
+      await storageService.multiRemove([
+        STORAGE_KEYS.OFFLINE_QUEUE,
+        STORAGE_KEYS.SYNC_QUEUE,
+        STORAGE_KEYS.DEAD_LETTER,
+        STORAGE_KEYS.ID_MAP,
+        ...documentKeys,
+      ]);
+    } catch (error) {
+      console.error('Erreur migration anciennes queues:', error);
+    }
+  }
+
+  /**
+   * Enregistre l'état actuel des éléments donnés : ligne mise à jour s'ils
+   * sont en queue ou en dead-letter, supprimée s'ils n'y sont plus
+   *
+   * @param {Array} items - Éléments modifiés (ou leurs anciennes versions)
    */
-  async saveQueue() {
+  async saveItems(items) {
     try {
-      await AsyncStorage.setItem('sync_queue', JSON.stringify(this.syncQueue));
+      const current = new Map([...this.syncQueue, ...this.deadLetters].map(item => [item.id, item]));
+      const toSave = [];
+      const toDelete = [];
+
+      items.forEach(item => {
+        if (current.has(item.id)) {
+          toSave.push(current.get(item.id));
+        } else {
+          toDelete.push(item.id);
+        }
+      });
+
+      await localDatabase.saveQueueItems(toSave);
+      await localDatabase.deleteQueueItems(toDelete);
     } catch (error) {
       console.error('Erreur sauvegarde queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sauvegarder les nouvelles correspondances id local -> id serveur
+   */
+  async saveIdMap() {
+    try {
+      await localDatabase.saveIdMappings(this.pendingIdMappings);
+      this.pendingIdMappings = {};
+    } catch (error) {
+      console.error('Erreur sauvegarde correspondances ids:', error);
+    }
+  }
+
+  /**
+   * Marquer envoyées les entrées d'audit des éléments synchronisés
+   */
+  async saveAuditStatus() {
+    const updates = this.pendingAuditUpdates;
+    this.pendingAuditUpdates = [];
+
+    try {
+      for (const { ids, serverId } of updates) {
+        await localDatabase.markAuditSynced(ids, serverId);
+      }
+    } catch (error) {
+      console.error('Erreur mise à jour audit:', error);
     }
   }
 
@@ -76,198 +430,1626 @@ class SyncService {
    * Écouter changements réseau
    */
   setupNetworkListener() {
-    NetInfo.addEventListener(state => {
+    if (this.unsubscribeNetInfo) {
+      return;
+    }
+
+    this.unsubscribeNetInfo = NetInfo.addEventListener(state => {
       const wasOnline = this.isOnline;
-      this.isOnline = state.isConnected;
-      
-      console.log(`🌐 Réseau: ${this.isOnline ? 'Connecté' : 'Déconnecté'}`);
-      
-      // Auto-sync quand retour en ligne
+      const wasMetered = this.connection.metered;
+      this.applyNetworkState(state);
+
+      console.log(`🌐 Réseau: ${this.isOnline ? `Connecté (${this.connection.type})` : 'Déconnecté'}`);
+
+      // Auto-sync quand retour en ligne (le backoff en cours est levé)
       if (!wasOnline && this.isOnline && this.autoSyncEnabled) {
-        setTimeout(() => this.syncPendingData(), 1000);
+        this.syncQueue.forEach(item => { item.nextAttemptAt = null; });
+        setTimeout(() => this.drain(), 1000);
+      } else if (this.isOnline && wasMetered && !this.connection.metered && this.autoSyncEnabled) {
+        // Passage au Wi-Fi : les documents en attente peuvent partir
+        setTimeout(() => this.drain(), 1000);
+      }
+    });
+  }
+
+  /**
+   * Lit l'état réseau courant sans écouteur (tâche en arrière-plan)
+   */
+  async refreshNetworkState() {
+    this.applyNetworkState(await NetInfo.fetch());
+    return this.isOnline;
+  }
+
+  /**
+   * Mémorise connexion et type de réseau (Wi-Fi ou facturé au volume)
+   */
+  applyNetworkState(state) {
+    this.isOnline = state.isConnected;
+    this.connection = {
+      type: state.type || null,
+      metered: !UNMETERED_TYPES.includes(state.type) || state.details?.isConnectionExpensive === true,
+    };
+  }
+
+  // ===========================================================================
+  // POLITIQUE RÉSEAU
+  // ===========================================================================
+
+  /**
+   * Charge la politique et la consommation mobile du mois
+   */
+  async loadPolicy() {
+    try {
+      const policy = await localDatabase.getSyncState(POLICY_STATE_KEY);
+      this.policy = this.mergePolicy(policy);
+
+      const usage = await localDatabase.getSyncState(CELLULAR_USAGE_STATE_KEY);
+      if (usage?.month === this.currentMonth()) {
+        this.cellularUsage = usage;
       }
+    } catch (error) {
+      console.error('Erreur chargement politique sync:', error);
+    }
+  }
+
+  /**
+   * Politique complète : valeurs par défaut pour les types non renseignés
+   */
+  mergePolicy(policy) {
+    return {
+      ...DEFAULT_SYNC_POLICY,
+      ...(policy || {}),
+      rules: { ...DEFAULT_SYNC_POLICY.rules, ...(policy?.rules || {}) },
+    };
+  }
+
+  currentMonth() {
+    return new Date().toISOString().slice(0, 7);
+  }
+
+  /**
+   * Politique de synchronisation courante
+   */
+  async getSyncPolicy() {
+    await this.ensureLoaded();
+    return this.mergePolicy(this.policy);
+  }
+
+  /**
+   * Modifie la politique (règles par type et/ou budget mobile)
+   *
+   * @param {Object} changes - { rules: { type: NETWORK_RULES }, cellularBudgetMB }
+   */
+  async setSyncPolicy(changes) {
+    await this.ensureLoaded();
+
+    this.policy = this.mergePolicy({
+      ...this.policy,
+      ...changes,
+      rules: { ...this.policy.rules, ...(changes.rules || {}) },
     });
+    await localDatabase.setSyncState(POLICY_STATE_KEY, this.policy);
+    console.log('📶 Politique de synchronisation mise à jour');
+
+    // Un assouplissement peut débloquer des éléments en attente
+    if (this.isOnline && this.autoSyncEnabled && !this.syncInProgress) {
+      setTimeout(() => this.drain(), 500);
+    }
+
+    return this.policy;
+  }
+
+  /**
+   * Consommation mobile du mois en cours
+   *
+   * @returns {Object} - { month, bytes, budgetBytes, remainingBytes }
+   */
+  getCellularUsage() {
+    if (this.cellularUsage.month !== this.currentMonth()) {
+      this.cellularUsage = { month: this.currentMonth(), bytes: 0 };
+    }
+
+    const budgetBytes = this.policy.cellularBudgetMB * 1024 * 1024;
+    return {
+      ...this.cellularUsage,
+      budgetBytes,
+      remainingBytes: Math.max(budgetBytes - this.cellularUsage.bytes, 0),
+    };
+  }
+
+  /**
+   * Ajoute les octets envoyés sur réseau mobile au compteur du mois
+   */
+  async recordCellularUsage(bytes) {
+    if (bytes <= 0) {
+      return;
+    }
+
+    const usage = this.getCellularUsage();
+    this.cellularUsage = { month: usage.month, bytes: usage.bytes + bytes };
+
+    try {
+      await localDatabase.setSyncState(CELLULAR_USAGE_STATE_KEY, this.cellularUsage);
+    } catch (error) {
+      console.error('Erreur sauvegarde consommation mobile:', error);
+    }
+  }
+
+  /**
+   * Libellé d'un blocage réseau (NETWORK_BLOCKS)
+   */
+  describeNetworkBlock(block) {
+    switch (block) {
+      case NETWORK_BLOCKS.PRODUCTION_ONLY:
+        return ERROR_MESSAGES.SYNC.PRODUCTION_ONLY;
+      case NETWORK_BLOCKS.BUDGET_EXCEEDED:
+        return ERROR_MESSAGES.SYNC.CELLULAR_BUDGET_EXCEEDED;
+      default:
+        return ERROR_MESSAGES.SYNC.WIFI_REQUIRED;
+    }
+  }
+
+  /**
+   * Raison pour laquelle le serveur actif ou le réseau courant interdit
+   * l'envoi de l'élément
+   *
+   * @returns {string|null} - NETWORK_BLOCKS, ou null si l'envoi est permis
+   */
+  getNetworkBlock(item) {
+    if (!environmentService.canSendTo(item.environment)) {
+      return NETWORK_BLOCKS.PRODUCTION_ONLY;
+    }
+    if (!this.connection.metered) {
+      return null;
+    }
+
+    const rule = this.policy.rules[item.type] || NETWORK_RULES.ANY;
+    if (rule === NETWORK_RULES.WIFI_ONLY) {
+      return NETWORK_BLOCKS.WIFI_REQUIRED;
+    }
+    if (rule === NETWORK_RULES.CELLULAR_BUDGET
+      && (item.sizeBytes || 0) > this.getCellularUsage().remainingBytes) {
+      return NETWORK_BLOCKS.BUDGET_EXCEEDED;
+    }
+    return null;
+  }
+
+  /**
+   * Construit un élément de queue
+   */
+  createItem(type, data, metadata = {}, overrides = {}) {
+    return {
+      id: `${type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      data,
+      metadata,
+      idempotencyKey: uuidv4(),
+      status: QUEUE_STATUS.PENDING,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      lastError: null,
+      lastAttempt: null,
+      nextAttemptAt: null,
+      dependsOn: [],
+      sizeBytes: this.measureSize(data),
+      environment: environmentService.getActiveKey(),
+      ...overrides,
+    };
+  }
+
+  /**
+   * Taille stockée approximative des données (base64 et JSON en ASCII)
+   */
+  measureSize(data) {
+    return JSON.stringify(data ?? null).length;
+  }
+
+  /**
+   * Copie la photo d'un document dans le répertoire de l'application ;
+   * l'élément ne garde que l'uri, sa taille compte le fichier
+   */
+  storeDocumentFile(item) {
+    const { image, size } = storeDocumentImage(item.data.image, item.idempotencyKey);
+    item.data = { ...item.data, image };
+    item.sizeBytes = this.measureSize(item.data) + size;
+  }
+
+  /**
+   * Remet au format unifié un élément écrit par une ancienne version
+   */
+  normalizeItem(item) {
+    let { type, data } = item;
+
+    // Ancien appel addToQueue({ type, data, timestamp })
+    if (type && typeof type === 'object') {
+      data = type.data;
+      type = type.type;
+    }
+
+    return {
+      ...item,
+      type: LEGACY_TYPE_MAP[type] || type,
+      data,
+      metadata: item.metadata || {},
+      // Les éléments antérieurs réutilisent leur id, déjà stable
+      idempotencyKey: item.idempotencyKey || item.id,
+      status: item.status === QUEUE_STATUS.SYNCING ? QUEUE_STATUS.PENDING : (item.status || QUEUE_STATUS.PENDING),
+      createdAt: item.createdAt || item.timestamp || new Date().toISOString(),
+      attempts: item.attempts || 0,
+      lastError: item.lastError || item.error || null,
+      lastAttempt: item.lastAttempt || null,
+      nextAttemptAt: item.nextAttemptAt || null,
+      dependsOn: item.dependsOn || [],
+      sizeBytes: item.sizeBytes ?? this.measureSize(data),
+      environment: item.environment || environmentService.getActiveKey(),
+    };
   }
 
   /**
    * Ajouter élément à la queue
+   *
+   * @param {string} type - OPERATION_TYPES
+   * @param {Object} data - Données métier à envoyer
+   * @param {Object} metadata - Infos d'affichage (description, rsuId...)
+   * @param {Object} options - { idempotencyKey } si déjà utilisée pour un envoi direct,
+   *                           { base } état serveur d'origine d'une mise à jour,
+   *                           { audit } entrées d'audit envoyées avec la saisie
+   * @returns {Promise<string>} - Identifiant de l'élément
    */
-  async addToQueue(type, data, metadata = {}) {
+  async enqueue(type, data, metadata = {}, options = {}) {
+    let queueItem = null;
     try {
-      const queueItem = {
-        id: `${type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        type,
-        data,
-        metadata,
-        createdAt: new Date().toISOString(),
-        attempts: 0,
-        maxAttempts: 3,
-      };
+      await this.ensureLoaded();
 
+      queueItem = this.createItem(type, data, metadata, {
+        ...(options.idempotencyKey ? { idempotencyKey: options.idempotencyKey } : {}),
+        ...(options.base ? { base: options.base } : {}),
+        ...(options.audit ? { audit: options.audit } : {}),
+      });
+
+      if (type === OPERATION_TYPES.UPLOAD_DOCUMENT) {
+        this.storeDocumentFile(queueItem);
+
+        // Queue pleine : refuser les documents photo, jamais les saisies
+        if (!this.hasRoomFor(queueItem.sizeBytes)) {
+          const error = new Error(ERROR_MESSAGES.STORAGE.QUEUE_FULL);
+          error.code = 'QUEUE_FULL';
+          throw error;
+        }
+      }
+
+      // Références déjà connues du serveur, sinon dépendance à l'inscription
+      this.applyIdMap(queueItem);
+      queueItem.dependsOn = this.findDependencies(queueItem);
+
+      // Enregistré avant d'entrer en mémoire : un échec d'écriture ne laisse
+      // pas d'élément envoyable qui disparaîtrait au redémarrage (et serait
+      // ressaisi, donc envoyé deux fois)
+      await localDatabase.saveQueueItems([queueItem]);
       this.syncQueue.push(queueItem);
-      await this.saveQueue();
 
       console.log(`📝 Ajouté en queue: ${type} (${queueItem.id})`);
+      this.emitQueueChanged();
+
+      const usage = this.getUsage();
+      if (usage.level !== QUEUE_PRESSURE.OK) {
+        console.log(`⚠️ Queue chargée: ${usage.items}/${usage.maxItems} éléments, ${Math.round(usage.bytes / 1024 / 1024)} Mo`);
+      }
 
       // Tentative sync immédiate si en ligne
       if (this.isOnline && this.autoSyncEnabled && !this.syncInProgress) {
-        setTimeout(() => this.syncPendingData(), 500);
+        setTimeout(() => this.drain(), 500);
       }
 
       return queueItem.id;
     } catch (error) {
       console.error('Erreur ajout queue:', error);
+      if (queueItem?.type === OPERATION_TYPES.UPLOAD_DOCUMENT && !this.syncQueue.includes(queueItem)) {
+        removeDocumentImage(queueItem.data.image);
+      }
       throw error;
     }
   }
 
   /**
-   * Synchroniser données en attente
+   * Synchroniser les éléments en attente
+   *
+   * @returns {Promise<Object>} - { success, synced, failed, errors, byType }
    */
-  async syncPendingData() {
+  async drain() {
+    const result = {
+      success: true,
+      synced: 0,
+      failed: 0,
+      errors: [],
+      byType: {}, // { type: { synced, failed } }
+    };
+
     if (this.syncInProgress) {
       console.log('⏳ Sync déjà en cours, ignoré');
-      return;
+      return result;
     }
 
     if (!this.isOnline) {
       console.log('📡 Hors ligne, sync reportée');
-      return;
+      return { ...result, success: false, error: 'Hors ligne' };
     }
 
-    if (this.syncQueue.length === 0) {
-      console.log('✅ Queue vide, rien à synchroniser');
-      return;
+    await this.ensureLoaded();
+
+    // Les éléments en backoff ou dont l'inscription parente n'est pas
+    // encore synchronisée attendent
+    const itemsToSync = this.prioritize(this.syncQueue.filter(item => this.isReady(item)));
+
+    if (itemsToSync.length === 0) {
+      console.log('✅ Rien à synchroniser pour le moment');
+      this.scheduleRetry();
+      return result;
     }
 
     try {
       this.syncInProgress = true;
-      console.log(`🔄 Début sync: ${this.syncQueue.length} éléments`);
+      this.authRequired = false;
+      console.log(`🔄 Début sync: ${itemsToSync.length} éléments`);
+      this.emit(SYNC_EVENTS.STARTED, { total: itemsToSync.length });
 
-      const itemsToSync = [...this.syncQueue];
-      const syncResults = {
-        success: 0,
-        failed: 0,
-        errors: []
-      };
+      const collect = (item, itemResult) => {
+        const typeCounts = result.byType[item.type] || { synced: 0, failed: 0 };
+        result.byType[item.type] = typeCounts;
 
-      for (const item of itemsToSync) {
-        try {
-          await this.syncSingleItem(item);
-          
-          // Supprimer de la queue si succès
-          this.syncQueue = this.syncQueue.filter(q => q.id !== item.id);
-          syncResults.success++;
-          
-        } catch (error) {
-          console.error(`❌ Erreur sync ${item.id}:`, error);
-          
-          // Incrémenter tentatives
-          const queueItem = this.syncQueue.find(q => q.id === item.id);
-          if (queueItem) {
-            queueItem.attempts++;
-            queueItem.lastError = error.message;
-            queueItem.lastAttempt = new Date().toISOString();
-
-            // Supprimer si trop de tentatives
-            if (queueItem.attempts >= queueItem.maxAttempts) {
-              this.syncQueue = this.syncQueue.filter(q => q.id !== item.id);
-              console.log(`🗑️ Supprimé après ${queueItem.maxAttempts} tentatives: ${item.id}`);
-            }
-          }
-          
-          syncResults.failed++;
-          syncResults.errors.push({ id: item.id, error: error.message });
+        if (itemResult.success) {
+          typeCounts.synced++;
+          result.synced++;
+        } else {
+          typeCounts.failed++;
+          result.failed++;
+          result.errors.push({ id: item.id, error: itemResult.error });
         }
-      }
+      };
 
-      await this.saveQueue();
+      // Plusieurs passes : une inscription synchronisée débloque les
+      // enquêtes et documents qui en dépendent
+      const attempted = new Set();
+      let round = itemsToSync;
 
-      console.log(`✅ Sync terminée: ${syncResults.success} succès, ${syncResults.failed} échecs`);
-      return syncResults;
+      while (round.length > 0 && !this.authRequired) {
+        round.forEach(item => attempted.add(item.id));
+        await this.syncRound(round, collect);
+        round = this.prioritize(
+          this.syncQueue.filter(item => !attempted.has(item.id) && this.isReady(item))
+        );
+      }
+
+      result.success = result.failed === 0 && !this.authRequired;
+      console.log(`✅ Sync terminée: ${result.synced} succès, ${result.failed} échecs`);
+      return result;
 
     } catch (error) {
       console.error('❌ Erreur sync globale:', error);
+      result.success = false;
+      result.error = error.message;
       throw error;
     } finally {
       this.syncInProgress = false;
+      this.emit(SYNC_EVENTS.FINISHED, {
+        success: result.success,
+        synced: result.synced,
+        failed: result.failed,
+        byType: result.byType,
+        error: result.error || null,
+      });
+      this.scheduleRetry();
     }
   }
 
   /**
-   * Synchroniser un élément individuel
+   * Ordre d'envoi : chronologique, ou plus gros puis plus anciens d'abord
+   * quand la queue approche de ses limites (libère l'espace au plus vite)
    */
-  async syncSingleItem(item) {
-    switch (item.type) {
-      case 'enrollment':
-        return await this.syncEnrollment(item);
-      case 'survey':
-        return await this.syncSurvey(item);
-      case 'update':
-        return await this.syncUpdate(item);
-      default:
-        throw new Error(`Type sync non supporté: ${item.type}`);
+  prioritize(items) {
+    const byAge = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+    if (this.getUsage().level === QUEUE_PRESSURE.OK) {
+      return [...items].sort(byAge);
     }
+    return [...items].sort((a, b) => (b.sizeBytes || 0) - (a.sizeBytes || 0) || byAge(a, b));
   }
 
   /**
-   * Sync inscription
+   * Une passe de sync : lots bulk puis envois unitaires
    */
-  async syncEnrollment(item) {
-    const response = await apiClient.post('/identity/persons/', item.data);
-    console.log(`✅ Inscription synchronisée: ${response.data.id}`);
-    return response.data;
+  async syncRound(items, collect) {
+    // Octets réellement envoyés sur réseau mobile (budget mensuel)
+    const meteredBytes = (sent, results) => (this.connection.metered
+      ? sent.reduce((total, item, index) => total + (results[index].success ? item.sizeBytes || 0 : 0), 0)
+      : 0);
+
+    // 1. Enregistrements texte par lots
+    const bulkItems = this.bulkSupported
+      ? items.filter(item => BULK_TYPES.includes(item.type))
+      : [];
+
+    for (let i = 0; i < bulkItems.length && !this.authRequired; i += SYNC_CONFIG.BATCH_SIZE) {
+      const batch = bulkItems.slice(i, i + SYNC_CONFIG.BATCH_SIZE);
+      const batchResults = await this.processBatch(batch);
+      batch.forEach((item, index) => collect(item, batchResults[index]));
+      await this.recordCellularUsage(meteredBytes(batch, batchResults));
+    }
+
+    // 2. Documents (et tout le reste si bulk indisponible) un par un
+    const singleItems = items.filter(item => !bulkItems.includes(item));
+
+    for (const item of singleItems) {
+      if (this.authRequired) {
+        break;
+      }
+      // Le budget mobile a pu être consommé par les envois précédents
+      if (this.getNetworkBlock(item)) {
+        continue;
+      }
+      const itemResult = await this.processItem(item);
+      collect(item, itemResult);
+      await this.recordCellularUsage(meteredBytes([item], [itemResult]));
+    }
   }
 
   /**
-   * Sync enquête
+   * Prêt à l'envoi : échéance atteinte, réseau autorisé et dépendances synchronisées
    */
-  async syncSurvey(item) {
-    const response = await apiClient.post('/surveys/responses/', item.data);
-    console.log(`✅ Enquête synchronisée: ${response.data.id}`);
-    return response.data;
+  isReady(item, now = Date.now()) {
+    return item.status !== QUEUE_STATUS.CONFLICT
+      && this.isDue(item, now)
+      && !this.getNetworkBlock(item)
+      && this.getPendingDependencies(item).length === 0;
   }
 
   /**
-   * Sync mise à jour
+   * Identifiant provisoire attribué hors ligne ?
    */
-  async syncUpdate(item) {
-    const { id, ...updateData } = item.data;
-    const response = await apiClient.patch(`/identity/persons/${id}/`, updateData);
-    console.log(`✅ Mise à jour synchronisée: ${id}`);
-    return response.data;
+  isLocalId(id) {
+    return typeof id === 'string' && id.startsWith(OFFLINE_CONFIG.LOCAL_ID_PREFIX);
   }
 
   /**
-   * Obtenir données en attente
+   * Éléments (queue ou dead-letter) dont dépend un élément
    */
-  async getPendingData() {
-    return [...this.syncQueue];
+  findDependencies(item) {
+    const fields = PERSON_REFERENCE_FIELDS[item.type] || [];
+    const dependencies = [];
+
+    for (const field of fields) {
+      const reference = item.data?.[field];
+      if (!this.isLocalId(reference)) continue;
+
+      const parent = [...this.syncQueue, ...this.deadLetters]
+        .find(q => q.metadata?.rsuId === reference);
+      if (parent && !dependencies.includes(parent.id)) {
+        dependencies.push(parent.id);
+      }
+    }
+
+    return dependencies;
   }
 
   /**
-   * Obtenir nombre d'éléments en attente
+   * Dépendances pas encore synchronisées (en queue ou en dead-letter)
    */
-  async getPendingCount() {
-    return this.syncQueue.length;
+  getPendingDependencies(item) {
+    return (item.dependsOn || []).filter(dependencyId =>
+      this.syncQueue.some(q => q.id === dependencyId)
+      || this.deadLetters.some(q => q.id === dependencyId)
+    );
   }
 
   /**
-   * Supprimer élément de la queue
+   * Éléments qui dépendent d'un élément donné
    */
-  async removeFromQueue(itemId) {
-    this.syncQueue = this.syncQueue.filter(item => item.id !== itemId);
-    await this.saveQueue();
-    console.log(`🗑️ Supprimé de la queue: ${itemId}`);
+  getDependents(itemId) {
+    return this.syncQueue.filter(item => (item.dependsOn || []).includes(itemId));
+  }
+
+  /**
+   * Réécrit les ids provisoires connus du serveur dans les données
+   *
+   * @returns {boolean} - true si une référence a été réécrite
+   */
+  applyIdMap(item) {
+    const fields = PERSON_REFERENCE_FIELDS[item.type] || [];
+    let rewritten = false;
+
+    for (const field of fields) {
+      const reference = item.data?.[field];
+      const serverId = this.isLocalId(reference) ? this.getServerId(reference) : null;
+
+      if (serverId) {
+        item.data = { ...item.data, [field]: serverId };
+        rewritten = true;
+        console.log(`🔗 ${item.id}: ${field} ${reference} -> ${serverId}`);
+      }
+    }
+
+    return rewritten;
+  }
+
+  /**
+   * L'élément peut-il être envoyé maintenant ?
+   */
+  isDue(item, now = Date.now()) {
+    return !item.nextAttemptAt || new Date(item.nextAttemptAt).getTime() <= now;
+  }
+
+  /**
+   * Programme un drain à la prochaine échéance de backoff
+   */
+  scheduleRetry() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    // Les éléments bloqués par le réseau attendent un changement de réseau
+    const nextTimes = this.syncQueue
+      .filter(item => item.nextAttemptAt && !this.getNetworkBlock(item))
+      .map(item => new Date(item.nextAttemptAt).getTime());
+
+    // Session expirée : reprise au prochain drain après reconnexion
+    if (nextTimes.length === 0 || !this.autoSyncEnabled || this.authRequired) {
+      return;
+    }
+
+    const delay = Math.max(Math.min(...nextTimes) - Date.now(), 0);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.drain().catch(error => console.error('Erreur sync différée:', error));
+    }, delay);
+  }
+
+  /**
+   * Délai avant la prochaine tentative (backoff exponentiel + jitter)
+   *
+   * @param {number} attempts - Nombre de tentatives déjà effectuées
+   * @returns {number} - Délai en ms
+   */
+  computeBackoff(attempts) {
+    const exponential = SYNC_CONFIG.RETRY_DELAY * Math.pow(2, Math.max(attempts - 1, 0));
+    const capped = Math.min(exponential, SYNC_CONFIG.MAX_RETRY_DELAY);
+
+    // Jitter : entre 50% et 100% du délai, pour étaler les reprises
+    return Math.round(capped / 2 + Math.random() * (capped / 2));
+  }
+
+  /**
+   * Classe une erreur de sync : temporaire (à réessayer) ou définitive
+   *
+   * @returns {Object} - { retryable, status, message, body }
+   */
+  classifyError(error) {
+    const status = error.response?.status || null;
+    const body = error.response?.data ?? null;
+    const message = body?.detail || body?.message || error.message;
+
+    // Photo disparue de l'appareil : aucun nouvel essai ne la retrouvera
+    if (error.code === DOCUMENT_FILE_MISSING) {
+      return { retryable: false, status, message, body };
+    }
+
+    // Pas de réponse : réseau coupé, timeout
+    if (!status) {
+      return { retryable: true, status, message, body };
+    }
+
+    // 5xx, 429 (trop de requêtes), 408 (timeout), 401 (session à renouveler)
+    const retryable = status >= 500 || [401, 408, 429].includes(status);
+
+    return { retryable, status, message, body };
+  }
+
+  /**
+   * Id serveur d'un élément synchronisé (id de la personne pour une inscription)
+   */
+  extractServerId(item, data) {
+    if (!data) return null;
+    if (item.type === OPERATION_TYPES.ENROLLMENT) {
+      return data.person_id || data.person?.id || data.id || null;
+    }
+    return data.id || null;
+  }
+
+  /**
+   * Réponse « clé d'idempotence déjà traitée » (HTTP 409 + code dédié)
+   */
+  isAlreadyProcessed(error) {
+    return error.response?.status === 409
+      && error.response?.data?.code === API_CONFIG.ALREADY_PROCESSED_CODE;
+  }
+
+  /**
+   * En-têtes d'une requête de mutation
+   */
+  idempotencyHeaders(idempotencyKey) {
+    return { [API_CONFIG.IDEMPOTENCY_HEADER]: idempotencyKey };
+  }
+
+  /**
+   * En-têtes d'envoi d'un élément : idempotence, et auteur d'origine signé
+   * pour un élément reçu d'un autre appareil (envoi pour son compte, vérifié
+   * par le serveur avec la clé enregistrée de l'auteur)
+   */
+  requestHeaders(item) {
+    const { ORIGIN_HEADERS } = API_CONFIG;
+
+    return {
+      ...this.idempotencyHeaders(item.idempotencyKey),
+      ...(item.origin ? {
+        [ORIGIN_HEADERS.ON_BEHALF_OF]: String(item.origin.userId),
+        [ORIGIN_HEADERS.DEVICE]: item.origin.deviceId,
+        [ORIGIN_HEADERS.PUBLIC_KEY]: item.origin.publicKey,
+        [ORIGIN_HEADERS.SIGNATURE]: item.origin.signature,
+        [ORIGIN_HEADERS.PAYLOAD_HASH]: item.origin.payloadHash,
+        [ORIGIN_HEADERS.ATTACHMENT_HASH]: item.origin.attachmentHash,
+      } : {}),
+    };
+  }
+
+  /**
+   * Envoie un élément et met à jour la queue selon le résultat
+   */
+  async processItem(item) {
+    item.status = QUEUE_STATUS.SYNCING;
+    this.applyIdMap(item);
+    this.emit(SYNC_EVENTS.ITEM_PROGRESS, { itemId: item.id, itemType: item.type, progress: 0 });
+
+    let itemResult;
+    try {
+      const data = await this.syncSingleItem(item);
+      itemResult = this.recordSuccess(item, this.extractServerId(item, data));
+    } catch (error) {
+      if (this.isAlreadyProcessed(error)) {
+        // Envoi précédent reçu par le serveur mais réponse perdue
+        const body = error.response.data;
+        itemResult = this.recordSuccess(item, body.server_id || body.id, true);
+      } else if (error.conflict || this.isConflictResponse(item, error)) {
+        const conflict = error.conflict || this.computeConflict(item, error.response.data);
+        itemResult = conflict
+          ? this.recordConflict(item, conflict)
+          : this.recordFailure(item, this.classifyError(error));
+      } else {
+        console.error(`❌ Erreur sync ${item.id}:`, error);
+        itemResult = this.recordFailure(item, this.classifyError(error));
+      }
+    }
+
+    await this.saveItems([item]);
+    if (itemResult.success && item.type === OPERATION_TYPES.UPLOAD_DOCUMENT) {
+      removeDocumentImage(item.data.image);
+    }
+    await syncJournal.record([{ item, itemResult }]);
+    if (itemResult.serverId) {
+      await this.saveIdMap();
+      await this.cacheSyncedRecords([{ item, serverId: itemResult.serverId }]);
+    }
+    await this.saveAuditStatus();
+
+    return itemResult;
+  }
+
+  /**
+   * Envoie un lot via /sync/bulk-upload/ et rapproche les résultats
+   *
+   * Requête : { items: [{ client_id, idempotency_key, type, payload, origin? }] }
+   * Réponse : { results: [{ client_id, status, server_id, errors }] }
+   * (server_id d'une inscription = id de la personne créée)
+   *
+   * @param {Array} batch - Éléments de queue (types BULK_TYPES)
+   * @returns {Promise<Array>} - Résultat par élément, dans l'ordre du lot
+   */
+  async processBatch(batch) {
+    if (!this.bulkSupported) {
+      return await this.processSequentially(batch);
+    }
+
+    batch.forEach(item => {
+      item.status = QUEUE_STATUS.SYNCING;
+      this.applyIdMap(item);
+      this.emit(SYNC_EVENTS.ITEM_PROGRESS, { itemId: item.id, itemType: item.type, progress: 0 });
+    });
+
+    let results;
+    try {
+      const response = await apiClient.post(API_CONFIG.ENDPOINTS.BULK_UPLOAD, {
+        items: batch.map(item => ({
+          client_id: item.id,
+          idempotency_key: item.idempotencyKey,
+          type: item.type,
+          payload: this.buildPayload(item),
+          ...(item.origin ? { origin: item.origin } : {}),
+        })),
+      });
+      results = response.data?.results || [];
+    } catch (error) {
+      // Serveur sans endpoint bulk : repli sur l'envoi unitaire
+      if ([404, 405].includes(error.response?.status)) {
+        console.log('⚠️ Endpoint bulk indisponible, envoi unitaire');
+        this.bulkSupported = false;
+        return await this.processSequentially(batch);
+      }
+
+      console.error('❌ Erreur envoi lot:', error);
+      const failure = this.classifyError(error);
+      const batchResults = batch.map(item => this.recordFailure(item, failure));
+
+      await this.saveItems(batch);
+      await syncJournal.record(batch.map((item, index) => ({ item, itemResult: batchResults[index] })));
+      return batchResults;
+    }
+
+    const resultsByClientId = new Map(results.map(r => [r.client_id, r]));
+
+    const batchResults = batch.map(item => {
+      const itemResult = resultsByClientId.get(item.id);
+
+      // Élément non traité par le serveur : on le renverra
+      if (!itemResult) {
+        return this.recordFailure(item, {
+          retryable: true,
+          status: null,
+          message: 'Élément absent de la réponse du serveur',
+          body: null,
+        });
+      }
+
+      // Rejet de validation : dead-letter avec le détail par champ
+      if (itemResult.status === BULK_RESULT_STATUS.ERROR) {
+        return this.recordFailure(item, {
+          retryable: false,
+          status: itemResult.status_code || 400,
+          message: itemResult.detail || 'Données rejetées par le serveur',
+          body: itemResult.errors || null,
+        });
+      }
+
+      // Créé, mis à jour, déjà traité (idempotence) ou doublon serveur
+      return this.recordSuccess(
+        item,
+        itemResult.server_id,
+        [BULK_RESULT_STATUS.DUPLICATE, BULK_RESULT_STATUS.ALREADY_PROCESSED].includes(itemResult.status)
+      );
+    });
+
+    await this.saveItems(batch);
+    await syncJournal.record(batch.map((item, index) => ({ item, itemResult: batchResults[index] })));
+    await this.saveIdMap();
+    await this.saveAuditStatus();
+    await this.cacheSyncedRecords(
+      batch
+        .map((item, index) => ({ item, serverId: batchResults[index].serverId }))
+        .filter(entry => entry.serverId)
+    );
+
+    console.log(`📦 Lot synchronisé: ${batch.length} élément(s)`);
+    return batchResults;
+  }
+
+  /**
+   * Enregistre dans le registre local les enregistrements acceptés par le
+   * serveur (consultables hors ligne par les écrans liste et carte)
+   *
+   * @param {Array} entries - [{ item, serverId }]
+   */
+  async cacheSyncedRecords(entries) {
+    try {
+      const recordsByTable = {};
+      entries.forEach(({ item, serverId }) => {
+        const table = REGISTRY_TABLES[item.type];
+        if (table) {
+          recordsByTable[table] = recordsByTable[table] || [];
+          recordsByTable[table].push(this.buildRegistryRecord(item, serverId));
+        }
+      });
+
+      for (const [table, records] of Object.entries(recordsByTable)) {
+        await localDatabase.upsertRecords(table, records);
+      }
+    } catch (error) {
+      // Le registre local est un cache : l'envoi reste réussi
+      console.error('Erreur mise en cache registre local:', error);
+    }
+  }
+
+  /**
+   * Enregistrement local d'un élément synchronisé
+   */
+  buildRegistryRecord(item, serverId) {
+    const now = new Date().toISOString();
+
+    switch (item.type) {
+      case OPERATION_TYPES.ENROLLMENT:
+        return { ...buildEnrollmentPayload(item.data).person, id: serverId, updated_at: now };
+      case OPERATION_TYPES.UPLOAD_DOCUMENT:
+        // Sans l'image : le fichier reste sur le serveur
+        return {
+          id: serverId,
+          person_id: item.data.personId,
+          document_type: item.metadata?.documentType || null,
+          created_at: item.createdAt,
+        };
+      case OPERATION_TYPES.SURVEY:
+        return { ...item.data, id: serverId, created_at: item.createdAt };
+      default:
+        return { ...item.data, id: serverId, updated_at: now };
+    }
+  }
+
+  /**
+   * Envoie les éléments d'un lot un par un
+   */
+  async processSequentially(batch) {
+    const batchResults = [];
+    for (const item of batch) {
+      batchResults.push(await this.processItem(item));
+    }
+    return batchResults;
+  }
+
+  /**
+   * Retire un élément synchronisé de la queue (sans sauvegarde)
+   *
+   * @param {Object} item - Élément de queue
+   * @param {string} serverId - Identifiant attribué par le serveur
+   * @param {boolean} duplicate - Déjà présent côté serveur
+   */
+  recordSuccess(item, serverId = null, duplicate = false) {
+    this.syncQueue = this.syncQueue.filter(q => q.id !== item.id);
+
+    if (serverId) {
+      const mappings = { [item.id]: serverId };
+      if (item.metadata?.rsuId) {
+        mappings[item.metadata.rsuId] = serverId;
+      }
+      Object.assign(this.idMap, mappings);
+      Object.assign(this.pendingIdMappings, mappings);
+    }
+
+    if (item.audit?.length) {
+      this.pendingAuditUpdates.push({ ids: item.audit.map(entry => entry.id), serverId });
+    }
+
+    if (duplicate) {
+      console.log(`♻️ Doublon serveur, considéré synchronisé: ${item.id} -> ${serverId}`);
+    }
+
+    this.emit(SYNC_EVENTS.ITEM_SUCCEEDED, { itemId: item.id, itemType: item.type, serverId, duplicate });
+    return { success: true, serverId, duplicate };
+  }
+
+  /**
+   * Applique un échec classé (backoff ou dead-letter), sans sauvegarde
+   *
+   * @param {Object} item - Élément de queue
+   * @param {Object} failure - Résultat de classifyError
+   */
+  recordFailure(item, failure) {
+    item.attempts++;
+    item.lastError = failure.message;
+    item.lastAttempt = new Date().toISOString();
+
+    // Session refusée malgré le renouvellement du token : inutile de
+    // continuer, l'enquêteur doit se reconnecter
+    if (failure.status === 401 && !this.authRequired) {
+      this.authRequired = true;
+      this.emit(SYNC_EVENTS.AUTH_REQUIRED);
+    }
+
+    const deadLetter = !failure.retryable;
+    if (deadLetter) {
+      this.moveToDeadLetter(item, failure);
+    } else {
+      item.status = QUEUE_STATUS.FAILED;
+      item.nextAttemptAt = new Date(Date.now() + this.computeBackoff(item.attempts)).toISOString();
+    }
+
+    this.emit(SYNC_EVENTS.ITEM_FAILED, {
+      itemId: item.id,
+      itemType: item.type,
+      error: failure.message,
+      deadLetter,
+      conflict: false,
+    });
+    return deadLetter
+      ? { success: false, error: failure.message, deadLetter: true }
+      : { success: false, error: failure.message };
+  }
+
+  /**
+   * Met un élément en attente de fusion manuelle (sans sauvegarde)
+   */
+  recordConflict(item, conflict) {
+    item.status = QUEUE_STATUS.CONFLICT;
+    item.conflict = conflict;
+    item.lastError = ERROR_MESSAGES.SYNC.DATA_CONFLICT;
+    item.lastAttempt = new Date().toISOString();
+    item.nextAttemptAt = null;
+
+    console.log(`⚔️ Conflit détecté: ${item.id} (${conflict.fields.map(f => f.field).join(', ')})`);
+    this.emit(SYNC_EVENTS.ITEM_FAILED, {
+      itemId: item.id,
+      itemType: item.type,
+      error: item.lastError,
+      deadLetter: false,
+      conflict: true,
+    });
+    return { success: false, error: item.lastError, conflict: true };
+  }
+
+  /**
+   * Refus serveur d'une mise à jour sur version obsolète
+   * (409 hors idempotence, ou 412), le corps contenant l'état serveur
+   */
+  isConflictResponse(item, error) {
+    const status = error.response?.status;
+    return item.type === OPERATION_TYPES.UPDATE_PERSON
+      && (status === 412 || (status === 409 && !this.isAlreadyProcessed(error)));
+  }
+
+  /**
+   * Compare une mise à jour locale à l'enregistrement serveur actuel
+   *
+   * @param {Object} item - Élément UPDATE_PERSON
+   * @param {Object} serverRecord - Personne telle que renvoyée par le serveur
+   * @returns {Object|null} - Conflit { detectedAt, server, fields } ou null
+   */
+  computeConflict(item, serverRecord) {
+    const { id, ...changes } = item.data;
+    const baseValues = item.base?.values || {};
+
+    // Conflit uniquement sur les champs modifiés des deux côtés
+    const fields = Object.keys(changes)
+      .filter(field => field in baseValues)
+      .filter(field => !this.sameValue(serverRecord?.[field], baseValues[field]))
+      .filter(field => !this.sameValue(serverRecord?.[field], changes[field]))
+      .map(field => ({
+        field,
+        base: baseValues[field],
+        local: changes[field],
+        server: serverRecord?.[field],
+      }));
+
+    if (fields.length === 0) {
+      return null;
+    }
+
+    return {
+      detectedAt: new Date().toISOString(),
+      server: {
+        updated_at: serverRecord?.updated_at || null,
+        version: serverRecord?.version ?? null,
+      },
+      fields,
+    };
+  }
+
+  sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+
+  /**
+   * Retire un élément rejeté définitivement et le conserve en dead-letter
+   * (sans sauvegarde)
+   */
+  moveToDeadLetter(item, failure) {
+    this.deadLetters.push({
+      ...item,
+      status: QUEUE_STATUS.DEAD_LETTER,
+      nextAttemptAt: null,
+      failedAt: new Date().toISOString(),
+      error: {
+        status: failure.status,
+        message: failure.message,
+        body: failure.body,
+      },
+    });
+    this.syncQueue = this.syncQueue.filter(q => q.id !== item.id);
+
+    console.log(`📮 Déplacé en dead-letter (${failure.status}): ${item.id}`);
+  }
+
+  /**
+   * Corps de requête envoyé au serveur pour un élément
+   */
+  buildPayload(item) {
+    const payload = item.type === OPERATION_TYPES.ENROLLMENT
+      ? buildEnrollmentPayload(item.data)
+      : item.data;
+
+    return item.audit?.length ? { ...payload, audit_trail: item.audit } : payload;
+  }
+
+  /**
+   * Synchroniser un élément individuel
+   */
+  async syncSingleItem(item) {
+    switch (item.type) {
+      case OPERATION_TYPES.ENROLLMENT:
+        return await this.syncEnrollment(item);
+      case OPERATION_TYPES.SURVEY:
+        return await this.syncSurvey(item);
+      case OPERATION_TYPES.UPDATE_PERSON:
+        return await this.syncUpdate(item);
+      case OPERATION_TYPES.CREATE_HOUSEHOLD:
+        return await this.syncHousehold(item);
+      case OPERATION_TYPES.REVIEW_PERSON:
+        return await this.syncReview(item);
+      case OPERATION_TYPES.UPLOAD_DOCUMENT:
+        return await this.sendDocument(item.data, item.idempotencyKey, {
+          headers: this.requestHeaders(item),
+          onProgress: upload => this.saveUploadProgress(item, upload),
+        });
+      default:
+        throw new Error(`Type sync non supporté: ${item.type}`);
+    }
+  }
+
+  /**
+   * Sync inscription
+   */
+  async syncEnrollment(item) {
+    const response = await apiClient.post(
+      API_CONFIG.ENDPOINTS.SUBMIT_ENROLLMENT,
+      this.buildPayload(item),
+      { headers: this.requestHeaders(item) }
+    );
+    console.log(`✅ Inscription synchronisée: ${response.data.rsu_id}`);
+    return response.data;
+  }
+
+  /**
+   * Sync enquête
+   */
+  async syncSurvey(item) {
+    const response = await apiClient.post('/surveys/responses/', item.data, {
+      headers: this.requestHeaders(item),
+    });
+    console.log(`✅ Enquête synchronisée: ${response.data.id}`);
+    return response.data;
+  }
+
+  /**
+   * Sync mise à jour
+   */
+  async syncUpdate(item) {
+    const { id, ...updateData } = this.buildPayload(item);
+
+    // Vérifier que les champs modifiés n'ont pas changé côté serveur
+    if (item.base) {
+      const current = await apiClient.get(`/identity/persons/${id}/`);
+      const serverChanged = current.data.updated_at !== item.base.updated_at
+        || (current.data.version ?? null) !== (item.base.version ?? null);
+
+      if (serverChanged) {
+        const conflict = this.computeConflict(item, current.data);
+        if (conflict) {
+          const conflictError = new Error(ERROR_MESSAGES.SYNC.DATA_CONFLICT);
+          conflictError.conflict = conflict;
+          throw conflictError;
+        }
+      }
+    }
+
+    const response = await apiClient.patch(`/identity/persons/${id}/`, updateData, {
+      headers: this.requestHeaders(item),
+    });
+    console.log(`✅ Mise à jour synchronisée: ${id}`);
+    return response.data;
+  }
+
+  /**
+   * Sync ménage
+   */
+  async syncHousehold(item) {
+    const response = await apiClient.post(API_CONFIG.ENDPOINTS.HOUSEHOLDS, this.buildPayload(item), {
+      headers: this.requestHeaders(item),
+    });
+    console.log(`✅ Ménage synchronisé: ${response.data.id}`);
+    return response.data;
+  }
+
+  /**
+   * Sync décision de vérification
+   */
+  async syncReview(item) {
+    const { id, ...review } = item.data;
+    const response = await apiClient.post(
+      `${API_CONFIG.ENDPOINTS.PERSONS}${id}/${API_CONFIG.ENDPOINTS.PERSON_REVIEW}`,
+      review,
+      { headers: this.requestHeaders(item) }
+    );
+    console.log(`✅ Vérification synchronisée: ${id} (${review.verification_status})`);
+    return response.data;
+  }
+
+  /**
+   * Upload d'un document photo (par morceaux, reprenable)
+   *
+   * @param {Object} data - { image, personId }
+   * @param {string} idempotencyKey - Clé partagée entre envoi direct et queue
+   *                                  (même session d'upload)
+   * @param {Object} options - { onProgress(upload), headers }
+   */
+  async sendDocument(data, idempotencyKey, options = {}) {
+    const document = await uploadDocumentInChunks(data, idempotencyKey, options);
+
+    console.log(`✅ Document synchronisé: ${document.id}`);
+    return document;
+  }
+
+  /**
+   * Mémorise l'avancement d'un upload par morceaux (reprise et affichage)
+   */
+  async saveUploadProgress(item, upload) {
+    item.upload = upload;
+    await this.saveItems([item]);
+    this.emit(SYNC_EVENTS.ITEM_PROGRESS, {
+      itemId: item.id,
+      itemType: item.type,
+      progress: upload.size > 0 ? upload.offset / upload.size : 0,
+      upload,
+    });
+  }
+
+  /**
+   * Obtenir la queue complète
+   */
+  async getQueue() {
+    await this.ensureLoaded();
+    return [...this.syncQueue];
+  }
+
+  /**
+   * Id serveur correspondant à un id local (élément ou RSU-ID offline)
+   */
+  getServerId(localId) {
+    return this.idMap[localId] || null;
+  }
+
+  /**
+   * Résout un id de personne : id serveur si connu, null si encore provisoire
+   */
+  async resolveId(id) {
+    if (!this.isLocalId(id)) {
+      return id;
+    }
+    await this.ensureLoaded();
+    return this.getServerId(id);
+  }
+
+  /**
+   * Obtenir nombre d'éléments en attente
+   */
+  async getPendingCount() {
+    await this.ensureLoaded();
+    return this.syncQueue.length;
+  }
+
+  /**
+   * Occupation de la queue (dead-letters compris : ils restent stockés)
+   *
+   * @returns {Object} - { items, bytes, maxItems, maxBytes, ratio, level }
+   */
+  getUsage() {
+    const entries = [...this.syncQueue, ...this.deadLetters];
+    const items = entries.length;
+    const bytes = entries.reduce((total, item) => total + (item.sizeBytes || 0), 0);
+    const ratio = Math.max(items / OFFLINE_CONFIG.MAX_QUEUE_SIZE, bytes / OFFLINE_CONFIG.MAX_QUEUE_BYTES);
+
+    let level = QUEUE_PRESSURE.OK;
+    if (ratio >= 1) {
+      level = QUEUE_PRESSURE.FULL;
+    } else if (ratio >= OFFLINE_CONFIG.QUEUE_WARNING_RATIO) {
+      level = QUEUE_PRESSURE.WARNING;
+    }
+
+    return {
+      items,
+      bytes,
+      maxItems: OFFLINE_CONFIG.MAX_QUEUE_SIZE,
+      maxBytes: OFFLINE_CONFIG.MAX_QUEUE_BYTES,
+      ratio,
+      level,
+    };
+  }
+
+  /**
+   * Un nouvel élément de cette taille tient-il dans les limites ?
+   */
+  hasRoomFor(sizeBytes) {
+    const usage = this.getUsage();
+    return usage.items + 1 <= usage.maxItems && usage.bytes + sizeBytes <= usage.maxBytes;
+  }
+
+  /**
+   * Occupation de la queue, après chargement
+   */
+  async getQueueUsage() {
+    await this.ensureLoaded();
+    return this.getUsage();
+  }
+
+  /**
+   * Une nouvelle capture de document peut-elle être mise en queue ?
+   */
+  async canAcceptDocuments() {
+    await this.ensureLoaded();
+    return this.getUsage().level !== QUEUE_PRESSURE.FULL;
+  }
+
+  /**
+   * Relancer un élément (remet ses tentatives à zéro)
+   *
+   * @returns {Promise<Object>} - { success, error?, queued? }
+   */
+  async retry(itemId) {
+    await this.ensureLoaded();
+
+    const item = this.syncQueue.find(q => q.id === itemId);
+    if (!item) {
+      return { success: false, error: 'Élément introuvable' };
+    }
+
+    if (item.status === QUEUE_STATUS.CONFLICT) {
+      return { success: false, conflict: true, error: ERROR_MESSAGES.SYNC.DATA_CONFLICT };
+    }
+
+    item.attempts = 0;
+    item.status = QUEUE_STATUS.PENDING;
+    item.lastError = null;
+    item.nextAttemptAt = null;
+    await this.saveItems([item]);
+
+    if (!this.isOnline || this.syncInProgress) {
+      return { success: false, queued: true };
+    }
+
+    if (this.getPendingDependencies(item).length > 0) {
+      return { success: false, queued: true, error: 'En attente de l\'inscription liée' };
+    }
+
+    const networkBlock = this.getNetworkBlock(item);
+    if (networkBlock) {
+      return { success: false, queued: true, error: this.describeNetworkBlock(networkBlock) };
+    }
+
+    try {
+      this.syncInProgress = true;
+      return await this.processItem(item);
+    } finally {
+      this.syncInProgress = false;
+    }
+  }
+
+  /**
+   * Mettre en queue la décision d'un superviseur sur une saisie
+   *
+   * @param {Object} person - Personne vérifiée
+   * @param {Object} review - { verification_status, reason, reviewed_at }
+   */
+  async enqueueReview(person, review) {
+    return await this.enqueue(
+      OPERATION_TYPES.REVIEW_PERSON,
+      { id: person.id, ...review },
+      { description: `${person.first_name || ''} ${person.last_name || ''}`.trim() }
+    );
+  }
+
+  /**
+   * Mettre en queue la modification d'une personne existante
+   *
+   * @param {Object} original - Personne telle que chargée depuis le serveur
+   * @param {Object} changes - Champs modifiés { champ: nouvelle valeur }
+   * @param {Object} metadata - Infos d'affichage
+   * @param {Object} options - { audit } entrées d'audit de la modification
+   */
+  async enqueueUpdate(original, changes, metadata = {}, options = {}) {
+    const values = {};
+    Object.keys(changes).forEach(field => { values[field] = original[field]; });
+
+    return await this.enqueue(
+      OPERATION_TYPES.UPDATE_PERSON,
+      { id: original.id, ...changes },
+      {
+        description: `${original.first_name || ''} ${original.last_name || ''}`.trim(),
+        ...metadata,
+      },
+      {
+        base: {
+          updated_at: original.updated_at || null,
+          version: original.version ?? null,
+          values,
+        },
+        audit: options.audit,
+      }
+    );
+  }
+
+  /**
+   * Appliquer la fusion choisie pour un élément en conflit
+   *
+   * @param {string} itemId - Élément UPDATE_PERSON en conflit
+   * @param {Object} resolvedValues - Valeur retenue par champ en conflit
+   * @returns {Promise<boolean>} - true si l'élément est remis en queue
+   */
+  async resolveConflict(itemId, resolvedValues) {
+    await this.ensureLoaded();
+
+    const item = this.syncQueue.find(q => q.id === itemId);
+    if (!item || item.status !== QUEUE_STATUS.CONFLICT) {
+      return false;
+    }
+
+    const { conflict } = item;
+    const data = { ...item.data, ...resolvedValues };
+    const baseValues = { ...item.base?.values };
+
+    conflict.fields.forEach(({ field, server }) => {
+      baseValues[field] = server;
+      // Valeur serveur retenue : rien à renvoyer pour ce champ
+      if (this.sameValue(data[field], server)) {
+        delete data[field];
+      }
+    });
+
+    item.data = data;
+    item.base = {
+      updated_at: conflict.server.updated_at,
+      version: conflict.server.version,
+      values: baseValues,
+    };
+    item.conflict = null;
+    item.status = QUEUE_STATUS.PENDING;
+    item.lastError = null;
+    item.attempts = 0;
+    await this.saveItems([item]);
+
+    console.log(`🤝 Conflit résolu: ${itemId}`);
+    this.emitQueueChanged();
+
+    // Plus aucun champ à envoyer : toutes les valeurs serveur ont été gardées
+    if (Object.keys(data).every(field => field === 'id')) {
+      await this.discard(itemId);
+      return true;
+    }
+
+    if (this.isOnline && this.autoSyncEnabled && !this.syncInProgress) {
+      setTimeout(() => this.drain(), 500);
+    }
+
+    return true;
+  }
+
+  /**
+   * Abandonner un élément de la queue
+   */
+  async discard(itemId) {
+    await this.ensureLoaded();
+
+    // Les éléments liés ne pourraient plus être envoyés : abandon en cascade
+    const dependentIds = this.getDependents(itemId).map(item => item.id);
+    for (const dependentId of dependentIds) {
+      await this.discard(dependentId);
+    }
+
+    const item = this.syncQueue.find(q => q.id === itemId);
+    this.syncQueue = this.syncQueue.filter(q => q.id !== itemId);
+    await localDatabase.deleteQueueItems([itemId]);
+    if (item?.type === OPERATION_TYPES.UPLOAD_DOCUMENT) {
+      removeDocumentImage(item.data.image);
+    }
+    console.log(`🗑️ Supprimé de la queue: ${itemId}`);
+    this.emitQueueChanged();
+  }
+
+  // ===========================================================================
+  // TRANSFERT ENTRE APPAREILS
+  // ===========================================================================
+
+  /**
+   * Copies des éléments à exporter, avec les inscriptions dont ils dépendent
+   * (sinon le destinataire ne pourrait pas réécrire leurs ids provisoires)
+   *
+   * @param {Array} itemIds - Éléments choisis dans la queue
+   * @returns {Promise<Array>} - Copies indépendantes, prêtes à sceller
+   */
+  async getExportableItems(itemIds) {
+    await this.ensureLoaded();
+
+    const selected = new Set();
+    const include = (itemId) => {
+      const item = this.syncQueue.find(q => q.id === itemId);
+      if (!item || selected.has(item.id)) return;
+      selected.add(item.id);
+      this.getPendingDependencies(item).forEach(include);
+    };
+    itemIds.forEach(include);
+
+    return this.syncQueue
+      .filter(item => selected.has(item.id))
+      .map(item => {
+        const copy = JSON.parse(JSON.stringify(item));
+        this.applyIdMap(copy);
+        return copy;
+      });
+  }
+
+  /**
+   * Note sur les éléments qu'ils ont été confiés à un autre appareil.
+   * Ils restent en queue : la clé d'idempotence évite tout doublon si les
+   * deux appareils les envoient.
+   */
+  async markExported(itemIds, bundleId) {
+    await this.ensureLoaded();
+
+    const exportedAt = new Date().toISOString();
+    const items = this.syncQueue.filter(item => itemIds.includes(item.id));
+    items.forEach(item => {
+      item.metadata = { ...item.metadata, exportedIn: { bundleId, exportedAt } };
+    });
+
+    await this.saveItems(items);
+    this.emitQueueChanged();
+  }
+
+  /**
+   * Ajoute à la queue des éléments reçus d'un autre appareil, envoyés ensuite
+   * pour le compte de leur auteur (item.origin)
+   *
+   * @param {Array} items - Éléments du lot déchiffré
+   * @param {Object} bundle - { bundleId, author } du lot
+   * @returns {Promise<Object>} - { imported, skipped, refused }
+   */
+  async importItems(items, bundle) {
+    await this.ensureLoaded();
+
+    const known = new Set([...this.syncQueue, ...this.deadLetters].map(item => item.idempotencyKey));
+    const importedAt = new Date().toISOString();
+    const added = [];
+    let skipped = 0;
+    let refused = 0;
+
+    for (const received of items) {
+      // Déjà en queue (lot importé deux fois, ou élément renvoyé à son auteur)
+      if (known.has(received.idempotencyKey)) {
+        skipped++;
+        continue;
+      }
+
+      const item = {
+        ...this.normalizeItem(received),
+        status: QUEUE_STATUS.PENDING,
+        attempts: 0,
+        lastError: null,
+        lastAttempt: null,
+        nextAttemptAt: null,
+        upload: null,
+        metadata: {
+          ...received.metadata,
+          importedFrom: { bundleId: bundle.bundleId, author: bundle.author },
+          importedAt,
+        },
+      };
+
+      if (item.type === OPERATION_TYPES.UPLOAD_DOCUMENT && !this.hasRoomFor(item.sizeBytes)) {
+        refused++;
+        continue;
+      }
+
+      known.add(item.idempotencyKey);
+      this.syncQueue.push(item);
+      added.push(item);
+    }
+
+    // Dépendances calculées une fois tous les éléments du lot présents
+    added.forEach(item => {
+      this.applyIdMap(item);
+      item.dependsOn = this.findDependencies(item);
+    });
+
+    if (added.length > 0) {
+      try {
+        await this.saveItems(added);
+      } catch (error) {
+        // Non enregistrés : retirés de la mémoire, le lot pourra être réimporté
+        const addedIds = new Set(added.map(item => item.id));
+        this.syncQueue = this.syncQueue.filter(item => !addedIds.has(item.id));
+        throw error;
+      }
+      console.log(`📥 Lot ${bundle.bundleId} importé: ${added.length} élément(s) de ${bundle.author?.username}`);
+      this.emitQueueChanged();
+
+      if (this.isOnline && this.autoSyncEnabled && !this.syncInProgress) {
+        setTimeout(() => this.drain(), 500);
+      }
+    }
+
+    return { imported: added.length, skipped, refused };
+  }
+
+  /**
+   * Obtenir les éléments rejetés définitivement
+   */
+  async getDeadLetters() {
+    await this.ensureLoaded();
+    return [...this.deadLetters];
+  }
+
+  /**
+   * Remettre en queue un élément dead-letter, éventuellement corrigé
+   *
+   * @param {string} itemId - Identifiant de l'élément
+   * @param {Object} correctedData - Données corrigées (sinon inchangées)
+   * @returns {Promise<boolean>} - true si remis en queue
+   */
+  async resubmit(itemId, correctedData = null) {
+    await this.ensureLoaded();
+
+    const deadLetter = this.deadLetters.find(item => item.id === itemId);
+    if (!deadLetter) {
+      return false;
+    }
+
+    const { error, failedAt, ...item } = deadLetter;
+    this.syncQueue.push({
+      ...item,
+      data: correctedData || item.data,
+      sizeBytes: this.measureSize(correctedData || item.data),
+      status: QUEUE_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: null,
+      metadata: { ...item.metadata, resubmittedAt: new Date().toISOString() },
+    });
+    this.deadLetters = this.deadLetters.filter(q => q.id !== itemId);
+
+    await this.saveItems([deadLetter]);
+    console.log(`🔁 Resoumis depuis dead-letter: ${itemId}`);
+    this.emitQueueChanged();
+
+    if (this.isOnline && this.autoSyncEnabled && !this.syncInProgress) {
+      setTimeout(() => this.drain(), 500);
+    }
+
+    return true;
+  }
+
+  /**
+   * Abandonner définitivement un élément dead-letter
+   */
+  async discardDeadLetter(itemId) {
+    await this.ensureLoaded();
+
+    const dependentIds = this.getDependents(itemId).map(item => item.id);
+    for (const dependentId of dependentIds) {
+      await this.discard(dependentId);
+    }
+
+    const deadLetter = this.deadLetters.find(item => item.id === itemId);
+    this.deadLetters = this.deadLetters.filter(item => item.id !== itemId);
+    await localDatabase.deleteQueueItems([itemId]);
+    if (deadLetter?.type === OPERATION_TYPES.UPLOAD_DOCUMENT) {
+      removeDocumentImage(deadLetter.data.image);
+    }
+    console.log(`🗑️ Dead-letter supprimé: ${itemId}`);
+    this.emitQueueChanged();
   }
 
   /**
-   * Vider toute la queue
+   * Vider toute la queue (dead-letters et photos des documents compris)
    */
   async clearData() {
     this.syncQueue = [];
-    await AsyncStorage.removeItem('sync_queue');
+    this.deadLetters = [];
+    await localDatabase.clearQueueItems();
+    clearDocumentImages();
     console.log('🧹 Queue vidée');
+    this.emitQueueChanged();
   }
 
   /**
@@ -290,13 +2072,17 @@ class SyncService {
     return {
       isInitialized: this.isInitialized,
       isOnline: this.isOnline,
+      connection: this.connection,
+      cellularUsage: this.getCellularUsage(),
       queueLength: this.syncQueue.length,
+      deadLetterCount: this.deadLetters.length,
+      usage: this.getUsage(),
       autoSyncEnabled: this.autoSyncEnabled,
       syncInProgress: this.syncInProgress,
     };
   }
 }
 
-// ✅ EXPORT SINGLETON AVEC INITIALIZE
+// ✅ EXPORT SINGLETON
 const syncService = new SyncService();
-export default syncService;
\ No newline at end of file
+export default syncService;
@@ -0,0 +1,347 @@
+// =============================================================================
+// LOTS DE TRANSFERT ENTRE APPAREILS
+// Fichier: src/services/sync/transferBundle.js
+// =============================================================================
+//
+// Un enquêteur qui part en ville emporte la queue de ses collègues restés sur
+// le terrain : les éléments choisis sont scellés dans un lot (fichier JSON)
+// que l'appareil destinataire importe puis envoie pour le compte de leur
+// auteur.
+//
+// Chiffrement : XChaCha20-Poly1305, clé dérivée (PBKDF2-SHA256) d'un code de
+// transfert aléatoire affiché à l'export et saisi à l'import. L'en-tête du
+// lot (auteur, date, nombre d'éléments) est authentifié avec le contenu.
+//
+// Signature : chaque appareil possède une clé Ed25519 (trousseau sécurisé),
+// enregistrée au nom de l'enquêteur à chaque connexion en ligne
+// (authService, preuve de possession signée). Le lot entier est signé, et
+// chaque élément porte une signature d'origine (clé d'idempotence, type,
+// date, auteur, empreintes SHA-256 des données et de la photo) transmise au
+// serveur avec l'envoi. Un élément modifié depuis sa signature est rejeté à
+// l'import.
+//
+// L'authenticité de l'auteur n'est établie que par le serveur : il vérifie
+// la signature d'origine avec la clé enregistrée pour X-On-Behalf-Of et
+// l'appareil d'origine, jamais avec la clé publique transmise dans l'élément
+// (qu'un tiers pourrait générer lui-même). Hors ligne, la vérification à
+// l'import détecte seulement les modifications.
+// =============================================================================
+
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { ed25519 } from '@noble/curves/ed25519';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha2';
+import { bytesToHex, hexToBytes } from '@noble/hashes/utils';
+import { bytesToBase64, base64ToBytes, utf8ToBytes, bytesToUtf8 } from '../storage/encryption';
+
+export const BUNDLE_FORMAT = 'rsu-transfer-bundle';
+export const BUNDLE_VERSION = 2;
+export const BUNDLE_EXTENSION = 'rsub';
+
+const SIGNING_KEY_ALIAS = 'rsu_signing_key';
+const KDF_ITERATIONS = 100000;
+const SALT_LENGTH = 16;
+const NONCE_LENGTH = 24;
+
+// Code de transfert : 12 caractères sans 0/O ni 1/I (60 bits)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+
+let signingKeyPromise = null;
+
+// =============================================================================
+// IDENTITÉ DE L'APPAREIL
+// =============================================================================
+
+async function loadOrCreateSigningKey() {
+  const saved = await SecureStore.getItemAsync(SIGNING_KEY_ALIAS);
+  if (saved) {
+    return hexToBytes(saved);
+  }
+
+  const key = Crypto.getRandomBytes(32);
+  await SecureStore.setItemAsync(SIGNING_KEY_ALIAS, bytesToHex(key), {
+    keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+  });
+  console.log('🔏 Clé de signature de l\'appareil générée');
+  return key;
+}
+
+function getSigningKey() {
+  if (!signingKeyPromise) {
+    signingKeyPromise = loadOrCreateSigningKey().catch(error => {
+      signingKeyPromise = null;
+      throw error;
+    });
+  }
+  return signingKeyPromise;
+}
+
+/**
+ * Clé publique de l'appareil et identifiant dérivé
+ *
+ * @returns {Promise<Object>} - { publicKey (hex), deviceId }
+ */
+export async function getSigningIdentity() {
+  const publicKey = ed25519.getPublicKey(await getSigningKey());
+  return {
+    publicKey: bytesToHex(publicKey),
+    deviceId: bytesToHex(sha256(publicKey)).slice(0, 16),
+  };
+}
+
+async function sign(message) {
+  return bytesToHex(ed25519.sign(utf8ToBytes(message), await getSigningKey()));
+}
+
+/**
+ * Contenu signé pour enregistrer la clé de l'appareil au nom d'un utilisateur
+ */
+export function deviceRegistrationMessage(userId, deviceId, publicKey) {
+  return ['rsu-device-key', userId, deviceId, publicKey].join('|');
+}
+
+/**
+ * Demande d'enregistrement de la clé de l'appareil, signée par cette clé
+ * (le serveur l'associe à l'utilisateur authentifié)
+ *
+ * @param {number|string} userId - Utilisateur connecté
+ * @returns {Promise<Object>} - { device_id, public_key, signature }
+ */
+export async function signDeviceRegistration(userId) {
+  const { publicKey, deviceId } = await getSigningIdentity();
+  return {
+    device_id: deviceId,
+    public_key: publicKey,
+    signature: await sign(deviceRegistrationMessage(userId, deviceId, publicKey)),
+  };
+}
+
+function verify(signature, message, publicKey) {
+  try {
+    return ed25519.verify(hexToBytes(signature), utf8ToBytes(message), hexToBytes(publicKey));
+  } catch {
+    return false;
+  }
+}
+
+// =============================================================================
+// SIGNATURE D'ORIGINE DES ÉLÉMENTS
+// =============================================================================
+
+/**
+ * JSON à clés triées : même texte pour les mêmes valeurs, quel que soit
+ * l'ordre d'insertion des champs
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(entry => canonicalJson(entry ?? null)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Empreinte des données envoyées (data et audit). L'emplacement de la photo
+ * change d'un appareil à l'autre : seul son contenu compte (attachmentHash).
+ */
+export function payloadHash(item) {
+  let { data } = item;
+  if (data?.image) {
+    const { uri, base64, ...image } = data.image;
+    data = { ...data, image };
+  }
+  return bytesToHex(sha256(utf8ToBytes(canonicalJson({ data, audit: item.audit || [] }))));
+}
+
+/**
+ * Empreinte de la photo embarquée (vide sans photo)
+ */
+export function attachmentHash(item) {
+  return item.attachment ? bytesToHex(sha256(base64ToBytes(item.attachment))) : '';
+}
+
+/**
+ * Contenu signé pour un élément : ce que le serveur vérifie à la réception
+ */
+export function originMessage(item, origin) {
+  return [
+    item.idempotencyKey,
+    item.type,
+    item.createdAt,
+    origin.userId,
+    origin.payloadHash,
+    origin.attachmentHash,
+  ].join('|');
+}
+
+/**
+ * Auteur d'origine signé d'un élément de la queue (photo déjà embarquée)
+ *
+ * @param {Object} item - Élément de queue
+ * @param {Object} author - { userId, username, name, deviceId, publicKey }
+ */
+export async function signOrigin(item, author) {
+  const origin = {
+    userId: author.userId,
+    username: author.username,
+    name: author.name,
+    deviceId: author.deviceId,
+    publicKey: author.publicKey,
+    payloadHash: payloadHash(item),
+    attachmentHash: attachmentHash(item),
+  };
+  return { ...origin, signature: await sign(originMessage(item, origin)) };
+}
+
+/**
+ * Vrai si l'élément porte la signature de son auteur et n'a pas été
+ * modifié depuis (données et photo)
+ */
+export function verifyOrigin(item) {
+  const { origin } = item;
+  return Boolean(origin)
+    && verify(origin.signature, originMessage(item, origin), origin.publicKey)
+    && origin.payloadHash === payloadHash(item)
+    && origin.attachmentHash === attachmentHash(item);
+}
+
+// =============================================================================
+// CODE DE TRANSFERT
+// =============================================================================
+
+/**
+ * Nouveau code de transfert (affiché par groupes de 4 : ABCD-EFGH-JKLM)
+ */
+export function generateTransferCode() {
+  const bytes = Crypto.getRandomBytes(CODE_LENGTH);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  return chars.join('').match(/.{1,4}/g).join('-');
+}
+
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function deriveKey(code, salt) {
+  return pbkdf2Async(sha256, utf8ToBytes(normalizeCode(code)), salt, {
+    c: KDF_ITERATIONS,
+    dkLen: 32,
+  });
+}
+
+// =============================================================================
+// SCELLEMENT
+// =============================================================================
+
+/**
+ * En-tête authentifié (données associées du chiffrement et de la signature)
+ */
+function headerOf(envelope) {
+  const { author } = envelope;
+  return [
+    envelope.format,
+    envelope.version,
+    envelope.bundleId,
+    envelope.createdAt,
+    author.userId,
+    author.username,
+    author.deviceId,
+    author.publicKey,
+    envelope.itemCount,
+    envelope.salt,
+    envelope.nonce,
+  ].join('|');
+}
+
+/**
+ * Scelle des éléments dans un lot chiffré et signé
+ *
+ * @param {Array} items - Éléments préparés pour le transfert
+ * @param {Object} author - { userId, username, name, deviceId, publicKey }
+ * @param {string} code - Code de transfert
+ * @returns {Promise<Object>} - Enveloppe JSON à écrire dans le fichier
+ */
+export async function sealBundle(items, author, code) {
+  const salt = Crypto.getRandomBytes(SALT_LENGTH);
+  const nonce = Crypto.getRandomBytes(NONCE_LENGTH);
+
+  const envelope = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    bundleId: uuidv4(),
+    createdAt: new Date().toISOString(),
+    author,
+    itemCount: items.length,
+    salt: bytesToBase64(salt),
+    nonce: bytesToBase64(nonce),
+  };
+
+  const key = await deriveKey(code, salt);
+  const header = headerOf(envelope);
+  const sealed = xchacha20poly1305(key, nonce, utf8ToBytes(header))
+    .encrypt(utf8ToBytes(JSON.stringify(items)));
+
+  envelope.ciphertext = bytesToBase64(sealed);
+  envelope.signature = await sign(`${header}|${envelope.ciphertext}`);
+  return envelope;
+}
+
+/**
+ * Vérifie l'en-tête d'un lot lu depuis un fichier (sans le déchiffrer)
+ */
+export function checkEnvelope(envelope) {
+  if (envelope?.format !== BUNDLE_FORMAT || !envelope.ciphertext) {
+    throw new Error('Fichier non reconnu comme lot de transfert RSU');
+  }
+  if (envelope.version > BUNDLE_VERSION) {
+    throw new Error('Lot créé par une version plus récente de l\'application');
+  }
+  if (envelope.version < BUNDLE_VERSION) {
+    throw new Error('Lot créé par une version antérieure de l\'application : faites-le réexporter');
+  }
+  if (!verify(envelope.signature, `${headerOf(envelope)}|${envelope.ciphertext}`, envelope.author.publicKey)) {
+    throw new Error('Signature du lot invalide : fichier altéré');
+  }
+}
+
+/**
+ * Vérifie et déchiffre un lot
+ *
+ * @param {Object} envelope - Contenu du fichier
+ * @param {string} code - Code de transfert communiqué par l'auteur
+ * @returns {Promise<Object>} - { items, rejected } : éléments intacts, et
+ *                              nombre d'éléments écartés (signature
+ *                              d'origine invalide ou contenu modifié)
+ */
+export async function openBundle(envelope, code) {
+  checkEnvelope(envelope);
+
+  const key = await deriveKey(code, base64ToBytes(envelope.salt));
+  let plaintext;
+  try {
+    plaintext = xchacha20poly1305(key, base64ToBytes(envelope.nonce), utf8ToBytes(headerOf(envelope)))
+      .decrypt(base64ToBytes(envelope.ciphertext));
+  } catch {
+    throw new Error('Code de transfert incorrect');
+  }
+
+  const items = JSON.parse(bytesToUtf8(plaintext));
+
+  // Un élément modifié après sa signature ne part pas au nom de son auteur
+  const intact = items.filter(verifyOrigin);
+  if (intact.length < items.length) {
+    console.warn(`⚠️ Lot ${envelope.bundleId}: ${items.length - intact.length} élément(s) modifié(s) depuis leur signature`);
+  }
+
+  return { items: intact, rejected: items.length - intact.length };
+}